@@ -8,28 +8,58 @@
  */
 
 import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import BlackbodySpectrumQueryParameters from './BlackbodySpectrumQueryParameters.js';
+
+// Whether temperatures span the extended range, see BlackbodySpectrumQueryParameters
+const EXTENDED = BlackbodySpectrumQueryParameters.extendedTemperatureRange;
 
 const BlackbodyConstants = {
 
   // Thermometer Temperature Values
-  minTemperature: 200,
-  maxTemperature: 11000,
+  extendedTemperatureRange: EXTENDED,
+  minTemperature: EXTENDED ? 2.7 : 200,
+  maxTemperature: EXTENDED ? 100000 : 11000,
   earthTemperature: 250,
   lightBulbTemperature: 3000,
   sunTemperature: 5800,
   siriusATemperature: 9950,
 
+  // Other Preset Temperature Values
+  humanBodyTemperature: 310,
+  lavaTemperature: 1400,
+  candleFlameTemperature: 1900,
+  betelgeuseTemperature: 3600,
+  rigelTemperature: 12100,
+
+  // Unit Conversions
+  nanometersPerMicrometer: 1000,
+
   // Wavelength Label Values
   xRayWavelength: 10,
   ultravioletWavelength: 380,
   visibleWavelength: 780,
   infraredWavelength: 100000,
 
-  // Axes Values
-  minHorizontalZoom: 750,
-  maxHorizontalZoom: 48000,
-  minVerticalZoom: 0.00001024,
-  maxVerticalZoom: 2500,
+  // Axes Values, which reach further in the extended range since the peak wavelength is inversely proportional to the
+  // temperature and the height of the peak is proportional to the fifth power of the temperature
+  minHorizontalZoom: EXTENDED ? 46.875 : 750,
+  maxHorizontalZoom: EXTENDED ? 6144000 : 48000,
+  minHorizontalFrequencyZoom: EXTENDED ? 0.732421875 : 93.75,
+  maxHorizontalFrequencyZoom: EXTENDED ? 96000 : 24000,
+  minHorizontalWavenumberZoom: EXTENDED ? 19.53125 : 2500,
+  maxHorizontalWavenumberZoom: EXTENDED ? 2560000 : 640000,
+  minVerticalZoom: EXTENDED ? 1.6777216e-15 : 0.00001024,
+  maxVerticalZoom: EXTENDED ? 195312500 : 2500,
+
+  // The narrowest ranges that a linear axis can show after a box zoom, which are narrower than the zoom buttons go
+  minHorizontalSpan: EXTENDED ? 5 : 50,
+  minHorizontalFrequencySpan: EXTENDED ? 0.1 : 10,
+  minHorizontalWavenumberSpan: EXTENDED ? 2 : 500,
+  minVerticalSpan: EXTENDED ? 1e-16 : 1e-6,
+
+  // Saved Graph Values
+  defaultMaxSavedBodies: 6,
+  maxSavedBodies: 10,
 
   LABEL_FONT: new PhetFont( 22 )
 };
@@ -0,0 +1,49 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Query parameters supported by this simulation
+ *
+ * @author Arnab Purkayastha
+ */
+
+import TemperatureUnits from './blackbody-spectrum/model/TemperatureUnits.js';
+
+const BlackbodySpectrumQueryParameters = QueryStringMachine.getAll( {
+
+  // The units that temperatures are initially shown in, which can also be changed in the Preferences dialog
+  temperatureUnits: {
+    type: 'string',
+    defaultValue: TemperatureUnits.KELVIN.name,
+    validValues: TemperatureUnits.NAMES,
+    public: true
+  },
+
+  // Whether the spectrum is initially sonified, which can also be changed in the Preferences dialog
+  sonification: {
+    type: 'flag',
+    public: true
+  },
+
+  // The reference objects labeled on the thermometer, as keys of built-in presets such as 'humanBody' or as
+  // 'name:temperature' with the temperature in K, e.g. temperaturePresets=humanBody,lava,Kiln:1500,betelgeuse,rigel.
+  // Presets outside the range of the thermometer are left out. Each preset is validated by temperaturePresetsProperty,
+  // since the presets depend on BlackbodyConstants, which depends on these query parameters.
+  temperaturePresets: {
+    type: 'array',
+    elementSchema: {
+      type: 'string'
+    },
+    defaultValue: null,
+    public: true
+  },
+
+  // Extends the range of temperatures from 2.7 K, the cosmic microwave background, to 100,000 K, the hottest stars and
+  // white dwarfs. The thermometer has a logarithmic scale, and the graph is zoomed to show the curve when it leaves
+  // the graph.
+  extendedTemperatureRange: {
+    type: 'flag',
+    public: true
+  }
+} );
+
+export default BlackbodySpectrumQueryParameters;
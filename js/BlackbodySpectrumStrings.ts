@@ -56,6 +56,400 @@ type StringsType = {
   'visibleStringProperty': LocalizedStringProperty;
   'infrared': string;
   'infraredStringProperty': LocalizedStringProperty;
+  'bands': string;
+  'bandsStringProperty': LocalizedStringProperty;
+  'intensityByBand': string;
+  'intensityByBandStringProperty': LocalizedStringProperty;
+  'percentPattern': string;
+  'percentPatternStringProperty': LocalizedStringProperty;
+  'emitter': string;
+  'emitterStringProperty': LocalizedStringProperty;
+  'blackbody': string;
+  'blackbodyStringProperty': LocalizedStringProperty;
+  'grayBody': string;
+  'grayBodyStringProperty': LocalizedStringProperty;
+  'tungsten': string;
+  'tungstenStringProperty': LocalizedStringProperty;
+  'humanSkin': string;
+  'humanSkinStringProperty': LocalizedStringProperty;
+  'polishedAluminum': string;
+  'polishedAluminumStringProperty': LocalizedStringProperty;
+  'emissivityPattern': string;
+  'emissivityPatternStringProperty': LocalizedStringProperty;
+  'spectralPowerDensityFrequencyLabel': string;
+  'spectralPowerDensityFrequencyLabelStringProperty': LocalizedStringProperty;
+  'spectralPowerDensityWavenumberLabel': string;
+  'spectralPowerDensityWavenumberLabelStringProperty': LocalizedStringProperty;
+  'frequencyLabel': string;
+  'frequencyLabelStringProperty': LocalizedStringProperty;
+  'wavenumberLabel': string;
+  'wavenumberLabelStringProperty': LocalizedStringProperty;
+  'frequencySubtitleLabel': string;
+  'frequencySubtitleLabelStringProperty': LocalizedStringProperty;
+  'wavenumberSubtitleLabel': string;
+  'wavenumberSubtitleLabelStringProperty': LocalizedStringProperty;
+  'photons': string;
+  'photonsStringProperty': LocalizedStringProperty;
+  'photonFluxUnitsLabel': string;
+  'photonFluxUnitsLabelStringProperty': LocalizedStringProperty;
+  'photonSpectralFluxLabel': string;
+  'photonSpectralFluxLabelStringProperty': LocalizedStringProperty;
+  'photonSpectralFluxFrequencyLabel': string;
+  'photonSpectralFluxFrequencyLabelStringProperty': LocalizedStringProperty;
+  'photonSpectralFluxWavenumberLabel': string;
+  'photonSpectralFluxWavenumberLabelStringProperty': LocalizedStringProperty;
+  'chromaticity': string;
+  'chromaticityStringProperty': LocalizedStringProperty;
+  'chromaticityX': string;
+  'chromaticityXStringProperty': LocalizedStringProperty;
+  'chromaticityY': string;
+  'chromaticityYStringProperty': LocalizedStringProperty;
+  'chromaticityPattern': string;
+  'chromaticityPatternStringProperty': LocalizedStringProperty;
+  'colorTemperaturePattern': string;
+  'colorTemperaturePatternStringProperty': LocalizedStringProperty;
+  'logScale': string;
+  'logScaleStringProperty': LocalizedStringProperty;
+  'logScaleHorizontal': string;
+  'logScaleHorizontalStringProperty': LocalizedStringProperty;
+  'logScaleVertical': string;
+  'logScaleVerticalStringProperty': LocalizedStringProperty;
+  'logScaleBoth': string;
+  'logScaleBothStringProperty': LocalizedStringProperty;
+  'temperatureUnits': string;
+  'temperatureUnitsStringProperty': LocalizedStringProperty;
+  'kelvin': string;
+  'kelvinStringProperty': LocalizedStringProperty;
+  'celsius': string;
+  'celsiusStringProperty': LocalizedStringProperty;
+  'fahrenheit': string;
+  'fahrenheitStringProperty': LocalizedStringProperty;
+  'celsiusUnits': string;
+  'celsiusUnitsStringProperty': LocalizedStringProperty;
+  'fahrenheitUnits': string;
+  'fahrenheitUnitsStringProperty': LocalizedStringProperty;
+  'exportData': string;
+  'exportDataStringProperty': LocalizedStringProperty;
+  'graphRange': string;
+  'graphRangeStringProperty': LocalizedStringProperty;
+  'customRange': string;
+  'customRangeStringProperty': LocalizedStringProperty;
+  'minimumWavelength': string;
+  'minimumWavelengthStringProperty': LocalizedStringProperty;
+  'maximumWavelength': string;
+  'maximumWavelengthStringProperty': LocalizedStringProperty;
+  'numberOfPoints': string;
+  'numberOfPointsStringProperty': LocalizedStringProperty;
+  'includePhotonFlux': string;
+  'includePhotonFluxStringProperty': LocalizedStringProperty;
+  'downloadCSV': string;
+  'downloadCSVStringProperty': LocalizedStringProperty;
+  'downloadJSON': string;
+  'downloadJSONStringProperty': LocalizedStringProperty;
+  'micronsPattern': string;
+  'micronsPatternStringProperty': LocalizedStringProperty;
+  'importData': string;
+  'importDataStringProperty': LocalizedStringProperty;
+  'measuredSpectrum': string;
+  'measuredSpectrumStringProperty': LocalizedStringProperty;
+  'fittedTemperaturePattern': string;
+  'fittedTemperaturePatternStringProperty': LocalizedStringProperty;
+  'fittedScalePattern': string;
+  'fittedScalePatternStringProperty': LocalizedStringProperty;
+  'rmsResidualPattern': string;
+  'rmsResidualPatternStringProperty': LocalizedStringProperty;
+  'fitScale': string;
+  'fitScaleStringProperty': LocalizedStringProperty;
+  'residuals': string;
+  'residualsStringProperty': LocalizedStringProperty;
+  'useFittedTemperature': string;
+  'useFittedTemperatureStringProperty': LocalizedStringProperty;
+  'importError': string;
+  'importErrorStringProperty': LocalizedStringProperty;
+  'screen': {
+    'spectrum': string;
+    'spectrumStringProperty': LocalizedStringProperty;
+    'mysteryStar': string;
+    'mysteryStarStringProperty': LocalizedStringProperty;
+    'stars': string;
+    'starsStringProperty': LocalizedStringProperty;
+  };
+  'chooseYourLevel': string;
+  'chooseYourLevelStringProperty': LocalizedStringProperty;
+  'levelPattern': string;
+  'levelPatternStringProperty': LocalizedStringProperty;
+  'curve': string;
+  'curveStringProperty': LocalizedStringProperty;
+  'starColor': string;
+  'starColorStringProperty': LocalizedStringProperty;
+  'peakWavelength': string;
+  'peakWavelengthStringProperty': LocalizedStringProperty;
+  'curveInstructions': string;
+  'curveInstructionsStringProperty': LocalizedStringProperty;
+  'starColorInstructions': string;
+  'starColorInstructionsStringProperty': LocalizedStringProperty;
+  'peakWavelengthInstructions': string;
+  'peakWavelengthInstructionsStringProperty': LocalizedStringProperty;
+  'peakWavelengthPattern': string;
+  'peakWavelengthPatternStringProperty': LocalizedStringProperty;
+  'mysteryStar': string;
+  'mysteryStarStringProperty': LocalizedStringProperty;
+  'yourStar': string;
+  'yourStarStringProperty': LocalizedStringProperty;
+  'check': string;
+  'checkStringProperty': LocalizedStringProperty;
+  'tryAgain': string;
+  'tryAgainStringProperty': LocalizedStringProperty;
+  'next': string;
+  'nextStringProperty': LocalizedStringProperty;
+  'correct': string;
+  'correctStringProperty': LocalizedStringProperty;
+  'incorrect': string;
+  'incorrectStringProperty': LocalizedStringProperty;
+  'answerPattern': string;
+  'answerPatternStringProperty': LocalizedStringProperty;
+  'reviewAttempts': string;
+  'reviewAttemptsStringProperty': LocalizedStringProperty;
+  'attempts': string;
+  'attemptsStringProperty': LocalizedStringProperty;
+  'noAttempts': string;
+  'noAttemptsStringProperty': LocalizedStringProperty;
+  'level': string;
+  'levelStringProperty': LocalizedStringProperty;
+  'challenge': string;
+  'challengeStringProperty': LocalizedStringProperty;
+  'mystery': string;
+  'mysteryStringProperty': LocalizedStringProperty;
+  'guess': string;
+  'guessStringProperty': LocalizedStringProperty;
+  'error': string;
+  'errorStringProperty': LocalizedStringProperty;
+  'points': string;
+  'pointsStringProperty': LocalizedStringProperty;
+  'proximaCentauri': string;
+  'proximaCentauriStringProperty': LocalizedStringProperty;
+  'barnardsStar': string;
+  'barnardsStarStringProperty': LocalizedStringProperty;
+  'epsilonEridani': string;
+  'epsilonEridaniStringProperty': LocalizedStringProperty;
+  'tauCeti': string;
+  'tauCetiStringProperty': LocalizedStringProperty;
+  'alphaCentauriA': string;
+  'alphaCentauriAStringProperty': LocalizedStringProperty;
+  'procyonA': string;
+  'procyonAStringProperty': LocalizedStringProperty;
+  'procyonB': string;
+  'procyonBStringProperty': LocalizedStringProperty;
+  'altair': string;
+  'altairStringProperty': LocalizedStringProperty;
+  'vega': string;
+  'vegaStringProperty': LocalizedStringProperty;
+  'polaris': string;
+  'polarisStringProperty': LocalizedStringProperty;
+  'capella': string;
+  'capellaStringProperty': LocalizedStringProperty;
+  'arcturus': string;
+  'arcturusStringProperty': LocalizedStringProperty;
+  'aldebaran': string;
+  'aldebaranStringProperty': LocalizedStringProperty;
+  'deneb': string;
+  'denebStringProperty': LocalizedStringProperty;
+  'antares': string;
+  'antaresStringProperty': LocalizedStringProperty;
+  'betelgeuse': string;
+  'betelgeuseStringProperty': LocalizedStringProperty;
+  'customStar': string;
+  'customStarStringProperty': LocalizedStringProperty;
+  'starCatalog': string;
+  'starCatalogStringProperty': LocalizedStringProperty;
+  'hertzsprungRussellDiagram': string;
+  'hertzsprungRussellDiagramStringProperty': LocalizedStringProperty;
+  'surfaceTemperatureKelvin': string;
+  'surfaceTemperatureKelvinStringProperty': LocalizedStringProperty;
+  'luminositySolarUnits': string;
+  'luminositySolarUnitsStringProperty': LocalizedStringProperty;
+  'radiusPattern': string;
+  'radiusPatternStringProperty': LocalizedStringProperty;
+  'luminosityPattern': string;
+  'luminosityPatternStringProperty': LocalizedStringProperty;
+  'solarRadiiPattern': string;
+  'solarRadiiPatternStringProperty': LocalizedStringProperty;
+  'atmosphere': string;
+  'atmosphereStringProperty': LocalizedStringProperty;
+  'transmittedPattern': string;
+  'transmittedPatternStringProperty': LocalizedStringProperty;
+  'water': string;
+  'waterStringProperty': LocalizedStringProperty;
+  'carbonDioxide': string;
+  'carbonDioxideStringProperty': LocalizedStringProperty;
+  'ozone': string;
+  'ozoneStringProperty': LocalizedStringProperty;
+  'heatingAndCooling': string;
+  'heatingAndCoolingStringProperty': LocalizedStringProperty;
+  'heatCapacityPattern': string;
+  'heatCapacityPatternStringProperty': LocalizedStringProperty;
+  'surfaceAreaPattern': string;
+  'surfaceAreaPatternStringProperty': LocalizedStringProperty;
+  'surroundingsPattern': string;
+  'surroundingsPatternStringProperty': LocalizedStringProperty;
+  'inputPowerPattern': string;
+  'inputPowerPatternStringProperty': LocalizedStringProperty;
+  'netPowerPattern': string;
+  'netPowerPatternStringProperty': LocalizedStringProperty;
+  'timePattern': string;
+  'timePatternStringProperty': LocalizedStringProperty;
+  'temperatureVsTime': string;
+  'temperatureVsTimeStringProperty': LocalizedStringProperty;
+  'a11y': {
+    'temperatureSlider': {
+      'accessibleName': string;
+      'accessibleNameStringProperty': LocalizedStringProperty;
+      'helpText': string;
+      'helpTextStringProperty': LocalizedStringProperty;
+    };
+    'graphValuesPoint': {
+      'accessibleName': string;
+      'accessibleNameStringProperty': LocalizedStringProperty;
+      'helpText': string;
+      'helpTextStringProperty': LocalizedStringProperty;
+      'valuePattern': string;
+      'valuePatternStringProperty': LocalizedStringProperty;
+      'wavelengthPattern': string;
+      'wavelengthPatternStringProperty': LocalizedStringProperty;
+      'frequencyPattern': string;
+      'frequencyPatternStringProperty': LocalizedStringProperty;
+      'wavenumberPattern': string;
+      'wavenumberPatternStringProperty': LocalizedStringProperty;
+      'readingPattern': string;
+      'readingPatternStringProperty': LocalizedStringProperty;
+    };
+    'scientificNotationPattern': string;
+    'scientificNotationPatternStringProperty': LocalizedStringProperty;
+    'screenSummary': {
+      'playArea': string;
+      'playAreaStringProperty': LocalizedStringProperty;
+      'controlArea': string;
+      'controlAreaStringProperty': LocalizedStringProperty;
+      'interactionHint': string;
+      'interactionHintStringProperty': LocalizedStringProperty;
+    };
+    'spectrumHeading': string;
+    'spectrumHeadingStringProperty': LocalizedStringProperty;
+    'temperaturePattern': string;
+    'temperaturePatternStringProperty': LocalizedStringProperty;
+    'peakPattern': string;
+    'peakPatternStringProperty': LocalizedStringProperty;
+    'curveHeight': {
+      'pattern': string;
+      'patternStringProperty': LocalizedStringProperty;
+      'aboveGraph': string;
+      'aboveGraphStringProperty': LocalizedStringProperty;
+      'nearTop': string;
+      'nearTopStringProperty': LocalizedStringProperty;
+      'middle': string;
+      'middleStringProperty': LocalizedStringProperty;
+      'low': string;
+      'lowStringProperty': LocalizedStringProperty;
+      'barelyVisible': string;
+      'barelyVisibleStringProperty': LocalizedStringProperty;
+    };
+    'intensityPattern': string;
+    'intensityPatternStringProperty': LocalizedStringProperty;
+    'savedCurves': {
+      'none': string;
+      'noneStringProperty': LocalizedStringProperty;
+      'comparisonPattern': string;
+      'comparisonPatternStringProperty': LocalizedStringProperty;
+      'hotter': string;
+      'hotterStringProperty': LocalizedStringProperty;
+      'cooler': string;
+      'coolerStringProperty': LocalizedStringProperty;
+      'same': string;
+      'sameStringProperty': LocalizedStringProperty;
+    };
+    'boxZoomButton': {
+      'accessibleName': string;
+      'accessibleNameStringProperty': LocalizedStringProperty;
+      'helpText': string;
+      'helpTextStringProperty': LocalizedStringProperty;
+    };
+    'partialAreaMarker': {
+      'accessibleNamePattern': string;
+      'accessibleNamePatternStringProperty': LocalizedStringProperty;
+      'helpText': string;
+      'helpTextStringProperty': LocalizedStringProperty;
+    };
+    'photonFluxPattern': string;
+    'photonFluxPatternStringProperty': LocalizedStringProperty;
+    'bands': {
+      'xRay': string;
+      'xRayStringProperty': LocalizedStringProperty;
+      'ultraviolet': string;
+      'ultravioletStringProperty': LocalizedStringProperty;
+      'visible': string;
+      'visibleStringProperty': LocalizedStringProperty;
+      'infrared': string;
+      'infraredStringProperty': LocalizedStringProperty;
+    };
+  };
+  'keyboardHelp': {
+    'thermometerPresets': string;
+    'thermometerPresetsStringProperty': LocalizedStringProperty;
+    'jumpToPresetPattern': string;
+    'jumpToPresetPatternStringProperty': LocalizedStringProperty;
+  };
+  'sonification': string;
+  'sonificationStringProperty': LocalizedStringProperty;
+  'sonificationDescription': string;
+  'sonificationDescriptionStringProperty': LocalizedStringProperty;
+  'playCurve': string;
+  'playCurveStringProperty': LocalizedStringProperty;
+  'partialArea': string;
+  'partialAreaStringProperty': LocalizedStringProperty;
+  'partialAreaWindowPattern': string;
+  'partialAreaWindowPatternStringProperty': LocalizedStringProperty;
+  'comparison': string;
+  'comparisonStringProperty': LocalizedStringProperty;
+  'difference': string;
+  'differenceStringProperty': LocalizedStringProperty;
+  'ratio': string;
+  'ratioStringProperty': LocalizedStringProperty;
+  'compareWith': string;
+  'compareWithStringProperty': LocalizedStringProperty;
+  'mainMinusSaved': string;
+  'mainMinusSavedStringProperty': LocalizedStringProperty;
+  'mainOverSaved': string;
+  'mainOverSavedStringProperty': LocalizedStringProperty;
+  'noSavedCurvesToCompare': string;
+  'noSavedCurvesToCompareStringProperty': LocalizedStringProperty;
+  'crossingsPattern': string;
+  'crossingsPatternStringProperty': LocalizedStringProperty;
+  'noCrossings': string;
+  'noCrossingsStringProperty': LocalizedStringProperty;
+  'peakLocus': string;
+  'peakLocusStringProperty': LocalizedStringProperty;
+  'peakDensityPattern': string;
+  'peakDensityPatternStringProperty': LocalizedStringProperty;
+  'intensityPattern': string;
+  'intensityPatternStringProperty': LocalizedStringProperty;
+  'temperatureRatioPattern': string;
+  'temperatureRatioPatternStringProperty': LocalizedStringProperty;
+  'intensityRatioPattern': string;
+  'intensityRatioPatternStringProperty': LocalizedStringProperty;
+  'humanBody': string;
+  'humanBodyStringProperty': LocalizedStringProperty;
+  'lava': string;
+  'lavaStringProperty': LocalizedStringProperty;
+  'candleFlame': string;
+  'candleFlameStringProperty': LocalizedStringProperty;
+  'rigel': string;
+  'rigelStringProperty': LocalizedStringProperty;
+  'noVisibleLight': string;
+  'noVisibleLightStringProperty': LocalizedStringProperty;
+  'colorTemperatureBelowPattern': string;
+  'colorTemperatureBelowPatternStringProperty': LocalizedStringProperty;
+  'colorTemperatureAbovePattern': string;
+  'colorTemperatureAbovePatternStringProperty': LocalizedStringProperty;
 };
 
 const BlackbodySpectrumStrings = getStringModule( 'BLACKBODY_SPECTRUM' ) as StringsType;
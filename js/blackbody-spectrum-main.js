@@ -12,7 +12,11 @@ import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import BlackbodySpectrumScreen from './blackbody-spectrum/BlackbodySpectrumScreen.js';
+import BlackbodySpectrumPreferencesNode from './blackbody-spectrum/view/BlackbodySpectrumPreferencesNode.js';
+import SonificationPreferencesNode from './blackbody-spectrum/view/SonificationPreferencesNode.js';
 import BlackbodySpectrumStrings from './BlackbodySpectrumStrings.js';
+import MysteryStarScreen from './mystery-star/MysteryStarScreen.js';
+import StarsScreen from './stars/StarsScreen.js';
 
 const blackbodySpectrumTitleStringProperty = BlackbodySpectrumStrings[ 'blackbody-spectrum' ].titleStringProperty;
 
@@ -29,13 +33,29 @@ const simOptions = {
   preferencesModel: new PreferencesModel( {
     visualOptions: {
       supportsProjectorMode: true
+    },
+    audioOptions: {
+      customPreferences: [ {
+        createContent: tandem => new SonificationPreferencesNode( {
+          tandem: tandem.createTandem( 'sonificationPreferences' )
+        } )
+      } ]
+    },
+    simulationOptions: {
+      customPreferences: [ {
+        createContent: tandem => new BlackbodySpectrumPreferencesNode( {
+          tandem: tandem.createTandem( 'simulationPreferences' )
+        } )
+      } ]
     }
   } )
 };
 
 simLauncher.launch( () => {
   const sim = new Sim( blackbodySpectrumTitleStringProperty, [
-    new BlackbodySpectrumScreen( Tandem.ROOT.createTandem( 'blackbodySpectrumScreen' ) )
+    new BlackbodySpectrumScreen( Tandem.ROOT.createTandem( 'blackbodySpectrumScreen' ) ),
+    new MysteryStarScreen( Tandem.ROOT.createTandem( 'mysteryStarScreen' ) ),
+    new StarsScreen( Tandem.ROOT.createTandem( 'starsScreen' ) )
   ], simOptions );
   sim.start();
 } );
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Unit tests for blackbody-spectrum. Please run once in phet brand and once in brand=phet-io to cover all
+ * functionality.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import qunitStart from '../../chipper/js/browser/sim-tests/qunitStart.js';
+import './blackbody-spectrum/model/BlackbodyBodyModelTests.js';
+import './blackbody-spectrum/model/BlackbodyFitTests.js';
+import './blackbody-spectrum/model/ColorimetryTests.js';
+import './blackbody-spectrum/model/PartialAreaModelTests.js';
+import './blackbody-spectrum/model/SpectrumExportTests.js';
+import './blackbody-spectrum/model/TemperaturePresetsTests.js';
+import './blackbody-spectrum/model/ThermalEvolutionModelTests.js';
+import './stars/model/StarsModelTests.js';
+
+qunitStart();
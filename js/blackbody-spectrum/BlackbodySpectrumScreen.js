@@ -7,9 +7,15 @@
  */
 
 import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import PhetColorScheme from '../../../scenery-phet/js/PhetColorScheme.js';
+import Path from '../../../scenery/js/nodes/Path.js';
+import BlackbodySpectrumStrings from '../BlackbodySpectrumStrings.js';
 import BlackbodySpectrumModel from './model/BlackbodySpectrumModel.js';
 import BlackbodyColors from './view/BlackbodyColors.js';
+import BlackbodySpectrumKeyboardHelpContent from './view/BlackbodySpectrumKeyboardHelpContent.js';
 import BlackbodySpectrumScreenView from './view/BlackbodySpectrumScreenView.js';
+import GenericCurveShape from './view/GenericCurveShape.js';
 
 class BlackbodySpectrumScreen extends Screen {
 
@@ -19,7 +25,16 @@ class BlackbodySpectrumScreen extends Screen {
   constructor( tandem ) {
     super( () => new BlackbodySpectrumModel( tandem.createTandem( 'model' ) ),
       model => new BlackbodySpectrumScreenView( model, tandem.createTandem( 'view' ) ), {
+        name: BlackbodySpectrumStrings.screen.spectrumStringProperty,
+        homeScreenIcon: new ScreenIcon( new Path( new GenericCurveShape(), {
+          stroke: PhetColorScheme.RED_COLORBLIND,
+          lineWidth: 5,
+          lineCap: 'round'
+        } ), {
+          fill: BlackbodyColors.backgroundProperty
+        } ),
         backgroundColorProperty: BlackbodyColors.backgroundProperty,
+        createKeyboardHelpNode: () => new BlackbodySpectrumKeyboardHelpContent(),
         tandem: tandem
       }
     );
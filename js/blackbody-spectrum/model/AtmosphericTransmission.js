@@ -0,0 +1,116 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The transmission of Earth's atmosphere, which is the fraction of light at a given wavelength that passes straight
+ * through a clear sky, from the top of the atmosphere to the ground or from the ground out to space. Light that isn't
+ * transmitted is mostly absorbed by water vapor, carbon dioxide and ozone, in the bands listed by ABSORPTION_BANDS.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+
+// Approximate low-resolution transmission of a clear sky at sea level as [ wavelength in nm, transmission ] pairs,
+// ordered by increasing wavelength. Values between entries are linearly interpolated and values outside the table are
+// held at the nearest entry, so that the atmosphere is opaque to far ultraviolet and far infrared light.
+const TRANSMISSION_TABLE = [
+  [ 290, 0 ], [ 300, 0.02 ], [ 320, 0.45 ], [ 350, 0.62 ], [ 400, 0.72 ], [ 500, 0.82 ], [ 600, 0.85 ], [ 700, 0.88 ],
+  [ 800, 0.9 ], [ 900, 0.75 ], [ 940, 0.45 ], [ 1000, 0.9 ], [ 1100, 0.65 ], [ 1130, 0.35 ], [ 1200, 0.88 ],
+  [ 1300, 0.75 ], [ 1380, 0.05 ], [ 1450, 0.2 ], [ 1550, 0.92 ], [ 1700, 0.9 ], [ 1850, 0.05 ], [ 1900, 0.02 ],
+  [ 2000, 0.5 ], [ 2100, 0.9 ], [ 2300, 0.85 ], [ 2500, 0.4 ], [ 2600, 0.02 ], [ 2800, 0 ], [ 3000, 0.05 ],
+  [ 3300, 0.6 ], [ 3600, 0.85 ], [ 4000, 0.88 ], [ 4200, 0.1 ], [ 4300, 0 ], [ 4450, 0.1 ], [ 4600, 0.55 ],
+  [ 5000, 0.4 ], [ 5500, 0.1 ], [ 6000, 0 ], [ 7000, 0.05 ], [ 7500, 0.4 ], [ 8000, 0.75 ], [ 9000, 0.8 ],
+  [ 9600, 0.35 ], [ 10000, 0.85 ], [ 11000, 0.85 ], [ 12000, 0.8 ], [ 13000, 0.6 ], [ 14000, 0.2 ], [ 15000, 0 ],
+  [ 16000, 0.05 ], [ 17000, 0.15 ], [ 18000, 0.1 ], [ 20000, 0.05 ], [ 25000, 0.02 ], [ 30000, 0 ]
+];
+const TRANSMISSION_INTEGRATION_STEPS = 4; // sub-intervals between adjacent entries of the table
+
+const AtmosphericTransmission = {
+
+  // @public {number[]} wavelengths in nm of the entries of the transmission table, where the transmission changes slope
+  TABLE_WAVELENGTHS: TRANSMISSION_TABLE.map( entry => entry[ 0 ] ),
+
+  // @public {Array.<{molecule: string, minWavelength: number, maxWavelength: number}>} the strongest absorption bands
+  // of each molecule, with wavelengths in nm
+  ABSORPTION_BANDS: [
+    { molecule: 'ozone', minWavelength: 200, maxWavelength: 310 },
+    { molecule: 'water', minWavelength: 1340, maxWavelength: 1480 },
+    { molecule: 'water', minWavelength: 1790, maxWavelength: 1980 },
+    { molecule: 'water', minWavelength: 2550, maxWavelength: 3100 },
+    { molecule: 'carbonDioxide', minWavelength: 4200, maxWavelength: 4450 },
+    { molecule: 'water', minWavelength: 5500, maxWavelength: 7200 },
+    { molecule: 'ozone', minWavelength: 9400, maxWavelength: 9900 },
+    { molecule: 'carbonDioxide', minWavelength: 13500, maxWavelength: 16500 },
+    { molecule: 'water', minWavelength: 20000, maxWavelength: 100000 }
+  ],
+
+  /**
+   * Returns the transmission (between 0 and 1) of the atmosphere at the given wavelength
+   * @public
+   * @param {number} wavelength - in nm
+   * @returns {number}
+   */
+  getTransmission( wavelength ) {
+    if ( wavelength <= TRANSMISSION_TABLE[ 0 ][ 0 ] ) {
+      return TRANSMISSION_TABLE[ 0 ][ 1 ];
+    }
+    for ( let i = 1; i < TRANSMISSION_TABLE.length; i++ ) {
+      if ( wavelength <= TRANSMISSION_TABLE[ i ][ 0 ] ) {
+        return Utils.linear( TRANSMISSION_TABLE[ i - 1 ][ 0 ], TRANSMISSION_TABLE[ i ][ 0 ],
+          TRANSMISSION_TABLE[ i - 1 ][ 1 ], TRANSMISSION_TABLE[ i ][ 1 ], wavelength );
+      }
+    }
+    return TRANSMISSION_TABLE[ TRANSMISSION_TABLE.length - 1 ][ 1 ];
+  },
+
+  /**
+   * Returns the intensity of a body that is transmitted through the atmosphere, in watts per meter^2
+   * @public
+   * @param {BlackbodyBodyModel} body
+   * @returns {number}
+   */
+  getTransmittedIntensity( body ) {
+    return integrateWithTransmission( ( lower, upper ) => body.getIntensityBetween( lower, upper ) );
+  },
+
+  /**
+   * Returns the number of photons emitted by a body per second per meter^2 that are transmitted through the
+   * atmosphere
+   * @public
+   * @param {BlackbodyBodyModel} body
+   * @returns {number}
+   */
+  getTransmittedPhotonFlux( body ) {
+    return integrateWithTransmission( ( lower, upper ) => body.getPhotonFluxBetween( lower, upper ) );
+  }
+};
+
+/**
+ * Integrates a quantity over all wavelengths, weighted by the transmission of the atmosphere. The transmission is
+ * taken at the middle of small sub-intervals between table entries, in the same way that BlackbodyBodyModel integrates
+ * tabulated emissivities.
+ * @param {function(number, number):number} getAmountBetween - the quantity between two wavelengths in nm
+ * @returns {number}
+ */
+const integrateWithTransmission = getAmountBetween => {
+  const firstWavelength = TRANSMISSION_TABLE[ 0 ][ 0 ];
+  const lastWavelength = TRANSMISSION_TABLE[ TRANSMISSION_TABLE.length - 1 ][ 0 ];
+  let amount = TRANSMISSION_TABLE[ 0 ][ 1 ] * getAmountBetween( 0, firstWavelength ) +
+               TRANSMISSION_TABLE[ TRANSMISSION_TABLE.length - 1 ][ 1 ] *
+               getAmountBetween( lastWavelength, Number.POSITIVE_INFINITY );
+  for ( let i = 0; i < TRANSMISSION_TABLE.length - 1; i++ ) {
+    const lower = TRANSMISSION_TABLE[ i ][ 0 ];
+    const step = ( TRANSMISSION_TABLE[ i + 1 ][ 0 ] - lower ) / TRANSMISSION_INTEGRATION_STEPS;
+    for ( let j = 0; j < TRANSMISSION_INTEGRATION_STEPS; j++ ) {
+      const stepLower = lower + j * step;
+      amount += AtmosphericTransmission.getTransmission( stepLower + step / 2 ) *
+                getAmountBetween( stepLower, stepLower + step );
+    }
+  }
+  return amount;
+};
+
+// @public {string[]} the molecules that absorb light in the atmosphere
+AtmosphericTransmission.MOLECULES = [ 'water', 'carbonDioxide', 'ozone' ];
+
+export default AtmosphericTransmission;
@@ -8,13 +8,17 @@
  * @author Arnab Purkayastha
  */
 
-import Property from '../../../../axon/js/Property.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Color from '../../../../scenery/js/util/Color.js';
-import NullableIO from '../../../../tandem/js/types/NullableIO.js';
-import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
+import Colorimetry from './Colorimetry.js';
+import EmitterMaterial from './EmitterMaterial.js';
+import SpectrumDomain from './SpectrumDomain.js';
 
 // constants
 // colors used for glowing star and circles
@@ -23,34 +27,101 @@ const GREEN_WAVELENGTH = 550; // green wavelength in nanometers
 const BLUE_WAVELENGTH = 450; // blue wavelength in nanometers
 const GLOWING_STAR_HALO_MINIMUM_RADIUS = 5; // in pixels
 const GLOWING_STAR_HALO_MAXIMUM_RADIUS = 100; // in pixels
+const FIRST_RADIATION_CONSTANT = 3.74192e-16; // is 2πhc^2 in units of watts*m^2
+const SECOND_RADIATION_CONSTANT = 1.438770e7; // is hc/k in units of nanometer-kelvin
+const STEFAN_BOLTZMANN_CONSTANT = 5.670373e-8; // is equal to sigma in units of watts/(m^2*K^4)
+const PHOTON_FLUX_CONSTANT = 1.520408e15; // is the photon analog of sigma in units of photons/(s*m^2*K^3)
+const PLANCK_TIMES_SPEED_OF_LIGHT = 1.98644586e-25; // is hc in units of joule-meters
+const SPEED_OF_LIGHT = 2.99792458e8; // in meters per second
+const WIEN_CONSTANT = 2.897773e-3; // is equal to b in units of meters-kelvin
+const WIEN_FREQUENCY_CONSTANT = 5.878925757e10; // is equal to b' in units of hertz/kelvin
+const WIEN_PHOTON_CONSTANT = 3.669703e-3; // is equal to b'' in units of meters-kelvin
+const WIEN_PHOTON_FREQUENCY_CONSTANT = 3.320573e10; // is equal to b''' in units of hertz/kelvin
+const APERY_CONSTANT = 1.2020569; // is zeta(3), which normalizes the blackbody photon fraction series
+const FRACTION_SERIES_MAX_TERMS = 100; // upper bound on the number of terms used by the blackbody fraction series
+const EMISSIVITY_INTEGRATION_STEPS = 8; // sub-intervals between adjacent entries of a tabulated emissivity
+const PEAK_SCAN_POINTS = 201; // wavelengths that are compared to find the peak of a selective emitter
+const PEAK_SCAN_DECADES = 1; // decades on either side of the blackbody peak that the peak of a selective emitter is in
+const PEAK_REFINEMENT_POINTS = 11; // wavelengths that are compared each time the peak of a selective emitter is refined
+const PEAK_REFINEMENTS = 10; // number of times the wavelengths around the peak of a selective emitter are refined
+const GRAY_BODY_EMISSIVITY_RANGE = new Range( 0.05, 1 );
+const DEFAULT_GRAY_BODY_EMISSIVITY = 0.5;
+const TEMPERATURE_RANGE = new Range( BlackbodyConstants.minTemperature, BlackbodyConstants.maxTemperature );
+const MAX_GLOW_TEMPERATURE = 11000; // in K, the glow stops growing above the hottest temperature of the standard range
+
+// Regions of the electromagnetic spectrum that power can be broken down into, ordered by increasing wavelength (in nm)
+const ELECTROMAGNETIC_BANDS = [
+  { name: 'xRay', minWavelength: 0, maxWavelength: BlackbodyConstants.xRayWavelength },
+  {
+    name: 'ultraviolet',
+    minWavelength: BlackbodyConstants.xRayWavelength,
+    maxWavelength: BlackbodyConstants.ultravioletWavelength
+  },
+  {
+    name: 'visible',
+    minWavelength: BlackbodyConstants.ultravioletWavelength,
+    maxWavelength: BlackbodyConstants.visibleWavelength
+  },
+  {
+    name: 'infrared',
+    minWavelength: BlackbodyConstants.visibleWavelength,
+    maxWavelength: BlackbodyConstants.infraredWavelength
+  }
+];
 
-class BlackbodyBodyModel {
+class BlackbodyBodyModel extends PhetioObject {
 
   /**
    * Constructs a Blackbody body at the given temperature
-   * @param {number|null} temperature
+   * @param {number} temperature
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( temperature, tandem ) {
+  constructor( temperature, tandem, options ) {
+
+    options = merge( {
+      phetioState: false, // the state of a body is the state of its Properties
+      tandem: tandem
+    }, options );
 
-    // @public {Property.<number|null>}
-    this.temperatureProperty = new Property( temperature, {
+    super( options );
+
+    // @public {Property.<number>}
+    this.temperatureProperty = new NumberProperty( temperature, {
+      range: TEMPERATURE_RANGE,
+      units: 'K',
       tandem: tandem.createTandem( 'temperatureProperty' ),
-      phetioValueType: NullableIO( NumberIO ),
-      phetioDocumentation: 'Determines the temperature of the blackbody. Saved bodies have a null temperature when ' +
-                           'they don\'t exist in the simulation.'
+      phetioDocumentation: 'Determines the temperature of the blackbody.'
     } );
 
-    // guard for performance
-    if ( assert ) {
-      const validTemperatureRange = new Range( BlackbodyConstants.minTemperature, BlackbodyConstants.maxTemperature );
+    // @public {Property.<string>} - one of EmitterMaterial.VALUES, determines how emissivity depends on wavelength
+    this.materialProperty = new StringProperty( EmitterMaterial.BLACKBODY, {
+      validValues: EmitterMaterial.VALUES,
+      tandem: tandem.createTandem( 'materialProperty' ),
+      phetioDocumentation: 'Determines the emissivity of the body. A blackbody is an ideal emitter, a gray body has ' +
+                           'the same emissivity at all wavelengths, and other materials have tabulated emissivities.'
+    } );
 
-      // validate the temperature since we can't use NumberProperty validation
-      this.temperatureProperty.link( temperature => {
-        temperature !== null &&
-        assert( validTemperatureRange.contains( temperature ), `temperature out of range: ${temperature}` );
-      } );
-    }
+    // @public {Property.<number>} - emissivity at all wavelengths when the material is a gray body
+    this.grayBodyEmissivityProperty = new NumberProperty( DEFAULT_GRAY_BODY_EMISSIVITY, {
+      range: GRAY_BODY_EMISSIVITY_RANGE,
+      tandem: tandem.createTandem( 'grayBodyEmissivityProperty' ),
+      phetioDocumentation: 'The emissivity of the body when its material is a gray body'
+    } );
+
+    // @public (read-only) {Property[]} - Properties that determine the spectrum of this body, for use with Multilink
+    this.spectrumDependencies = [ this.temperatureProperty, this.materialProperty, this.grayBodyEmissivityProperty ];
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.temperatureProperty.dispose();
+    this.materialProperty.dispose();
+    this.grayBodyEmissivityProperty.dispose();
+    super.dispose();
   }
 
   /**
@@ -58,11 +129,64 @@ class BlackbodyBodyModel {
    * @public
    */
   reset() {
+    this.materialProperty.reset();
+    this.grayBodyEmissivityProperty.reset();
     this.temperatureProperty.reset();
   }
 
   /**
-   * Function that returns the spectral power density at a given wavelength (in nm)
+   * Sets this body to have the same spectrum as another body
+   * @public
+   * @param {BlackbodyBodyModel} body
+   */
+  copyFrom( body ) {
+    this.materialProperty.value = body.materialProperty.value;
+    this.grayBodyEmissivityProperty.value = body.grayBodyEmissivityProperty.value;
+    this.temperatureProperty.value = body.temperatureProperty.value;
+  }
+
+  /**
+   * Function that returns the emissivity (between 0 and 1) of the body at a given wavelength (in nm)
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getEmissivityAt( wavelength ) {
+    const material = this.materialProperty.value;
+    if ( material === EmitterMaterial.BLACKBODY ) {
+      return 1;
+    }
+    else if ( material === EmitterMaterial.GRAY_BODY ) {
+      return this.grayBodyEmissivityProperty.value;
+    }
+    return EmitterMaterial.getTabulatedEmissivity( material, wavelength );
+  }
+
+  /**
+   * Whether this body is an ideal blackbody, which emits the spectrum given by Planck's Law without any scaling
+   * @public
+   * @returns {boolean}
+   */
+  getIsIdealBlackbody() {
+    return this.materialProperty.value === EmitterMaterial.BLACKBODY;
+  }
+
+  get isIdealBlackbody() { return this.getIsIdealBlackbody(); }
+
+  /**
+   * Function that returns the spectral power density of the body at a given wavelength (in nm), which is the spectral
+   * power density of an ideal blackbody scaled by the body's emissivity at that wavelength
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getSpectralPowerDensityAt( wavelength ) {
+    return this.getEmissivityAt( wavelength ) * this.getBlackbodySpectralPowerDensityAt( wavelength );
+  }
+
+  /**
+   * Function that returns the spectral power density of an ideal blackbody at the body's temperature, at a given
+   * wavelength (in nm)
    * The units of spectral power density are in megaWatts per meter^2 per micrometer
    * Equation in use is Planck's Law which returns a spectral radiance of a Blackbody given a temperature and wavelength
    * Planck's law is that spectral radiance = 2hc^2 / ( l^5 * ( e^( hc / lkt ) - 1 ) )
@@ -72,16 +196,54 @@ class BlackbodyBodyModel {
    * @param {number} wavelength
    * @returns {number}
    */
-  getSpectralPowerDensityAt( wavelength ) {
+  getBlackbodySpectralPowerDensityAt( wavelength ) {
+    return BlackbodyBodyModel.getBlackbodySpectralPowerDensity( wavelength, this.temperatureProperty.value );
+  }
+
+  /**
+   * Function that returns the spectral power density of an ideal blackbody at any temperature, in the same units and
+   * with the same equation as getBlackbodySpectralPowerDensityAt
+   * @public
+   * @param {number} wavelength - in nm
+   * @param {number} temperature - in K
+   * @returns {number}
+   */
+  static getBlackbodySpectralPowerDensity( wavelength, temperature ) {
 
     // Avoiding division by 0
     if ( wavelength === 0 ) {
       return 0;
     }
 
-    const A = 3.74192e-16; // is 2πhc^2 in units of watts*m^2
-    const B = 1.438770e7; // is hc/k in units of nanometer-kelvin
-    return A / ( Math.pow( wavelength, 5 ) * ( Math.exp( B / ( wavelength * this.temperatureProperty.value ) ) - 1 ) );
+    const A = FIRST_RADIATION_CONSTANT;
+    const B = SECOND_RADIATION_CONSTANT;
+    return A / ( Math.pow( wavelength, 5 ) * ( Math.exp( B / ( wavelength * temperature ) ) - 1 ) );
+  }
+
+  /**
+   * Function that returns the number of photons emitted per second per meter^2 per micrometer at a given wavelength
+   * (in nm), which accounts for the emissivity of the body
+   * Each photon carries an energy of hc / l, so the photon spectral flux is the spectral power density times l / hc
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getPhotonSpectralFluxAt( wavelength ) {
+    return this.getEmissivityAt( wavelength ) * this.getBlackbodyPhotonSpectralFluxAt( wavelength );
+  }
+
+  /**
+   * Function that returns the photon spectral flux (in photons per second per meter^2 per micrometer) of an ideal
+   * blackbody at the body's temperature, at a given wavelength (in nm)
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getBlackbodyPhotonSpectralFluxAt( wavelength ) {
+
+    // 1e30 converts the spectral power density from the body's units to watts per meter^2 per micrometer, and the
+    // wavelength from nanometers to meters
+    return 1e30 * wavelength * this.getBlackbodySpectralPowerDensityAt( wavelength ) / PLANCK_TIMES_SPEED_OF_LIGHT;
   }
 
   /**
@@ -98,7 +260,8 @@ class BlackbodyBodyModel {
     const draperPoint = 798; // in Kelvin
     const normalizationScaling = 0.02; // determined empirically
 
-    const relativeTemp = Math.max( this.temperatureProperty.value, draperPoint ) - draperPoint;
+    const boundedTemp = Utils.clamp( this.temperatureProperty.value, draperPoint, MAX_GLOW_TEMPERATURE );
+    const relativeTemp = boundedTemp - draperPoint;
     return normalizationScaling * Math.pow( relativeTemp, powerExponent );
   }
 
@@ -117,38 +280,392 @@ class BlackbodyBodyModel {
     const largestColorIntensity = Math.max( red, green, blue );
     const colorIntensity = this.getSpectralPowerDensityAt( wavelength );
     const boundedRenormalizedTemp = Math.min( this.renormalizedTemperature, 1 );
-    return Math.floor( 255 * boundedRenormalizedTemp * colorIntensity / largestColorIntensity );
+
+    // At the coldest temperatures, the visible spectrum is too small to represent and there is no color
+    return largestColorIntensity > 0 ?
+           Math.floor( 255 * boundedRenormalizedTemp * colorIntensity / largestColorIntensity ) :
+           0;
   }
 
   /**
-   * Function that returns the total intensity (area under the curve) of the blackbody
+   * Function that returns the total intensity (area under the curve) of an ideal blackbody at the body's temperature
    * Equation in use is the Stefan–Boltzmann Law: Intensity = σT^4
    * σ is the Stefan-Boltzmann constant, T is the temperature
    * @public
    * @returns {number}
    */
-  getTotalIntensity() {
-    const STEFAN_BOLTZMANN_CONSTANT = 5.670373e-8; // is equal to sigma in units of watts/(m^2*K^4)
+  getBlackbodyTotalIntensity() {
     return STEFAN_BOLTZMANN_CONSTANT * Math.pow( this.temperatureProperty.value, 4 );
   }
 
+  /**
+   * Function that returns the total intensity (area under the curve) of the body, which accounts for its emissivity
+   * @public
+   * @returns {number}
+   */
+  getTotalIntensity() {
+    const material = this.materialProperty.value;
+    if ( material === EmitterMaterial.BLACKBODY ) {
+      return this.getBlackbodyTotalIntensity();
+    }
+    else if ( material === EmitterMaterial.GRAY_BODY ) {
+      return this.grayBodyEmissivityProperty.value * this.getBlackbodyTotalIntensity();
+    }
+    return this.getIntensityBetween( 0, Number.POSITIVE_INFINITY );
+  }
+
   get totalIntensity() { return this.getTotalIntensity(); }
 
   /**
-   * Function that returns the peak wavelength (in nanometers) of the blackbody
+   * Function that returns the total intensity of the body as a fraction of the total intensity of another body. By the
+   * Stefan–Boltzmann Law, this is (T1/T2)^4 for two ideal blackbodies at temperatures T1 and T2.
+   * @public
+   * @param {BlackbodyBodyModel} body
+   * @returns {number}
+   */
+  getIntensityRatioTo( body ) {
+    return this.totalIntensity / body.totalIntensity;
+  }
+
+  /**
+   * Function that returns the total number of photons emitted by an ideal blackbody at the body's temperature per
+   * second per meter^2
+   * Equation in use is the photon analog of the Stefan–Boltzmann Law: Photon flux = σ'T^3
+   * σ' is equal to 4πζ(3)k^3 / ( h^3 c^2 ), T is the temperature
+   * @public
+   * @returns {number}
+   */
+  getBlackbodyTotalPhotonFlux() {
+    return PHOTON_FLUX_CONSTANT * Math.pow( this.temperatureProperty.value, 3 );
+  }
+
+  /**
+   * Function that returns the total number of photons emitted by the body per second per meter^2, which accounts for
+   * its emissivity
+   * @public
+   * @returns {number}
+   */
+  getTotalPhotonFlux() {
+    const material = this.materialProperty.value;
+    if ( material === EmitterMaterial.BLACKBODY ) {
+      return this.getBlackbodyTotalPhotonFlux();
+    }
+    else if ( material === EmitterMaterial.GRAY_BODY ) {
+      return this.grayBodyEmissivityProperty.value * this.getBlackbodyTotalPhotonFlux();
+    }
+    return this.getPhotonFluxBetween( 0, Number.POSITIVE_INFINITY );
+  }
+
+  get totalPhotonFlux() { return this.getTotalPhotonFlux(); }
+
+  /**
+   * Function that returns the fraction (between 0 and 1) of an ideal blackbody's total intensity that is emitted at
+   * wavelengths shorter than the given wavelength (in nm), at the body's temperature.
+   * Planck's law is integrated analytically with x = hc / lkt, using the series
+   * F = ( 15 / pi^4 ) * sum( e^( -nx ) / n * ( x^3 + 3x^2 / n + 6x / n^2 + 6 / n^3 ) ) for x >= 2, and the
+   * expansion F = 1 - ( 15 / pi^4 ) * x^3 * ( 1/3 - x/8 + x^2/60 - x^4/5040 + x^6/272160 - x^8/13305600 ) for x < 2
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getBlackbodyFractionBelow( wavelength ) {
+    assert && assert( this.temperatureProperty.value > 0, 'Temperature must be positive' );
+    if ( wavelength <= 0 ) {
+      return 0;
+    }
+    if ( wavelength === Number.POSITIVE_INFINITY ) {
+      return 1;
+    }
+
+    const normalization = 15 / Math.pow( Math.PI, 4 );
+    const x = SECOND_RADIATION_CONSTANT / ( wavelength * this.temperatureProperty.value );
+    if ( x >= 2 ) {
+      let sum = 0;
+      for ( let n = 1; n <= FRACTION_SERIES_MAX_TERMS; n++ ) {
+        const term = Math.exp( -n * x ) / n * ( x * x * x + 3 * x * x / n + 6 * x / ( n * n ) + 6 / ( n * n * n ) );
+        sum += term;
+        if ( term <= 1e-12 * sum ) {
+          break;
+        }
+      }
+      return normalization * sum;
+    }
+    const x2 = x * x;
+    const x4 = x2 * x2;
+    return 1 - normalization * x * x2 * ( 1 / 3 - x / 8 + x2 / 60 - x4 / 5040 + x4 * x2 / 272160 - x4 * x4 / 13305600 );
+  }
+
+  /**
+   * Function that returns the fraction (between 0 and 1) of the photons emitted by an ideal blackbody that have
+   * wavelengths shorter than the given wavelength (in nm), at the body's temperature.
+   * This is the photon analog of getBlackbodyFractionBelow, using the series
+   * F = ( 1 / 2ζ(3) ) * sum( e^( -nx ) / n * ( x^2 + 2x / n + 2 / n^2 ) ) for x >= 2, and the
+   * expansion F = 1 - ( 1 / 2ζ(3) ) * x^2 * ( 1/2 - x/6 + x^2/48 - x^4/4320 + x^6/241920 - x^8/12096000 ) for x < 2
+   * @public
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getBlackbodyPhotonFractionBelow( wavelength ) {
+    assert && assert( this.temperatureProperty.value > 0, 'Temperature must be positive' );
+    if ( wavelength <= 0 ) {
+      return 0;
+    }
+    if ( wavelength === Number.POSITIVE_INFINITY ) {
+      return 1;
+    }
+
+    const normalization = 1 / ( 2 * APERY_CONSTANT );
+    const x = SECOND_RADIATION_CONSTANT / ( wavelength * this.temperatureProperty.value );
+    if ( x >= 2 ) {
+      let sum = 0;
+      for ( let n = 1; n <= FRACTION_SERIES_MAX_TERMS; n++ ) {
+        const term = Math.exp( -n * x ) / n * ( x * x + 2 * x / n + 2 / ( n * n ) );
+        sum += term;
+        if ( term <= 1e-12 * sum ) {
+          break;
+        }
+      }
+      return normalization * sum;
+    }
+    const x2 = x * x;
+    const x4 = x2 * x2;
+    return 1 - normalization * x2 * ( 1 / 2 - x / 6 + x2 / 48 - x4 / 4320 + x4 * x2 / 241920 - x4 * x4 / 12096000 );
+  }
+
+  /**
+   * Function that returns the intensity of an ideal blackbody at the body's temperature between two wavelengths
+   * @private
+   * @param {number} minWavelength - in nanometers
+   * @param {number} maxWavelength - in nanometers
+   * @returns {number}
+   */
+  getBlackbodyIntensityBetween( minWavelength, maxWavelength ) {
+
+    // Clamped, since both ends of the series can be off by rounding error when the values are nearly equal
+    const fraction = this.getBlackbodyFractionBelow( maxWavelength ) - this.getBlackbodyFractionBelow( minWavelength );
+    return this.getBlackbodyTotalIntensity() * Math.max( fraction, 0 );
+  }
+
+  /**
+   * Function that returns the intensity (area under the curve) emitted between two wavelengths, in watts per meter^2
+   * A tabulated emissivity is integrated piecewise, using the emissivity at the middle of small sub-intervals between
+   * table entries and the exact blackbody intensity within each sub-interval.
+   * @public
+   * @param {number} minWavelength - in nanometers
+   * @param {number} maxWavelength - in nanometers, may be infinite
+   * @returns {number}
+   */
+  getIntensityBetween( minWavelength, maxWavelength ) {
+    return this.integrateWithEmissivity( minWavelength, maxWavelength,
+      ( lower, upper ) => this.getBlackbodyIntensityBetween( lower, upper ) );
+  }
+
+  /**
+   * Function that returns the number of photons emitted per second per meter^2 between two wavelengths, integrated in
+   * the same way as getIntensityBetween
+   * @public
+   * @param {number} minWavelength - in nanometers
+   * @param {number} maxWavelength - in nanometers, may be infinite
+   * @returns {number}
+   */
+  getPhotonFluxBetween( minWavelength, maxWavelength ) {
+    return this.integrateWithEmissivity( minWavelength, maxWavelength, ( lower, upper ) => {
+
+      // Clamped, for the same reason as in getBlackbodyIntensityBetween
+      const fraction = this.getBlackbodyPhotonFractionBelow( upper ) - this.getBlackbodyPhotonFractionBelow( lower );
+      return this.getBlackbodyTotalPhotonFlux() * Math.max( fraction, 0 );
+    } );
+  }
+
+  /**
+   * Integrates an ideal blackbody quantity between two wavelengths, weighted by the emissivity of the body
+   * @private
+   * @param {number} minWavelength - in nanometers
+   * @param {number} maxWavelength - in nanometers, may be infinite
+   * @param {function(number, number):number} getBlackbodyAmountBetween - the ideal blackbody quantity between two
+   *                                                                      wavelengths
+   * @returns {number}
+   */
+  integrateWithEmissivity( minWavelength, maxWavelength, getBlackbodyAmountBetween ) {
+    assert && assert( minWavelength <= maxWavelength, `invalid wavelength range: ${minWavelength}, ${maxWavelength}` );
+    const material = this.materialProperty.value;
+    if ( !EmitterMaterial.isTabulated( material ) ) {
+      return this.getEmissivityAt( minWavelength ) * getBlackbodyAmountBetween( minWavelength, maxWavelength );
+    }
+
+    // Emissivity is constant outside of the table, so only the tabulated wavelengths need subdividing
+    const tableWavelengths = EmitterMaterial.getTableWavelengths( material );
+    const breakpoints = [ minWavelength ]
+      .concat( tableWavelengths.filter( wavelength => wavelength > minWavelength && wavelength < maxWavelength ) )
+      .concat( maxWavelength );
+    const firstTableWavelength = tableWavelengths[ 0 ];
+    const lastTableWavelength = tableWavelengths[ tableWavelengths.length - 1 ];
+
+    let amount = 0;
+    for ( let i = 0; i < breakpoints.length - 1; i++ ) {
+      const lower = breakpoints[ i ];
+      const upper = breakpoints[ i + 1 ];
+      if ( upper <= firstTableWavelength || lower >= lastTableWavelength ) {
+        amount += this.getEmissivityAt( lower ) * getBlackbodyAmountBetween( lower, upper );
+        continue;
+      }
+      const step = ( upper - lower ) / EMISSIVITY_INTEGRATION_STEPS;
+      for ( let j = 0; j < EMISSIVITY_INTEGRATION_STEPS; j++ ) {
+        const stepLower = lower + j * step;
+        amount += this.getEmissivityAt( stepLower + step / 2 ) *
+                  getBlackbodyAmountBetween( stepLower, stepLower + step );
+      }
+    }
+    return amount;
+  }
+
+  /**
+   * Function that returns the fraction (between 0 and 1) of the body's total intensity that is emitted between two
+   * wavelengths
+   * @public
+   * @param {number} minWavelength - in nanometers
+   * @param {number} maxWavelength - in nanometers
+   * @returns {number}
+   */
+  getFractionOfIntensityBetween( minWavelength, maxWavelength ) {
+    return this.getIntensityBetween( minWavelength, maxWavelength ) / this.totalIntensity;
+  }
+
+  /**
+   * Function that returns how the intensity of the body is split between the regions of the electromagnetic
+   * spectrum. Wavelengths longer than the infrared band are not included in any band, so fractions may not sum to 1.
+   * @public
+   * @returns {Array.<Object>} - with name, minWavelength, maxWavelength, intensity and fraction for each band
+   */
+  getBandIntensities() {
+    const totalIntensity = this.totalIntensity;
+    return ELECTROMAGNETIC_BANDS.map( band => {
+      const intensity = this.getIntensityBetween( band.minWavelength, band.maxWavelength );
+      return {
+        name: band.name,
+        minWavelength: band.minWavelength,
+        maxWavelength: band.maxWavelength,
+        intensity: intensity,
+        fraction: intensity / totalIntensity
+      };
+    } );
+  }
+
+  get bandIntensities() { return this.getBandIntensities(); }
+
+  /**
+   * Function that returns the peak wavelength (in nanometers) of the body
    * Equation in use is Wien's displacement Law: Peak wavelength = b / T
    * b is Wien's displacement constant, T is the temperature
+   * This is the peak of a blackbody or a gray body, and the peak of a selective emitter is searched for around it.
    * @public
    * @returns {number}
    */
   getPeakWavelength() {
     assert && assert( this.temperatureProperty.value > 0, 'Temperature must be positive' );
-    const WIEN_CONSTANT = 2.897773e-3; // is equal to b in units of meters-kelvin
-    return 1e9 * WIEN_CONSTANT / this.temperatureProperty.value;
+    return this.findPeakWavelength( 1e9 * WIEN_CONSTANT / this.temperatureProperty.value, 0 );
   }
 
   get peakWavelength() { return this.getPeakWavelength(); }
 
+  /**
+   * Function that returns the spectral power density of the body at its peak wavelength, in megaWatts per meter^2 per
+   * micrometer as it is plotted against wavelength
+   * @public
+   * @returns {number}
+   */
+  getPeakSpectralPowerDensity() {
+    return SpectrumDomain.WAVELENGTH.getSpectralDensity( this, this.peakWavelength );
+  }
+
+  get peakSpectralPowerDensity() { return this.getPeakSpectralPowerDensity(); }
+
+  /**
+   * Function that returns the frequency (in hertz) at which the body's spectral power density per unit frequency
+   * peaks, which does not correspond to the peak wavelength
+   * Equation in use is the frequency form of Wien's displacement Law: Peak frequency = b'T
+   * b' is Wien's frequency displacement constant, equal to 2.821kT/h, T is the temperature
+   * The spectral power density per unit frequency is proportional to the spectral power density times l^2.
+   * @public
+   * @returns {number}
+   */
+  getPeakFrequency() {
+    const blackbodyPeakWavelength = 1e9 * SPEED_OF_LIGHT / ( WIEN_FREQUENCY_CONSTANT * this.temperatureProperty.value );
+    return 1e9 * SPEED_OF_LIGHT / this.findPeakWavelength( blackbodyPeakWavelength, 2 );
+  }
+
+  get peakFrequency() { return this.getPeakFrequency(); }
+
+  /**
+   * Function that returns the wavelength (in nanometers) at which the body's photon spectral flux peaks, which is
+   * longer than the peak wavelength of its spectral power density
+   * Equation in use is the photon form of Wien's displacement Law: Peak photon wavelength = b'' / T
+   * b'' is equal to hc / 3.9207k, T is the temperature
+   * @public
+   * @returns {number}
+   */
+  getPeakPhotonWavelength() {
+    assert && assert( this.temperatureProperty.value > 0, 'Temperature must be positive' );
+    return this.findPeakWavelength( 1e9 * WIEN_PHOTON_CONSTANT / this.temperatureProperty.value, 1 );
+  }
+
+  get peakPhotonWavelength() { return this.getPeakPhotonWavelength(); }
+
+  /**
+   * Function that returns the frequency (in hertz) at which the body's photon spectral flux per unit frequency peaks
+   * Equation in use is Peak photon frequency = b'''T, where b''' is equal to 1.5936kT/h and T is the temperature
+   * @public
+   * @returns {number}
+   */
+  getPeakPhotonFrequency() {
+    const blackbodyPeakWavelength =
+      1e9 * SPEED_OF_LIGHT / ( WIEN_PHOTON_FREQUENCY_CONSTANT * this.temperatureProperty.value );
+    return 1e9 * SPEED_OF_LIGHT / this.findPeakWavelength( blackbodyPeakWavelength, 3 );
+  }
+
+  get peakPhotonFrequency() { return this.getPeakPhotonFrequency(); }
+
+  /**
+   * Function that returns the wavelength (in nanometers) at which the spectral power density of the body, times a power
+   * of the wavelength, peaks. A blackbody or gray body peaks where an ideal blackbody does. The emissivity of a
+   * selective emitter changes the shape of its curve, so its peak is found by comparing wavelengths within a decade of
+   * the blackbody peak and the entries of its emissivity table, and then comparing ever closer wavelengths around the
+   * greatest of them. Beyond a decade, the blackbody curve falls by more than any emissivity table varies.
+   * @private
+   * @param {number} blackbodyPeakWavelength - in nanometers, where an ideal blackbody at the body's temperature peaks
+   * @param {number} wavelengthExponent - the power of the wavelength, which is 1 to count photons and is increased by 2
+   *                                      for densities per unit frequency
+   * @returns {number}
+   */
+  findPeakWavelength( blackbodyPeakWavelength, wavelengthExponent ) {
+    const material = this.materialProperty.value;
+    if ( !EmitterMaterial.isTabulated( material ) ) {
+      return blackbodyPeakWavelength;
+    }
+
+    const getDensityAt = wavelength => Math.pow( wavelength, wavelengthExponent ) *
+                                       this.getSpectralPowerDensityAt( wavelength );
+    const getPeakIndex = wavelengths => _.maxBy( _.range( wavelengths.length ), i => getDensityAt( wavelengths[ i ] ) );
+
+    const minWavelength = blackbodyPeakWavelength * Math.pow( 10, -PEAK_SCAN_DECADES );
+    const maxWavelength = blackbodyPeakWavelength * Math.pow( 10, PEAK_SCAN_DECADES );
+    let wavelengths = _.sortBy( _.range( PEAK_SCAN_POINTS ).map( i =>
+      minWavelength * Math.pow( maxWavelength / minWavelength, i / ( PEAK_SCAN_POINTS - 1 ) )
+    ).concat( EmitterMaterial.getTableWavelengths( material ).filter( wavelength =>
+      wavelength > minWavelength && wavelength < maxWavelength
+    ) ) );
+    let peakIndex = getPeakIndex( wavelengths );
+    for ( let i = 0; i < PEAK_REFINEMENTS; i++ ) {
+      const lower = wavelengths[ Math.max( peakIndex - 1, 0 ) ];
+      const upper = wavelengths[ Math.min( peakIndex + 1, wavelengths.length - 1 ) ];
+      wavelengths = _.range( PEAK_REFINEMENT_POINTS ).map( j =>
+        lower + ( upper - lower ) * j / ( PEAK_REFINEMENT_POINTS - 1 )
+      );
+      peakIndex = getPeakIndex( wavelengths );
+    }
+    return wavelengths[ peakIndex ];
+  }
+
   /**
    * Function that returns a red color with an intensity that matches the blackbody temperature
    * @public
@@ -216,21 +733,67 @@ class BlackbodyBodyModel {
 
   get glowingStarHaloColor() { return this.getGlowingStarHaloColor(); }
 
+  /**
+   * Function that returns the CIE 1931 XYZ tristimulus values of the body's spectrum, which accounts for its emissivity
+   * @public
+   * @returns {Vector3}
+   */
+  getTristimulusValues() {
+    return Colorimetry.getTristimulusValues( wavelength => this.getSpectralPowerDensityAt( wavelength ) );
+  }
+
+  get tristimulusValues() { return this.getTristimulusValues(); }
+
+  /**
+   * Function that returns the CIE 1931 xy chromaticity of the body's spectrum, or null at temperatures so cold that
+   * the body gives off no visible light that can be represented
+   * @public
+   * @returns {Vector2|null}
+   */
+  getChromaticity() {
+    const tristimulusValues = this.tristimulusValues;
+    return Colorimetry.hasChromaticity( tristimulusValues ) ? Colorimetry.getChromaticity( tristimulusValues ) : null;
+  }
+
+  get chromaticity() { return this.getChromaticity(); }
+
+  /**
+   * Function that returns the correlated color temperature (in K) of the body, which is the temperature of the ideal
+   * blackbody whose color is closest to the body's color. It only differs from the temperature for selective emitters.
+   * It is null when the body has no chromaticity, and is only accurate within
+   * Colorimetry.CORRELATED_COLOR_TEMPERATURE_RANGE.
+   * @public
+   * @returns {number|null}
+   */
+  getCorrelatedColorTemperature() {
+    const chromaticity = this.chromaticity;
+    return chromaticity ? Colorimetry.getCorrelatedColorTemperature( chromaticity ) : null;
+  }
+
+  get correlatedColorTemperature() { return this.getCorrelatedColorTemperature(); }
+
   /**
    * Function that returns a color corresponding the temperature of a star
-   * The star is approximated as a blackbody
+   * The star's spectrum is converted to an sRGB color using the CIE 1931 color-matching functions, and is dimmed at low
+   * temperatures, where too little light is emitted to see
    * @public
    * @returns {Color}
    */
   getStarColor() {
-    const red = this.getRenormalizedColorIntensity( RED_WAVELENGTH );
-    const green = this.getRenormalizedColorIntensity( GREEN_WAVELENGTH );
-    const blue = this.getRenormalizedColorIntensity( BLUE_WAVELENGTH );
-    return new Color( red, green, blue, 1 );
+    return Colorimetry.getSRGBColor( this.tristimulusValues, Math.min( this.renormalizedTemperature, 1 ) );
   }
 
   get starColor() { return this.getStarColor(); }
 
 }
 
+// @public {Array.<{name: string, minWavelength: number, maxWavelength: number}>}
+BlackbodyBodyModel.ELECTROMAGNETIC_BANDS = ELECTROMAGNETIC_BANDS;
+
+// @public {number} in watts/(m^2*K^4)
+BlackbodyBodyModel.STEFAN_BOLTZMANN_CONSTANT = STEFAN_BOLTZMANN_CONSTANT;
+
+// @public {number} the emissivity that bodies start with when their material is a gray body
+BlackbodyBodyModel.DEFAULT_GRAY_BODY_EMISSIVITY = DEFAULT_GRAY_BODY_EMISSIVITY;
+
 export default BlackbodyBodyModel;
@@ -0,0 +1,133 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BlackbodyBodyModel tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import EmitterMaterial from './EmitterMaterial.js';
+
+const TOLERANCE = 1e-6;
+
+/**
+ * Integrates the spectral power density of a body between two wavelengths with the midpoint rule
+ * @param {BlackbodyBodyModel} body
+ * @param {number} minWavelength - in nm
+ * @param {number} maxWavelength - in nm
+ * @returns {number} - in watts per meter^2
+ */
+const integrateSpectralPowerDensity = ( body, minWavelength, maxWavelength ) => {
+  const steps = 20000;
+  const step = ( maxWavelength - minWavelength ) / steps;
+
+  // 1e36 converts the spectral power density from the body's units, and the step from nanometers to meters
+  return 1e36 * step * _.sum( _.range( steps ).map( i =>
+    body.getSpectralPowerDensityAt( minWavelength + ( i + 0.5 ) * step )
+  ) );
+};
+
+QUnit.module( 'BlackbodyBodyModel' );
+
+QUnit.test( 'intensity of a blackbody', assert => {
+  const body = new BlackbodyBodyModel( 5800, Tandem.OPT_OUT );
+
+  const intensity = body.getIntensityBetween( 0, Number.POSITIVE_INFINITY );
+  assert.ok( Math.abs( intensity / body.totalIntensity - 1 ) < TOLERANCE, 'the whole spectrum is the total intensity' );
+  assert.ok( Math.abs( body.getFractionOfIntensityBetween( 0, Number.POSITIVE_INFINITY ) - 1 ) < TOLERANCE,
+    'the whole spectrum is all of the intensity' );
+  assert.equal( body.getFractionOfIntensityBetween( 500, 500 ), 0, 'no intensity at a single wavelength' );
+
+  const visibleIntensity = integrateSpectralPowerDensity( body, 380, 780 );
+  assert.ok( Math.abs( body.getIntensityBetween( 380, 780 ) / visibleIntensity - 1 ) < 1e-3,
+    'the series matches the integral of Planck\'s law' );
+
+  const fractionSum = body.getFractionOfIntensityBetween( 0, 1000 ) + body.getFractionOfIntensityBetween( 1000, 5000 );
+  assert.ok( Math.abs( fractionSum - body.getFractionOfIntensityBetween( 0, 5000 ) ) < TOLERANCE,
+    'fractions of adjacent ranges add up' );
+
+  body.dispose();
+} );
+
+QUnit.test( 'intensity with an emissivity', assert => {
+  const body = new BlackbodyBodyModel( 3000, Tandem.OPT_OUT );
+  const blackbodyIntensity = body.getIntensityBetween( 500, 2000 );
+
+  body.materialProperty.value = EmitterMaterial.GRAY_BODY;
+  body.grayBodyEmissivityProperty.value = 0.3;
+  assert.ok( Math.abs( body.getIntensityBetween( 500, 2000 ) / blackbodyIntensity - 0.3 ) < TOLERANCE,
+    'a gray body emits a constant fraction of the blackbody intensity' );
+  assert.ok( Math.abs( body.getFractionOfIntensityBetween( 0, Number.POSITIVE_INFINITY ) - 1 ) < TOLERANCE,
+    'the whole spectrum is all of the intensity of a gray body' );
+
+  EmitterMaterial.VALUES.filter( EmitterMaterial.isTabulated ).forEach( material => {
+    body.materialProperty.value = material;
+    const integratedIntensity = integrateSpectralPowerDensity( body, 250, 40000 );
+    assert.ok( Math.abs( body.getIntensityBetween( 250, 40000 ) / integratedIntensity - 1 ) < 0.005,
+      `the emissivity table of ${material} is integrated piecewise` );
+    assert.ok( Math.abs( body.getFractionOfIntensityBetween( 0, Number.POSITIVE_INFINITY ) - 1 ) < TOLERANCE,
+      `the whole spectrum is all of the intensity of ${material}` );
+  } );
+
+  body.dispose();
+} );
+
+QUnit.test( 'peak of a selective emitter', assert => {
+  const body = new BlackbodyBodyModel( 3000, Tandem.OPT_OUT );
+  const blackbodyPeakWavelength = body.peakWavelength;
+
+  body.materialProperty.value = EmitterMaterial.GRAY_BODY;
+  assert.equal( body.peakWavelength, blackbodyPeakWavelength, 'a gray body peaks where a blackbody does' );
+
+  // The emissivity of tungsten falls with wavelength, which moves its peak to shorter wavelengths
+  body.materialProperty.value = EmitterMaterial.TUNGSTEN;
+  const peakWavelength = body.peakWavelength;
+  assert.ok( peakWavelength < blackbodyPeakWavelength, 'tungsten peaks at a shorter wavelength than a blackbody' );
+  const peakSpectralPowerDensity = body.getSpectralPowerDensityAt( peakWavelength );
+  assert.ok( [ 0.9, 0.99, 1.01, 1.1 ].every( factor =>
+    body.getSpectralPowerDensityAt( factor * peakWavelength ) < peakSpectralPowerDensity
+  ), 'the spectral power density is greatest at the peak' );
+
+  body.dispose();
+} );
+
+QUnit.test( 'photon flux', assert => {
+  const body = new BlackbodyBodyModel( 5800, Tandem.OPT_OUT );
+
+  const photonFlux = body.getPhotonFluxBetween( 0, Number.POSITIVE_INFINITY );
+  assert.ok( Math.abs( photonFlux / body.totalPhotonFlux - 1 ) < TOLERANCE,
+    'the whole spectrum is the total photon flux' );
+
+  // The photon spectral flux is per micrometer, so each step in nanometers is a thousandth of its width
+  const steps = 20000;
+  const step = 400 / steps;
+  const visiblePhotonFlux = 1e-3 * step * _.sum( _.range( steps ).map( i =>
+    body.getPhotonSpectralFluxAt( 380 + ( i + 0.5 ) * step )
+  ) );
+  assert.ok( Math.abs( body.getPhotonFluxBetween( 380, 780 ) / visiblePhotonFlux - 1 ) < 1e-3,
+    'the series matches the integral of the photon spectral flux' );
+
+  // The series is used at short wavelengths and the truncated expansion at long wavelengths, which meet at hc / lkT = 2
+  const switchWavelength = 1.438770e7 / ( 2 * 5800 );
+  const shorterFraction = body.getBlackbodyPhotonFractionBelow( switchWavelength * ( 1 - 1e-9 ) );
+  const longerFraction = body.getBlackbodyPhotonFractionBelow( switchWavelength * ( 1 + 1e-9 ) );
+  assert.ok( Math.abs( shorterFraction - longerFraction ) < 1e-5, 'the series and expansion agree where they meet' );
+
+  const fraction = body.getBlackbodyPhotonFractionBelow( body.peakPhotonWavelength );
+  assert.ok( fraction > 0 && fraction < 1, 'some of the photons are emitted below the peak' );
+  assert.ok( body.peakPhotonWavelength > body.peakWavelength,
+    'photons peak at a longer wavelength than the spectral power density' );
+  const peakPhotonSpectralFlux = body.getPhotonSpectralFluxAt( body.peakPhotonWavelength );
+  assert.ok( [ 0.99, 1.01 ].every( factor =>
+    body.getPhotonSpectralFluxAt( factor * body.peakPhotonWavelength ) < peakPhotonSpectralFlux
+  ), 'the photon spectral flux is greatest at its peak' );
+
+  body.materialProperty.value = EmitterMaterial.GRAY_BODY;
+  body.grayBodyEmissivityProperty.value = 0.3;
+  assert.ok( Math.abs( body.getPhotonFluxBetween( 380, 780 ) / visiblePhotonFlux - 0.3 ) < 1e-3,
+    'a gray body emits a constant fraction of the photons' );
+
+  body.dispose();
+} );
@@ -0,0 +1,111 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Finds the blackbody that best matches a measured spectrum, by least squares. The temperature is found by scanning
+ * temperatures that are evenly spaced on a logarithmic scale and then refining the best of them with a golden-section
+ * search. When the scale of the measurement is unknown, the data are also fit with a scale factor, which for any
+ * temperature has a closed-form least-squares value.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import SpectrumDomain from './SpectrumDomain.js';
+
+// constants
+const NUMBER_OF_SCAN_TEMPERATURES = 100;
+const NUMBER_OF_REFINEMENT_STEPS = 40;
+const GOLDEN_RATIO_CONJUGATE = ( Math.sqrt( 5 ) - 1 ) / 2;
+
+const BlackbodyFit = {
+
+  /**
+   * Fits a blackbody to a measured spectrum
+   * @public
+   * @param {MeasuredSpectrum} measuredSpectrum
+   * @param {boolean} fitScale - whether to fit a scale factor as well, for intensities in arbitrary units
+   * @returns {{temperature:number, scale:number, residuals:number[], rmsResidual:number}} - residuals are the measured
+   * intensities minus the fitted intensities, in the units of the measurement
+   */
+  fit( measuredSpectrum, fitScale ) {
+    const wavelengths = measuredSpectrum.wavelengths;
+    const intensities = measuredSpectrum.intensities;
+
+    // Gets the best scale and sum of squared residuals for a temperature
+    const evaluate = temperature => {
+      const blackbodyIntensities = wavelengths.map( wavelength =>
+        BlackbodyFit.getIntensity( wavelength, temperature )
+      );
+      const scale = fitScale ? getBestScale( intensities, blackbodyIntensities ) : 1;
+      const sumOfSquares = _.sum( intensities.map( ( intensity, i ) =>
+        Math.pow( intensity - scale * blackbodyIntensities[ i ], 2 )
+      ) );
+      return { temperature: temperature, scale: scale, sumOfSquares: sumOfSquares };
+    };
+
+    // Temperatures are searched on a logarithmic scale, since spectra change shape by similar amounts for similar
+    // ratios of temperatures
+    const minLogTemperature = Math.log( BlackbodyConstants.minTemperature );
+    const maxLogTemperature = Math.log( BlackbodyConstants.maxTemperature );
+    const logTemperatureSpacing = ( maxLogTemperature - minLogTemperature ) / ( NUMBER_OF_SCAN_TEMPERATURES - 1 );
+    const scanResults = _.range( NUMBER_OF_SCAN_TEMPERATURES ).map( i =>
+      evaluate( Math.exp( minLogTemperature + i * logTemperatureSpacing ) )
+    );
+    const bestScanIndex = _.minBy( _.range( NUMBER_OF_SCAN_TEMPERATURES ), i => scanResults[ i ].sumOfSquares );
+
+    // Refines the best scanned temperature between its neighbors
+    const maxScanIndex = NUMBER_OF_SCAN_TEMPERATURES - 1;
+    let lower = minLogTemperature + Math.max( bestScanIndex - 1, 0 ) * logTemperatureSpacing;
+    let upper = minLogTemperature + Math.min( bestScanIndex + 1, maxScanIndex ) * logTemperatureSpacing;
+    let best = scanResults[ bestScanIndex ];
+    for ( let i = 0; i < NUMBER_OF_REFINEMENT_STEPS; i++ ) {
+      const lowerResult = evaluate( Math.exp( upper - GOLDEN_RATIO_CONJUGATE * ( upper - lower ) ) );
+      const upperResult = evaluate( Math.exp( lower + GOLDEN_RATIO_CONJUGATE * ( upper - lower ) ) );
+      if ( lowerResult.sumOfSquares < upperResult.sumOfSquares ) {
+        upper = Math.log( upperResult.temperature );
+      }
+      else {
+        lower = Math.log( lowerResult.temperature );
+      }
+      best = _.minBy( [ best, lowerResult, upperResult ], result => result.sumOfSquares );
+    }
+
+    const residuals = intensities.map( ( intensity, i ) =>
+      intensity - best.scale * BlackbodyFit.getIntensity( wavelengths[ i ], best.temperature )
+    );
+    return {
+      temperature: best.temperature,
+      scale: best.scale,
+      residuals: residuals,
+      rmsResidual: Math.sqrt( best.sumOfSquares / intensities.length )
+    };
+  },
+
+  /**
+   * Gets the spectral power density of an ideal blackbody, in the units of a measured spectrum
+   * @public
+   * @param {number} wavelength - in nm
+   * @param {number} temperature - in K
+   * @returns {number} - in MW/m^2/µm
+   */
+  getIntensity( wavelength, temperature ) {
+    return SpectrumDomain.WAVELENGTH_CONVERSION_FACTOR *
+           BlackbodyBodyModel.getBlackbodySpectralPowerDensity( wavelength, temperature );
+  }
+};
+
+/**
+ * Gets the scale factor that minimizes the sum of squared differences between measured intensities and scaled
+ * blackbody intensities
+ * @param {number[]} intensities
+ * @param {number[]} blackbodyIntensities
+ * @returns {number}
+ */
+const getBestScale = ( intensities, blackbodyIntensities ) => {
+  const sumOfSquares = _.sum( blackbodyIntensities.map( intensity => intensity * intensity ) );
+  const sumOfProducts = _.sum( intensities.map( ( intensity, i ) => intensity * blackbodyIntensities[ i ] ) );
+  return sumOfSquares > 0 ? sumOfProducts / sumOfSquares : 0;
+};
+
+export default BlackbodyFit;
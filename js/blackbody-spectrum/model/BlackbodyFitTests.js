@@ -0,0 +1,61 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BlackbodyFit and MeasuredSpectrum tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BlackbodyFit from './BlackbodyFit.js';
+import MeasuredSpectrum from './MeasuredSpectrum.js';
+
+/**
+ * Creates a measured spectrum of an ideal blackbody, scaled by a factor
+ * @param {number} temperature - in K
+ * @param {number} scale
+ * @returns {MeasuredSpectrum}
+ */
+const createBlackbodySpectrum = ( temperature, scale ) => {
+  const wavelengths = _.range( 300, 3000, 50 );
+  return new MeasuredSpectrum( 'blackbody', wavelengths, wavelengths.map( wavelength =>
+    scale * BlackbodyFit.getIntensity( wavelength, temperature )
+  ) );
+};
+
+QUnit.module( 'BlackbodyFit' );
+
+QUnit.test( 'fit', assert => {
+  const fit = BlackbodyFit.fit( createBlackbodySpectrum( 4500, 1 ), false );
+  assert.ok( Math.abs( fit.temperature / 4500 - 1 ) < 1e-4, `recovers the temperature: ${fit.temperature}` );
+  assert.equal( fit.scale, 1, 'the scale is only fit when asked to' );
+  assert.ok( fit.rmsResidual < 1e-3 * BlackbodyFit.getIntensity( 650, 4500 ), 'the residuals are small' );
+
+  const scaledFit = BlackbodyFit.fit( createBlackbodySpectrum( 2500, 0.02 ), true );
+  assert.ok( Math.abs( scaledFit.temperature / 2500 - 1 ) < 1e-4,
+    `recovers the temperature of a scaled spectrum: ${scaledFit.temperature}` );
+  assert.ok( Math.abs( scaledFit.scale / 0.02 - 1 ) < 1e-3, `recovers the scale: ${scaledFit.scale}` );
+  assert.equal( scaledFit.residuals.length, createBlackbodySpectrum( 2500, 0.02 ).numberOfPoints,
+    'a residual for each point' );
+} );
+
+QUnit.module( 'MeasuredSpectrum' );
+
+QUnit.test( 'fromCSV', assert => {
+  const spectrum = MeasuredSpectrum.fromCSV( [
+    'wavelength (nm), intensity',
+    '# measured with a classroom spectrometer',
+    '700, 3.5',
+    '500;2.5',
+    '600\t3',
+    '0, 1',
+    '800 4'
+  ].join( '\r\n' ), 'spectrum.csv' );
+  assert.equal( spectrum.name, 'spectrum.csv', 'named' );
+  assert.deepEqual( spectrum.wavelengths, [ 500, 600, 700, 800 ],
+    'headers, comments and points that aren\'t at a positive wavelength are skipped, and points are sorted' );
+  assert.deepEqual( spectrum.intensities, [ 2.5, 3, 3.5, 4 ], 'intensities are kept with their wavelengths' );
+
+  assert.equal( MeasuredSpectrum.fromCSV( 'wavelength, intensity\n500, 1', 'one point' ), null,
+    'one point isn\'t enough for a spectrum' );
+  assert.equal( MeasuredSpectrum.fromCSV( '', 'empty' ), null, 'an empty file has no spectrum' );
+} );
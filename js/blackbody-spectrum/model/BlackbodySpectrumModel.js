@@ -10,8 +10,21 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import isSettingPhetioStateProperty from '../../../../tandem/js/isSettingPhetioStateProperty.js';
+import PhetioGroup from '../../../../tandem/js/PhetioGroup.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import BlackbodyFit from './BlackbodyFit.js';
+import EmitterMaterial from './EmitterMaterial.js';
+import PartialAreaModel from './PartialAreaModel.js';
+import SavedBodyModel from './SavedBodyModel.js';
+import SpectrumDomain from './SpectrumDomain.js';
+import ThermalEvolutionModel from './ThermalEvolutionModel.js';
 
 class BlackbodySpectrumModel {
 
@@ -34,6 +47,14 @@ class BlackbodySpectrumModel {
       phetioDocumentation: 'whether the intensity (area under the curve) of the graph should be visible'
     } );
 
+    // @public {Property.<boolean>}
+    this.bandIntensitiesVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'bandIntensitiesVisibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the breakdown of intensity by electromagnetic band should be visible, only ' +
+                           'shown when the intensity is visible'
+    } );
+
     // @public {Property.<boolean>}
     this.labelsVisibleProperty = new BooleanProperty( false, {
       tandem: tandem.createTandem( 'labelsVisibleProperty' ),
@@ -41,20 +62,189 @@ class BlackbodySpectrumModel {
       phetioDocumentation: 'whether the graph labels should be visible'
     } );
 
+    // @public {Property.<boolean>}
+    this.peakLocusVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'peakLocusVisibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the curve traced by the peak of a blackbody across the range of the thermometer ' +
+                           'should be visible'
+    } );
+
+    // @public {Property.<boolean>}
+    this.autoFrameEnabledProperty = new BooleanProperty( BlackbodyConstants.extendedTemperatureRange, {
+      tandem: tandem.createTandem( 'autoFrameEnabledProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the graph zooms to show the main curve when its peak leaves the graph or becomes ' +
+                           'too small to see'
+    } );
+
+    // @public {Property.<boolean>}
+    this.chromaticityDiagramVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'chromaticityDiagramVisibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the chromaticity diagram with the color of the main body should be visible'
+    } );
+
+    // @public {Property.<boolean>}
+    this.atmosphereVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'atmosphereVisibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the absorption bands of the atmosphere, and the part of the main body\'s ' +
+                           'spectrum that is transmitted through the atmosphere, should be visible'
+    } );
+
+    // @public {Property.<string>} - one of SpectrumDomain.NAMES, the domain that spectra are plotted in
+    this.spectrumDomainProperty = new StringProperty( SpectrumDomain.WAVELENGTH.name, {
+      validValues: SpectrumDomain.NAMES,
+      tandem: tandem.createTandem( 'spectrumDomainProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether spectra are plotted per unit wavelength, frequency or wavenumber'
+    } );
+
+    // @public {Property.<boolean>}
+    this.photonFluxModeProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'photonFluxModeProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether spectra and intensities count photons instead of energy'
+    } );
+
+    // @public {Property.<boolean>}
+    this.logScaleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'logScaleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether axes of the graph have a logarithmic scale'
+    } );
+
+    // @public {Property.<string>} - one of BlackbodySpectrumModel.LOG_SCALE_AXES, the axes of the graph that have a
+    // logarithmic scale when logScaleProperty is true
+    this.logScaleAxesProperty = new StringProperty( 'both', {
+      validValues: BlackbodySpectrumModel.LOG_SCALE_AXES,
+      tandem: tandem.createTandem( 'logScaleAxesProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'which axes of the graph have a logarithmic scale when the log scale is on'
+    } );
+
     // @public {BlackbodyBodyModel} - the main body for the simulation
     this.mainBody = new BlackbodyBodyModel( BlackbodyConstants.sunTemperature, tandem.createTandem( 'mainBody' ) );
 
-    // @public {BlackbodyBodyModel} - the primary saved body. There are two separate saved bodies instead of an array
-    // for simplicity with phet-io, see https://github.com/phetsims/blackbody-spectrum/issues/117
-    this.savedBodyOne = new BlackbodyBodyModel( null, tandem.createTandem( 'savedBodyOne' ) );
+    // @public {ThermalEvolutionModel} - changes the temperature of the main body in time, when it is enabled
+    this.thermalEvolution = new ThermalEvolutionModel( this.mainBody, tandem.createTandem( 'thermalEvolution' ) );
+
+    // @public {PartialAreaModel} - a window of wavelengths whose part of the intensity of each body is measured
+    this.partialArea = new PartialAreaModel( tandem.createTandem( 'partialArea' ) );
 
-    // @public {BlackbodyBodyModel} - the secondary saved body
-    this.savedBodyTwo = new BlackbodyBodyModel( null, tandem.createTandem( 'savedBodyTwo' ) );
+    // @public {Property.<number>}
+    this.maxSavedBodiesProperty = new NumberProperty( BlackbodyConstants.defaultMaxSavedBodies, {
+      numberType: 'Integer',
+      range: new Range( 1, BlackbodyConstants.maxSavedBodies ),
+      tandem: tandem.createTandem( 'maxSavedBodiesProperty' ),
+      phetioDocumentation: 'the most curves that can be saved at once. Lowering it deletes the oldest saved curves.'
+    } );
+
+    // @public {PhetioGroup.<SavedBodyModel>} - the saved bodies, ordered from oldest to newest
+    this.savedBodies = new PhetioGroup(
+      ( tandem, styleIndex, temperature, material, grayBodyEmissivity ) =>
+        new SavedBodyModel( styleIndex, temperature, material, grayBodyEmissivity, tandem ),
+      [
+        0,
+        BlackbodyConstants.sunTemperature,
+        EmitterMaterial.BLACKBODY,
+        BlackbodyBodyModel.DEFAULT_GRAY_BODY_EMISSIVITY
+      ],
+      {
+        phetioType: PhetioGroup.PhetioGroupIO( SavedBodyModel.SavedBodyModelIO ),
+        tandem: tandem.createTandem( 'savedBodies' ),
+        phetioDocumentation: 'the bodies whose curves have been saved for comparison with the main body'
+      }
+    );
+
+    // @public {Property.<boolean>} - whether there is room to save another body
+    this.canSaveProperty = new DerivedProperty(
+      [ this.savedBodies.countProperty, this.maxSavedBodiesProperty ],
+      ( count, maxSavedBodies ) => count < maxSavedBodies
+    );
+
+    this.maxSavedBodiesProperty.link( maxSavedBodies => {
+      while ( this.savedBodies.count > maxSavedBodies ) {
+        this.savedBodies.disposeElement( this.savedBodies.getElement( 0 ) );
+      }
+    } );
+
+    // @public {Property.<boolean>}
+    this.comparisonVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'comparisonVisibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the plot comparing the main body with a saved body should be visible'
+    } );
+
+    // @public {Property.<string>} - one of BlackbodySpectrumModel.COMPARISON_MODES, how the main body is compared with
+    // the saved body
+    this.comparisonModeProperty = new StringProperty( 'difference', {
+      validValues: BlackbodySpectrumModel.COMPARISON_MODES,
+      tandem: tandem.createTandem( 'comparisonModeProperty' ),
+      phetioDocumentation: 'whether the comparison plots the difference of the main and saved spectra, or their ratio'
+    } );
 
-    // @public {number} max wavelength in nanometers
-    this.wavelengthMax = 3000;
+    // @public {Property.<number>} - the style index of the saved body that the main body is compared with. Saved bodies
+    // keep their style index for as long as they are saved, so it identifies a saved body in the PhET-iO state too.
+    this.comparedStyleIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, BlackbodyConstants.maxSavedBodies - 1 ),
+      tandem: tandem.createTandem( 'comparedStyleIndexProperty' ),
+      phetioDocumentation: 'the style index of the saved body that the main body is compared with'
+    } );
+
+    // The comparison moves to a new saved body when there was nothing to compare with, and to another saved body when
+    // its saved body is deleted. The PhET-iO state already has the right saved body while it is being set.
+    this.savedBodies.elementCreatedEmitter.addListener( savedBody => {
+      if ( !isSettingPhetioStateProperty.value && this.savedBodies.count === 1 ) {
+        this.comparedStyleIndexProperty.value = savedBody.styleIndex;
+      }
+    } );
+    this.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      const otherSavedBody = _.find( this.savedBodies.getArray(), otherBody => otherBody !== savedBody );
+      if ( !isSettingPhetioStateProperty.value && otherSavedBody &&
+           savedBody.styleIndex === this.comparedStyleIndexProperty.value ) {
+        this.comparedStyleIndexProperty.value = otherSavedBody.styleIndex;
+      }
+    } );
+
+    // @public {Property.<MeasuredSpectrum|null>} - a spectrum imported from a file, which isn't instrumented because
+    // its data come from outside of the sim
+    this.measuredSpectrumProperty = new Property( null );
+
+    // @public {Property.<boolean>}
+    this.fitScaleProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'fitScaleProperty' ),
+      phetioDocumentation: 'whether the blackbody fit of a measured spectrum also fits a scale factor, for ' +
+                           'measurements in arbitrary units'
+    } );
+
+    // @public {Property.<boolean>}
+    this.residualsVisibleProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'residualsVisibleProperty' ),
+      phetioDocumentation: 'whether the residuals of the blackbody fit of a measured spectrum should be visible'
+    } );
+
+    // @public {Property.<Object|null>} - the result of BlackbodyFit.fit for the measured spectrum, or null when there
+    // is no measured spectrum
+    this.measuredSpectrumFitProperty = new DerivedProperty(
+      [ this.measuredSpectrumProperty, this.fitScaleProperty ],
+      ( measuredSpectrum, fitScale ) => measuredSpectrum ? BlackbodyFit.fit( measuredSpectrum, fitScale ) : null
+    );
   }
 
+  /**
+   * Gets the domain that spectra are currently plotted in
+   * @public
+   * @returns {Object} - one of the domains in SpectrumDomain
+   */
+  getSpectrumDomain() {
+    return SpectrumDomain.get( this.spectrumDomainProperty.value );
+  }
+
+  get spectrumDomain() { return this.getSpectrumDomain(); }
+
   /**
    * Resets all of the model's settings and bodies
    * @public
@@ -62,18 +252,91 @@ class BlackbodySpectrumModel {
   reset() {
     this.graphValuesVisibleProperty.reset();
     this.intensityVisibleProperty.reset();
+    this.bandIntensitiesVisibleProperty.reset();
     this.labelsVisibleProperty.reset();
+    this.peakLocusVisibleProperty.reset();
+    this.autoFrameEnabledProperty.reset();
+    this.chromaticityDiagramVisibleProperty.reset();
+    this.atmosphereVisibleProperty.reset();
+    this.spectrumDomainProperty.reset();
+    this.photonFluxModeProperty.reset();
+    this.logScaleProperty.reset();
+    this.logScaleAxesProperty.reset();
     this.mainBody.reset();
+    this.thermalEvolution.reset();
+    this.partialArea.reset();
     this.clearSavedGraphs();
+    this.maxSavedBodiesProperty.reset();
+    this.measuredSpectrumProperty.reset();
+    this.comparisonVisibleProperty.reset();
+    this.comparisonModeProperty.reset();
+    this.comparedStyleIndexProperty.reset();
+    this.fitScaleProperty.reset();
+    this.residualsVisibleProperty.reset();
+  }
+
+  /**
+   * Steps the model in time, which only changes the main body when its temperature evolves in time
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    this.thermalEvolution.step( dt );
   }
 
   /**
-   * Shifts savedBodyOne to savedBodyTwo and saves the main body to savedBodyOne
+   * Saves a copy of the main body, using the first style that no other saved body has
    * @public
    */
   saveMainBody() {
-    this.savedBodyTwo.temperatureProperty.value = this.savedBodyOne.temperatureProperty.value;
-    this.savedBodyOne.temperatureProperty.value = this.mainBody.temperatureProperty.value;
+    assert && assert( this.canSaveProperty.value, 'no room to save another body' );
+    const usedStyleIndices = this.savedBodies.getArray().map( savedBody => savedBody.styleIndex );
+    const styleIndex = _.find( _.range( BlackbodyConstants.maxSavedBodies ), i => !usedStyleIndices.includes( i ) );
+    this.savedBodies.createNextElement(
+      styleIndex,
+      this.mainBody.temperatureProperty.value,
+      this.mainBody.materialProperty.value,
+      this.mainBody.grayBodyEmissivityProperty.value
+    );
+  }
+
+  /**
+   * Deletes a saved body
+   * @public
+   * @param {SavedBodyModel} savedBody
+   */
+  deleteSavedBody( savedBody ) {
+    this.savedBodies.disposeElement( savedBody );
+  }
+
+  /**
+   * Makes the main body the same as a saved body, so that the saved body's curve can be explored again
+   * @public
+   * @param {SavedBodyModel} savedBody
+   */
+  selectSavedBody( savedBody ) {
+    this.mainBody.copyFrom( savedBody );
+  }
+
+  /**
+   * Gets the saved body that the main body is compared with
+   * @public
+   * @returns {SavedBodyModel|null} - null when there are no saved bodies
+   */
+  getComparedBody() {
+    const savedBodies = this.savedBodies.getArray();
+    return _.find( savedBodies, savedBody => savedBody.styleIndex === this.comparedStyleIndexProperty.value ) ||
+           savedBodies[ 0 ] || null;
+  }
+
+  /**
+   * Sets the temperature of the main body to the temperature of the blackbody that best fits the measured spectrum
+   * @public
+   */
+  applyMeasuredSpectrumFit() {
+    const fit = this.measuredSpectrumFitProperty.value;
+    assert && assert( fit, 'there is no measured spectrum to fit' );
+    this.mainBody.temperatureProperty.value = fit.temperature;
   }
 
   /**
@@ -81,9 +344,14 @@ class BlackbodySpectrumModel {
    * @public
    */
   clearSavedGraphs() {
-    this.savedBodyOne.reset();
-    this.savedBodyTwo.reset();
+    this.savedBodies.clear();
   }
 }
 
+// @public {string[]} - the choices of axes that can have a logarithmic scale
+BlackbodySpectrumModel.LOG_SCALE_AXES = [ 'horizontal', 'vertical', 'both' ];
+
+// @public {string[]} - how the main body can be compared with a saved body
+BlackbodySpectrumModel.COMPARISON_MODES = [ 'difference', 'ratio' ];
+
 export default BlackbodySpectrumModel;
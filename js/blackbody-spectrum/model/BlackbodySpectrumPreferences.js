@@ -0,0 +1,35 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Preferences for this simulation, which are set in the Simulation and Audio tabs of the Preferences dialog.
+ * Preferences are global and are not reset by the Reset All button.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumQueryParameters from '../../BlackbodySpectrumQueryParameters.js';
+import TemperatureUnits from './TemperatureUnits.js';
+
+const BlackbodySpectrumPreferences = {
+
+  // @public {Property.<string>} - one of TemperatureUnits.NAMES, the units that temperatures are shown in
+  temperatureUnitsProperty: new StringProperty( BlackbodySpectrumQueryParameters.temperatureUnits, {
+    validValues: TemperatureUnits.NAMES,
+    tandem: Tandem.PREFERENCES.createTandem( 'temperatureUnitsProperty' ),
+    phetioFeatured: true,
+    phetioDocumentation: 'the units that temperatures are shown in'
+  } ),
+
+  // @public {Property.<boolean>} - whether the spectrum is sonified, when the sound of the sim is also on
+  sonificationEnabledProperty: new BooleanProperty( BlackbodySpectrumQueryParameters.sonification, {
+    tandem: Tandem.PREFERENCES.createTandem( 'sonificationEnabledProperty' ),
+    phetioFeatured: true,
+    phetioDocumentation: 'whether the spectrum is sonified, with pitch following the temperature and loudness ' +
+                         'following the height of the curve'
+  } )
+};
+
+export default BlackbodySpectrumPreferences;
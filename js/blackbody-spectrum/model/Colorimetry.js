@@ -0,0 +1,158 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Colorimetry for spectra, following the CIE 1931 standard observer. A spectrum is integrated against the CIE 1931
+ * color-matching functions to give XYZ tristimulus values, from which the xy chromaticity, the correlated color
+ * temperature and the sRGB color that a spectrum appears as are found.
+ *
+ * The color-matching functions are the multi-lobe Gaussian fits of Wyman, Sloan and Shirley, "Simple Analytic
+ * Approximations to the CIE XYZ Color Matching Functions" (2013), which are within the variability of the tabulated
+ * functions and avoid a large table.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector3 from '../../../../dot/js/Vector3.js';
+import Color from '../../../../scenery/js/util/Color.js';
+
+// constants
+const MIN_WAVELENGTH = 380; // in nm, lower bound of the color-matching functions
+const MAX_WAVELENGTH = 780; // in nm, upper bound of the color-matching functions
+const WAVELENGTH_STEP = 5; // in nm, spacing of the samples used for integration
+
+// in K, the correlated color temperatures that McCamy's approximation is accurate for. Outside of them it can be off by
+// thousands of kelvin, or even be negative.
+const CORRELATED_COLOR_TEMPERATURE_RANGE = new Range( 2000, 12500 );
+
+// Matrix from XYZ to linear sRGB, for the D65 white point
+const XYZ_TO_LINEAR_SRGB = [
+  [ 3.2406, -1.5372, -0.4986 ],
+  [ -0.9689, 1.8758, 0.0415 ],
+  [ 0.0557, -0.2040, 1.0570 ]
+];
+
+/**
+ * A Gaussian with different widths on each side of its center
+ * @param {number} x
+ * @param {number} center
+ * @param {number} lowerWidth - standard deviation for x below the center
+ * @param {number} upperWidth - standard deviation for x above the center
+ * @returns {number}
+ */
+const piecewiseGaussian = ( x, center, lowerWidth, upperWidth ) => {
+  const t = ( x - center ) / ( x < center ? lowerWidth : upperWidth );
+  return Math.exp( -t * t / 2 );
+};
+
+/**
+ * Applies the sRGB transfer function to a linear sRGB component between 0 and 1
+ * @param {number} value
+ * @returns {number}
+ */
+const gammaEncode = value => value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow( value, 1 / 2.4 ) - 0.055;
+
+const Colorimetry = {
+
+  /**
+   * Returns the CIE 1931 color-matching functions at a wavelength (in nm), as the x, y and z components of a vector
+   * @public
+   * @param {number} wavelength
+   * @returns {Vector3}
+   */
+  getColorMatchingFunctions( wavelength ) {
+    return new Vector3(
+      1.056 * piecewiseGaussian( wavelength, 599.8, 37.9, 31.0 ) +
+      0.362 * piecewiseGaussian( wavelength, 442.0, 16.0, 26.7 ) -
+      0.065 * piecewiseGaussian( wavelength, 501.1, 20.4, 26.2 ),
+      0.821 * piecewiseGaussian( wavelength, 568.8, 46.9, 40.5 ) +
+      0.286 * piecewiseGaussian( wavelength, 530.9, 16.3, 31.1 ),
+      1.217 * piecewiseGaussian( wavelength, 437.0, 11.8, 36.0 ) +
+      0.681 * piecewiseGaussian( wavelength, 459.0, 26.0, 13.8 )
+    );
+  },
+
+  /**
+   * Returns the XYZ tristimulus values of a spectrum, as the x, y and z components of a vector. Only the relative
+   * values are meaningful, since the spectrum may be in any units.
+   * @public
+   * @param {function(number):number} getSpectralPowerDensityAt - spectral power density at a wavelength in nm
+   * @returns {Vector3}
+   */
+  getTristimulusValues( getSpectralPowerDensityAt ) {
+    const tristimulusValues = new Vector3( 0, 0, 0 );
+    for ( let wavelength = MIN_WAVELENGTH; wavelength <= MAX_WAVELENGTH; wavelength += WAVELENGTH_STEP ) {
+      tristimulusValues.add(
+        Colorimetry.getColorMatchingFunctions( wavelength ).times( getSpectralPowerDensityAt( wavelength ) )
+      );
+    }
+    return tristimulusValues.times( WAVELENGTH_STEP );
+  },
+
+  /**
+   * Returns whether the given tristimulus values have a chromaticity, which they don't when there is no visible light
+   * @public
+   * @param {Vector3} tristimulusValues
+   * @returns {boolean}
+   */
+  hasChromaticity( tristimulusValues ) {
+    return tristimulusValues.x + tristimulusValues.y + tristimulusValues.z > 0;
+  },
+
+  /**
+   * Returns the xy chromaticity of the given tristimulus values
+   * @public
+   * @param {Vector3} tristimulusValues
+   * @returns {Vector2}
+   */
+  getChromaticity( tristimulusValues ) {
+    const sum = tristimulusValues.x + tristimulusValues.y + tristimulusValues.z;
+    assert && assert( sum > 0, 'chromaticity is undefined for a spectrum with no visible light' );
+    return new Vector2( tristimulusValues.x / sum, tristimulusValues.y / sum );
+  },
+
+  /**
+   * Returns the correlated color temperature (in K) of an xy chromaticity, which is the temperature of the blackbody
+   * whose color is closest to it. McCamy's approximation is used, which is accurate to a few kelvin within
+   * CORRELATED_COLOR_TEMPERATURE_RANGE, and shouldn't be shown as a temperature outside of it.
+   * @public
+   * @param {Vector2} chromaticity
+   * @returns {number}
+   */
+  getCorrelatedColorTemperature( chromaticity ) {
+    const n = ( chromaticity.x - 0.3320 ) / ( 0.1858 - chromaticity.y );
+    return ( ( 449 * n + 3525 ) * n + 6823.3 ) * n + 5520.33;
+  },
+
+  /**
+   * Returns the sRGB color with the chromaticity of the given tristimulus values. Colors outside of the sRGB gamut are
+   * clipped, and the color is scaled so that its largest component is the given brightness.
+   * @public
+   * @param {Vector3} tristimulusValues
+   * @param {number} brightness - between 0 and 1
+   * @returns {Color}
+   */
+  getSRGBColor( tristimulusValues, brightness ) {
+    const linearComponents = XYZ_TO_LINEAR_SRGB.map( row => Math.max(
+      row[ 0 ] * tristimulusValues.x + row[ 1 ] * tristimulusValues.y + row[ 2 ] * tristimulusValues.z,
+      0
+    ) );
+    const largestComponent = Math.max( ...linearComponents );
+    const components = linearComponents.map( component => {
+      const normalizedComponent = largestComponent > 0 ? component / largestComponent : 0;
+      return Math.floor( 255 * Utils.clamp( brightness, 0, 1 ) * gammaEncode( normalizedComponent ) );
+    } );
+    return new Color( components[ 0 ], components[ 1 ], components[ 2 ], 1 );
+  }
+};
+
+// @public {number} bounds of the wavelengths (in nm) that contribute to color
+Colorimetry.MIN_WAVELENGTH = MIN_WAVELENGTH;
+Colorimetry.MAX_WAVELENGTH = MAX_WAVELENGTH;
+
+// @public {Range} in K, see getCorrelatedColorTemperature
+Colorimetry.CORRELATED_COLOR_TEMPERATURE_RANGE = CORRELATED_COLOR_TEMPERATURE_RANGE;
+
+export default Colorimetry;
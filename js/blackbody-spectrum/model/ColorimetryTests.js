@@ -0,0 +1,63 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Colorimetry tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector3 from '../../../../dot/js/Vector3.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import Colorimetry from './Colorimetry.js';
+
+QUnit.module( 'Colorimetry' );
+
+QUnit.test( 'color-matching functions', assert => {
+  const peak = Colorimetry.getColorMatchingFunctions( 555 );
+  assert.ok( Math.abs( peak.y - 1 ) < 0.02, 'luminous efficiency peaks at about 1 near 555 nm' );
+  assert.ok( Colorimetry.getColorMatchingFunctions( 450 ).z > Colorimetry.getColorMatchingFunctions( 450 ).y,
+    'blue light is mostly seen by z' );
+  assert.ok( Colorimetry.getColorMatchingFunctions( 1000 ).magnitude < 1e-6, 'infrared light is not seen' );
+} );
+
+QUnit.test( 'chromaticity of an equal energy spectrum', assert => {
+  const tristimulusValues = Colorimetry.getTristimulusValues( () => 1 );
+  assert.ok( Colorimetry.hasChromaticity( tristimulusValues ), 'an equal energy spectrum has a chromaticity' );
+  const chromaticity = Colorimetry.getChromaticity( tristimulusValues );
+  assert.ok( Math.abs( chromaticity.x - 1 / 3 ) < 0.01, `x is about 1/3: ${chromaticity.x}` );
+  assert.ok( Math.abs( chromaticity.y - 1 / 3 ) < 0.01, `y is about 1/3: ${chromaticity.y}` );
+
+  const darkValues = Colorimetry.getTristimulusValues( () => 0 );
+  assert.notOk( Colorimetry.hasChromaticity( darkValues ), 'a spectrum with no visible light has no chromaticity' );
+} );
+
+QUnit.test( 'correlated color temperature', assert => {
+  const d65Temperature = Colorimetry.getCorrelatedColorTemperature( new Vector2( 0.3127, 0.3290 ) );
+  assert.ok( Math.abs( d65Temperature - 6504 ) < 10, `D65 is about 6504 K: ${d65Temperature}` );
+
+  // Ideal blackbodies within the accurate range have a color temperature close to their temperature
+  [ 2500, 4000, 5800, 9000 ].forEach( temperature => {
+    const body = new BlackbodyBodyModel( temperature, Tandem.OPT_OUT );
+    const colorTemperature = Colorimetry.getCorrelatedColorTemperature( body.chromaticity );
+    assert.ok( Math.abs( colorTemperature - temperature ) / temperature < 0.02,
+      `${temperature} K has a color temperature of ${colorTemperature} K` );
+    body.dispose();
+  } );
+
+  const range = Colorimetry.CORRELATED_COLOR_TEMPERATURE_RANGE;
+  assert.ok( range.min === 2000 && range.max === 12500, 'the accurate range of McCamy\'s approximation' );
+} );
+
+QUnit.test( 'sRGB color', assert => {
+  const tristimulusValues = new Vector3( 0.3, 0.4, 0.3 );
+  const color = Colorimetry.getSRGBColor( tristimulusValues, 1 );
+  assert.ok( Math.max( color.red, color.green, color.blue ) >= 254, 'the largest component is full brightness' );
+
+  const dimColor = Colorimetry.getSRGBColor( tristimulusValues, 0 );
+  assert.ok( dimColor.red === 0 && dimColor.green === 0 && dimColor.blue === 0, 'no brightness is black' );
+
+  const outOfRangeColor = Colorimetry.getSRGBColor( tristimulusValues, 2 );
+  assert.ok( outOfRangeColor.equals( color ), 'brightness is clamped to 1' );
+} );
@@ -0,0 +1,90 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The materials that a body can be made of. A material determines the emissivity of the body, which is the fraction of
+ * an ideal blackbody's spectral power density that the body emits at a given wavelength. A blackbody has an emissivity
+ * of 1 everywhere, a gray body has the same emissivity at all wavelengths, and the remaining materials are selective
+ * emitters whose emissivity is tabulated as a function of wavelength.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+
+// Approximate spectral emissivities near room temperature (or, for tungsten, near incandescence) as
+// [ wavelength in nm, emissivity ] pairs, ordered by increasing wavelength. Values between entries are linearly
+// interpolated and values outside the table are held at the nearest entry.
+const EMISSIVITY_TABLES = {
+  tungsten: [
+    [ 300, 0.48 ], [ 400, 0.47 ], [ 500, 0.45 ], [ 600, 0.44 ], [ 700, 0.42 ], [ 800, 0.40 ], [ 1000, 0.36 ],
+    [ 1500, 0.30 ], [ 2000, 0.25 ], [ 3000, 0.19 ], [ 5000, 0.14 ], [ 10000, 0.09 ], [ 30000, 0.05 ]
+  ],
+  humanSkin: [
+    [ 300, 0.90 ], [ 400, 0.60 ], [ 700, 0.45 ], [ 1000, 0.40 ], [ 1500, 0.80 ], [ 2000, 0.85 ], [ 3000, 0.95 ],
+    [ 5000, 0.97 ], [ 10000, 0.98 ]
+  ],
+  polishedAluminum: [
+    [ 200, 0.10 ], [ 500, 0.08 ], [ 800, 0.13 ], [ 1000, 0.06 ], [ 2000, 0.04 ], [ 10000, 0.03 ], [ 100000, 0.02 ]
+  ]
+};
+
+const EmitterMaterial = {
+  BLACKBODY: 'blackbody',
+  GRAY_BODY: 'grayBody',
+  TUNGSTEN: 'tungsten',
+  HUMAN_SKIN: 'humanSkin',
+  POLISHED_ALUMINUM: 'polishedAluminum',
+
+  /**
+   * Whether the emissivity of the given material is tabulated as a function of wavelength
+   * @public
+   * @param {string} material - one of EmitterMaterial.VALUES
+   * @returns {boolean}
+   */
+  isTabulated( material ) {
+    return _.has( EMISSIVITY_TABLES, material );
+  },
+
+  /**
+   * Returns the wavelengths (in nm) at which the emissivity of a tabulated material is specified
+   * @public
+   * @param {string} material - a tabulated material
+   * @returns {number[]}
+   */
+  getTableWavelengths( material ) {
+    assert && assert( EmitterMaterial.isTabulated( material ), `material is not tabulated: ${material}` );
+    return EMISSIVITY_TABLES[ material ].map( entry => entry[ 0 ] );
+  },
+
+  /**
+   * Returns the emissivity of a tabulated material at the given wavelength (in nm)
+   * @public
+   * @param {string} material - a tabulated material
+   * @param {number} wavelength
+   * @returns {number}
+   */
+  getTabulatedEmissivity( material, wavelength ) {
+    assert && assert( EmitterMaterial.isTabulated( material ), `material is not tabulated: ${material}` );
+    const table = EMISSIVITY_TABLES[ material ];
+    if ( wavelength <= table[ 0 ][ 0 ] ) {
+      return table[ 0 ][ 1 ];
+    }
+    for ( let i = 1; i < table.length; i++ ) {
+      if ( wavelength <= table[ i ][ 0 ] ) {
+        return Utils.linear( table[ i - 1 ][ 0 ], table[ i ][ 0 ], table[ i - 1 ][ 1 ], table[ i ][ 1 ], wavelength );
+      }
+    }
+    return table[ table.length - 1 ][ 1 ];
+  }
+};
+
+// @public {string[]} all materials, in the order they are presented to the user
+EmitterMaterial.VALUES = [
+  EmitterMaterial.BLACKBODY,
+  EmitterMaterial.GRAY_BODY,
+  EmitterMaterial.TUNGSTEN,
+  EmitterMaterial.HUMAN_SKIN,
+  EmitterMaterial.POLISHED_ALUMINUM
+];
+
+export default EmitterMaterial;
@@ -0,0 +1,75 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A spectrum measured outside of the sim, such as with a classroom spectrometer, that can be compared with the spectra
+ * of blackbodies. Intensities are spectral power densities in MW/m^2/µm, or in arbitrary units when the scale of the
+ * measurement is unknown.
+ *
+ * @author Arnab Purkayastha
+ */
+
+// constants
+const MIN_NUMBER_OF_POINTS = 2;
+
+class MeasuredSpectrum {
+
+  /**
+   * @param {string} name - describes where the spectrum came from, such as the name of its file
+   * @param {number[]} wavelengths - in nm, in increasing order
+   * @param {number[]} intensities - the intensity at each wavelength
+   */
+  constructor( name, wavelengths, intensities ) {
+    assert && assert( wavelengths.length === intensities.length, 'each wavelength needs an intensity' );
+    assert && assert( wavelengths.length >= MIN_NUMBER_OF_POINTS, 'not enough points for a spectrum' );
+
+    // @public (read-only)
+    this.name = name;
+    this.wavelengths = wavelengths;
+    this.intensities = intensities;
+  }
+
+  /**
+   * Gets the number of points in the spectrum
+   * @public
+   * @returns {number}
+   */
+  getNumberOfPoints() {
+    return this.wavelengths.length;
+  }
+
+  get numberOfPoints() { return this.getNumberOfPoints(); }
+
+  /**
+   * Creates a spectrum from the contents of a CSV file, with wavelengths (in nm) in the first column and intensities
+   * in the second. Columns may also be separated by semicolons, tabs or spaces. Lines that don't start with two
+   * numbers, such as headers and comments, are skipped, as are points with a wavelength that isn't positive.
+   * @public
+   * @param {string} text
+   * @param {string} name
+   * @returns {MeasuredSpectrum|null} - null if the text doesn't contain enough points for a spectrum
+   */
+  static fromCSV( text, name ) {
+    const points = [];
+    text.split( /\r?\n/ ).forEach( line => {
+      const fields = line.trim().split( /\s*[,;\t]\s*|\s+/ );
+      if ( fields.length >= 2 && fields[ 0 ] !== '' && fields[ 1 ] !== '' ) {
+        const wavelength = Number( fields[ 0 ] );
+        const intensity = Number( fields[ 1 ] );
+        if ( isFinite( wavelength ) && isFinite( intensity ) && wavelength > 0 ) {
+          points.push( { wavelength: wavelength, intensity: intensity } );
+        }
+      }
+    } );
+    if ( points.length < MIN_NUMBER_OF_POINTS ) {
+      return null;
+    }
+    const sortedPoints = _.sortBy( points, point => point.wavelength );
+    return new MeasuredSpectrum(
+      name,
+      sortedPoints.map( point => point.wavelength ),
+      sortedPoints.map( point => point.intensity )
+    );
+  }
+}
+
+export default MeasuredSpectrum;
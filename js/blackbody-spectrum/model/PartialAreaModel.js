@@ -0,0 +1,90 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of a window of wavelengths between two markers, such as the range of a camera sensor or the wavelengths that a
+ * solar cell can absorb, and the part of the intensity of a body that falls within it. The markers can be moved past
+ * each other, so the window is always between the shorter and the longer of their wavelengths.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+
+class PartialAreaModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public {Property.<boolean>}
+    this.visibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'visibleProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the markers of the partial area, the shading between them and the intensity ' +
+                           'within them should be visible'
+    } );
+
+    // @public {Property.<number>[]} - in nm, the wavelengths of the two markers, which start at the edges of the
+    // visible spectrum. Wavelengths are infinite at the left end of the frequency and wavenumber axes.
+    this.markerWavelengthProperties = [
+      BlackbodyConstants.ultravioletWavelength,
+      BlackbodyConstants.visibleWavelength
+    ].map( ( wavelength, i ) => new NumberProperty( wavelength, {
+      range: new Range( 0, Number.POSITIVE_INFINITY ),
+      units: 'nm',
+      tandem: tandem.createTandem( `marker${i + 1}WavelengthProperty` ),
+      phetioDocumentation: 'the wavelength of one edge of the partial area'
+    } ) );
+  }
+
+  /**
+   * Gets the wavelengths between the two markers
+   * @public
+   * @returns {Range} - in nm
+   */
+  getWavelengthRange() {
+    const wavelengths = this.markerWavelengthProperties.map( property => property.value );
+    return new Range( Math.min( ...wavelengths ), Math.max( ...wavelengths ) );
+  }
+
+  /**
+   * Gets the intensity of a body between the two markers, or the photon flux when photons are counted
+   * @public
+   * @param {BlackbodyBodyModel} body
+   * @param {boolean} photonFlux - whether to get the photon flux
+   * @returns {number} - in watts per meter^2, or photons per second per meter^2
+   */
+  getAmount( body, photonFlux ) {
+    const range = this.getWavelengthRange();
+    return photonFlux ?
+           body.getPhotonFluxBetween( range.min, range.max ) :
+           body.getIntensityBetween( range.min, range.max );
+  }
+
+  /**
+   * Gets the fraction of the intensity of a body, or of its photon flux when photons are counted, that is between the
+   * two markers
+   * @public
+   * @param {BlackbodyBodyModel} body
+   * @param {boolean} photonFlux - whether to get the fraction of the photon flux
+   * @returns {number} - between 0 and 1
+   */
+  getFraction( body, photonFlux ) {
+    const total = photonFlux ? body.totalPhotonFlux : body.totalIntensity;
+    return total > 0 ? this.getAmount( body, photonFlux ) / total : 0;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.visibleProperty.reset();
+    this.markerWavelengthProperties.forEach( property => property.reset() );
+  }
+}
+
+export default PartialAreaModel;
@@ -0,0 +1,54 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PartialAreaModel tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import EmitterMaterial from './EmitterMaterial.js';
+import PartialAreaModel from './PartialAreaModel.js';
+
+const TOLERANCE = 1e-6;
+
+QUnit.module( 'PartialAreaModel' );
+
+QUnit.test( 'wavelength range', assert => {
+  const partialArea = new PartialAreaModel( Tandem.OPT_OUT );
+  const range = partialArea.getWavelengthRange();
+  assert.ok( range.min === 380 && range.max === 780, 'starts at the edges of the visible spectrum' );
+
+  partialArea.markerWavelengthProperties[ 0 ].value = 2000;
+  const swappedRange = partialArea.getWavelengthRange();
+  assert.ok( swappedRange.min === 780 && swappedRange.max === 2000, 'markers can be moved past each other' );
+
+  partialArea.reset();
+  assert.equal( partialArea.getWavelengthRange().max, 780, 'reset moves the markers back' );
+} );
+
+QUnit.test( 'fractions', assert => {
+  const partialArea = new PartialAreaModel( Tandem.OPT_OUT );
+  const body = new BlackbodyBodyModel( 5800, Tandem.OPT_OUT );
+
+  assert.ok( Math.abs( partialArea.getFraction( body, false ) - body.getFractionOfIntensityBetween( 380, 780 ) ) <
+             TOLERANCE, 'fraction of the intensity between the markers' );
+  assert.ok( Math.abs( partialArea.getAmount( body, true ) - body.getPhotonFluxBetween( 380, 780 ) ) < TOLERANCE,
+    'photon flux between the markers' );
+
+  partialArea.markerWavelengthProperties[ 0 ].value = 0;
+  partialArea.markerWavelengthProperties[ 1 ].value = Number.POSITIVE_INFINITY;
+  assert.ok( Math.abs( partialArea.getFraction( body, false ) - 1 ) < TOLERANCE, 'all of the intensity' );
+  assert.ok( Math.abs( partialArea.getFraction( body, true ) - 1 ) < TOLERANCE, 'all of the photon flux' );
+
+  body.materialProperty.value = EmitterMaterial.GRAY_BODY;
+  assert.ok( Math.abs( partialArea.getFraction( body, false ) - 1 ) < TOLERANCE,
+    'all of the intensity of a gray body' );
+
+  partialArea.markerWavelengthProperties[ 0 ].value = 1000;
+  partialArea.markerWavelengthProperties[ 1 ].value = 1000;
+  assert.equal( partialArea.getFraction( body, false ), 0, 'no intensity between markers at the same wavelength' );
+
+  body.dispose();
+} );
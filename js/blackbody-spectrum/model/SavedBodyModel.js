@@ -0,0 +1,88 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A body whose curve has been saved, so that it can be compared with the main body. Saved bodies are created and
+ * disposed dynamically, and keep the same style index for as long as they are saved so that their curves keep the same
+ * appearance when other saved bodies are deleted. A saved body is created with the spectrum that it saves, so it never
+ * exists without a temperature.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import StringIO from '../../../../tandem/js/types/StringIO.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+
+class SavedBodyModel extends BlackbodyBodyModel {
+
+  /**
+   * @param {number} styleIndex - identifies how the saved body is drawn
+   * @param {number} temperature
+   * @param {string} material - one of EmitterMaterial.VALUES
+   * @param {number} grayBodyEmissivity
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( styleIndex, temperature, material, grayBodyEmissivity, tandem, options ) {
+
+    options = merge( {
+      phetioType: SavedBodyModel.SavedBodyModelIO,
+      phetioState: true
+    }, options );
+
+    super( temperature, tandem, options );
+
+    // Set before the saved body is passed to any listeners
+    this.materialProperty.value = material;
+    this.grayBodyEmissivityProperty.value = grayBodyEmissivity;
+
+    // @public (read-only) {number}
+    this.styleIndex = styleIndex;
+
+    // @public {Property.<boolean>}
+    this.visibleProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'visibleProperty' ),
+      phetioDocumentation: 'whether the curve of the saved body is shown on the graph'
+    } );
+  }
+
+  /**
+   * Disposes the Properties of the saved body. Anything that links to them doesn't need to unlink, since they are
+   * disposed along with the saved body, but should stop using the saved body when it is disposed.
+   * @public
+   * @override
+   */
+  dispose() {
+    this.visibleProperty.dispose();
+    super.dispose();
+  }
+}
+
+SavedBodyModel.SavedBodyModelIO = new IOType( 'SavedBodyModelIO', {
+  valueType: SavedBodyModel,
+  documentation: 'A saved body, which is created with the spectrum that it saves. Its temperature and emissivity are ' +
+                 'also stored in its Properties.',
+  toStateObject: savedBody => ( {
+    styleIndex: savedBody.styleIndex,
+    temperature: savedBody.temperatureProperty.value,
+    material: savedBody.materialProperty.value,
+    grayBodyEmissivity: savedBody.grayBodyEmissivityProperty.value
+  } ),
+  stateSchema: {
+    styleIndex: NumberIO,
+    temperature: NumberIO,
+    material: StringIO,
+    grayBodyEmissivity: NumberIO
+  },
+  stateObjectToCreateElementArgs: stateObject => [
+    stateObject.styleIndex,
+    stateObject.temperature,
+    stateObject.material,
+    stateObject.grayBodyEmissivity
+  ]
+} );
+
+export default SavedBodyModel;
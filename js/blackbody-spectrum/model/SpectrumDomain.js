@@ -0,0 +1,144 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The domains that a spectrum can be plotted in. Planck's law can be written per unit wavelength, per unit frequency or
+ * per unit wavenumber, and because the width of a unit interval in each domain corresponds to a different range of
+ * wavelengths, the three spectral densities have different shapes and peak at different wavelengths.
+ *
+ * Each domain converts between wavelengths (in nm) and values in its own units, and converts a body's spectral power
+ * density (as returned by BlackbodyBodyModel.getSpectralPowerDensityAt) or a measured spectral power density (in
+ * MW/m^2/µm) to a spectral density in its own units:
+ * - wavelength: values in nm, spectral densities in MW/m^2/µm
+ * - frequency: values in THz, spectral densities in kW/m^2/THz
+ * - wavenumber: values in cm^-1, spectral densities in kW/m^2/cm^-1
+ *
+ * Spectra can also be plotted as photon spectral fluxes, which count photons instead of energy:
+ * - wavelength: photon spectral fluxes in 10^24 photons/s/m^2/µm
+ * - frequency: photon spectral fluxes in 10^21 photons/s/m^2/THz
+ * - wavenumber: photon spectral fluxes in 10^21 photons/s/m^2/cm^-1
+ *
+ * @author Arnab Purkayastha
+ */
+
+// constants
+const SPEED_OF_LIGHT = 2.99792458e8; // in meters per second
+const WAVELENGTH_CONVERSION_FACTOR = 1e33; // from the body's units to MW/m^2/µm
+const FREQUENCY_CONVERSION_FACTOR = 1e36 / SPEED_OF_LIGHT; // times wavelength^2, from the body's units to kW/m^2/THz
+const WAVENUMBER_CONVERSION_FACTOR = 1e26; // times wavelength^2, from the body's units to kW/m^2/cm^-1
+
+// times wavelength (in nm), from a spectral power density to a photon spectral flux in the units of the same domain,
+// which is 1e-27 / hc because each photon carries an energy of hc / wavelength
+const PHOTON_CONVERSION_FACTOR = 1e-27 / 1.98644586e-25;
+
+/**
+ * Returns the spectral power density of a body at a wavelength, or the photon spectral flux in units of the same
+ * scale, with the wavelengths that have no emission (0 and infinity, which are at the ends of the frequency and
+ * wavenumber axes) returning 0
+ * @param {BlackbodyBodyModel} body
+ * @param {number} wavelength - in nm
+ * @param {boolean} idealBlackbody - whether to ignore the emissivity of the body
+ * @param {boolean} photonFlux - whether to count photons instead of energy
+ * @returns {number}
+ */
+const getSpectralPowerDensity = ( body, wavelength, idealBlackbody, photonFlux ) => {
+  if ( wavelength <= 0 || !isFinite( wavelength ) ) {
+    return 0;
+  }
+  const spectralPowerDensity = idealBlackbody ?
+                               body.getBlackbodySpectralPowerDensityAt( wavelength ) :
+                               body.getSpectralPowerDensityAt( wavelength );
+  return photonFlux ? PHOTON_CONVERSION_FACTOR * wavelength * spectralPowerDensity : spectralPowerDensity;
+};
+
+/**
+ * Converts a measured spectral power density in MW/m^2/µm to the body's units, or to the photon spectral flux in units
+ * of the same scale, with the wavelengths that have no emission returning 0 as in getSpectralPowerDensity
+ * @param {number} spectralPowerDensity - in MW/m^2/µm
+ * @param {number} wavelength - in nm
+ * @param {boolean} photonFlux - whether to count photons instead of energy
+ * @returns {number}
+ */
+const fromMeasuredSpectralPowerDensity = ( spectralPowerDensity, wavelength, photonFlux ) => {
+  if ( wavelength <= 0 || !isFinite( wavelength ) ) {
+    return 0;
+  }
+  const bodySpectralPowerDensity = spectralPowerDensity / WAVELENGTH_CONVERSION_FACTOR;
+  return photonFlux ? PHOTON_CONVERSION_FACTOR * wavelength * bodySpectralPowerDensity : bodySpectralPowerDensity;
+};
+
+/**
+ * Returns the wavelength (in nm) at which the spectral density per unit frequency or wavenumber of a body peaks
+ * @param {BlackbodyBodyModel} body
+ * @param {boolean} photonFlux - whether to find the peak of the photon spectral flux instead
+ * @returns {number}
+ */
+const getFrequencyPeakWavelength = ( body, photonFlux ) =>
+  1e9 * SPEED_OF_LIGHT / ( photonFlux ? body.peakPhotonFrequency : body.peakFrequency );
+
+const SpectrumDomain = {
+
+  // @public {Object}
+  WAVELENGTH: {
+    name: 'wavelength',
+    fromWavelength: wavelength => wavelength,
+    toWavelength: value => value,
+    getSpectralDensity: ( body, wavelength, idealBlackbody = false, photonFlux = false ) =>
+      WAVELENGTH_CONVERSION_FACTOR * getSpectralPowerDensity( body, wavelength, idealBlackbody, photonFlux ),
+    convertMeasuredSpectralDensity: ( spectralPowerDensity, wavelength, photonFlux = false ) =>
+      WAVELENGTH_CONVERSION_FACTOR * fromMeasuredSpectralPowerDensity( spectralPowerDensity, wavelength, photonFlux ),
+    getPeakWavelength: ( body, photonFlux = false ) => photonFlux ? body.peakPhotonWavelength : body.peakWavelength
+  },
+
+  // @public {Object}
+  FREQUENCY: {
+    name: 'frequency',
+    fromWavelength: wavelength => 1e-3 * SPEED_OF_LIGHT / wavelength,
+    toWavelength: value => 1e-3 * SPEED_OF_LIGHT / value,
+    getSpectralDensity: ( body, wavelength, idealBlackbody = false, photonFlux = false ) =>
+      FREQUENCY_CONVERSION_FACTOR * wavelength * wavelength *
+      getSpectralPowerDensity( body, wavelength, idealBlackbody, photonFlux ),
+    convertMeasuredSpectralDensity: ( spectralPowerDensity, wavelength, photonFlux = false ) =>
+      FREQUENCY_CONVERSION_FACTOR * wavelength * wavelength *
+      fromMeasuredSpectralPowerDensity( spectralPowerDensity, wavelength, photonFlux ),
+    getPeakWavelength: getFrequencyPeakWavelength
+  },
+
+  // @public {Object}
+  WAVENUMBER: {
+    name: 'wavenumber',
+    fromWavelength: wavelength => 1e7 / wavelength,
+    toWavelength: value => 1e7 / value,
+    getSpectralDensity: ( body, wavelength, idealBlackbody = false, photonFlux = false ) =>
+      WAVENUMBER_CONVERSION_FACTOR * wavelength * wavelength *
+      getSpectralPowerDensity( body, wavelength, idealBlackbody, photonFlux ),
+    convertMeasuredSpectralDensity: ( spectralPowerDensity, wavelength, photonFlux = false ) =>
+      WAVENUMBER_CONVERSION_FACTOR * wavelength * wavelength *
+      fromMeasuredSpectralPowerDensity( spectralPowerDensity, wavelength, photonFlux ),
+    getPeakWavelength: getFrequencyPeakWavelength
+  },
+
+  /**
+   * Gets the domain with the given name
+   * @public
+   * @param {string} name - one of SpectrumDomain.NAMES
+   * @returns {Object}
+   */
+  get( name ) {
+    const domain = _.find( [ SpectrumDomain.WAVELENGTH, SpectrumDomain.FREQUENCY, SpectrumDomain.WAVENUMBER ],
+      spectrumDomain => spectrumDomain.name === name );
+    assert && assert( domain, `unknown spectrum domain: ${name}` );
+    return domain;
+  }
+};
+
+// @public {string[]} names of all domains, for use as validValues
+SpectrumDomain.NAMES = [
+  SpectrumDomain.WAVELENGTH.name,
+  SpectrumDomain.FREQUENCY.name,
+  SpectrumDomain.WAVENUMBER.name
+];
+
+// @public {number} from the units of a body's spectral power density to MW/m^2/µm, the units of measured spectra
+SpectrumDomain.WAVELENGTH_CONVERSION_FACTOR = WAVELENGTH_CONVERSION_FACTOR;
+
+export default SpectrumDomain;
@@ -0,0 +1,149 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creates files with the spectra of bodies, so that they can be analyzed outside of the sim. Spectra are sampled at
+ * evenly spaced wavelengths, and each body is described by its temperature, peak wavelength and total intensity.
+ *
+ * Exported values are in these units:
+ * - wavelength: nm
+ * - spectral power density: MW/m^2/µm
+ * - photon spectral flux: photons/s/m^2/µm
+ * - temperature: K
+ * - total intensity: W/m^2
+ * - total photon flux: photons/s/m^2
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import SpectrumDomain from './SpectrumDomain.js';
+
+// constants
+const UNITS = {
+  wavelength: 'nm',
+  spectralPowerDensity: 'MW/m^2/µm',
+  photonSpectralFlux: 'photons/s/m^2/µm',
+  temperature: 'K',
+  peakWavelength: 'nm',
+  totalIntensity: 'W/m^2',
+  totalPhotonFlux: 'photons/s/m^2'
+};
+
+/**
+ * Quotes a CSV field if it contains characters that would otherwise split it
+ * @param {string|number} field
+ * @returns {string}
+ */
+const toCSVField = field => {
+  const fieldString = `${field}`;
+  return /[",\n]/.test( fieldString ) ? `"${fieldString.replace( /"/g, '""' )}"` : fieldString;
+};
+
+const SpectrumExport = {
+
+  /**
+   * Samples the spectra of bodies, along with a summary of each body
+   * @public
+   * @param {Array.<{name:string, body:BlackbodyBodyModel}>} namedBodies
+   * @param {number} minWavelength - in nm
+   * @param {number} maxWavelength - in nm
+   * @param {number} numberOfPoints - at least 2
+   * @param {boolean} includePhotonFlux - whether to include photon spectral fluxes and total photon fluxes
+   * @returns {Object}
+   */
+  getSpectrumData( namedBodies, minWavelength, maxWavelength, numberOfPoints, includePhotonFlux ) {
+    assert && assert( minWavelength > 0 && maxWavelength > minWavelength, 'invalid wavelength range' );
+    assert && assert( Number.isInteger( numberOfPoints ) && numberOfPoints >= 2, 'invalid number of points' );
+
+    const wavelengths = _.range( numberOfPoints ).map( i =>
+      Utils.linear( 0, numberOfPoints - 1, minWavelength, maxWavelength, i )
+    );
+    const bodiesData = namedBodies.map( namedBody => {
+      const body = namedBody.body;
+      const bodyData = {
+        name: namedBody.name,
+        temperature: body.temperatureProperty.value,
+        peakWavelength: body.peakWavelength,
+        totalIntensity: body.totalIntensity,
+        spectralPowerDensity: wavelengths.map( wavelength =>
+          SpectrumDomain.WAVELENGTH.getSpectralDensity( body, wavelength )
+        )
+      };
+      if ( includePhotonFlux ) {
+        bodyData.totalPhotonFlux = body.totalPhotonFlux;
+        bodyData.photonSpectralFlux = wavelengths.map( wavelength => body.getPhotonSpectralFluxAt( wavelength ) );
+      }
+      return bodyData;
+    } );
+
+    return {
+      units: includePhotonFlux ? UNITS : _.omit( UNITS, [ 'photonSpectralFlux', 'totalPhotonFlux' ] ),
+      wavelengths: wavelengths,
+      bodies: bodiesData
+    };
+  },
+
+  /**
+   * Formats spectrum data as CSV. The summary of each body is given first, in lines that start with #, followed by a
+   * table with a row for each wavelength and a column for each spectrum.
+   * @public
+   * @param {Object} spectrumData - as returned by getSpectrumData
+   * @returns {string}
+   */
+  toCSV( spectrumData ) {
+    const units = spectrumData.units;
+    const includePhotonFlux = !!units.photonSpectralFlux;
+    const lines = [];
+
+    const summaryHeaders = [
+      'body',
+      `temperature (${units.temperature})`,
+      `peak wavelength (${units.peakWavelength})`,
+      `total intensity (${units.totalIntensity})`
+    ];
+    if ( includePhotonFlux ) {
+      summaryHeaders.push( `total photon flux (${units.totalPhotonFlux})` );
+    }
+    lines.push( `# ${summaryHeaders.map( toCSVField ).join( ',' )}` );
+    spectrumData.bodies.forEach( bodyData => {
+      const summary = [ bodyData.name, bodyData.temperature, bodyData.peakWavelength, bodyData.totalIntensity ];
+      if ( includePhotonFlux ) {
+        summary.push( bodyData.totalPhotonFlux );
+      }
+      lines.push( `# ${summary.map( toCSVField ).join( ',' )}` );
+    } );
+
+    const tableHeaders = [ `wavelength (${units.wavelength})` ];
+    spectrumData.bodies.forEach( bodyData => {
+      tableHeaders.push( `${bodyData.name} spectral power density (${units.spectralPowerDensity})` );
+      if ( includePhotonFlux ) {
+        tableHeaders.push( `${bodyData.name} photon spectral flux (${units.photonSpectralFlux})` );
+      }
+    } );
+    lines.push( tableHeaders.map( toCSVField ).join( ',' ) );
+    spectrumData.wavelengths.forEach( ( wavelength, i ) => {
+      const row = [ wavelength ];
+      spectrumData.bodies.forEach( bodyData => {
+        row.push( bodyData.spectralPowerDensity[ i ] );
+        if ( includePhotonFlux ) {
+          row.push( bodyData.photonSpectralFlux[ i ] );
+        }
+      } );
+      lines.push( row.map( toCSVField ).join( ',' ) );
+    } );
+
+    return `${lines.join( '\n' )}\n`;
+  },
+
+  /**
+   * Formats spectrum data as JSON
+   * @public
+   * @param {Object} spectrumData - as returned by getSpectrumData
+   * @returns {string}
+   */
+  toJSON( spectrumData ) {
+    return JSON.stringify( spectrumData, null, 2 );
+  }
+};
+
+export default SpectrumExport;
@@ -0,0 +1,71 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpectrumExport tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import SpectrumExport from './SpectrumExport.js';
+
+/**
+ * Creates bodies to export
+ * @returns {Array.<{name:string, body:BlackbodyBodyModel}>}
+ */
+const createNamedBodies = () => [
+  { name: 'Sun', body: new BlackbodyBodyModel( 5800, Tandem.OPT_OUT ) },
+  { name: 'Lamp, "warm"', body: new BlackbodyBodyModel( 3000, Tandem.OPT_OUT ) }
+];
+
+QUnit.module( 'SpectrumExport' );
+
+QUnit.test( 'spectrum data', assert => {
+  const namedBodies = createNamedBodies();
+  const spectrumData = SpectrumExport.getSpectrumData( namedBodies, 100, 3000, 30, false );
+
+  assert.equal( spectrumData.wavelengths.length, 30, 'one wavelength per point' );
+  assert.equal( spectrumData.wavelengths[ 0 ], 100, 'starts at the minimum wavelength' );
+  assert.equal( spectrumData.wavelengths[ 29 ], 3000, 'ends at the maximum wavelength' );
+  assert.ok( Math.abs( spectrumData.wavelengths[ 1 ] - 200 ) < 1e-9, 'wavelengths are evenly spaced' );
+
+  assert.deepEqual( spectrumData.bodies.map( bodyData => bodyData.name ), [ 'Sun', 'Lamp, "warm"' ],
+    'a summary of each body' );
+  const sunData = spectrumData.bodies[ 0 ];
+  assert.equal( sunData.temperature, 5800, 'temperature' );
+  assert.equal( sunData.peakWavelength, namedBodies[ 0 ].body.peakWavelength, 'peak wavelength' );
+  assert.equal( sunData.spectralPowerDensity.length, 30, 'one spectral power density per point' );
+  assert.notOk( 'photonSpectralFlux' in sunData, 'no photon flux unless it is included' );
+  assert.notOk( 'totalPhotonFlux' in spectrumData.units, 'no photon flux units unless it is included' );
+
+  const photonData = SpectrumExport.getSpectrumData( namedBodies, 100, 3000, 30, true );
+  assert.equal( photonData.bodies[ 0 ].photonSpectralFlux.length, 30, 'one photon spectral flux per point' );
+  assert.equal( photonData.bodies[ 0 ].totalPhotonFlux, namedBodies[ 0 ].body.totalPhotonFlux, 'total photon flux' );
+
+  namedBodies.forEach( namedBody => namedBody.body.dispose() );
+} );
+
+QUnit.test( 'CSV', assert => {
+  const namedBodies = createNamedBodies();
+  const spectrumData = SpectrumExport.getSpectrumData( namedBodies, 100, 3000, 5, true );
+  const lines = SpectrumExport.toCSV( spectrumData ).trim().split( '\n' );
+
+  // A summary header, a summary of each body, a table header and a row for each wavelength
+  assert.equal( lines.length, 1 + 2 + 1 + 5, 'number of lines' );
+  assert.ok( lines[ 0 ].startsWith( '# body,' ), 'the summary comes first' );
+  assert.ok( lines[ 2 ].startsWith( '# "Lamp, ""warm""",3000,' ), 'names with commas and quotes are quoted' );
+  assert.equal( lines[ 3 ].split( ',' )[ 0 ], 'wavelength (nm)', 'the table header' );
+  assert.equal( lines[ 4 ].split( ',' ).length, 1 + 2 * 2, 'a wavelength and two columns for each body' );
+  assert.equal( lines[ 8 ].split( ',' )[ 0 ], '3000', 'the last row is at the maximum wavelength' );
+
+  namedBodies.forEach( namedBody => namedBody.body.dispose() );
+} );
+
+QUnit.test( 'JSON', assert => {
+  const namedBodies = createNamedBodies();
+  const spectrumData = SpectrumExport.getSpectrumData( namedBodies, 100, 3000, 5, false );
+  assert.deepEqual( JSON.parse( SpectrumExport.toJSON( spectrumData ) ), spectrumData, 'JSON holds all of the data' );
+
+  namedBodies.forEach( namedBody => namedBody.body.dispose() );
+} );
@@ -0,0 +1,149 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The reference objects whose temperatures can be labeled on the thermometer. Besides the built-in presets, which have
+ * translated names, a preset can be described by a string of the form 'name:temperature', such as 'Kiln:1500', so
+ * that the presets can be chosen in the temperaturePresets query parameter.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const betelgeuseString = BlackbodySpectrumStrings.betelgeuse;
+const candleFlameString = BlackbodySpectrumStrings.candleFlame;
+const earthString = BlackbodySpectrumStrings.earth;
+const humanBodyString = BlackbodySpectrumStrings.humanBody;
+const lavaString = BlackbodySpectrumStrings.lava;
+const lightBulbString = BlackbodySpectrumStrings.lightBulb;
+const rigelString = BlackbodySpectrumStrings.rigel;
+const siriusAString = BlackbodySpectrumStrings.siriusA;
+const sunString = BlackbodySpectrumStrings.sun;
+
+// constants
+const CUSTOM_PRESET_PATTERN = /^.+:\d+(\.\d+)?$/; // a name, then a colon and the temperature in K
+const MAX_KEYED_PRESETS = 9; // number of presets that the number keys jump to
+
+/**
+ * Creates a preset
+ * @param {string} name - the name shown to the user
+ * @param {number} temperature - in K
+ * @returns {{name: string, temperature: number}}
+ */
+const createPreset = ( name, temperature ) => {
+  return { name: name, temperature: temperature };
+};
+
+const TemperaturePresets = {
+
+  // @public {Object}
+  EARTH: createPreset( earthString, BlackbodyConstants.earthTemperature ),
+  HUMAN_BODY: createPreset( humanBodyString, BlackbodyConstants.humanBodyTemperature ),
+  LAVA: createPreset( lavaString, BlackbodyConstants.lavaTemperature ),
+  CANDLE_FLAME: createPreset( candleFlameString, BlackbodyConstants.candleFlameTemperature ),
+  LIGHT_BULB: createPreset( lightBulbString, BlackbodyConstants.lightBulbTemperature ),
+  BETELGEUSE: createPreset( betelgeuseString, BlackbodyConstants.betelgeuseTemperature ),
+  SUN: createPreset( sunString, BlackbodyConstants.sunTemperature ),
+  SIRIUS_A: createPreset( siriusAString, BlackbodyConstants.siriusATemperature ),
+  RIGEL: createPreset( rigelString, BlackbodyConstants.rigelTemperature ),
+
+  /**
+   * Whether a string describes a preset, as either the key of a built-in preset or 'name:temperature'
+   * @public
+   * @param {string} string
+   * @returns {boolean}
+   */
+  isValidString( string ) {
+    return TemperaturePresets.KEYS.includes( string ) || CUSTOM_PRESET_PATTERN.test( string );
+  },
+
+  /**
+   * Gets the preset that a string describes. The temperature follows the last colon, so names can contain colons.
+   * @public
+   * @param {string} string - see isValidString
+   * @returns {{name: string, temperature: number}}
+   */
+  fromString( string ) {
+    assert && assert( TemperaturePresets.isValidString( string ), `invalid temperature preset: ${string}` );
+    if ( TemperaturePresets.KEYS.includes( string ) ) {
+      return TemperaturePresets.BUILT_IN[ TemperaturePresets.KEYS.indexOf( string ) ];
+    }
+    const colonIndex = string.lastIndexOf( ':' );
+    return createPreset( string.slice( 0, colonIndex ).trim(), Number( string.slice( colonIndex + 1 ) ) );
+  },
+
+  /**
+   * Whether a value is a preset, for validating presets that are set through PhET-iO
+   * @public
+   * @param {*} value
+   * @returns {boolean}
+   */
+  isPreset( value ) {
+    return !!value && typeof value.name === 'string' && typeof value.temperature === 'number' &&
+           Number.isFinite( value.temperature ) && value.temperature > 0;
+  },
+
+  /**
+   * Gets the presets that are within a range of temperatures, from the coolest to the hottest. Presets outside of the
+   * range are left out, rather than being moved to its ends.
+   * @public
+   * @param {{name: string, temperature: number}[]} presets
+   * @param {number} minTemperature - in K
+   * @param {number} maxTemperature - in K
+   * @returns {{name: string, temperature: number}[]}
+   */
+  getPresetsInRange( presets, minTemperature, maxTemperature ) {
+    return _.sortBy( presets.filter( preset => preset.temperature >= minTemperature &&
+                                               preset.temperature <= maxTemperature ), 'temperature' );
+  },
+
+  /**
+   * Gets the number key that jumps to a preset, where presets are numbered from the coolest one in range
+   * @public
+   * @param {number} index - index of the preset in the array returned by getPresetsInRange
+   * @returns {string|null} - null if there aren't enough number keys for the preset
+   */
+  getKey( index ) {
+    return index < MAX_KEYED_PRESETS ? `${index + 1}` : null;
+  }
+};
+
+// @public {Object[]} all built-in presets, from the coolest to the hottest
+TemperaturePresets.BUILT_IN = [
+  TemperaturePresets.EARTH,
+  TemperaturePresets.HUMAN_BODY,
+  TemperaturePresets.LAVA,
+  TemperaturePresets.CANDLE_FLAME,
+  TemperaturePresets.LIGHT_BULB,
+  TemperaturePresets.BETELGEUSE,
+  TemperaturePresets.SUN,
+  TemperaturePresets.SIRIUS_A,
+  TemperaturePresets.RIGEL
+];
+
+// @public {string[]} keys of the built-in presets in the query parameter, in the same order as BUILT_IN
+TemperaturePresets.KEYS = [
+  'earth',
+  'humanBody',
+  'lava',
+  'candleFlame',
+  'lightBulb',
+  'betelgeuse',
+  'sun',
+  'siriusA',
+  'rigel'
+];
+
+// @public {Object[]} the presets that are labeled when none are chosen
+TemperaturePresets.DEFAULT = [
+  TemperaturePresets.EARTH,
+  TemperaturePresets.LIGHT_BULB,
+  TemperaturePresets.SUN,
+  TemperaturePresets.SIRIUS_A
+];
+
+// @public {string[]} number keys that can jump to presets
+TemperaturePresets.NUMBER_KEYS = _.range( MAX_KEYED_PRESETS ).map( index => TemperaturePresets.getKey( index ) );
+
+export default TemperaturePresets;
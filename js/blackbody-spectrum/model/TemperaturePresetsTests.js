@@ -0,0 +1,38 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * TemperaturePresets tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import TemperaturePresets from './TemperaturePresets.js';
+
+QUnit.module( 'TemperaturePresets' );
+
+QUnit.test( 'fromString', assert => {
+  assert.equal( TemperaturePresets.fromString( 'sun' ), TemperaturePresets.SUN, 'a built-in preset by its key' );
+  assert.deepEqual( TemperaturePresets.fromString( 'Kiln:1500' ), { name: 'Kiln', temperature: 1500 },
+    'a custom preset' );
+  assert.deepEqual( TemperaturePresets.fromString( 'Lamp 2: halogen :3200.5' ),
+    { name: 'Lamp 2: halogen', temperature: 3200.5 }, 'the temperature follows the last colon' );
+
+  assert.ok( TemperaturePresets.isValidString( 'rigel' ), 'keys are valid' );
+  [ 'Kiln', 'Kiln:', ':1500', 'Kiln:-1500', 'Kiln:hot', 'Sun' ].forEach( string => {
+    assert.notOk( TemperaturePresets.isValidString( string ), `invalid preset: ${string}` );
+  } );
+} );
+
+QUnit.test( 'getPresetsInRange', assert => {
+  const kiln = TemperaturePresets.fromString( 'Kiln:1500' );
+  const presets = [ TemperaturePresets.SUN, kiln, TemperaturePresets.EARTH, TemperaturePresets.RIGEL ];
+
+  assert.deepEqual( TemperaturePresets.getPresetsInRange( presets, 200, 11000 ),
+    [ TemperaturePresets.EARTH, kiln, TemperaturePresets.SUN ],
+    'presets are sorted from the coolest, and those outside of the range are left out' );
+  assert.deepEqual( TemperaturePresets.getPresetsInRange( presets, 1500, 5800 ), [ kiln, TemperaturePresets.SUN ],
+    'presets at the ends of the range are included' );
+  assert.deepEqual( TemperaturePresets.getPresetsInRange( presets, 20000, 30000 ), [], 'no presets in range' );
+  assert.deepEqual( TemperaturePresets.getPresetsInRange( TemperaturePresets.BUILT_IN, 2.7, 100000 ),
+    TemperaturePresets.BUILT_IN, 'the built-in presets are in order' );
+} );
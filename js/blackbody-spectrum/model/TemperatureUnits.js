@@ -0,0 +1,83 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The units that temperatures can be shown in. The model always works in kelvin, and each unit converts temperatures
+ * in kelvin to and from its own scale for display.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const celsiusUnitsString = BlackbodySpectrumStrings.celsiusUnits;
+const fahrenheitUnitsString = BlackbodySpectrumStrings.fahrenheitUnits;
+const kelvinUnitsString = BlackbodySpectrumStrings.kelvinUnits;
+
+// constants
+const TENTHS_MAX_TEMPERATURE = 10; // in K, temperatures below this are shown to a tenth of a degree
+const ABSOLUTE_ZERO_CELSIUS = -273.15; // in degrees Celsius
+const ABSOLUTE_ZERO_FAHRENHEIT = -459.67; // in degrees Fahrenheit
+
+const TemperatureUnits = {
+
+  // @public {Object}
+  KELVIN: {
+    name: 'kelvin',
+    unitsString: kelvinUnitsString,
+    fromKelvin: temperature => temperature,
+    toKelvin: value => value
+  },
+
+  // @public {Object}
+  CELSIUS: {
+    name: 'celsius',
+    unitsString: celsiusUnitsString,
+    fromKelvin: temperature => temperature + ABSOLUTE_ZERO_CELSIUS,
+    toKelvin: value => value - ABSOLUTE_ZERO_CELSIUS
+  },
+
+  // @public {Object}
+  FAHRENHEIT: {
+    name: 'fahrenheit',
+    unitsString: fahrenheitUnitsString,
+    fromKelvin: temperature => temperature * 9 / 5 + ABSOLUTE_ZERO_FAHRENHEIT,
+    toKelvin: value => ( value - ABSOLUTE_ZERO_FAHRENHEIT ) * 5 / 9
+  },
+
+  /**
+   * Gets the units with the given name
+   * @public
+   * @param {string} name - one of TemperatureUnits.NAMES
+   * @returns {Object}
+   */
+  get( name ) {
+    const units = _.find( [ TemperatureUnits.KELVIN, TemperatureUnits.CELSIUS, TemperatureUnits.FAHRENHEIT ],
+      temperatureUnits => temperatureUnits.name === name );
+    assert && assert( units, `unknown temperature units: ${name}` );
+    return units;
+  },
+
+  /**
+   * Formats a temperature for display in the given units, rounded to the nearest degree. Temperatures within a few
+   * degrees of absolute zero, such as that of the cosmic microwave background, are rounded to a tenth of a degree.
+   * @public
+   * @param {number} temperature - in K
+   * @param {string} name - one of TemperatureUnits.NAMES
+   * @returns {string}
+   */
+  format( temperature, name ) {
+    const units = TemperatureUnits.get( name );
+    const decimalPlaces = temperature < TENTHS_MAX_TEMPERATURE ? 1 : 0;
+    return `${Utils.toFixed( units.fromKelvin( temperature ), decimalPlaces )} ${units.unitsString}`;
+  }
+};
+
+// @public {string[]} names of all units, for use as validValues
+TemperatureUnits.NAMES = [
+  TemperatureUnits.KELVIN.name,
+  TemperatureUnits.CELSIUS.name,
+  TemperatureUnits.FAHRENHEIT.name
+];
+
+export default TemperatureUnits;
@@ -0,0 +1,279 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model of how the temperature of a body changes in time when it exchanges radiation with its surroundings. The body
+ * has a heat capacity and a surface area, and radiates with the emissivity of its material. It cools toward the
+ * temperature of its surroundings, or heats up when it is given an input power, following
+ *
+ *   C dT/dt = P_in - εσA( T⁴ - T_ambient⁴ )
+ *
+ * A record of the temperature over time is kept so that it can be plotted.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import TimeSpeed from '../../../../scenery-phet/js/TimeSpeed.js';
+import isSettingPhetioStateProperty from '../../../../tandem/js/isSettingPhetioStateProperty.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+
+// constants
+const TIME_SCALES = new Map( [ // model seconds that pass in each second of real time, at each time speed
+  [ TimeSpeed.SLOW, 0.2 ],
+  [ TimeSpeed.NORMAL, 1 ],
+  [ TimeSpeed.FAST, 10 ]
+] );
+const STEP_TIME = 1 / 60; // in s of real time, the time that passes when the step button is pressed
+const MAX_STEP_TIME = 0.1; // in s of real time, longer steps are shortened so that the model doesn't jump on lag
+const MAX_TEMPERATURE_CHANGE = 0.02; // largest fractional change in temperature or its rate of change per sub-step
+const MAX_SUB_STEPS = 1000;
+const HISTORY_INTERVAL = 0.05; // in s, the initial time between recorded temperatures
+const MAX_HISTORY_LENGTH = 400; // the history is thinned to half of its points when it grows to this length
+
+class ThermalEvolutionModel {
+
+  /**
+   * @param {BlackbodyBodyModel} body - the body whose temperature evolves
+   * @param {Tandem} tandem
+   */
+  constructor( body, tandem ) {
+
+    // @private {BlackbodyBodyModel}
+    this.body = body;
+
+    // @public {Property.<boolean>}
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'enabledProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'whether the temperature of the main body changes in time as it exchanges radiation with ' +
+                           'its surroundings'
+    } );
+
+    // @public {Property.<boolean>}
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'isPlayingProperty' ),
+      phetioDocumentation: 'whether time is passing when the temperature changes in time'
+    } );
+
+    // @public {EnumerationProperty.<TimeSpeed>}
+    this.timeSpeedProperty = new EnumerationProperty( TimeSpeed.NORMAL, {
+      validValues: [ ...TIME_SCALES.keys() ],
+      tandem: tandem.createTandem( 'timeSpeedProperty' ),
+      phetioDocumentation: 'how fast time passes when the temperature changes in time'
+    } );
+
+    // @public {Property.<number>} - in joules per kelvin
+    this.heatCapacityProperty = new NumberProperty( 1000, {
+      range: new Range( 100, 10000 ),
+      units: 'J/K',
+      tandem: tandem.createTandem( 'heatCapacityProperty' ),
+      phetioDocumentation: 'the energy needed to raise the temperature of the body by one kelvin'
+    } );
+
+    // @public {Property.<number>} - in meters^2
+    this.surfaceAreaProperty = new NumberProperty( 0.01, {
+      range: new Range( 0.001, 0.1 ),
+      units: 'm^2',
+      tandem: tandem.createTandem( 'surfaceAreaProperty' ),
+      phetioDocumentation: 'the area of the surface that the body radiates from'
+    } );
+
+    // @public {Property.<number>} - in kelvin
+    this.ambientTemperatureProperty = new NumberProperty( 300, {
+      range: new Range( BlackbodyConstants.minTemperature, BlackbodyConstants.maxTemperature ),
+      units: 'K',
+      tandem: tandem.createTandem( 'ambientTemperatureProperty' ),
+      phetioDocumentation: 'the temperature of the surroundings, which the body cools or heats toward without an ' +
+                           'input power'
+    } );
+
+    // @public {Property.<number>} - in watts
+    this.inputPowerProperty = new NumberProperty( 0, {
+      range: new Range( 0, 1e6 ),
+      units: 'W',
+      tandem: tandem.createTandem( 'inputPowerProperty' ),
+      phetioDocumentation: 'the power that heats the body, in addition to the radiation it absorbs from its ' +
+                           'surroundings'
+    } );
+
+    // @public (read-only) {Property.<number>} - in seconds, since the temperature started changing in time
+    this.timeProperty = new NumberProperty( 0, {
+      units: 's',
+      tandem: tandem.createTandem( 'timeProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'the time that has passed since the temperature started changing in time'
+    } );
+
+    // @public {ObservableArrayDef.<Vector2>} - the temperature of the body (y, in K) at times (x, in s), in order of
+    // time
+    this.temperatureHistory = createObservableArray( {
+      tandem: tandem.createTandem( 'temperatureHistory' ),
+      phetioType: createObservableArray.ObservableArrayIO( Vector2.Vector2IO ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'the temperature of the body over time, as ( time, temperature ) points'
+    } );
+
+    // @private {number} - in s, the time between recorded temperatures, which doubles each time the history is thinned
+    this.historyInterval = HISTORY_INTERVAL;
+
+    // The clock and history start over each time the temperature starts changing in time
+    this.enabledProperty.lazyLink( enabled => {
+      enabled && !isSettingPhetioStateProperty.value && this.clearHistory();
+    } );
+  }
+
+  /**
+   * Resets the settings, clock and history
+   * @public
+   */
+  reset() {
+    this.enabledProperty.reset();
+    this.isPlayingProperty.reset();
+    this.timeSpeedProperty.reset();
+    this.heatCapacityProperty.reset();
+    this.surfaceAreaProperty.reset();
+    this.ambientTemperatureProperty.reset();
+    this.inputPowerProperty.reset();
+    this.clearHistory();
+  }
+
+  /**
+   * Starts the clock and history over from the current temperature
+   * @public
+   */
+  clearHistory() {
+    this.timeProperty.reset();
+    this.historyInterval = HISTORY_INTERVAL;
+    this.temperatureHistory.clear();
+    this.temperatureHistory.push( new Vector2( 0, this.body.temperatureProperty.value ) );
+  }
+
+  /**
+   * Steps the model in time while the temperature changes in time and time is passing
+   * @public
+   * @param {number} dt - in seconds of real time
+   */
+  step( dt ) {
+    if ( this.enabledProperty.value && this.isPlayingProperty.value ) {
+      this.evolve( Math.min( dt, MAX_STEP_TIME ) * TIME_SCALES.get( this.timeSpeedProperty.value ) );
+    }
+  }
+
+  /**
+   * Steps the model forward by a single frame, for the step button
+   * @public
+   */
+  stepForward() {
+    this.evolve( STEP_TIME * TIME_SCALES.get( this.timeSpeedProperty.value ) );
+  }
+
+  /**
+   * Gets the net power that heats the body, which is negative when the body is cooling
+   * @public
+   * @returns {number} - in watts
+   */
+  getNetPower() {
+    return this.getNetPowerAt( this.body.temperatureProperty.value, this.getEffectiveEmissivity() );
+  }
+
+  get netPower() { return this.getNetPower(); }
+
+  /**
+   * Gets the emissivity of the body averaged over its spectrum, which is the fraction of the intensity of an ideal
+   * blackbody that it emits. It is taken at the current temperature, and is used for absorption as well as emission so
+   * that a body of any material absorbs from surroundings at its own temperature at the same rate it emits, as gray
+   * bodies do.
+   * @private
+   * @returns {number}
+   */
+  getEffectiveEmissivity() {
+    return this.body.totalIntensity /
+           ( BlackbodyBodyModel.STEFAN_BOLTZMANN_CONSTANT * Math.pow( this.body.temperatureProperty.value, 4 ) );
+  }
+
+  /**
+   * Gets the net power that heats the body at a temperature
+   * @private
+   * @param {number} temperature - in K
+   * @param {number} emissivity - the effective emissivity of the body
+   * @returns {number} - in watts
+   */
+  getNetPowerAt( temperature, emissivity ) {
+    return this.inputPowerProperty.value - this.getRadiatedPower( temperature, emissivity ) +
+           this.getRadiatedPower( this.ambientTemperatureProperty.value, emissivity );
+  }
+
+  /**
+   * Gets the power that the body radiates at a temperature, or absorbs from surroundings at that temperature
+   * @private
+   * @param {number} temperature - in K
+   * @param {number} emissivity - the effective emissivity of the body
+   * @returns {number} - in watts
+   */
+  getRadiatedPower( temperature, emissivity ) {
+    return emissivity * BlackbodyBodyModel.STEFAN_BOLTZMANN_CONSTANT * this.surfaceAreaProperty.value *
+           Math.pow( temperature, 4 );
+  }
+
+  /**
+   * Changes the temperature of the body over a period of model time. Since the radiated power grows so quickly with
+   * temperature, the period is split into sub-steps that are short compared to the time the body takes to approach
+   * equilibrium, which keeps the integration stable.
+   * @private
+   * @param {number} dt - in seconds of model time
+   */
+  evolve( dt ) {
+    const heatCapacity = this.heatCapacityProperty.value;
+    const emissivity = this.getEffectiveEmissivity();
+    let temperature = this.body.temperatureProperty.value;
+    let remainingTime = dt;
+    for ( let i = 0; i < MAX_SUB_STEPS && remainingTime > 0; i++ ) {
+      const netPower = this.getNetPowerAt( temperature, emissivity );
+
+      // The derivative of the radiated power with respect to temperature is 4P/T
+      const powerScale = Math.abs( netPower ) + 4 * this.getRadiatedPower( temperature, emissivity );
+      const subStep = Math.min( remainingTime, MAX_TEMPERATURE_CHANGE * heatCapacity * temperature / powerScale );
+      temperature = Utils.clamp(
+        temperature + netPower * subStep / heatCapacity,
+        BlackbodyConstants.minTemperature,
+        BlackbodyConstants.maxTemperature
+      );
+      remainingTime -= subStep;
+    }
+
+    // If the sub-steps ran out, only the time that was simulated passes
+    this.body.temperatureProperty.value = temperature;
+    this.timeProperty.value += dt - remainingTime;
+    this.recordTemperature();
+  }
+
+  /**
+   * Adds the current temperature to the history when enough time has passed since the last recorded temperature. When
+   * the history grows too long, every other point is removed and points are recorded half as often, so that the whole
+   * history can be plotted.
+   * @private
+   */
+  recordTemperature() {
+    const time = this.timeProperty.value;
+    const lastPoint = this.temperatureHistory.length ? this.temperatureHistory[ this.temperatureHistory.length - 1 ] :
+                      null;
+    if ( !lastPoint || time - lastPoint.x >= this.historyInterval ) {
+      this.temperatureHistory.push( new Vector2( time, this.body.temperatureProperty.value ) );
+      if ( this.temperatureHistory.length >= MAX_HISTORY_LENGTH ) {
+        const thinnedHistory = this.temperatureHistory.filter( ( point, i ) => i % 2 === 0 );
+        this.temperatureHistory.clear();
+        this.temperatureHistory.push( ...thinnedHistory );
+        this.historyInterval *= 2;
+      }
+    }
+  }
+}
+
+export default ThermalEvolutionModel;
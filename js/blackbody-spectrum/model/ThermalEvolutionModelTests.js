@@ -0,0 +1,86 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalEvolutionModel tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyBodyModel from './BlackbodyBodyModel.js';
+import EmitterMaterial from './EmitterMaterial.js';
+import ThermalEvolutionModel from './ThermalEvolutionModel.js';
+
+const TOLERANCE = 1e-6;
+
+/**
+ * Creates a body with a small heat capacity and large surface area, so that it approaches equilibrium within seconds
+ * @param {number} temperature - in K
+ * @returns {{body: BlackbodyBodyModel, thermalEvolution: ThermalEvolutionModel}}
+ */
+const createThermalEvolution = temperature => {
+  const body = new BlackbodyBodyModel( temperature, Tandem.OPT_OUT );
+  const thermalEvolution = new ThermalEvolutionModel( body, Tandem.OPT_OUT );
+  thermalEvolution.heatCapacityProperty.value = 100;
+  thermalEvolution.surfaceAreaProperty.value = 0.1;
+  thermalEvolution.ambientTemperatureProperty.value = 300;
+  thermalEvolution.enabledProperty.value = true;
+  return { body: body, thermalEvolution: thermalEvolution };
+};
+
+/**
+ * Steps the model through a period of real time
+ * @param {ThermalEvolutionModel} thermalEvolution
+ * @param {number} time - in s of real time
+ */
+const stepThrough = ( thermalEvolution, time ) => {
+  _.times( Math.round( time / 0.05 ), () => thermalEvolution.step( 0.05 ) );
+};
+
+QUnit.module( 'ThermalEvolutionModel' );
+
+QUnit.test( 'surroundings', assert => {
+  const { body, thermalEvolution } = createThermalEvolution( 300 );
+  assert.ok( Math.abs( thermalEvolution.netPower ) < TOLERANCE, 'no net power at the temperature of the surroundings' );
+  stepThrough( thermalEvolution, 1 );
+  assert.ok( Math.abs( body.temperatureProperty.value - 300 ) < TOLERANCE,
+    'a body at the temperature of its surroundings stays there' );
+
+  body.temperatureProperty.value = 1000;
+  assert.ok( thermalEvolution.netPower < 0, 'a body hotter than its surroundings loses power' );
+  stepThrough( thermalEvolution, 1 );
+  const temperature = body.temperatureProperty.value;
+  assert.ok( temperature < 1000 && temperature > 300, `a hot body cools toward its surroundings: ${temperature}` );
+
+  body.temperatureProperty.value = 250;
+  assert.ok( thermalEvolution.netPower > 0, 'a body colder than its surroundings gains power' );
+
+  thermalEvolution.isPlayingProperty.value = false;
+  stepThrough( thermalEvolution, 1 );
+  assert.equal( body.temperatureProperty.value, 250, 'the temperature doesn\'t change while time is paused' );
+
+  body.dispose();
+} );
+
+QUnit.test( 'equilibrium', assert => {
+  const { body, thermalEvolution } = createThermalEvolution( 300 );
+
+  // With an input power, the body heats until it radiates that power away, where P = εσA( T⁴ - T_ambient⁴ )
+  const equilibriumTemperature = 800;
+  thermalEvolution.inputPowerProperty.value = BlackbodyBodyModel.STEFAN_BOLTZMANN_CONSTANT *
+                                              thermalEvolution.surfaceAreaProperty.value *
+                                              ( Math.pow( equilibriumTemperature, 4 ) - Math.pow( 300, 4 ) );
+  assert.ok( thermalEvolution.netPower > 0, 'an input power heats the body' );
+  stepThrough( thermalEvolution, 200 );
+  assert.ok( Math.abs( body.temperatureProperty.value / equilibriumTemperature - 1 ) < 1e-3,
+    `the body settles where it radiates the input power away: ${body.temperatureProperty.value}` );
+  assert.ok( thermalEvolution.timeProperty.value > 0, 'time passes' );
+  assert.ok( thermalEvolution.temperatureHistory.length > 1, 'the temperature is recorded' );
+
+  // A gray body radiates and absorbs less, so the same input power heats it further
+  body.materialProperty.value = EmitterMaterial.GRAY_BODY;
+  stepThrough( thermalEvolution, 400 );
+  assert.ok( body.temperatureProperty.value > equilibriumTemperature, 'a gray body settles at a higher temperature' );
+
+  body.dispose();
+} );
@@ -0,0 +1,37 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The presets labeled on the thermometers of every screen, which are chosen with the temperaturePresets query parameter
+ * and can be replaced through PhET-iO. Like the preferences, the presets are global and are not reset by the Reset All
+ * button.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
+import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
+import BlackbodySpectrumQueryParameters from '../../BlackbodySpectrumQueryParameters.js';
+import TemperaturePresets from './TemperaturePresets.js';
+
+// Presets in the query parameter that aren't valid are reported and left out
+const presetStrings = BlackbodySpectrumQueryParameters.temperaturePresets;
+const validPresetStrings = presetStrings && presetStrings.filter( TemperaturePresets.isValidString );
+if ( presetStrings && validPresetStrings.length < presetStrings.length ) {
+  QueryStringMachine.addWarning( 'temperaturePresets', presetStrings );
+}
+
+// @public {Property.<{name: string, temperature: number}[]>}
+const temperaturePresetsProperty = new Property(
+  presetStrings ? validPresetStrings.map( string => TemperaturePresets.fromString( string ) ) :
+  TemperaturePresets.DEFAULT, {
+    isValidValue: presets => Array.isArray( presets ) && _.every( presets, TemperaturePresets.isPreset ),
+    tandem: Tandem.GLOBAL_MODEL.createTandem( 'temperaturePresetsProperty' ),
+    phetioValueType: ArrayIO( ObjectLiteralIO ),
+    phetioFeatured: true,
+    phetioDocumentation: 'the reference objects labeled on the thermometer, each with a name and a temperature in K. ' +
+                         'Presets outside the range of the thermometer are left out.'
+  } );
+
+export default temperaturePresetsProperty;
@@ -9,16 +9,16 @@
  * git history in BlackbodySpectrumScreenView for the original authors.
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
 import merge from '../../../../phet-core/js/merge.js';
-import StarShape from '../../../../scenery-phet/js/StarShape.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
-import Path from '../../../../scenery/js/nodes/Path.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
 import BlackbodyColors from './BlackbodyColors.js';
+import GlowingStarNode from './GlowingStarNode.js';
 
 const bString = BlackbodySpectrumStrings.b;
 const gString = BlackbodySpectrumStrings.g;
@@ -27,9 +27,6 @@ const rString = BlackbodySpectrumStrings.r;
 // constants
 const CIRCLE_LABEL_COLOR = BlackbodyColors.titlesTextProperty;
 const CIRCLE_RADIUS = 15;
-const STAR_INNER_RADIUS = 20;
-const STAR_OUTER_RADIUS = 35;
-const STAR_NUMBER_POINTS = 9;
 const STAR_SPACING = 50;
 
 class BGRAndStarDisplay extends Node {
@@ -58,18 +55,7 @@ class BGRAndStarDisplay extends Node {
     const circleGreenLabel = new Text( gString, circleLabelOptions );
     const circleRedLabel = new Text( rString, circleLabelOptions );
 
-    const glowingStarHalo = new Circle( 10 );
-    const starPath = new Path(
-      new StarShape( {
-        outerRadius: STAR_OUTER_RADIUS,
-        innerRadius: STAR_INNER_RADIUS,
-        numberStarPoints: STAR_NUMBER_POINTS
-      } ), {
-        lineWidth: 1.5,
-        lineJoin: 'round',
-        stroke: BlackbodyColors.starStrokeProperty
-      }
-    );
+    const glowingStarNode = new GlowingStarNode( mainBody );
 
     circleBlue.centerY = STAR_SPACING;
     circleGreen.centerX = circleBlue.centerX + STAR_SPACING;
@@ -82,13 +68,10 @@ class BGRAndStarDisplay extends Node {
     circleGreenLabel.centerY = circleBlueLabel.centerY;
     circleRedLabel.centerX = circleRed.centerX;
     circleRedLabel.centerY = circleBlueLabel.centerY;
-    starPath.left = circleRed.right + STAR_SPACING;
-    starPath.centerY = circleBlue.centerY;
-    glowingStarHalo.centerX = starPath.centerX;
-    glowingStarHalo.centerY = starPath.centerY;
+    glowingStarNode.x = circleRed.right + STAR_SPACING + GlowingStarNode.STAR_OUTER_RADIUS;
+    glowingStarNode.y = circleBlue.centerY;
 
-    this.addChild( starPath );
-    this.addChild( glowingStarHalo );
+    this.addChild( glowingStarNode );
     this.addChild( circleBlue );
     this.addChild( circleGreen );
     this.addChild( circleRed );
@@ -96,14 +79,11 @@ class BGRAndStarDisplay extends Node {
     this.addChild( circleGreenLabel );
     this.addChild( circleRedLabel );
 
-    // link the current temperature to the RGB and star indicators
-    mainBody.temperatureProperty.link( temperature => {
+    // link the current spectrum to the RGB indicators
+    Multilink.multilink( mainBody.spectrumDependencies, () => {
       circleBlue.fill = mainBody.blueColor;
       circleGreen.fill = mainBody.greenColor;
       circleRed.fill = mainBody.redColor;
-      glowingStarHalo.fill = mainBody.glowingStarHaloColor;
-      glowingStarHalo.radius = mainBody.glowingStarHaloRadius;
-      starPath.fill = mainBody.starColor;
     } );
   }
 }
@@ -0,0 +1,121 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel that shows how the intensity of the main and saved bodies is split between the regions of the electromagnetic
+ * spectrum, as both an absolute intensity and a percent of the total intensity
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import GridBox from '../../../../scenery/js/layout/nodes/GridBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyBodyModel from '../model/BlackbodyBodyModel.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import BlackbodyFormatting from './BlackbodyFormatting.js';
+import BodySection from './BodySection.js';
+
+const intensityByBandString = BlackbodySpectrumStrings.intensityByBand;
+const percentPatternString = BlackbodySpectrumStrings.percentPattern;
+
+class BandIntensityPanel extends Panel {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      maxWidth: 200,
+      visibleProperty: null,
+      spacing: 8,
+      curveWidth: 30,
+      curveLineWidth: 4,
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel that shows the intensity of each body by region of the electromagnetic spectrum'
+    }, options );
+
+    const content = new VBox( {
+      children: [
+        new Text( intensityByBandString, options.titleOptions ),
+        new BodySection( model.mainBody, createBandRows( model.mainBody, options ),
+          { stroke: PhetColorScheme.RED_COLORBLIND }, options )
+      ],
+      spacing: options.spacing,
+      align: 'left',
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      maxWidth: options.maxWidth,
+      visibleProperty: options.visibleProperty,
+      align: 'left',
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    BodySection.addSavedBodySections( model.savedBodies, content, savedBody => createBandRows( savedBody, options ),
+      options );
+  }
+}
+
+/**
+ * Creates the rows of band intensities for a single body. The returned Node should be disposed when it is no longer
+ * used.
+ * @param {BlackbodyBodyModel} body
+ * @param {Object} options - options that were provided to the BandIntensityPanel constructor
+ * @returns {Node}
+ */
+const createBandRows = ( body, options ) => {
+  const bandRows = BlackbodyBodyModel.ELECTROMAGNETIC_BANDS.map( band => [
+    new Text( BlackbodySpectrumStrings[ band.name ], options.labelOptions ),
+    new RichText( '', options.labelOptions ),
+    new Text( '', options.labelOptions )
+  ] );
+
+  const gridBox = new GridBox( {
+    rows: bandRows,
+    xSpacing: options.spacing,
+    ySpacing: 2,
+    xAlign: 'right'
+  } );
+
+  const multilink = Multilink.multilink( body.spectrumDependencies, () => {
+    body.bandIntensities.forEach( ( bandIntensity, i ) => {
+      bandRows[ i ][ 1 ].string = BlackbodyFormatting.formatIntensity( bandIntensity.intensity );
+      bandRows[ i ][ 2 ].string = StringUtils.fillIn( percentPatternString, {
+        percent: Utils.toFixed( 100 * bandIntensity.fraction, 1 )
+      } );
+    } );
+  } );
+  gridBox.disposeEmitter.addListener( () => multilink.dispose() );
+
+  return gridBox;
+};
+
+export default BandIntensityPanel;
@@ -67,6 +67,46 @@ const BlackbodyColors = {
   starStrokeProperty: new ProfileColorProperty( blackbodySpectrum, 'starStroke', {
     default: 'rgba( 0, 0, 0, 0 )',
     projector: 'black'
+  } ),
+  measuredSpectrumProperty: new ProfileColorProperty( blackbodySpectrum, 'measuredSpectrum', {
+    default: 'cyan',
+    projector: 'blue'
+  } ),
+  measuredSpectrumFitProperty: new ProfileColorProperty( blackbodySpectrum, 'measuredSpectrumFit', {
+    default: 'white',
+    projector: 'black'
+  } ),
+  measuredSpectrumResidualsProperty: new ProfileColorProperty( blackbodySpectrum, 'measuredSpectrumResiduals', {
+    default: 'orange',
+    projector: 'darkorange'
+  } ),
+  absorptionBandProperty: new ProfileColorProperty( blackbodySpectrum, 'absorptionBand', {
+    default: 'rgba( 120, 160, 255, 0.25 )',
+    projector: 'rgba( 0, 60, 200, 0.15 )'
+  } ),
+  transmittedSpectrumProperty: new ProfileColorProperty( blackbodySpectrum, 'transmittedSpectrum', {
+    default: 'rgb( 90, 200, 255 )',
+    projector: 'rgb( 0, 100, 200 )'
+  } ),
+  partialAreaFillProperty: new ProfileColorProperty( blackbodySpectrum, 'partialAreaFill', {
+    default: 'rgba( 255, 220, 0, 0.45 )',
+    projector: 'rgba( 255, 170, 0, 0.45 )'
+  } ),
+  partialAreaMarkerProperty: new ProfileColorProperty( blackbodySpectrum, 'partialAreaMarker', {
+    default: 'rgb( 255, 220, 0 )',
+    projector: 'rgb( 200, 130, 0 )'
+  } ),
+  rubberBandFillProperty: new ProfileColorProperty( blackbodySpectrum, 'rubberBandFill', {
+    default: 'rgba( 255, 255, 255, 0.15 )',
+    projector: 'rgba( 0, 0, 0, 0.1 )'
+  } ),
+  rubberBandStrokeProperty: new ProfileColorProperty( blackbodySpectrum, 'rubberBandStroke', {
+    default: 'white',
+    projector: 'black'
+  } ),
+  peakLocusProperty: new ProfileColorProperty( blackbodySpectrum, 'peakLocus', {
+    default: 'rgb( 230, 230, 140 )',
+    projector: 'rgb( 120, 100, 0 )'
   } )
 };
 
@@ -0,0 +1,76 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Formats the values that are shown in the panels and plots, as RichText strings. Values are written in scientific
+ * notation, with the power of ten as a superscript.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const intensityUnitsLabelString = BlackbodySpectrumStrings.intensityUnitsLabel;
+const photonFluxUnitsLabelString = BlackbodySpectrumStrings.photonFluxUnitsLabel;
+
+// constants
+const MIN_FIXED_MAGNITUDE = 0.01; // values whose magnitude is smaller than this are shown in scientific notation
+const MAX_FIXED_MAGNITUDE = 1000; // values whose magnitude is at least this are shown in scientific notation
+const FIXED_SIGNIFICANT_DIGITS = 3;
+
+const BlackbodyFormatting = {
+
+  /**
+   * Formats a value in scientific notation, leaving out the power of ten when it is 10 to the 0
+   * @public
+   * @param {number} value
+   * @param {number} [mantissaDecimalPlaces]
+   * @returns {string}
+   */
+  formatScientific( value, mantissaDecimalPlaces = 2 ) {
+    const notationObject = ScientificNotationNode.toScientificNotation( value, {
+      mantissaDecimalPlaces: mantissaDecimalPlaces
+    } );
+    let formattedString = notationObject.mantissa;
+    if ( notationObject.exponent !== '0' ) {
+      formattedString += ` \u00D7 10<sup>${notationObject.exponent}</sup>`;
+    }
+    return formattedString;
+  },
+
+  /**
+   * Formats a value for a readout, in scientific notation when it is very small or very large, and otherwise with a
+   * few significant digits. The power of ten is always shown, set off by thin spaces.
+   * @public
+   * @param {number} value
+   * @param {number} [mantissaDecimalPlaces] - of the mantissa, when the value is in scientific notation
+   * @returns {string}
+   */
+  formatReadout( value, mantissaDecimalPlaces = 2 ) {
+    const magnitude = Math.abs( value );
+    if ( magnitude < MIN_FIXED_MAGNITUDE || magnitude >= MAX_FIXED_MAGNITUDE ) {
+      const notationObject = ScientificNotationNode.toScientificNotation( value, {
+        mantissaDecimalPlaces: mantissaDecimalPlaces
+      } );
+      return `${notationObject.mantissa}\u2009\u00D7\u200A10<sup>${notationObject.exponent}</sup>`;
+    }
+    return parseFloat( value.toPrecision( FIXED_SIGNIFICANT_DIGITS ) ).toString();
+  },
+
+  /**
+   * Formats an intensity, or a photon flux when photons are counted, with its units in scientific notation
+   * @public
+   * @param {number} value - in watts per meter^2, or photons per second per meter^2
+   * @param {boolean} [photonFlux] - whether the value is a photon flux
+   * @returns {string}
+   */
+  formatIntensity( value, photonFlux = false ) {
+    const formattedString = BlackbodyFormatting.formatScientific( value );
+    return photonFlux ?
+           StringUtils.fillIn( photonFluxUnitsLabelString, { photonFlux: formattedString } ) :
+           StringUtils.fillIn( intensityUnitsLabelString, { intensity: formattedString } );
+  }
+};
+
+export default BlackbodyFormatting;
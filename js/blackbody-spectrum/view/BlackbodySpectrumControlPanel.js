@@ -7,12 +7,12 @@
  * @author Saurabh Totey
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
 import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
-import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
 import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
 import HSeparator from '../../../../scenery/js/layout/nodes/HSeparator.js';
 import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
@@ -23,16 +23,37 @@ import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import cameraSolidShape from '../../../../sherpa/js/fontawesome-5/cameraSolidShape.js';
 import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import RectangularRadioButtonGroup from '../../../../sun/js/buttons/RectangularRadioButtonGroup.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
 import Checkbox from '../../../../sun/js/Checkbox.js';
 import Panel from '../../../../sun/js/Panel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import AtmosphericTransmission from '../model/AtmosphericTransmission.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import BlackbodySpectrumModel from '../model/BlackbodySpectrumModel.js';
 import BlackbodyColors from './BlackbodyColors.js';
+import BlackbodyFormatting from './BlackbodyFormatting.js';
 
+const atmosphereString = BlackbodySpectrumStrings.atmosphere;
+const bandsString = BlackbodySpectrumStrings.bands;
+const chromaticityString = BlackbodySpectrumStrings.chromaticity;
+const comparisonString = BlackbodySpectrumStrings.comparison;
+const exportDataString = BlackbodySpectrumStrings.exportData;
+const importDataString = BlackbodySpectrumStrings.importData;
 const graphValuesString = BlackbodySpectrumStrings.graphValues;
+const heatingAndCoolingString = BlackbodySpectrumStrings.heatingAndCooling;
 const intensityString = BlackbodySpectrumStrings.intensity;
-const intensityUnitsLabelString = BlackbodySpectrumStrings.intensityUnitsLabel;
 const labelsString = BlackbodySpectrumStrings.labels;
+const logScaleBothString = BlackbodySpectrumStrings.logScaleBoth;
+const logScaleHorizontalString = BlackbodySpectrumStrings.logScaleHorizontal;
+const logScaleString = BlackbodySpectrumStrings.logScale;
+const logScaleVerticalString = BlackbodySpectrumStrings.logScaleVertical;
+const partialAreaString = BlackbodySpectrumStrings.partialArea;
+const peakLocusString = BlackbodySpectrumStrings.peakLocus;
+const photonsString = BlackbodySpectrumStrings.photons;
+const playCurveString = BlackbodySpectrumStrings.playCurve;
+const transmittedPatternString = BlackbodySpectrumStrings.transmittedPattern;
 
 // constants
 const DISPLAY_FONT = new PhetFont( 18 );
@@ -52,6 +73,11 @@ const INTENSITY_TEXT_BOX_STROKE = 'red';
 const INTENSITY_TEXT_BOX_FILL = 'gray';
 const INTENSITY_TEXT_BOX_PADDING = 5;
 const SEPARATOR_COLOR = 'rgb( 212, 212, 212 )';
+const LOG_SCALE_AXES_STRINGS = {
+  horizontal: logScaleHorizontalString,
+  vertical: logScaleVerticalString,
+  both: logScaleBothString
+};
 
 class BlackbodySpectrumControlPanel extends Panel {
 
@@ -69,6 +95,9 @@ class BlackbodySpectrumControlPanel extends Panel {
       resize: true,
       stroke: BlackbodyColors.panelStrokeProperty,
       maxWidth: CHECKBOX_DEFAULT_WIDTH,
+      exportListener: null, // {function} called when the export button is pressed
+      importListener: null, // {function} called when the import button is pressed
+      playCurveListener: null, // {function} called when the play curve button is pressed
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -79,6 +108,15 @@ class BlackbodySpectrumControlPanel extends Panel {
     const valuesCheckboxText = new Text( graphValuesString, checkboxTextOptions );
     const intensityCheckboxText = new Text( intensityString, checkboxTextOptions );
     const labelsCheckboxText = new Text( labelsString, checkboxTextOptions );
+    const peakLocusCheckboxText = new Text( peakLocusString, checkboxTextOptions );
+    const bandsCheckboxText = new Text( bandsString, checkboxTextOptions );
+    const photonsCheckboxText = new Text( photonsString, checkboxTextOptions );
+    const chromaticityCheckboxText = new Text( chromaticityString, checkboxTextOptions );
+    const atmosphereCheckboxText = new Text( atmosphereString, checkboxTextOptions );
+    const heatingAndCoolingCheckboxText = new Text( heatingAndCoolingString, checkboxTextOptions );
+    const logScaleCheckboxText = new Text( logScaleString, checkboxTextOptions );
+    const partialAreaCheckboxText = new Text( partialAreaString, checkboxTextOptions );
+    const comparisonCheckboxText = new Text( comparisonString, checkboxTextOptions );
 
     // Save button
     const saveButton = new RectangularPushButton( {
@@ -105,10 +143,50 @@ class BlackbodySpectrumControlPanel extends Panel {
       tandem: options.tandem.createTandem( 'eraseButton' )
     } );
 
-    // Makes the eraseButton enabled when there is a saved graph to clear, and disabled when there is no graph to clear.
-    // This assumes that there cannot be a savedBodyTwo without a savedBodyOne.
-    model.savedBodyOne.temperatureProperty.link( temperature => {
-      eraseButton.enabled = temperature !== null;
+    // Export button
+    assert && assert( options.exportListener, 'exportListener is required' );
+    const exportButton = new TextPushButton( exportDataString, {
+      font: new PhetFont( 16 ),
+      maxWidth: CHECKBOX_DEFAULT_WIDTH,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      touchAreaXDilation: BUTTON_TOUCH_DILATION,
+      touchAreaYDilation: BUTTON_TOUCH_DILATION,
+      listener: options.exportListener,
+      tandem: options.tandem.createTandem( 'exportButton' )
+    } );
+
+    // Import button
+    assert && assert( options.importListener, 'importListener is required' );
+    const importButton = new TextPushButton( importDataString, {
+      font: new PhetFont( 16 ),
+      maxWidth: CHECKBOX_DEFAULT_WIDTH,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      touchAreaXDilation: BUTTON_TOUCH_DILATION,
+      touchAreaYDilation: BUTTON_TOUCH_DILATION,
+      listener: options.importListener,
+      tandem: options.tandem.createTandem( 'importButton' )
+    } );
+
+    // Play curve button, which is only shown while the spectrum is sonified
+    assert && assert( options.playCurveListener, 'playCurveListener is required' );
+    const playCurveButton = new TextPushButton( playCurveString, {
+      font: new PhetFont( 16 ),
+      maxWidth: CHECKBOX_DEFAULT_WIDTH,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      touchAreaXDilation: BUTTON_TOUCH_DILATION,
+      touchAreaYDilation: BUTTON_TOUCH_DILATION,
+      listener: options.playCurveListener,
+      visibleProperty: BlackbodySpectrumPreferences.sonificationEnabledProperty,
+      tandem: options.tandem.createTandem( 'playCurveButton' )
+    } );
+
+    // Makes the saveButton disabled when no more graphs can be saved, and the eraseButton enabled when there is a saved
+    // graph to clear
+    model.canSaveProperty.link( canSave => {
+      saveButton.enabled = canSave;
+    } );
+    model.savedBodies.countProperty.link( count => {
+      eraseButton.enabled = count > 0;
     } );
 
     // checkboxes
@@ -119,10 +197,51 @@ class BlackbodySpectrumControlPanel extends Panel {
     const valuesCheckbox = new Checkbox( model.graphValuesVisibleProperty, valuesCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'graphValuesCheckbox' ) } ) );
     const intensityCheckbox = new Checkbox( model.intensityVisibleProperty, intensityCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'intensityCheckbox' ) } ) );
     const labelsCheckbox = new Checkbox( model.labelsVisibleProperty, labelsCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'labelsCheckbox' ) } ) );
+    const peakLocusCheckbox = new Checkbox( model.peakLocusVisibleProperty, peakLocusCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'peakLocusCheckbox' ) } ) );
+    const bandsCheckbox = new Checkbox( model.bandIntensitiesVisibleProperty, bandsCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'bandsCheckbox' ) } ) );
+    const photonsCheckbox = new Checkbox( model.photonFluxModeProperty, photonsCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'photonsCheckbox' ) } ) );
+    const chromaticityCheckbox = new Checkbox( model.chromaticityDiagramVisibleProperty, chromaticityCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'chromaticityCheckbox' ) } ) );
+    const atmosphereCheckbox = new Checkbox( model.atmosphereVisibleProperty, atmosphereCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'atmosphereCheckbox' ) } ) );
+    const heatingAndCoolingCheckbox = new Checkbox( model.thermalEvolution.enabledProperty, heatingAndCoolingCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'heatingAndCoolingCheckbox' ) } ) );
+    const logScaleCheckbox = new Checkbox( model.logScaleProperty, logScaleCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'logScaleCheckbox' ) } ) );
+    const partialAreaCheckbox = new Checkbox( model.partialArea.visibleProperty, partialAreaCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'partialAreaCheckbox' ) } ) );
+    const comparisonCheckbox = new Checkbox( model.comparisonVisibleProperty, comparisonCheckboxText, _.assign( checkboxOptions, { tandem: options.tandem.createTandem( 'comparisonCheckbox' ) } ) );
 
     valuesCheckbox.touchArea = valuesCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
     intensityCheckbox.touchArea = intensityCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
     labelsCheckbox.touchArea = labelsCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    peakLocusCheckbox.touchArea = peakLocusCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    bandsCheckbox.touchArea = bandsCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    photonsCheckbox.touchArea = photonsCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    chromaticityCheckbox.touchArea = chromaticityCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    atmosphereCheckbox.touchArea = atmosphereCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    heatingAndCoolingCheckbox.touchArea = heatingAndCoolingCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    logScaleCheckbox.touchArea = logScaleCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    partialAreaCheckbox.touchArea = partialAreaCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+    comparisonCheckbox.touchArea = comparisonCheckbox.localBounds.dilated( CHECKBOX_TOUCH_DILATION );
+
+    // Chooses which axes have a logarithmic scale, only shown while the log scale is on
+    const logScaleAxesRadioButtonGroup = new RectangularRadioButtonGroup( model.logScaleAxesProperty,
+      BlackbodySpectrumModel.LOG_SCALE_AXES.map( logScaleAxes => {
+        return {
+          value: logScaleAxes,
+          createNode: () => new Text( LOG_SCALE_AXES_STRINGS[ logScaleAxes ], {
+            font: new PhetFont( 14 ),
+            maxWidth: CHECKBOX_TEXT_WIDTH / 3
+          } ),
+          tandemName: `${logScaleAxes}RadioButton`
+        };
+      } ), {
+        visibleProperty: model.logScaleProperty,
+        orientation: 'horizontal',
+        spacing: 5,
+        radioButtonOptions: {
+          baseColor: 'white',
+          xMargin: 5,
+          yMargin: 3
+        },
+        tandem: options.tandem.createTandem( 'logScaleAxesRadioButtonGroup' )
+      } );
 
     const intensityText = new RichText( '?', INTENSITY_TEXT_OPTIONS );
     const intensityTextBox = new Rectangle(
@@ -136,18 +255,16 @@ class BlackbodySpectrumControlPanel extends Panel {
         fill: INTENSITY_TEXT_BOX_FILL
       } );
 
-    // Links the intensity text to update whenever the model's temperature changes
-    model.mainBody.temperatureProperty.link( () => {
+    // Links the intensity text to update whenever the main body's spectrum changes, showing the total photon flux
+    // instead when photons are counted
+    Multilink.multilink( [ ...model.mainBody.spectrumDependencies, model.photonFluxModeProperty ], () => {
+      const photonFlux = model.photonFluxModeProperty.value;
 
       // Gets the model intensity and formats it to a nice scientific notation string to put as the intensityText
-      const notationObject = ScientificNotationNode.toScientificNotation( model.mainBody.totalIntensity, {
-        mantissaDecimalPlaces: 2
-      } );
-      let formattedString = notationObject.mantissa;
-      if ( notationObject.exponent !== '0' ) {
-        formattedString += ` \u00D7 10<sup>${notationObject.exponent}</sup>`;
-      }
-      intensityText.string = StringUtils.fillIn( intensityUnitsLabelString, { intensity: formattedString } );
+      intensityText.string = BlackbodyFormatting.formatIntensity(
+        photonFlux ? model.mainBody.totalPhotonFlux : model.mainBody.totalIntensity,
+        photonFlux
+      );
 
       // Updates positions and sizes
       const textWidth = CHECKBOX_DEFAULT_WIDTH > intensityText.width + 20 ?
@@ -156,6 +273,29 @@ class BlackbodySpectrumControlPanel extends Panel {
       intensityText.center = intensityTextBox.center;
     } );
 
+    // The part of the intensity that is transmitted through the atmosphere, shown while the atmosphere is. It is only
+    // computed while shown, since it is integrated over the transmission table.
+    const transmittedText = new RichText( '', {
+      font: new PhetFont( 14 ),
+      fill: CHECKBOX_TEXT_FILL,
+      maxWidth: CHECKBOX_DEFAULT_WIDTH,
+      visibleProperty: model.atmosphereVisibleProperty
+    } );
+    Multilink.multilink( [
+      ...model.mainBody.spectrumDependencies,
+      model.photonFluxModeProperty,
+      model.atmosphereVisibleProperty
+    ], () => {
+      if ( model.atmosphereVisibleProperty.value ) {
+        const photonFlux = model.photonFluxModeProperty.value;
+        const transmitted = photonFlux ? AtmosphericTransmission.getTransmittedPhotonFlux( model.mainBody ) :
+                            AtmosphericTransmission.getTransmittedIntensity( model.mainBody );
+        transmittedText.string = StringUtils.fillIn( transmittedPatternString, {
+          value: BlackbodyFormatting.formatIntensity( transmitted, photonFlux )
+        } );
+      }
+    } );
+
     const spacing = 15;
     const buttons = new HBox( {
       children: [
@@ -168,6 +308,15 @@ class BlackbodySpectrumControlPanel extends Panel {
       children: [
         valuesCheckbox,
         labelsCheckbox,
+        peakLocusCheckbox,
+        photonsCheckbox,
+        chromaticityCheckbox,
+        atmosphereCheckbox,
+        heatingAndCoolingCheckbox,
+        logScaleCheckbox,
+        logScaleAxesRadioButtonGroup,
+        partialAreaCheckbox,
+        comparisonCheckbox,
         intensityCheckbox
       ],
       align: 'left',
@@ -181,9 +330,13 @@ class BlackbodySpectrumControlPanel extends Panel {
       minWidth: CHECKBOX_DEFAULT_WIDTH
     } );
 
-    const intensityDisplay = new Node( {
+    // The band breakdown is only available while the intensity is shown
+    const intensityDisplay = new VBox( {
       visibleProperty: model.intensityVisibleProperty,
-      children: [ intensityTextBox ],
+      children: [ new Node( { children: [ intensityTextBox ] } ), transmittedText, bandsCheckbox ],
+      align: 'left',
+      spacing: spacing,
+      excludeInvisibleChildrenFromBounds: true,
       maxWidth: CHECKBOX_DEFAULT_WIDTH
     } );
     intensityText.center = intensityTextBox.center;
@@ -193,10 +346,14 @@ class BlackbodySpectrumControlPanel extends Panel {
         checkboxPanel,
         intensityDisplay,
         new HSeparator( { stroke: SEPARATOR_COLOR } ),
-        buttons
+        buttons,
+        exportButton,
+        importButton,
+        playCurveButton
       ],
       align: 'center',
       spacing: spacing,
+      excludeInvisibleChildrenFromBounds: true,
       resize: true
     } );
 
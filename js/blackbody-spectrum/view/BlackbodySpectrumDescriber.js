@@ -0,0 +1,192 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creates the descriptions of the spectrum of the main body for the PDOM and Voicing: its temperature, where its curve
+ * peaks, how tall the curve is on the graph, its intensity, how it compares with the saved curves, and what the graph
+ * values point reads
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyBodyModel from '../model/BlackbodyBodyModel.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+
+const aboveGraphString = BlackbodySpectrumStrings.a11y.curveHeight.aboveGraph;
+const barelyVisibleString = BlackbodySpectrumStrings.a11y.curveHeight.barelyVisible;
+const comparisonPatternString = BlackbodySpectrumStrings.a11y.savedCurves.comparisonPattern;
+const coolerString = BlackbodySpectrumStrings.a11y.savedCurves.cooler;
+const curveHeightPatternString = BlackbodySpectrumStrings.a11y.curveHeight.pattern;
+const hotterString = BlackbodySpectrumStrings.a11y.savedCurves.hotter;
+const infraredString = BlackbodySpectrumStrings.a11y.bands.infrared;
+const intensityPatternString = BlackbodySpectrumStrings.a11y.intensityPattern;
+const lowString = BlackbodySpectrumStrings.a11y.curveHeight.low;
+const middleString = BlackbodySpectrumStrings.a11y.curveHeight.middle;
+const nearTopString = BlackbodySpectrumStrings.a11y.curveHeight.nearTop;
+const noSavedCurvesString = BlackbodySpectrumStrings.a11y.savedCurves.none;
+const peakPatternString = BlackbodySpectrumStrings.a11y.peakPattern;
+const photonFluxPatternString = BlackbodySpectrumStrings.a11y.photonFluxPattern;
+const sameString = BlackbodySpectrumStrings.a11y.savedCurves.same;
+const scientificNotationPatternString = BlackbodySpectrumStrings.a11y.scientificNotationPattern;
+const temperaturePatternString = BlackbodySpectrumStrings.a11y.temperaturePattern;
+const ultravioletString = BlackbodySpectrumStrings.a11y.bands.ultraviolet;
+const visibleString = BlackbodySpectrumStrings.a11y.bands.visible;
+const xRayString = BlackbodySpectrumStrings.a11y.bands.xRay;
+
+// Qualitative heights of the peak of the curve, as the least fraction of the height of the vertical axis for each
+const CURVE_HEIGHTS = [
+  { minHeight: 1, description: aboveGraphString },
+  { minHeight: 0.75, description: nearTopString },
+  { minHeight: 0.35, description: middleString },
+  { minHeight: 0.05, description: lowString },
+  { minHeight: Number.NEGATIVE_INFINITY, description: barelyVisibleString }
+];
+
+// Names of the bands of the electromagnetic spectrum as they are read within a sentence, by the names of the bands
+const BAND_STRINGS = {
+  xRay: xRayString,
+  ultraviolet: ultravioletString,
+  visible: visibleString,
+  infrared: infraredString
+};
+
+class BlackbodySpectrumDescriber {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {GraphDrawingNode} graphDrawingNode - the graph of the spectrum that is described
+   */
+  constructor( model, graphDrawingNode ) {
+
+    // @private
+    this.model = model;
+    this.graphDrawingNode = graphDrawingNode;
+
+    // @private {Property.<number[]>} - the temperatures of the saved bodies in K, which PhET-iO can change.
+    this.savedTemperaturesProperty = new Property( [] );
+    const updateSavedTemperatures = () => {
+      this.savedTemperaturesProperty.value = model.savedBodies.getArray().map(
+        savedBody => savedBody.temperatureProperty.value
+      );
+    };
+    const addSavedBody = savedBody => savedBody.temperatureProperty.lazyLink( updateSavedTemperatures );
+    model.savedBodies.getArray().forEach( addSavedBody );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedBody );
+    model.savedBodies.countProperty.link( updateSavedTemperatures );
+
+    // @public (read-only) {Property[]} - Properties that change the descriptions, for use with Multilink
+    this.dependencies = [
+      ...model.mainBody.spectrumDependencies,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty,
+      this.savedTemperaturesProperty,
+      ...graphDrawingNode.descriptionDependencies
+    ];
+  }
+
+  /**
+   * Describes the temperature of the main body, in the preferred units
+   * @public
+   * @returns {string}
+   */
+  getTemperatureDescription() {
+    return StringUtils.fillIn( temperaturePatternString, {
+      temperature: TemperatureUnits.format(
+        this.model.mainBody.temperatureProperty.value,
+        BlackbodySpectrumPreferences.temperatureUnitsProperty.value
+      )
+    } );
+  }
+
+  /**
+   * Describes where the curve of the main body peaks on the horizontal axis, in the current domain and counting
+   * photons when the graph does, and the band of the electromagnetic spectrum that the peak falls in
+   * @public
+   * @returns {string}
+   */
+  getPeakDescription() {
+    const axes = this.graphDrawingNode.axes;
+    const peakWavelength = axes.getPeakWavelength( this.model.mainBody );
+    const bands = BlackbodyBodyModel.ELECTROMAGNETIC_BANDS;
+    const band = _.find( bands, band => peakWavelength < band.maxWavelength ) || bands[ bands.length - 1 ];
+    return StringUtils.fillIn( peakPatternString, {
+      position: axes.describeHorizontalValue( peakWavelength ),
+      band: BAND_STRINGS[ band.name ]
+    } );
+  }
+
+  /**
+   * Describes how tall the curve of the main body is on the graph, at the current zoom
+   * @public
+   * @returns {string}
+   */
+  getCurveHeightDescription() {
+    const relativeHeight = this.graphDrawingNode.getRelativeCurveHeight();
+    return StringUtils.fillIn( curveHeightPatternString, {
+      height: _.find( CURVE_HEIGHTS, curveHeight => relativeHeight >= curveHeight.minHeight ).description
+    } );
+  }
+
+  /**
+   * Describes the total intensity of the main body, or its total photon flux when photons are counted
+   * @public
+   * @returns {string}
+   */
+  getIntensityDescription() {
+    const photonFlux = this.model.photonFluxModeProperty.value;
+    const value = StringUtils.fillIn( scientificNotationPatternString, ScientificNotationNode.toScientificNotation(
+      photonFlux ? this.model.mainBody.totalPhotonFlux : this.model.mainBody.totalIntensity,
+      { mantissaDecimalPlaces: 2 }
+    ) );
+    return photonFlux ? StringUtils.fillIn( photonFluxPatternString, { photonFlux: value } ) :
+           StringUtils.fillIn( intensityPatternString, { intensity: value } );
+  }
+
+  /**
+   * Describes how the curve of the main body compares with each of the saved curves
+   * @public
+   * @returns {string}
+   */
+  getSavedCurvesDescription() {
+    const temperature = Utils.roundSymmetric( this.model.mainBody.temperatureProperty.value );
+    const savedBodies = this.model.savedBodies.getArray();
+    if ( savedBodies.length === 0 ) {
+      return noSavedCurvesString;
+    }
+    return savedBodies.map( savedBody => {
+      const savedTemperature = Utils.roundSymmetric( savedBody.temperatureProperty.value );
+      return StringUtils.fillIn( comparisonPatternString, {
+        temperature: TemperatureUnits.format(
+          savedBody.temperatureProperty.value,
+          BlackbodySpectrumPreferences.temperatureUnitsProperty.value
+        ),
+        comparison: temperature > savedTemperature ? hotterString :
+                    temperature < savedTemperature ? coolerString :
+                    sameString
+      } );
+    } ).join( ' ' );
+  }
+
+  /**
+   * Describes everything about the spectrum of the main body, including what the graph values point reads when it is
+   * shown
+   * @public
+   * @returns {string}
+   */
+  getSpectrumDescription() {
+    return [
+      this.getTemperatureDescription(),
+      this.getPeakDescription(),
+      this.getCurveHeightDescription(),
+      this.getIntensityDescription(),
+      this.getSavedCurvesDescription(),
+      this.graphDrawingNode.getGraphValuesDescription()
+    ].filter( description => description !== null ).join( ' ' );
+  }
+}
+
+export default BlackbodySpectrumDescriber;
@@ -0,0 +1,67 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Content of the keyboard help dialog for the screens with a thermometer. The thermometer and the graph values point
+ * are sliders, and the number keys jump the thermometer to the temperatures of its labeled ticks. The keys are listed
+ * for the presets in temperaturePresetsProperty, and follow it as the presets change.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import BasicActionsKeyboardHelpSection from '../../../../scenery-phet/js/keyboard/help/BasicActionsKeyboardHelpSection.js';
+import KeyboardHelpSection from '../../../../scenery-phet/js/keyboard/help/KeyboardHelpSection.js';
+import KeyboardHelpSectionRow from '../../../../scenery-phet/js/keyboard/help/KeyboardHelpSectionRow.js';
+import SliderControlsKeyboardHelpSection from '../../../../scenery-phet/js/keyboard/help/SliderControlsKeyboardHelpSection.js';
+import TwoColumnKeyboardHelpContent from '../../../../scenery-phet/js/keyboard/help/TwoColumnKeyboardHelpContent.js';
+import LetterKeyNode from '../../../../scenery-phet/js/keyboard/LetterKeyNode.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import TemperaturePresets from '../model/TemperaturePresets.js';
+import temperaturePresetsProperty from '../model/temperaturePresetsProperty.js';
+
+const jumpToPresetPatternString = BlackbodySpectrumStrings.keyboardHelp.jumpToPresetPattern;
+const thermometerPresetsString = BlackbodySpectrumStrings.keyboardHelp.thermometerPresets;
+
+class BlackbodySpectrumKeyboardHelpContent extends TwoColumnKeyboardHelpContent {
+
+  constructor() {
+
+    // A row for each number key, which is hidden while there is no preset for the key
+    const presetRows = TemperaturePresets.NUMBER_KEYS.map( key => {
+      const labelProperty = new StringProperty( '' );
+      return {
+        labelProperty: labelProperty,
+        row: KeyboardHelpSectionRow.labelWithIcon( labelProperty, new LetterKeyNode( key ) )
+      };
+    } );
+    const presetsSection = new KeyboardHelpSection( thermometerPresetsString,
+      presetRows.map( presetRow => presetRow.row ) );
+
+    super(
+      [ new SliderControlsKeyboardHelpSection(), presetsSection ],
+      [ new BasicActionsKeyboardHelpSection( { withCheckboxContent: true } ) ]
+    );
+
+    // The keys jump to the presets in the order that BlackbodySpectrumThermometer assigns them
+    const updatePresetRows = presets => {
+      const presetsInRange = TemperaturePresets.getPresetsInRange( presets, BlackbodyConstants.minTemperature,
+        BlackbodyConstants.maxTemperature );
+      presetRows.forEach( ( presetRow, index ) => {
+        const preset = presetsInRange[ index ];
+        presetRow.row.label.visible = !!preset;
+        presetRow.row.icon.visible = !!preset;
+        presetRow.labelProperty.value = preset ? StringUtils.fillIn( jumpToPresetPatternString, {
+          preset: preset.name
+        } ) : '';
+      } );
+    };
+    temperaturePresetsProperty.link( updatePresetRows );
+
+    // The presets are global, so the link to them is removed when the content is disposed
+    this.disposeEmitter.addListener( () => temperaturePresetsProperty.unlink( updatePresetRows ) );
+  }
+}
+
+export default BlackbodySpectrumKeyboardHelpContent;
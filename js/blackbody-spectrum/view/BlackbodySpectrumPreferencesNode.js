@@ -0,0 +1,75 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Content for the Simulation tab of the Preferences dialog, with the controls for BlackbodySpectrumPreferences
+ *
+ * @author Arnab Purkayastha
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+
+const celsiusString = BlackbodySpectrumStrings.celsius;
+const fahrenheitString = BlackbodySpectrumStrings.fahrenheit;
+const kelvinString = BlackbodySpectrumStrings.kelvin;
+const temperatureUnitsString = BlackbodySpectrumStrings.temperatureUnits;
+
+// constants
+const TEMPERATURE_UNITS_LABELS = {
+  kelvin: kelvinString,
+  celsius: celsiusString,
+  fahrenheit: fahrenheitString
+};
+
+class BlackbodySpectrumPreferencesNode extends VBox {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } )
+      },
+      labelOptions: {
+        font: new PhetFont( 16 )
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const temperatureUnitsRadioButtonGroup = new AquaRadioButtonGroup(
+      BlackbodySpectrumPreferences.temperatureUnitsProperty,
+      TemperatureUnits.NAMES.map( name => {
+        return {
+          value: name,
+          createNode: () => new Text( TEMPERATURE_UNITS_LABELS[ name ], options.labelOptions ),
+          tandemName: `${name}RadioButton`
+        };
+      } ), {
+        spacing: 10,
+        tandem: options.tandem.createTandem( 'temperatureUnitsRadioButtonGroup' )
+      } );
+
+    super( {
+      children: [
+        new Text( temperatureUnitsString, options.titleOptions ),
+        temperatureUnitsRadioButtonGroup
+      ],
+      align: 'left',
+      spacing: 10,
+      tandem: options.tandem
+    } );
+  }
+}
+
+export default BlackbodySpectrumPreferencesNode;
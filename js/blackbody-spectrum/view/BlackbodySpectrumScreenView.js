@@ -9,23 +9,49 @@
  * @author Arnab Purkayastha
  */
 
-import Utils from '../../../../dot/js/Utils.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import ScreenSummaryContent from '../../../../joist/js/ScreenSummaryContent.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import voicingUtteranceQueue from '../../../../scenery/js/accessibility/voicing/voicingUtteranceQueue.js';
+import AlignBox from '../../../../scenery/js/layout/nodes/AlignBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import isSettingPhetioStateProperty from '../../../../tandem/js/isSettingPhetioStateProperty.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BandIntensityPanel from './BandIntensityPanel.js';
 import BGRAndStarDisplay from './BGRAndStarDisplay.js';
 import BlackbodyColors from './BlackbodyColors.js';
 import BlackbodySpectrumControlPanel from './BlackbodySpectrumControlPanel.js';
+import BlackbodySpectrumDescriber from './BlackbodySpectrumDescriber.js';
 import BlackbodySpectrumThermometer from './BlackbodySpectrumThermometer.js';
+import ChromaticityDiagram from './ChromaticityDiagram.js';
+import ComparisonPanel from './ComparisonPanel.js';
+import EmitterControlPanel from './EmitterControlPanel.js';
+import ExportDialog from './ExportDialog.js';
 import GraphDrawingNode from './GraphDrawingNode.js';
+import MeasuredSpectrumImporter from './MeasuredSpectrumImporter.js';
+import MeasuredSpectrumPanel from './MeasuredSpectrumPanel.js';
+import PartialAreaPanel from './PartialAreaPanel.js';
 import SavedGraphInformationPanel from './SavedGraphInformationPanel.js';
+import SpectrumSonifier from './SpectrumSonifier.js';
+import ThermalEvolutionPanel from './ThermalEvolutionPanel.js';
 
 const blackbodyTemperatureString = BlackbodySpectrumStrings.blackbodyTemperature;
-const kelvinUnitsString = BlackbodySpectrumStrings.kelvinUnits;
+const controlAreaStringProperty = BlackbodySpectrumStrings.a11y.screenSummary.controlAreaStringProperty;
+const interactionHintStringProperty = BlackbodySpectrumStrings.a11y.screenSummary.interactionHintStringProperty;
+const playAreaStringProperty = BlackbodySpectrumStrings.a11y.screenSummary.playAreaStringProperty;
+const spectrumHeadingString = BlackbodySpectrumStrings.a11y.spectrumHeading;
 
 // constants
 const TEMPERATURE_FONT = new PhetFont( { size: 22, weight: 'bold' } );
@@ -33,6 +59,7 @@ const TITLE_COLOR = BlackbodyColors.titlesTextProperty;
 const TEMPERATURE_COLOR = BlackbodyColors.temperatureTextProperty;
 const INSET = 10;
 const TEMPERATURE_LABEL_SPACING = 5;
+const ALERT_STABLE_DELAY = 500; // in ms, how long the temperature must stay the same before the change is announced
 
 class BlackbodySpectrumScreenView extends ScreenView {
 
@@ -71,14 +98,34 @@ class BlackbodySpectrumScreenView extends ScreenView {
       tandem: tandem.createTandem( 'bgrAndStarDisplay' )
     } );
 
-    // Links the current temperature to the temperature text above the thermometer
-    model.mainBody.temperatureProperty.link( temperature => {
-      temperatureText.string = `${Utils.toFixed( temperature, 0 )} ${kelvinUnitsString}`;
+    // Links the current temperature to the temperature text above the thermometer, in the preferred units
+    Multilink.multilink( [
+      model.mainBody.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      temperatureText.string = TemperatureUnits.format( temperature, temperatureUnits );
       temperatureText.centerX = thermometerText.centerX; // In case the size of the temperature text changes
     } );
 
+    // parent for combo box popup lists, added last so that lists appear in front of everything else
+    const comboBoxListParent = new Node();
+
     // create graph with zoom buttons
-    const graphDrawingNode = new GraphDrawingNode( model, { tandem: tandem.createTandem( 'graphDrawingNode' ) } );
+    const graphDrawingNode = new GraphDrawingNode( model, {
+      comboBoxListParent: comboBoxListParent,
+      tandem: tandem.createTandem( 'graphDrawingNode' )
+    } );
+
+    // @private
+    this.spectrumSonifier = new SpectrumSonifier( model, graphDrawingNode, this );
+
+    const exportDialog = new ExportDialog( model, bounds => graphDrawingNode.getVisibleWavelengthRange( bounds ),
+      graphDrawingNode.axes.viewDependencies, {
+        tandem: tandem.createTandem( 'exportDialog' )
+      } );
+    const measuredSpectrumImporter = new MeasuredSpectrumImporter( model, {
+      tandem: tandem.createTandem( 'measuredSpectrumImporter' )
+    } );
 
     // create the Reset All Button in the bottom right
     const resetAllButton = new ResetAllButton( {
@@ -86,18 +133,70 @@ class BlackbodySpectrumScreenView extends ScreenView {
         model.reset();
         graphDrawingNode.reset();
         thermometerNode.reset();
+        exportDialog.reset();
+        comparisonPanel.reset();
+        savedGraphsPanel.reset();
+        this.spectrumSonifier.reset();
       },
       tandem: tandem.createTandem( 'resetAllButton' ),
       phetioDocumentation: 'button that resets the screen to its initial state'
     } );
 
     const controlPanel = new BlackbodySpectrumControlPanel( model, {
+      exportListener: () => exportDialog.show(),
+      importListener: () => measuredSpectrumImporter.openFile(),
+      playCurveListener: () => this.spectrumSonifier.playCurve(),
       tandem: tandem.createTandem( 'controlPanel' )
     } );
     const savedGraphsPanel = new SavedGraphInformationPanel( model, {
       minWidth: controlPanel.width,
+      maxWidth: controlPanel.width,
       tandem: tandem.createTandem( 'savedGraphsPanel' )
     } );
+    const emitterControlPanel = new EmitterControlPanel( model.mainBody, comboBoxListParent, {
+      minWidth: controlPanel.width,
+      maxWidth: controlPanel.width,
+      tandem: tandem.createTandem( 'emitterControlPanel' )
+    } );
+    const bandIntensityPanel = new BandIntensityPanel( model, {
+      visibleProperty: DerivedProperty.and( [ model.intensityVisibleProperty, model.bandIntensitiesVisibleProperty ] ),
+      tandem: tandem.createTandem( 'bandIntensityPanel' )
+    } );
+    const partialAreaPanel = new PartialAreaPanel( model, {
+      tandem: tandem.createTandem( 'partialAreaPanel' )
+    } );
+    const comparisonPanel = new ComparisonPanel( model, graphDrawingNode.axes, {
+      tandem: tandem.createTandem( 'comparisonPanel' )
+    } );
+    const chromaticityDiagram = new ChromaticityDiagram( model.mainBody, {
+      visibleProperty: model.chromaticityDiagramVisibleProperty,
+      tandem: tandem.createTandem( 'chromaticityDiagram' )
+    } );
+    const measuredSpectrumPanel = new MeasuredSpectrumPanel( model, {
+      tandem: tandem.createTandem( 'measuredSpectrumPanel' )
+    } );
+    const thermalEvolutionPanel = new ThermalEvolutionPanel( model, {
+      visibleProperty: model.thermalEvolution.enabledProperty,
+      tandem: tandem.createTandem( 'thermalEvolutionPanel' )
+    } );
+
+    // The optional panels are stacked to the left of the control panel, so that they don't overlap when both are shown
+    const optionalPanels = new AlignBox( new VBox( {
+      children: [
+        thermalEvolutionPanel,
+        bandIntensityPanel,
+        partialAreaPanel,
+        comparisonPanel,
+        chromaticityDiagram,
+        measuredSpectrumPanel
+      ],
+      spacing: INSET,
+      align: 'right',
+      excludeInvisibleChildrenFromBounds: true
+    } ), {
+      xAlign: 'right',
+      yAlign: 'top'
+    } );
 
     graphDrawingNode.left = INSET;
     graphDrawingNode.bottom = this.layoutBounds.maxY - INSET;
@@ -109,20 +208,133 @@ class BlackbodySpectrumScreenView extends ScreenView {
     thermometerText.top = INSET + TEMPERATURE_LABEL_SPACING;
     temperatureText.top = thermometerText.bottom + TEMPERATURE_LABEL_SPACING;
     thermometerNode.top = temperatureText.bottom + TEMPERATURE_LABEL_SPACING;
-    controlPanel.right = thermometerNode.left - 20;
-    controlPanel.top = thermometerText.centerY;
-    savedGraphsPanel.centerX = controlPanel.centerX;
-    savedGraphsPanel.top = controlPanel.bottom + 55;
     bgrAndStarDisplay.left = 225; // Layout empirically determined
 
+    // The emitter controls stay below the control panel as the control panel grows and shrinks
+    const controlColumn = new VBox( {
+      children: [ controlPanel, emitterControlPanel ],
+      spacing: INSET
+    } );
+    controlColumn.right = thermometerNode.left - 20;
+    controlColumn.top = thermometerText.centerY;
+
+    // The saved graphs panel fills the space below the other controls, and shrinks to fit as more graphs are saved
+    const savedGraphsAlignBox = new AlignBox( savedGraphsPanel, {
+      xAlign: 'center',
+      yAlign: 'top'
+    } );
+    controlColumn.boundsProperty.link( bounds => {
+      const savedGraphsBounds = new Bounds2(
+        bounds.minX,
+        bounds.maxY + INSET,
+        bounds.maxX,
+        this.layoutBounds.maxY - INSET
+      );
+      savedGraphsPanel.maxHeight = Math.max( savedGraphsBounds.height, 1 );
+      savedGraphsAlignBox.alignBounds = savedGraphsBounds;
+    } );
+    optionalPanels.alignBounds = new Bounds2(
+      graphDrawingNode.left,
+      controlColumn.top,
+      controlColumn.left - INSET,
+      this.layoutBounds.maxY - INSET
+    );
+
     this.addChild( graphDrawingNode );
-    this.addChild( controlPanel );
-    this.addChild( savedGraphsPanel );
+    this.addChild( controlColumn );
+    this.addChild( savedGraphsAlignBox );
+    this.addChild( optionalPanels );
     this.addChild( thermometerNode );
     this.addChild( thermometerText );
     this.addChild( temperatureText );
     this.addChild( bgrAndStarDisplay );
     this.addChild( resetAllButton );
+    this.addChild( comboBoxListParent );
+
+    const describer = new BlackbodySpectrumDescriber( model, graphDrawingNode );
+
+    // @private {Property.<string>} - the description of the spectrum, which is kept up to date for the PDOM
+    this.spectrumDescriptionProperty = new StringProperty( '' );
+    Multilink.multilink( describer.dependencies, () => {
+      this.spectrumDescriptionProperty.value = describer.getSpectrumDescription();
+    } );
+
+    // The description of the spectrum is read with the play area, between the thermometer and the graph
+    const spectrumDescriptionParagraph = new Node( { tagName: 'p' } );
+    this.spectrumDescriptionProperty.link( spectrumDescription => {
+      spectrumDescriptionParagraph.innerContent = spectrumDescription;
+    } );
+    const spectrumDescriptionNode = new Node( {
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: spectrumHeadingString,
+      children: [ spectrumDescriptionParagraph ]
+    } );
+    this.addChild( spectrumDescriptionNode );
+
+    this.setScreenSummaryContent( new ScreenSummaryContent( {
+      playAreaContent: playAreaStringProperty,
+      controlAreaContent: controlAreaStringProperty,
+      currentDetailsContent: this.spectrumDescriptionProperty,
+      interactionHintContent: interactionHintStringProperty
+    } ) );
+
+    this.pdomPlayAreaNode.pdomOrder = [ thermometerNode, spectrumDescriptionNode, graphDrawingNode ];
+    this.pdomControlAreaNode.pdomOrder = [ controlColumn, savedGraphsAlignBox, optionalPanels, resetAllButton ];
+
+    // Changes of temperature are announced once the temperature settles, so that dragging the thermometer or
+    // changing the temperature in time doesn't queue an announcement for every value
+    const temperatureUtterance = new Utterance( { alertStableDelay: ALERT_STABLE_DELAY } );
+    model.mainBody.temperatureProperty.lazyLink( () => {
+      if ( !isSettingPhetioStateProperty.value ) {
+        temperatureUtterance.alert = [
+          describer.getTemperatureDescription(),
+          describer.getPeakDescription(),
+          describer.getCurveHeightDescription()
+        ].join( ' ' );
+        this.alertDescriptionUtterance( temperatureUtterance );
+        voicingUtteranceQueue.addToBack( temperatureUtterance );
+      }
+    } );
+  }
+
+  /**
+   * Steps the sonification of the spectrum in time
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    this.spectrumSonifier.step( dt );
+  }
+
+  /**
+   * Voicing content for the overview of the screen, from the screen summary
+   * @public
+   * @override
+   * @returns {string}
+   */
+  getVoicingOverviewContent() {
+    return playAreaStringProperty.value;
+  }
+
+  /**
+   * Voicing content for the details of the screen, which describes the spectrum as it is now
+   * @public
+   * @override
+   * @returns {string}
+   */
+  getVoicingDetailsContent() {
+    return this.spectrumDescriptionProperty.value;
+  }
+
+  /**
+   * Voicing content for a hint about how to interact with the screen
+   * @public
+   * @override
+   * @returns {string}
+   */
+  getVoicingHintContent() {
+    return interactionHintStringProperty.value;
   }
 }
 
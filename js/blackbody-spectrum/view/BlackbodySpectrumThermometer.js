@@ -2,40 +2,50 @@
 
 /**
  * Scenery Node that displays a thermometer with labels attached to the left hand side of the thermometer
+ * The scale of the thermometer has ticks at round temperatures in the units that temperatures are shown in
+ * The thumb can be moved with the keyboard, and the number keys jump to the temperatures of the labeled ticks
+ * The labeled ticks are the temperature presets, and clicking a label animates the temperature to its preset
+ * In the extended range of temperatures, the scale is logarithmic and snaps to round temperatures within each decade
  *
  * @author Martin Veillette (Berea College)
  * @author Arnab Purkayastha
  */
 
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import ThermometerNode from '../../../../scenery-phet/js/ThermometerNode.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import FireListener from '../../../../scenery/js/listeners/FireListener.js';
+import KeyboardListener from '../../../../scenery/js/listeners/KeyboardListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import Animation from '../../../../twixt/js/Animation.js';
+import Easing from '../../../../twixt/js/Easing.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperaturePresets from '../model/TemperaturePresets.js';
+import temperaturePresetsProperty from '../model/temperaturePresetsProperty.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
 import BlackbodyColors from './BlackbodyColors.js';
 import TriangleSliderThumb from './TriangleSliderThumb.js';
 
 // string
-const earthString = BlackbodySpectrumStrings.earth;
-const lightBulbString = BlackbodySpectrumStrings.lightBulb;
-const siriusAString = BlackbodySpectrumStrings.siriusA;
-const sunString = BlackbodySpectrumStrings.sun;
+const temperatureSliderAccessibleNameString = BlackbodySpectrumStrings.a11y.temperatureSlider.accessibleName;
+const temperatureSliderHelpTextString = BlackbodySpectrumStrings.a11y.temperatureSlider.helpText;
 
 // constants
-const TICK_MARKS = [
-  { text: siriusAString, temperature: BlackbodyConstants.siriusATemperature },
-  { text: sunString, temperature: BlackbodyConstants.sunTemperature },
-  { text: lightBulbString, temperature: BlackbodyConstants.lightBulbTemperature },
-  { text: earthString, temperature: BlackbodyConstants.earthTemperature }
-];
+const LOG_PRECISION = 12; // significant digits of a temperature that is converted back from its logarithm
+const LABEL_SPACING = 10; // between a tick and its label
+const LEADER_LENGTH = 6; // horizontal length of the line from a tick to a label that has been moved away from it
 
 class BlackbodySpectrumThermometer extends ThermometerNode {
 
@@ -57,24 +67,83 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
       glassThickness: 5,
       lineWidth: 3,
       outlineStroke: BlackbodyColors.thermometerTubeStrokeProperty,
-      tickSpacingTemperature: 500,
+      tickSpacings: { kelvin: 500, celsius: 500, fahrenheit: 1000 }, // spacing of the scale's ticks in each unit
       tickLabelFont: new PhetFont( { size: 18 } ),
       tickLabelColor: BlackbodyColors.thermometerTubeStrokeProperty,
       tickLabelWidth: 100,
-      snapInterval: 50,
+      tickLabelSpacing: 20, // the least vertical distance between the centers of labels, which are spread apart to it
+      snapInterval: 50, // in the units that temperatures are shown in
+      keyboardStep: 100, // in K, the change in temperature for each press of an arrow key
+      shiftKeyboardStep: 10, // in K, with shift held down
+      pageKeyboardStep: 1000, // in K, for Page Up and Page Down
+      logarithmic: BlackbodyConstants.extendedTemperatureRange, // whether the scale is logarithmic
+      logSnapDivisions: 10, // on a logarithmic scale, the intervals in each decade that the thumb snaps to when dragged
+      logKeyboardDivisions: 100, // on a logarithmic scale, the intervals in each decade that the keyboard rounds to
+      logKeyboardStep: 0.05, // in decades, the keyboard steps on a logarithmic scale
+      logShiftKeyboardStep: 0.01,
+      logPageKeyboardStep: 0.5,
       zeroLevel: 'bulbTop',
       thumbSize: 25,
+      presetsProperty: temperaturePresetsProperty, // {Property.<{name: string, temperature: number}[]>}
+      presetAnimationDuration: 0.5, // in seconds, how long the temperature takes to change to a clicked preset
 
       tandem: Tandem.REQUIRED
     }, options );
 
-    super( temperatureProperty, options.minTemperature, options.maxTemperature, options );
+    // A logarithmic scale is a ThermometerNode for the logarithm of the temperature, so that the fluid and the thumb
+    // are evenly spaced in the logarithm. The logarithm is set by the thumb, and is mapped back to a temperature.
+    const scaleTemperatureProperty = options.logarithmic ? new DynamicProperty( new Property( temperatureProperty ), {
+      bidirectional: true,
+      map: temperature => Math.log10( temperature ),
+      inverseMap: logTemperature => fromLogTemperature( logTemperature, options )
+    } ) : temperatureProperty;
+    const toScale = temperature => options.logarithmic ? Math.log10( temperature ) : temperature;
 
-    // labeled tick marks
+    // ThermometerNode's ticks are evenly spaced in kelvin, so its ticks are hidden and the scale is drawn here instead
+    super( scaleTemperatureProperty, toScale( options.minTemperature ), toScale( options.maxTemperature ),
+      merge( {}, options, {
+        majorTickLength: 0,
+        minorTickLength: 0
+      } ) );
+
+    // @private
+    this.logarithmic = options.logarithmic;
+    this.minTemperature = options.minTemperature;
+    this.maxTemperature = options.maxTemperature;
+
+    // Ticks of the scale, which move when the units change
+    const scalePath = new Path( null, { stroke: options.outlineStroke, lineWidth: options.lineWidth / 2 } );
+    BlackbodySpectrumPreferences.temperatureUnitsProperty.link( temperatureUnits => {
+      scalePath.shape = this.createScaleShape( TemperatureUnits.get( temperatureUnits ), options );
+    } );
+
+    // @private
+    this.temperatureProperty = temperatureProperty;
+    this.scaleTemperatureProperty = scaleTemperatureProperty;
+    this.presetAnimationDuration = options.presetAnimationDuration;
+
+    // @private {Animation|null} - the animation of the temperature to a preset, while it is running
+    this.presetAnimation = null;
+
+    // @private {{name: string, temperature: number}[]} - the presets that are labeled, from the coolest to the hottest
+    this.presets = [];
+
+    // labeled tick marks, which are created again when the presets change
     const labelsNode = new Node( {
-      children: _.range( 0, TICK_MARKS.length ).map( i => this.createLabeledTick( i, options ) ),
       tandem: options.tandem.createTandem( 'labelsNode' )
     } );
+    options.presetsProperty.link( presets => {
+      labelsNode.children.forEach( labeledTick => labeledTick.dispose() );
+      this.presets = TemperaturePresets.getPresetsInRange( presets, options.minTemperature, options.maxTemperature );
+      const labelYs = spreadLabelYs(
+        this.presets.map( preset => this.temperatureToY( preset.temperature ) ),
+        options.tickLabelSpacing,
+        this.temperatureToY( options.maxTemperature )
+      );
+      labelsNode.children = this.presets.map( ( preset, index ) => {
+        return this.createLabeledTick( preset, labelYs[ index ], options );
+      } );
+    } );
 
     const thumbDimension = new Dimension2( options.thumbSize, options.thumbSize );
 
@@ -83,6 +152,29 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
     // eslint-disable-next-line phet/tandem-name-should-match
     this.triangleNode = new TriangleSliderThumb( {
       size: thumbDimension,
+      valueProperty: scaleTemperatureProperty,
+      enabledRangeProperty: new Property( new Range( toScale( options.minTemperature ),
+        toScale( options.maxTemperature ) ) ),
+      keyboardStep: options.logarithmic ? options.logKeyboardStep : options.keyboardStep,
+      shiftKeyboardStep: options.logarithmic ? options.logShiftKeyboardStep : options.shiftKeyboardStep,
+      pageKeyboardStep: options.logarithmic ? options.logPageKeyboardStep : options.pageKeyboardStep,
+
+      // On a logarithmic scale, the keyboard rounds finely enough that the smallest step still moves the thumb
+      constrainValue: value => {
+        const temperature = this.scaleToTemperature( value );
+        return this.temperatureToScale( options.logarithmic ?
+                                        Utils.roundToInterval( temperature,
+                                          getDecadeInterval( temperature, options.logKeyboardDivisions ) ) :
+                                        Utils.roundSymmetric( temperature ) );
+      },
+      accessibleName: temperatureSliderAccessibleNameString,
+      descriptionContent: temperatureSliderHelpTextString,
+      a11yCreateAriaValueText: value => TemperatureUnits.format(
+        this.scaleToTemperature( value ),
+        BlackbodySpectrumPreferences.temperatureUnitsProperty.value
+      ),
+      a11yDependencies: [ BlackbodySpectrumPreferences.temperatureUnitsProperty ],
+      startDrag: () => this.stopPresetAnimation(),
       tandem: options.tandem.createTandem( 'slider' )
     } );
     this.triangleNode.touchArea = this.triangleNode.localBounds.dilatedXY( 10, 10 );
@@ -90,27 +182,52 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
     let clickYOffset;
     this.triangleNode.addInputListener( new DragListener( {
       start: event => {
+        this.stopPresetAnimation();
         clickYOffset = this.triangleNode.globalToParentPoint( event.pointer.point ).y - this.triangleNode.y;
       },
       drag: event => {
         const y = this.triangleNode.globalToParentPoint( event.pointer.point ).y - clickYOffset;
 
-        // Clamp to make sure temperature Property is within graph bounds
+        // Snaps to round temperatures in the units that are shown, and clamps to make sure temperature Property is
+        // within graph bounds. A logarithmic scale snaps to intervals that grow with each decade.
+        const units = TemperatureUnits.get( BlackbodySpectrumPreferences.temperatureUnitsProperty.value );
+        const temperature = this.scaleToTemperature( this.yPosToTemperature( -y ) );
+        const snapInterval = options.logarithmic ? getDecadeInterval( temperature, options.logSnapDivisions ) :
+                             options.snapInterval;
         temperatureProperty.value = Utils.clamp(
-          Utils.roundToInterval( this.yPosToTemperature( -y ), options.snapInterval ),
+          units.toKelvin( Utils.roundToInterval( units.fromKelvin( temperature ), snapInterval ) ),
           options.minTemperature,
           options.maxTemperature
         );
-        this.updateThumb( temperatureProperty, options );
       },
       allowTouchSnag: true,
       tandem: options.tandem.createTandem( 'dragListener' )
     } ) );
 
+    // The number keys jump to the labeled ticks, from the coolest to the hottest
+    this.triangleNode.addInputListener( new KeyboardListener( {
+      keys: TemperaturePresets.NUMBER_KEYS,
+      fire: ( event, keysPressed ) => {
+        const preset = _.find( this.presets, ( preset, index ) => TemperaturePresets.getKey( index ) === keysPressed );
+        if ( preset ) {
+          this.stopPresetAnimation();
+          temperatureProperty.value = preset.temperature;
+          this.triangleNode.hideCueingArrows();
+        }
+      }
+    } ) );
+
     this.triangleNode.rotation = -Math.PI / 2;
-    this.triangleNode.left = options.tubeWidth / 2;
-    this.triangleNode.centerY = -this.temperatureToYPos( TICK_MARKS[ 1 ].temperature );
 
+    // The temperature stops at wherever it was animating to when input is disabled
+    this.inputEnabledProperty.lazyLink( inputEnabled => {
+      !inputEnabled && this.stopPresetAnimation();
+    } );
+
+    // The thumb follows the temperature however it changes, such as when it changes in time
+    temperatureProperty.link( () => this.updateThumb( temperatureProperty, options ) );
+
+    this.addChild( scalePath );
     this.addChild( labelsNode );
     this.addChild( this.triangleNode );
 
@@ -123,46 +240,158 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
    * @public
    */
   reset() {
-    this.triangleNode.centerY = -this.temperatureToYPos( TICK_MARKS[ 1 ].temperature );
+    this.stopPresetAnimation();
+    this.triangleNode.centerY = this.temperatureToY( BlackbodyConstants.sunTemperature );
     this.triangleNode.reset();
   }
 
   /**
-   * Creates a labeled tick mark.
-   * @param {number} tickMarkIndex
+   * Converts a temperature to the value that the scale is evenly spaced in, which is its logarithm on a logarithmic
+   * scale
+   * @param {number} temperature - in K
+   * @returns {number}
+   * @private
+   */
+  temperatureToScale( temperature ) {
+    return this.logarithmic ? Math.log10( temperature ) : temperature;
+  }
+
+  /**
+   * Converts a value that the scale is evenly spaced in to a temperature, the inverse of temperatureToScale
+   * @param {number} value
+   * @returns {number} - in K
+   * @private
+   */
+  scaleToTemperature( value ) {
+    return this.logarithmic ? fromLogTemperature( value, this ) : value;
+  }
+
+  /**
+   * Gets the y position of a temperature on the thermometer
+   * @param {number} temperature - in K
+   * @returns {number}
+   * @private
+   */
+  temperatureToY( temperature ) {
+    return -this.temperatureToYPos( this.temperatureToScale( temperature ) );
+  }
+
+  /**
+   * Animates the temperature to a preset, from wherever it is. Dragging the thumb, pressing a number key or clicking
+   * another label stops the animation.
+   * @param {number} temperature - in K
+   * @public
+   */
+  animateToTemperature( temperature ) {
+    this.stopPresetAnimation();
+
+    // The temperature moves evenly along the scale, and lands exactly on the preset
+    this.presetAnimation = new Animation( {
+      property: this.scaleTemperatureProperty,
+      to: this.temperatureToScale( temperature ),
+      duration: this.presetAnimationDuration,
+      easing: Easing.CUBIC_IN_OUT
+    } );
+    this.presetAnimation.finishEmitter.addListener( () => {
+      this.temperatureProperty.value = temperature;
+    } );
+    this.presetAnimation.endedEmitter.addListener( () => {
+      this.presetAnimation = null;
+    } );
+    this.presetAnimation.start();
+  }
+
+  /**
+   * @private
+   */
+  stopPresetAnimation() {
+    this.presetAnimation && this.presetAnimation.stop();
+  }
+
+  /**
+   * Creates a labeled tick mark for a preset, whose label animates the temperature to the preset when it is clicked.
+   * A label that has been moved away from its tick, so that it doesn't overlap the labels of nearby presets, is joined
+   * to the tick by a line.
+   * @param {{name: string, temperature: number}} preset
+   * @param {number} labelY - the y position of the center of the label
    * @param {Object} [options] - options that were provided to BlackbodySpectrumThermometer constructor
    * @returns {Node}
    * @private
    */
-  createLabeledTick( tickMarkIndex, options ) {
-    const text = TICK_MARKS[ tickMarkIndex ].text;
-    const temperature = TICK_MARKS[ tickMarkIndex ].temperature;
+  createLabeledTick( preset, labelY, options ) {
+    const text = preset.name;
+    const temperature = preset.temperature;
 
-    const objectHeight = -this.temperatureToYPos( temperature );
+    const objectHeight = this.temperatureToY( temperature );
     const tickMarkLength = options.tubeWidth * 0.5;
 
     const shape = new Shape();
     shape.moveTo( options.tubeWidth / 2, objectHeight ).horizontalLineToRelative( tickMarkLength );
+    if ( labelY !== objectHeight ) {
+      shape.moveTo( options.tubeWidth / 2, objectHeight ).lineTo( options.tubeWidth / 2 - LEADER_LENGTH, labelY );
+    }
 
     const tickNode = new Path( shape, { stroke: options.outlineStroke, lineWidth: options.lineWidth } );
     const textNode = new Text( text, {
       font: options.tickLabelFont,
       fill: options.tickLabelColor,
-      maxWidth: options.tickLabelWidth
+      maxWidth: options.tickLabelWidth,
+      cursor: 'pointer'
     } );
+    textNode.addInputListener( new FireListener( {
+      fire: () => this.animateToTemperature( temperature ),
+      tandem: Tandem.OPT_OUT
+    } ) );
 
     const parentNode = new Node( {
       children: [ tickNode, textNode ]
     } );
 
     tickNode.right = -0.5 * options.tubeWidth;
-    tickNode.centerY = objectHeight;
-    textNode.centerY = objectHeight;
-    textNode.right = tickNode.left - 10;
+    textNode.centerY = labelY;
+    textNode.right = tickNode.right - tickMarkLength - LABEL_SPACING;
 
     return parentNode;
   }
 
+  /**
+   * Creates the shape of the ticks of the scale, which alternate between major and minor ticks. A logarithmic scale has
+   * a tick at each multiple of a power of ten in kelvin, with major ticks at each decade, since temperatures below
+   * absolute zero have no logarithm in the other units.
+   * @param {Object} units - one of the units in TemperatureUnits
+   * @param {Object} options - options that were provided to BlackbodySpectrumThermometer constructor
+   * @returns {Shape}
+   * @private
+   */
+  createScaleShape( units, options ) {
+    if ( options.logarithmic ) {
+      const logShape = new Shape();
+      const maxExponent = Math.ceil( Math.log10( options.maxTemperature ) );
+      for ( let exponent = Math.floor( Math.log10( options.minTemperature ) ); exponent <= maxExponent; exponent++ ) {
+        for ( let multiple = 1; multiple < 10; multiple++ ) {
+          const temperature = multiple * Math.pow( 10, exponent );
+          if ( temperature >= options.minTemperature && temperature <= options.maxTemperature ) {
+            const tickLength = multiple === 1 ? options.majorTickLength : options.minorTickLength;
+            logShape.moveTo( -options.tubeWidth / 2, this.temperatureToY( temperature ) )
+              .horizontalLineToRelative( tickLength );
+          }
+        }
+      }
+      return logShape;
+    }
+
+    const tickSpacing = options.tickSpacings[ units.name ];
+    const shape = new Shape();
+    const minTick = Math.ceil( units.fromKelvin( options.minTemperature ) / tickSpacing );
+    const maxTick = Math.floor( units.fromKelvin( options.maxTemperature ) / tickSpacing );
+    for ( let i = minTick; i <= maxTick; i++ ) {
+      const y = this.temperatureToY( units.toKelvin( i * tickSpacing ) );
+      const tickLength = i % 2 === 0 ? options.majorTickLength : options.minorTickLength;
+      shape.moveTo( -options.tubeWidth / 2, y ).horizontalLineToRelative( tickLength );
+    }
+    return shape;
+  }
+
   /**
    * Updates the position of the thumb
    * @param {Property.<number>} [temperatureProperty]
@@ -174,7 +403,7 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
     temperatureProperty.value <= options.maxTemperature,
       'temperature has exceeded thermometer bounds' );
     this.triangleNode.left = options.tubeWidth / 2;
-    this.triangleNode.centerY = -this.temperatureToYPos( temperatureProperty.value );
+    this.triangleNode.centerY = this.temperatureToY( temperatureProperty.value );
   }
 
   /**
@@ -185,4 +414,46 @@ class BlackbodySpectrumThermometer extends ThermometerNode {
   get thermometerCenterXFromRight() { return this._thermometerCenterXFromRight; }
 }
 
+/**
+ * Converts the logarithm of a temperature back to the temperature. The temperature is rounded to drop the error of
+ * the logarithm, so that round temperatures stay round, and is kept within the range of the thermometer.
+ * @param {number} logTemperature
+ * @param {{minTemperature: number, maxTemperature: number}} range - in K
+ * @returns {number} - in K
+ */
+const fromLogTemperature = ( logTemperature, range ) => {
+  const temperature = Number( Math.pow( 10, logTemperature ).toPrecision( LOG_PRECISION ) );
+  return Utils.clamp( temperature, range.minTemperature, range.maxTemperature );
+};
+
+/**
+ * Spreads the labels of ticks apart so that they don't overlap. Labels are pushed up from the lowest one, and then
+ * back down from the top of the scale if they were pushed past it.
+ * @param {number[]} tickYs - y positions of the ticks, from the lowest to the highest
+ * @param {number} spacing - the least distance between the centers of labels
+ * @param {number} minY - y position of the top of the scale
+ * @returns {number[]} - y positions of the centers of the labels
+ */
+const spreadLabelYs = ( tickYs, spacing, minY ) => {
+  const labelYs = [];
+  tickYs.forEach( ( tickY, i ) => {
+    labelYs.push( i === 0 ? tickY : Math.min( tickY, labelYs[ i - 1 ] - spacing ) );
+  } );
+  for ( let i = labelYs.length - 1; i >= 0; i-- ) {
+    labelYs[ i ] = Math.max( labelYs[ i ], i === labelYs.length - 1 ? minY : labelYs[ i + 1 ] + spacing );
+  }
+  return labelYs;
+};
+
+/**
+ * Gets the interval that a temperature is rounded to on a logarithmic scale, which is a fraction of the power of ten
+ * of its decade, so that the interval is about as far apart on the scale in every decade
+ * @param {number} temperature - in K
+ * @param {number} divisions - number of intervals in each power of ten
+ * @returns {number} - in K
+ */
+const getDecadeInterval = ( temperature, divisions ) => {
+  return Math.pow( 10, Math.floor( Math.log10( temperature ) ) ) / divisions;
+};
+
 export default BlackbodySpectrumThermometer;
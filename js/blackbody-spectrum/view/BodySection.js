@@ -0,0 +1,96 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A section of a panel for a single body, which identifies the body by a generic curve in the style of its graph and by
+ * its temperature, and shows readouts of the body's spectrum below them
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import merge from '../../../../phet-core/js/merge.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import GenericCurveShape from './GenericCurveShape.js';
+import SavedGraphStyles from './SavedGraphStyles.js';
+
+class BodySection extends VBox {
+
+  /**
+   * @param {BlackbodyBodyModel} body
+   * @param {Node} readouts - readouts of the spectrum of the body, which are disposed with the section
+   * @param {Object} curveOptions - options for the generic curve that identifies the body
+   * @param {Object} options - options of the panel, with its spacing, curveWidth, curveLineWidth and labelOptions
+   */
+  constructor( body, readouts, curveOptions, options ) {
+
+    const genericCurve = new Path( new GenericCurveShape(), merge( {
+      lineWidth: options.curveLineWidth,
+      maxWidth: options.curveWidth
+    }, curveOptions ) );
+    const temperatureLabel = new Text( '', options.labelOptions );
+
+    super( {
+      children: [
+        new HBox( { children: [ genericCurve, temperatureLabel ], spacing: options.spacing } ),
+        readouts
+      ],
+      spacing: options.spacing / 2,
+      align: 'left'
+    } );
+
+    const temperatureMultilink = Multilink.multilink( [
+      body.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      temperatureLabel.string = TemperatureUnits.format( temperature, temperatureUnits );
+    } );
+
+    // @private
+    this.disposeBodySection = () => {
+      temperatureMultilink.dispose();
+      readouts.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeBodySection();
+    super.dispose();
+  }
+
+  /**
+   * Adds a section to a Node for each saved body, in the style of the saved body's graph, and removes the section when
+   * the body is no longer saved
+   * @public
+   *
+   * @param {PhetioGroup.<SavedBodyModel>} savedBodies
+   * @param {Node} parent
+   * @param {function(SavedBodyModel):Node} createReadouts - creates the readouts of a saved body's spectrum
+   * @param {Object} options - options of the panel, as for the constructor
+   */
+  static addSavedBodySections( savedBodies, parent, createReadouts, options ) {
+    const savedBodySections = new Map();
+    const addSavedBodySection = savedBody => {
+      const section = new BodySection( savedBody, createReadouts( savedBody ),
+        SavedGraphStyles.getPathOptions( savedBody.styleIndex ), options );
+      savedBodySections.set( savedBody, section );
+      parent.addChild( section );
+    };
+    savedBodies.getArray().forEach( addSavedBodySection );
+    savedBodies.elementCreatedEmitter.addListener( addSavedBodySection );
+    savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      savedBodySections.get( savedBody ).dispose();
+      savedBodySections.delete( savedBody );
+    } );
+  }
+}
+
+export default BodySection;
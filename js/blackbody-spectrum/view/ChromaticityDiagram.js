@@ -0,0 +1,189 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with a CIE 1931 xy chromaticity diagram, which shows the chromaticity of the main body on the diagram along
+ * with the spectral locus (the chromaticities of single wavelengths) and the Planckian locus (the chromaticities of
+ * ideal blackbodies)
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyBodyModel from '../model/BlackbodyBodyModel.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import Colorimetry from '../model/Colorimetry.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+const chromaticityPatternString = BlackbodySpectrumStrings.chromaticityPattern;
+const chromaticityString = BlackbodySpectrumStrings.chromaticity;
+const chromaticityXString = BlackbodySpectrumStrings.chromaticityX;
+const chromaticityYString = BlackbodySpectrumStrings.chromaticityY;
+const colorTemperatureAbovePatternString = BlackbodySpectrumStrings.colorTemperatureAbovePattern;
+const colorTemperatureBelowPatternString = BlackbodySpectrumStrings.colorTemperatureBelowPattern;
+const colorTemperaturePatternString = BlackbodySpectrumStrings.colorTemperaturePattern;
+const noVisibleLightString = BlackbodySpectrumStrings.noVisibleLight;
+
+// constants
+const MAX_X = 0.8; // largest x chromaticity shown
+const MAX_Y = 0.9; // largest y chromaticity shown
+const SPECTRAL_LOCUS_MAX_WAVELENGTH = 700; // in nm, beyond which the spectral locus no longer visibly changes
+const SPECTRAL_LOCUS_WAVELENGTH_STEP = 5; // in nm
+const PLANCKIAN_LOCUS_MIN_TEMPERATURE = 1000; // in K
+const PLANCKIAN_LOCUS_MAX_TEMPERATURE = 40000; // in K
+const PLANCKIAN_LOCUS_NUMBER_POINTS = 60;
+
+class ChromaticityDiagram extends Panel {
+
+  /**
+   * @param {BlackbodyBodyModel} body - the body whose chromaticity is shown
+   * @param {Object} [options]
+   */
+  constructor( body, options ) {
+
+    options = merge( {
+      visibleProperty: null,
+      scale: 180, // view units per unit of chromaticity
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel with a chromaticity diagram that shows the color of the main body'
+    }, options );
+
+    const modelViewTransform = ModelViewTransform2.createSinglePointScaleInvertedYMapping(
+      Vector2.ZERO,
+      Vector2.ZERO,
+      options.scale
+    );
+
+    const axesPath = new Path( modelViewTransform.modelToViewShape(
+      new Shape().moveTo( 0, MAX_Y ).lineTo( 0, 0 ).lineTo( MAX_X, 0 )
+    ), {
+      stroke: BlackbodyColors.graphAxesStrokeProperty,
+      lineWidth: 1
+    } );
+    const xAxisLabel = new Text( chromaticityXString, options.labelOptions );
+    xAxisLabel.left = axesPath.right + 2;
+    xAxisLabel.centerY = axesPath.bottom;
+    const yAxisLabel = new Text( chromaticityYString, options.labelOptions );
+    yAxisLabel.centerX = axesPath.left;
+    yAxisLabel.bottom = axesPath.top - 2;
+
+    // The spectral locus is closed by the line of purples, which are not the color of any single wavelength
+    const spectralLocusShape = new Shape();
+    for ( let wavelength = Colorimetry.MIN_WAVELENGTH;
+          wavelength <= SPECTRAL_LOCUS_MAX_WAVELENGTH;
+          wavelength += SPECTRAL_LOCUS_WAVELENGTH_STEP ) {
+      const chromaticity = Colorimetry.getChromaticity( Colorimetry.getColorMatchingFunctions( wavelength ) );
+      spectralLocusShape.lineToPoint( chromaticity );
+    }
+    spectralLocusShape.close();
+    const spectralLocusPath = new Path( modelViewTransform.modelToViewShape( spectralLocusShape ), {
+      fill: 'rgba( 128, 128, 128, 0.3 )',
+      stroke: BlackbodyColors.panelTextProperty,
+      lineWidth: 1
+    } );
+
+    // Temperatures are spaced logarithmically, since the chromaticity changes much faster at low temperatures
+    const planckianLocusShape = new Shape();
+    const logMinTemperature = Math.log( PLANCKIAN_LOCUS_MIN_TEMPERATURE );
+    const logMaxTemperature = Math.log( PLANCKIAN_LOCUS_MAX_TEMPERATURE );
+    for ( let i = 0; i < PLANCKIAN_LOCUS_NUMBER_POINTS; i++ ) {
+      const temperature = Math.exp(
+        Utils.linear( 0, PLANCKIAN_LOCUS_NUMBER_POINTS - 1, logMinTemperature, logMaxTemperature, i )
+      );
+      planckianLocusShape.lineToPoint( Colorimetry.getChromaticity( Colorimetry.getTristimulusValues(
+        wavelength => BlackbodyBodyModel.getBlackbodySpectralPowerDensity( wavelength, temperature )
+      ) ) );
+    }
+    const planckianLocusPath = new Path( modelViewTransform.modelToViewShape( planckianLocusShape ), {
+      stroke: BlackbodyColors.titlesTextProperty,
+      lineWidth: 2
+    } );
+
+    const bodyMarker = new Circle( 5, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      stroke: BlackbodyColors.panelTextProperty,
+      lineWidth: 1
+    } );
+
+    const diagram = new Node( {
+      children: [ spectralLocusPath, planckianLocusPath, axesPath, xAxisLabel, yAxisLabel, bodyMarker ]
+    } );
+
+    const chromaticityText = new Text( '', options.labelOptions );
+    const colorTemperatureText = new Text( '', options.labelOptions );
+
+    const temperatureUnitsProperty = BlackbodySpectrumPreferences.temperatureUnitsProperty;
+    Multilink.multilink( [ ...body.spectrumDependencies, temperatureUnitsProperty ], () => {
+
+      // The coldest bodies give off no visible light, so they have no color to mark
+      const chromaticity = body.chromaticity;
+      bodyMarker.visible = chromaticity !== null;
+      if ( !chromaticity ) {
+        chromaticityText.string = noVisibleLightString;
+        colorTemperatureText.string = '';
+        return;
+      }
+      bodyMarker.center = modelViewTransform.modelToViewPosition( chromaticity );
+      chromaticityText.string = StringUtils.fillIn( chromaticityPatternString, {
+        x: Utils.toFixed( chromaticity.x, 3 ),
+        y: Utils.toFixed( chromaticity.y, 3 )
+      } );
+
+      // Outside of the range where the color temperature is accurate, only the end of the range it's past is shown
+      const colorTemperature = Colorimetry.getCorrelatedColorTemperature( chromaticity );
+      const accurateRange = Colorimetry.CORRELATED_COLOR_TEMPERATURE_RANGE;
+      const pattern = colorTemperature < accurateRange.min ? colorTemperatureBelowPatternString :
+                      colorTemperature > accurateRange.max ? colorTemperatureAbovePatternString :
+                      colorTemperaturePatternString;
+      colorTemperatureText.string = StringUtils.fillIn( pattern, {
+        temperature: TemperatureUnits.format( accurateRange.constrainValue( colorTemperature ),
+          temperatureUnitsProperty.value )
+      } );
+    } );
+
+    const titleText = new Text( chromaticityString, options.titleOptions );
+    const content = new VBox( {
+      children: [ titleText, diagram, chromaticityText, colorTemperatureText ],
+      spacing: 6,
+      align: 'left'
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      visibleProperty: options.visibleProperty,
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+  }
+}
+
+export default ChromaticityDiagram;
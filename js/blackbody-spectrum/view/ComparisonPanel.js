@@ -0,0 +1,221 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel that compares the spectrum of the main body with that of a chosen saved body, as their difference or their
+ * ratio, and lists the wavelengths where their curves cross
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import RectangularRadioButtonGroup from '../../../../sun/js/buttons/RectangularRadioButtonGroup.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumModel from '../model/BlackbodySpectrumModel.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import ComparisonPlot from './ComparisonPlot.js';
+import GenericCurveShape from './GenericCurveShape.js';
+import SavedGraphStyles from './SavedGraphStyles.js';
+
+const compareWithString = BlackbodySpectrumStrings.compareWith;
+const comparisonString = BlackbodySpectrumStrings.comparison;
+const crossingsPatternString = BlackbodySpectrumStrings.crossingsPattern;
+const differenceString = BlackbodySpectrumStrings.difference;
+const micronsPatternString = BlackbodySpectrumStrings.micronsPattern;
+const noCrossingsString = BlackbodySpectrumStrings.noCrossings;
+const noSavedCurvesToCompareString = BlackbodySpectrumStrings.noSavedCurvesToCompare;
+const ratioString = BlackbodySpectrumStrings.ratio;
+
+// constants
+const COMPARISON_MODE_STRINGS = {
+  difference: differenceString,
+  ratio: ratioString
+};
+
+class ComparisonPanel extends Panel {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {ZoomableAxesView} axes - the axes of the graph whose curves are compared
+   * @param {Object} [options]
+   */
+  constructor( model, axes, options ) {
+
+    options = merge( {
+      maxWidth: 280,
+      spacing: 8,
+      curveWidth: 30,
+      curveLineWidth: 4,
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel that plots the difference or ratio of the main spectrum and a saved spectrum'
+    }, options );
+
+    const comparisonModeRadioButtonGroup = new RectangularRadioButtonGroup( model.comparisonModeProperty,
+      BlackbodySpectrumModel.COMPARISON_MODES.map( comparisonMode => {
+        return {
+          value: comparisonMode,
+          createNode: () => new Text( COMPARISON_MODE_STRINGS[ comparisonMode ], {
+            font: new PhetFont( 14 ),
+            maxWidth: 80
+          } ),
+          tandemName: `${comparisonMode}RadioButton`
+        };
+      } ), {
+        orientation: 'horizontal',
+        spacing: 5,
+        radioButtonOptions: {
+          baseColor: 'white',
+          xMargin: 5,
+          yMargin: 3
+        },
+        tandem: options.tandem.createTandem( 'comparisonModeRadioButtonGroup' )
+      } );
+
+    // A radio button for each saved body chooses which one is compared with the main body
+    const savedBodyRadioButtons = new VBox( {
+      spacing: options.spacing / 2,
+      align: 'left'
+    } );
+
+    // @private {ComparisonPlot}
+    this.comparisonPlot = new ComparisonPlot( model, axes, {
+      tandem: options.tandem.createTandem( 'comparisonPlot' )
+    } );
+
+    const crossingsText = new Text( '', merge( { maxWidth: this.comparisonPlot.width }, options.labelOptions ) );
+
+    // Everything but the title and the mode is only shown while there is a saved body to compare with
+    const comparisonBox = new VBox( {
+      children: [
+        new Text( compareWithString, options.labelOptions ),
+        savedBodyRadioButtons,
+        this.comparisonPlot,
+        crossingsText
+      ],
+      spacing: options.spacing,
+      align: 'left'
+    } );
+    const noSavedCurvesText = new Text( noSavedCurvesToCompareString, merge( {
+      maxWidth: this.comparisonPlot.width
+    }, options.labelOptions ) );
+
+    const content = new VBox( {
+      children: [
+        new Text( comparisonString, options.titleOptions ),
+        comparisonModeRadioButtonGroup,
+        comparisonBox,
+        noSavedCurvesText
+      ],
+      spacing: options.spacing,
+      align: 'left',
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      maxWidth: options.maxWidth,
+      visibleProperty: model.comparisonVisibleProperty,
+      align: 'left',
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    model.savedBodies.countProperty.link( count => {
+      comparisonBox.visible = count > 0;
+      noSavedCurvesText.visible = count === 0;
+    } );
+
+    // The crossings are listed in micrometers, from the shortest wavelength to the longest
+    this.comparisonPlot.crossingWavelengthsProperty.link( crossingWavelengths => {
+      crossingsText.string = crossingWavelengths.length ? StringUtils.fillIn( crossingsPatternString, {
+        wavelengths: crossingWavelengths.map( wavelength => StringUtils.fillIn( micronsPatternString, {
+          value: Utils.toFixed( wavelength / BlackbodyConstants.nanometersPerMicrometer, 2 )
+        } ) ).join( ', ' )
+      } ) : noCrossingsString;
+    } );
+
+    // Adds a radio button for each saved body, which is removed when the body is no longer saved
+    const savedBodyRadioButtonMap = new Map();
+    const addSavedBodyRadioButton = savedBody => {
+      const radioButton = createSavedBodyRadioButton( model, savedBody, options );
+      savedBodyRadioButtonMap.set( savedBody, radioButton );
+      savedBodyRadioButtons.addChild( radioButton );
+    };
+    model.savedBodies.getArray().forEach( addSavedBodyRadioButton );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedBodyRadioButton );
+    model.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      savedBodyRadioButtonMap.get( savedBody ).dispose();
+      savedBodyRadioButtonMap.delete( savedBody );
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.comparisonPlot.reset();
+  }
+}
+
+/**
+ * Creates the radio button that chooses a saved body to compare with, labeled with its curve and temperature. The
+ * returned Node should be disposed when it is no longer used.
+ * @param {BlackbodySpectrumModel} model
+ * @param {SavedBodyModel} savedBody
+ * @param {Object} options - options that were provided to the ComparisonPanel constructor
+ * @returns {Node}
+ */
+const createSavedBodyRadioButton = ( model, savedBody, options ) => {
+  const genericCurve = new Path( new GenericCurveShape(), merge( {
+    lineWidth: options.curveLineWidth,
+    maxWidth: options.curveWidth
+  }, SavedGraphStyles.getPathOptions( savedBody.styleIndex ) ) );
+  const temperatureLabel = new Text( '', options.labelOptions );
+
+  // Views of dynamic elements are not instrumented, since the saved body's Properties already are
+  const radioButton = new AquaRadioButton(
+    model.comparedStyleIndexProperty,
+    savedBody.styleIndex,
+    new HBox( { children: [ genericCurve, temperatureLabel ], spacing: options.spacing } ),
+    { tandem: Tandem.OPT_OUT }
+  );
+
+  const temperatureMultilink = Multilink.multilink( [
+    savedBody.temperatureProperty,
+    BlackbodySpectrumPreferences.temperatureUnitsProperty
+  ], ( temperature, temperatureUnits ) => {
+    temperatureLabel.string = TemperatureUnits.format( temperature, temperatureUnits );
+  } );
+
+  radioButton.disposeEmitter.addListener( () => temperatureMultilink.dispose() );
+
+  return radioButton;
+};
+
+export default ComparisonPanel;
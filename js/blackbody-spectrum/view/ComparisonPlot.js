@@ -0,0 +1,257 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A small plot that compares the spectrum of the main body with that of a saved body, across the same wavelengths as
+ * the graph. It plots either the difference of their spectral densities (main minus saved) in the units of the
+ * graph's vertical axis, or their ratio (main divided by saved) on a logarithmic scale. The vertical axis is centered
+ * on where the curves are equal and has its own zoom, and the wavelengths where the curves cross are marked.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import MagnifyingGlassZoomButtonGroup from '../../../../scenery-phet/js/MagnifyingGlassZoomButtonGroup.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ColorConstants from '../../../../sun/js/ColorConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import BlackbodyFormatting from './BlackbodyFormatting.js';
+import findSignChange from './findSignChange.js';
+
+const mainMinusSavedString = BlackbodySpectrumStrings.mainMinusSaved;
+const mainOverSavedString = BlackbodySpectrumStrings.mainOverSaved;
+
+// constants
+const PLOT_POINTS = 200; // number of evenly spaced points along the plot at which the curves are compared
+const CROSSING_RADIUS = 4;
+const RATIO_DECADES = 1; // decades of the ratio above and below 1 that are shown when the plot isn't zoomed
+const LABEL_SPACING = 3;
+const ZOOM_BUTTON_SPACING = 6;
+
+class ComparisonPlot extends Node {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {ZoomableAxesView} axes - the axes of the graph, which set the wavelengths and units of the comparison
+   * @param {Object} [options]
+   */
+  constructor( model, axes, options ) {
+
+    options = merge( {
+      plotWidth: 200,
+      plotHeight: 100,
+      lineWidth: 2,
+      labelOptions: {
+        font: new PhetFont( 12 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super();
+
+    // @private
+    this.model = model;
+    this.axes = axes;
+    this.plotWidth = options.plotWidth;
+    this.plotHeight = options.plotHeight;
+
+    // @public {Property.<number>} - how far the vertical axis is zoomed in, where each level halves the range shown
+    this.zoomLevelProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( -3, 6 ),
+      tandem: options.tandem.createTandem( 'zoomLevelProperty' ),
+      phetioDocumentation: 'how far the vertical axis of the comparison is zoomed in, where each level halves the ' +
+                           'range of values shown'
+    } );
+
+    const backgroundRectangle = new Rectangle( 0, 0, options.plotWidth, options.plotHeight, {
+      fill: 'black',
+      stroke: BlackbodyColors.graphAxesStrokeProperty
+    } );
+    const equalY = options.plotHeight / 2;
+    const equalLine = new Path( Shape.lineSegment( 0, equalY, options.plotWidth, equalY ), {
+      stroke: 'gray',
+      lineDash: [ 4, 4 ]
+    } );
+
+    // @private
+    this.comparisonPath = new Path( null, {
+      stroke: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: options.lineWidth,
+      lineJoin: 'round'
+    } );
+    this.crossingsPath = new Path( null, {
+      stroke: 'white',
+      lineWidth: 1.5
+    } );
+    const curvesNode = new Node( {
+      children: [ this.comparisonPath, this.crossingsPath ],
+      clipArea: Shape.rectangle( 0, 0, options.plotWidth, options.plotHeight )
+    } );
+
+    const labelOptions = merge( { maxWidth: options.plotWidth / 2 }, options.labelOptions );
+
+    // @private
+    this.captionText = new Text( '', labelOptions );
+    this.maxValueText = new RichText( '', labelOptions );
+    this.minValueText = new RichText( '', labelOptions );
+
+    // @public (read-only) {Property.<number[]>} - in nm, the wavelengths on the graph where the curves cross, from
+    // shortest to longest
+    this.crossingWavelengthsProperty = new Property( [] );
+
+    const zoomButtonGroup = new MagnifyingGlassZoomButtonGroup( this.zoomLevelProperty, {
+      orientation: 'vertical',
+      spacing: ZOOM_BUTTON_SPACING,
+      buttonOptions: {
+        baseColor: ColorConstants.LIGHT_BLUE,
+        touchAreaXDilation: 5,
+        touchAreaYDilation: 5
+      },
+      magnifyingGlassNodeOptions: {
+        glassRadius: 7
+      },
+      left: options.plotWidth + ZOOM_BUTTON_SPACING,
+      centerY: options.plotHeight / 2,
+      tandem: options.tandem.createTandem( 'zoomButtonGroup' )
+    } );
+
+    this.children = [
+      backgroundRectangle,
+      equalLine,
+      curvesNode,
+      this.captionText,
+      this.maxValueText,
+      this.minValueText,
+      zoomButtonGroup
+    ];
+
+    // The compared body changes as saved bodies are chosen, saved and deleted, so its spectrum is linked separately
+    let comparedBody = null;
+    let comparedBodyMultilink = null;
+    const updateComparedBody = () => {
+      const body = model.getComparedBody();
+      if ( body !== comparedBody ) {
+        comparedBodyMultilink && comparedBodyMultilink.dispose();
+        comparedBody = body;
+        comparedBodyMultilink = body && Multilink.lazyMultilink( body.spectrumDependencies, () => this.update() );
+      }
+      this.update();
+    };
+    model.comparedStyleIndexProperty.lazyLink( updateComparedBody );
+    model.savedBodies.countProperty.lazyLink( updateComparedBody );
+
+    Multilink.multilink( [
+      ...model.mainBody.spectrumDependencies,
+      ...axes.viewDependencies,
+      model.comparisonModeProperty,
+      model.comparisonVisibleProperty,
+      this.zoomLevelProperty
+    ], updateComparedBody );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.zoomLevelProperty.reset();
+  }
+
+  /**
+   * Redraws the comparison of the main body with the compared body. It is only redrawn while the comparison is shown,
+   * and is cleared when there is no saved body to compare with.
+   * @private
+   */
+  update() {
+    if ( !this.model.comparisonVisibleProperty.value ) {
+      return;
+    }
+
+    const comparedBody = this.model.getComparedBody();
+    const ratio = this.model.comparisonModeProperty.value === 'ratio';
+    this.captionText.string = ratio ? mainOverSavedString : mainMinusSavedString;
+    this.captionText.left = 0;
+    this.captionText.bottom = -LABEL_SPACING;
+
+    if ( !comparedBody ) {
+      this.comparisonPath.shape = null;
+      this.crossingsPath.shape = null;
+      this.crossingWavelengthsProperty.value = [];
+      this.maxValueText.string = '';
+      this.minValueText.string = '';
+      return;
+    }
+
+    // The difference is compared in the units of the graph's vertical axis, and the ratio in decades
+    const zoomScale = Math.pow( 2, this.zoomLevelProperty.value );
+    const halfRange = ratio ? RATIO_DECADES / zoomScale : this.axes.verticalZoomProperty.value / zoomScale;
+    const mainBody = this.model.mainBody;
+    const getWavelength = x => this.axes.viewXToWavelength( x * this.axes.horizontalAxisLength / this.plotWidth );
+    const getDifference = wavelength => this.axes.getSpectralDensity( mainBody, wavelength ) -
+                                        this.axes.getSpectralDensity( comparedBody, wavelength );
+    const getDifferenceAtX = x => getDifference( getWavelength( x ) );
+    const getValue = ratio ?
+                     wavelength => Math.log10( this.axes.getSpectralDensity( mainBody, wavelength ) /
+                                               this.axes.getSpectralDensity( comparedBody, wavelength ) ) :
+                     getDifference;
+
+    // Values that can't be compared, such as the ratio where both spectra are too small to represent, leave gaps
+    const comparisonShape = new Shape();
+    const yRange = new Range( -this.plotHeight, 2 * this.plotHeight );
+    _.range( PLOT_POINTS ).forEach( i => {
+      const x = this.plotWidth * i / ( PLOT_POINTS - 1 );
+      const value = getValue( getWavelength( x ) );
+      if ( Number.isFinite( value ) ) {
+        const y = yRange.constrainValue( Utils.linear( -halfRange, halfRange, this.plotHeight, 0, value ) );
+        comparisonShape.lineTo( x, y );
+      }
+      else {
+        comparisonShape.newSubpath();
+      }
+    } );
+    this.comparisonPath.shape = comparisonShape;
+
+    // The curves cross where the sign of their difference changes, which is found exactly by bisection
+    const crossingXs = [];
+    let previous = null;
+    _.range( PLOT_POINTS ).forEach( i => {
+      const x = this.plotWidth * i / ( PLOT_POINTS - 1 );
+      const difference = getDifferenceAtX( x );
+      if ( Number.isFinite( difference ) && difference !== 0 ) {
+        if ( previous && Math.sign( difference ) !== Math.sign( previous.difference ) ) {
+          crossingXs.push( findSignChange( getDifferenceAtX, previous.x, x ) );
+        }
+        previous = { x: x, difference: difference };
+      }
+    } );
+    const crossingsShape = new Shape();
+    crossingXs.forEach( x => crossingsShape.circle( x, this.plotHeight / 2, CROSSING_RADIUS ) );
+    this.crossingsPath.shape = crossingsShape;
+    this.crossingWavelengthsProperty.value = _.sortBy( crossingXs.map( getWavelength ) );
+
+    const maxValue = ratio ? Math.pow( 10, halfRange ) : halfRange;
+    const minValue = ratio ? Math.pow( 10, -halfRange ) : -halfRange;
+    this.maxValueText.string = BlackbodyFormatting.formatReadout( maxValue, 1 );
+    this.minValueText.string = BlackbodyFormatting.formatReadout( minValue, 1 );
+    this.maxValueText.right = this.plotWidth;
+    this.maxValueText.bottom = -LABEL_SPACING;
+    this.minValueText.right = this.plotWidth;
+    this.minValueText.top = this.plotHeight + LABEL_SPACING;
+  }
+}
+
+export default ComparisonPlot;
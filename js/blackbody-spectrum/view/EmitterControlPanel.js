@@ -0,0 +1,110 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with controls for the material of the main body, which determines its emissivity
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import EmitterMaterial from '../model/EmitterMaterial.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+const emissivityPatternString = BlackbodySpectrumStrings.emissivityPattern;
+const emitterString = BlackbodySpectrumStrings.emitter;
+
+// constants
+const DISPLAY_FONT = new PhetFont( 16 );
+const ITEM_FONT = new PhetFont( 14 );
+const CONTENT_WIDTH = 120;
+
+class EmitterControlPanel extends Panel {
+
+  /**
+   * @param {BlackbodyBodyModel} body - the body whose material is controlled
+   * @param {Node} listParent - parent for the combo box's popup list
+   * @param {Object} [options]
+   */
+  constructor( body, listParent, options ) {
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 10,
+      fill: 'rgba( 0, 0, 0, 0 )',
+      stroke: BlackbodyColors.panelStrokeProperty,
+      align: 'left',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( emitterString, {
+      font: DISPLAY_FONT,
+      fill: BlackbodyColors.panelTextProperty,
+      maxWidth: CONTENT_WIDTH
+    } );
+
+    const comboBoxItems = EmitterMaterial.VALUES.map( material => {
+      return {
+        value: material,
+        createNode: () => new Text( BlackbodySpectrumStrings[ material ], {
+          font: ITEM_FONT,
+          maxWidth: CONTENT_WIDTH
+        } ),
+        tandemName: `${material}Item`
+      };
+    } );
+    const materialComboBox = new ComboBox( body.materialProperty, comboBoxItems, listParent, {
+      xMargin: 6,
+      yMargin: 4,
+      tandem: options.tandem.createTandem( 'materialComboBox' )
+    } );
+
+    // Gray body emissivity is the only emissivity the user can choose, so the slider is only shown for gray bodies
+    const emissivityText = new Text( '', {
+      font: ITEM_FONT,
+      fill: BlackbodyColors.panelTextProperty,
+      maxWidth: CONTENT_WIDTH
+    } );
+    body.grayBodyEmissivityProperty.link( emissivity => {
+      emissivityText.string = StringUtils.fillIn( emissivityPatternString, {
+        emissivity: Utils.toFixed( emissivity, 2 )
+      } );
+    } );
+    const emissivitySlider = new HSlider( body.grayBodyEmissivityProperty, body.grayBodyEmissivityProperty.range, {
+      trackSize: new Dimension2( CONTENT_WIDTH - 20, 3 ),
+      thumbSize: new Dimension2( 13, 22 ),
+      constrainValue: value => Utils.roundToInterval( value, 0.01 ),
+      tandem: options.tandem.createTandem( 'emissivitySlider' )
+    } );
+    const grayBodyControls = new VBox( {
+      children: [ emissivityText, emissivitySlider ],
+      spacing: 5
+    } );
+    body.materialProperty.link( material => {
+      grayBodyControls.visible = material === EmitterMaterial.GRAY_BODY;
+    } );
+
+    const content = new VBox( {
+      children: [ titleText, materialComboBox, grayBodyControls ],
+      align: 'left',
+      spacing: 8,
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, options );
+  }
+}
+
+export default EmitterControlPanel;
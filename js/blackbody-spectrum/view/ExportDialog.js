@@ -0,0 +1,252 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Dialog for exporting the spectra of the main and saved bodies as a CSV or JSON file. Spectra are exported over the
+ * range of wavelengths shown on the graph, or over a custom range, at a chosen number of points.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import SpectrumExport from '../model/SpectrumExport.js';
+
+const customRangeString = BlackbodySpectrumStrings.customRange;
+const downloadCSVString = BlackbodySpectrumStrings.downloadCSV;
+const downloadJSONString = BlackbodySpectrumStrings.downloadJSON;
+const exportDataString = BlackbodySpectrumStrings.exportData;
+const graphRangeString = BlackbodySpectrumStrings.graphRange;
+const includePhotonFluxString = BlackbodySpectrumStrings.includePhotonFlux;
+const maximumWavelengthString = BlackbodySpectrumStrings.maximumWavelength;
+const micronsPatternString = BlackbodySpectrumStrings.micronsPattern;
+const minimumWavelengthString = BlackbodySpectrumStrings.minimumWavelength;
+const numberOfPointsString = BlackbodySpectrumStrings.numberOfPoints;
+
+// constants
+const EXPORT_WAVELENGTH_BOUNDS = new Range( 1, 1e6 ); // in nm, the widest range that the graph range is limited to
+const CUSTOM_WAVELENGTH_RANGE = new Range( 0.1, 100 ); // in microns
+const NUMBER_OF_POINTS_RANGE = new Range( 2, 2000 );
+const FILE_NAME = 'blackbody-spectrum';
+const MAIN_BODY_NAME = 'main';
+const SAVED_BODY_NAME_PREFIX = 'saved';
+
+class ExportDialog extends Dialog {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {function(Range):Range} getGraphWavelengthRange - gets the range of wavelengths shown on the graph, in nm,
+   *   limited to the given bounds
+   * @param {Property[]} graphRangeDependencies - Properties that change the range of wavelengths shown on the graph
+   * @param {Object} [options]
+   */
+  constructor( model, getGraphWavelengthRange, graphRangeDependencies, options ) {
+
+    options = merge( {
+      titleOptions: {
+        font: new PhetFont( { size: 20, weight: 'bold' } )
+      },
+      labelOptions: {
+        font: new PhetFont( 16 )
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'dialog for exporting the spectra of the main and saved bodies'
+    }, options );
+
+    const tandem = options.tandem;
+
+    // Settings for the export, which are kept while the dialog is closed
+    const useGraphRangeProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'useGraphRangeProperty' ),
+      phetioDocumentation: 'whether spectra are exported over the range of wavelengths shown on the graph'
+    } );
+    const minWavelengthProperty = new NumberProperty( 0.1, {
+      range: CUSTOM_WAVELENGTH_RANGE,
+      units: 'µm',
+      tandem: tandem.createTandem( 'minWavelengthProperty' )
+    } );
+    const maxWavelengthProperty = new NumberProperty( 3, {
+      range: CUSTOM_WAVELENGTH_RANGE,
+      units: 'µm',
+      tandem: tandem.createTandem( 'maxWavelengthProperty' )
+    } );
+    const numberOfPointsProperty = new NumberProperty( 300, {
+      numberType: 'Integer',
+      range: NUMBER_OF_POINTS_RANGE,
+      tandem: tandem.createTandem( 'numberOfPointsProperty' )
+    } );
+    const includePhotonFluxProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'includePhotonFluxProperty' )
+    } );
+
+    const rangeRadioButtonGroup = new AquaRadioButtonGroup( useGraphRangeProperty, [
+      {
+        value: true,
+        createNode: () => new Text( graphRangeString, options.labelOptions ),
+        tandemName: 'graphRangeRadioButton'
+      },
+      {
+        value: false,
+        createNode: () => new Text( customRangeString, options.labelOptions ),
+        tandemName: 'customRangeRadioButton'
+      }
+    ], {
+      orientation: 'horizontal',
+      spacing: 20,
+      tandem: tandem.createTandem( 'rangeRadioButtonGroup' )
+    } );
+
+    // The custom range can only be changed while it is used
+    const customRangeEnabledProperty = DerivedProperty.not( useGraphRangeProperty );
+    const wavelengthControlOptions = {
+      delta: 0.1,
+      enabledProperty: customRangeEnabledProperty,
+      titleNodeOptions: options.labelOptions,
+      numberDisplayOptions: {
+        decimalPlaces: 1,
+        valuePattern: micronsPatternString
+      }
+    };
+    const minWavelengthControl = new NumberControl( minimumWavelengthString, minWavelengthProperty,
+      CUSTOM_WAVELENGTH_RANGE, merge( {
+        tandem: tandem.createTandem( 'minWavelengthControl' )
+      }, wavelengthControlOptions ) );
+    const maxWavelengthControl = new NumberControl( maximumWavelengthString, maxWavelengthProperty,
+      CUSTOM_WAVELENGTH_RANGE, merge( {
+        tandem: tandem.createTandem( 'maxWavelengthControl' )
+      }, wavelengthControlOptions ) );
+    const numberOfPointsControl = new NumberControl( numberOfPointsString, numberOfPointsProperty,
+      NUMBER_OF_POINTS_RANGE, {
+        delta: 1,
+        titleNodeOptions: options.labelOptions,
+        tandem: tandem.createTandem( 'numberOfPointsControl' )
+      } );
+
+    const includePhotonFluxCheckbox = new Checkbox( includePhotonFluxProperty,
+      new Text( includePhotonFluxString, options.labelOptions ), {
+        tandem: tandem.createTandem( 'includePhotonFluxCheckbox' )
+      } );
+
+    // The range must contain more than one wavelength. The graph range is empty when the graph only shows wavelengths
+    // outside of EXPORT_WAVELENGTH_BOUNDS, which it can when it is panned far enough in the extended range.
+    const canExportProperty = new DerivedProperty(
+      [ useGraphRangeProperty, minWavelengthProperty, maxWavelengthProperty, ...graphRangeDependencies ],
+      ( useGraphRange, minWavelength, maxWavelength ) => {
+        if ( useGraphRange ) {
+          const graphWavelengthRange = getGraphWavelengthRange( EXPORT_WAVELENGTH_BOUNDS );
+          return graphWavelengthRange.min < graphWavelengthRange.max;
+        }
+        return minWavelength < maxWavelength;
+      }
+    );
+
+    /**
+     * Exports the spectra of the main and saved bodies with the current settings
+     * @param {function(Object):string} formatSpectrumData - formats the spectrum data as the contents of a file
+     * @param {string} fileExtension
+     * @param {string} mimeType
+     */
+    const exportSpectra = ( formatSpectrumData, fileExtension, mimeType ) => {
+      const wavelengthRange = useGraphRangeProperty.value ?
+                              getGraphWavelengthRange( EXPORT_WAVELENGTH_BOUNDS ) :
+                              new Range( 1000 * minWavelengthProperty.value, 1000 * maxWavelengthProperty.value );
+      const namedBodies = [
+        { name: MAIN_BODY_NAME, body: model.mainBody },
+        ...model.savedBodies.getArray().map( ( savedBody, i ) => {
+          return { name: `${SAVED_BODY_NAME_PREFIX} ${i + 1}`, body: savedBody };
+        } )
+      ];
+      const spectrumData = SpectrumExport.getSpectrumData(
+        namedBodies,
+        wavelengthRange.min,
+        wavelengthRange.max,
+        numberOfPointsProperty.value,
+        includePhotonFluxProperty.value
+      );
+      downloadFile( formatSpectrumData( spectrumData ), `${FILE_NAME}.${fileExtension}`, mimeType );
+    };
+
+    const downloadButtonOptions = {
+      font: options.labelOptions.font,
+      enabledProperty: canExportProperty
+    };
+    const downloadCSVButton = new TextPushButton( downloadCSVString, merge( {
+      listener: () => exportSpectra( SpectrumExport.toCSV, 'csv', 'text/csv' ),
+      tandem: tandem.createTandem( 'downloadCSVButton' )
+    }, downloadButtonOptions ) );
+    const downloadJSONButton = new TextPushButton( downloadJSONString, merge( {
+      listener: () => exportSpectra( SpectrumExport.toJSON, 'json', 'application/json' ),
+      tandem: tandem.createTandem( 'downloadJSONButton' )
+    }, downloadButtonOptions ) );
+
+    const content = new VBox( {
+      children: [
+        rangeRadioButtonGroup,
+        minWavelengthControl,
+        maxWavelengthControl,
+        numberOfPointsControl,
+        includePhotonFluxCheckbox,
+        new HBox( { children: [ downloadCSVButton, downloadJSONButton ], spacing: 20 } )
+      ],
+      align: 'left',
+      spacing: 15
+    } );
+
+    super( content, {
+      title: new Text( exportDataString, options.titleOptions ),
+      tandem: tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    // @private
+    this.resetExportDialog = () => {
+      useGraphRangeProperty.reset();
+      minWavelengthProperty.reset();
+      maxWavelengthProperty.reset();
+      numberOfPointsProperty.reset();
+      includePhotonFluxProperty.reset();
+    };
+  }
+
+  /**
+   * Resets the export settings
+   * @public
+   */
+  reset() {
+    this.resetExportDialog();
+  }
+}
+
+/**
+ * Saves a file to the user's computer, using a temporary link to the contents of the file
+ * @param {string} contents
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+const downloadFile = ( contents, fileName, mimeType ) => {
+  const url = window.URL.createObjectURL( new window.Blob( [ contents ], { type: mimeType } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+  window.URL.revokeObjectURL( url );
+};
+
+export default ExportDialog;
@@ -0,0 +1,64 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node that displays a star whose color represents the color of a star at the temperature of a body, surrounded by a
+ * halo that glows more as the temperature increases. The star is centered on the origin of the node.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StarShape from '../../../../scenery-phet/js/StarShape.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+// constants
+const STAR_INNER_RADIUS = 20;
+const STAR_OUTER_RADIUS = 35;
+const STAR_NUMBER_POINTS = 9;
+
+class GlowingStarNode extends Node {
+
+  /**
+   * @param {BlackbodyBodyModel} body
+   * @param {Object} [options]
+   */
+  constructor( body, options ) {
+
+    options = merge( {}, options );
+
+    super();
+
+    const glowingStarHalo = new Circle( 10 );
+    const starPath = new Path(
+      new StarShape( {
+        outerRadius: STAR_OUTER_RADIUS,
+        innerRadius: STAR_INNER_RADIUS,
+        numberStarPoints: STAR_NUMBER_POINTS
+      } ), {
+        lineWidth: 1.5,
+        lineJoin: 'round',
+        stroke: BlackbodyColors.starStrokeProperty
+      }
+    );
+
+    this.addChild( starPath );
+    this.addChild( glowingStarHalo );
+
+    Multilink.multilink( body.spectrumDependencies, () => {
+      glowingStarHalo.fill = body.glowingStarHaloColor;
+      glowingStarHalo.radius = body.glowingStarHaloRadius;
+      starPath.fill = body.starColor;
+    } );
+
+    this.mutate( options );
+  }
+}
+
+// @public {number} outer radius of the star, not including its halo
+GlowingStarNode.STAR_OUTER_RADIUS = STAR_OUTER_RADIUS;
+
+export default GlowingStarNode;
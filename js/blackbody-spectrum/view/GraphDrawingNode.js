@@ -9,28 +9,73 @@
  * @author Arnab Purkayastha
  */
 
-import Dimension2 from '../../../../dot/js/Dimension2.js';
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import MagnifyingGlassZoomButtonGroup from '../../../../scenery-phet/js/MagnifyingGlassZoomButtonGroup.js';
 import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
-import WavelengthSpectrumNode from '../../../../scenery-phet/js/WavelengthSpectrumNode.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import BooleanRectangularStickyToggleButton from '../../../../sun/js/buttons/BooleanRectangularStickyToggleButton.js';
 import ColorConstants from '../../../../sun/js/ColorConstants.js';
+import isSettingPhetioStateProperty from '../../../../tandem/js/isSettingPhetioStateProperty.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import AtmosphericTransmission from '../model/AtmosphericTransmission.js';
+import BlackbodyBodyModel from '../model/BlackbodyBodyModel.js';
+import BlackbodyFit from '../model/BlackbodyFit.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import findSignChange from './findSignChange.js';
+import GraphPanZoomListener from './GraphPanZoomListener.js';
 import GraphValuesPointNode from './GraphValuesPointNode.js';
+import PartialAreaMarkerNode from './PartialAreaMarkerNode.js';
+import PeakLocusNode from './PeakLocusNode.js';
+import SavedGraphStyles from './SavedGraphStyles.js';
 import ZoomableAxesView from './ZoomableAxesView.js';
 
+const boxZoomButtonAccessibleNameString = BlackbodySpectrumStrings.a11y.boxZoomButton.accessibleName;
+const boxZoomButtonHelpTextString = BlackbodySpectrumStrings.a11y.boxZoomButton.helpText;
+const carbonDioxideString = BlackbodySpectrumStrings.carbonDioxide;
+const graphValuesReadingPatternString = BlackbodySpectrumStrings.a11y.graphValuesPoint.readingPattern;
+const ozoneString = BlackbodySpectrumStrings.ozone;
+const waterString = BlackbodySpectrumStrings.water;
+
 // constants
-const GRAPH_NUMBER_POINTS = 300; // number of points blackbody curve is evaluated at
+const INITIAL_GRAPH_POINTS = 64; // number of evenly spaced points that a curve is evaluated at before refining it
+const MAX_GRAPH_SUBDIVISIONS = 8; // number of times that the spacing of the initial points can be halved
+const GRAPH_TOLERANCE = 0.2; // in view coordinates, how far a curve may stray from the lines drawn between its points
 const ZOOM_BUTTON_ICON_RADIUS = 8; // size of zoom buttons
 const ZOOM_BUTTON_SPACING = 10; // spacing between + and - zoom buttons
 const ZOOM_BUTTON_AXES_MARGIN = 35; // spacing between zoom buttons and axes
+const VISIBLE_SPECTRUM_COLOR_STOPS = 40; // number of intervals between colors of the visible spectrum gradient
 const DEFAULT_LINE_WIDTH = 5; // regular line width for graph paths
 const OVERLAID_LINE_WIDTH = 3; // line width when saved graphs are initially created
+const BLACKBODY_REFERENCE_LINE_WIDTH = 2; // line width of the ideal blackbody curve drawn behind an emissive main graph
+const MEASURED_POINT_RADIUS = 2.5; // radius of the points of a measured spectrum
+const FIT_LINE_WIDTH = 2; // line width of the blackbody fitted to a measured spectrum
+const TRANSMITTED_LINE_WIDTH = 3; // line width of the spectrum transmitted through the atmosphere
+const ABSORPTION_BAND_LABEL_MARGIN = 5; // space between the labels of absorption bands and the top of the graph
+const BOX_ZOOM_ICON_SIZE = 16; // width and height of the rubber band drawn on the box zoom button
+
+// in nm, the edges of the bands of the electromagnetic spectrum, which are points of every curve
+const BAND_EDGE_WAVELENGTHS = _.uniq( _.flatMap( BlackbodyBodyModel.ELECTROMAGNETIC_BANDS,
+  band => [ band.minWavelength, band.maxWavelength ] ) );
+const MOLECULE_STRINGS = {
+  water: waterString,
+  carbonDioxide: carbonDioxideString,
+  ozone: ozoneString
+};
 
 class GraphDrawingNode extends Node {
 
@@ -42,7 +87,6 @@ class GraphDrawingNode extends Node {
   constructor( model, options ) {
 
     options = merge( {
-      savedGraphPathColor: 'gray',
       intensityPathFillColor: 'rgba(100,100,100,0.75)',
       graphPathOptions: {
         stroke: PhetColorScheme.RED_COLORBLIND,
@@ -50,18 +94,23 @@ class GraphDrawingNode extends Node {
         lineJoin: 'round',
         lineCap: 'round'
       },
+      comboBoxListParent: null, // {Node} parent for popup lists of combo boxes in the graph
+      additionalSavedBodies: [], // {SavedBodyModel[]} drawn like saved bodies, but aren't part of the model's group
       tandem: Tandem.REQUIRED
     }, options );
+    assert && assert( options.comboBoxListParent, 'comboBoxListParent is required' );
 
     super();
 
     // @private
     this.model = model;
 
-    // @private The axes with the ticks and EM spectrum labels
+    // @public (read-only) The axes with the ticks and EM spectrum labels
     // TODO: Disable line below should be removed, see https://github.com/phetsims/phet-io/issues/1959
     // eslint-disable-next-line phet/tandem-name-should-match
-    this.axes = new ZoomableAxesView( model, { tandem: options.tandem.createTandem( 'axesView' ) } );
+    this.axes = new ZoomableAxesView( model, options.comboBoxListParent, {
+      tandem: options.tandem.createTandem( 'axesView' )
+    } );
 
     // @private Intermediary nodes containing elements within axes to allow for easier clipping
     this.innerGraphUnderAxes = new Node();
@@ -69,53 +118,142 @@ class GraphDrawingNode extends Node {
     this.innerGraphUnderAxes.clipArea = this.axes.clipShape;
     this.innerGraphOverAxes.clipArea = this.axes.clipShape;
 
-    // @private Paths for the main and saved graphs
-    this.mainGraph = new Path( null, options.graphPathOptions );
-    this.primarySavedGraph = new Path( null, merge( options.graphPathOptions, {
-      stroke: options.savedGraphPathColor
-    } ) );
-    this.secondarySavedGraph = new Path( null, merge( options.graphPathOptions, {
-      stroke: options.savedGraphPathColor,
-      lineDash: [ 5, 5 ],
+    // @private Path for the ideal blackbody at the main body's temperature, shown when the main body is not a blackbody
+    this.mainBlackbodyReferenceGraph = new Path( null, merge( {}, options.graphPathOptions, {
+      lineWidth: BLACKBODY_REFERENCE_LINE_WIDTH,
+      lineDash: [ 8, 6 ],
       lineCap: 'butt'
     } ) );
 
+    // @private Path for the main graph
+    this.mainGraph = new Path( null, options.graphPathOptions );
+
+    // @private {Map.<SavedBodyModel, Path>} - paths for the saved graphs, which are added and removed with saved bodies
+    this.savedGraphs = new Map();
+
+    // @private {Map.<BlackbodyBodyModel, {values: *[], shape: Shape}>} - the last shape of each body, with the values
+    // of the Properties it was drawn for, so that a curve is only drawn again when its body or the axes change. The
+    // ideal blackbody drawn behind a body with an emissivity is cached separately.
+    this.bodyShapes = new Map();
+    this.idealBlackbodyShapes = new Map();
+
     // @private Path for intensity, area under the curve
     this.intensityPath = new Path( null, { fill: options.intensityPathFillColor } );
     model.intensityVisibleProperty.link( intensityVisible => {
       this.intensityPath.visible = intensityVisible;
     } );
 
+    // @private Shading of the area under the main graph between the partial area markers, which shares the shape of the
+    // intensity path and is clipped to the markers
+    this.partialAreaPath = new Path( null, { fill: BlackbodyColors.partialAreaFillProperty } );
+
+    // @private {PartialAreaMarkerNode[]} - markers at the edges of the partial area
+    this.partialAreaMarkers = model.partialArea.markerWavelengthProperties.map( ( wavelengthProperty, i ) => {
+      return new PartialAreaMarkerNode( wavelengthProperty, i + 1, this.axes, {
+        a11yDependencies: [ model.spectrumDomainProperty ],
+        tandem: options.tandem.createTandem( `partialAreaMarker${i + 1}` )
+      } );
+    } );
+    const partialAreaMarkersNode = new Node( { children: this.partialAreaMarkers } );
+    model.partialArea.visibleProperty.link( partialAreaVisible => {
+      this.partialAreaPath.visible = partialAreaVisible;
+      partialAreaMarkersNode.visible = partialAreaVisible;
+    } );
+    Multilink.multilink( model.partialArea.markerWavelengthProperties, () => this.updatePartialAreaClipArea() );
+
+    // @private {PeakLocusNode} - the curve traced by the peak of a blackbody across the range of the thermometer,
+    // which is clipped to the graph like the curves
+    this.peakLocusNode = new PeakLocusNode( model, this.axes, {
+      clipArea: this.axes.clipShape
+    } );
+
     // @private The point node that can be dragged to find out graph values
     // TODO: Disable line below should be removed, see https://github.com/phetsims/phet-io/issues/1959
     // eslint-disable-next-line phet/tandem-name-should-match
     this.draggablePointNode = new GraphValuesPointNode( model.mainBody, this.axes, {
+      a11yDependencies: [ model.spectrumDomainProperty, model.photonFluxModeProperty ],
       tandem: options.tandem.createTandem( 'graphValuesPointNode' )
     } );
     model.graphValuesVisibleProperty.link( graphValuesVisible => {
 
       // Node will move back to top of graph on visibility change
-      this.draggablePointNode.wavelengthProperty.value = this.model.mainBody.peakWavelength;
+      this.draggablePointNode.wavelengthProperty.value = this.axes.getPeakWavelength( this.model.mainBody );
       this.draggablePointNode.visible = graphValuesVisible;
     } );
 
-    // Node for that displays the rainbow for the visible portion of the electromagnetic spectrum
-    const infraredPosition = this.axes.wavelengthToViewX( BlackbodyConstants.visibleWavelength );
-    const ultravioletPosition = this.axes.wavelengthToViewX( BlackbodyConstants.ultravioletWavelength );
-    const spectrumWidth = infraredPosition - ultravioletPosition;
-
-    // @private Color spectrum for visible light
-    this.wavelengthSpectrumNode = new WavelengthSpectrumNode( {
-      size: new Dimension2( spectrumWidth, this.axes.verticalAxisLength ),
+    // @public (read-only) {Property.<number>} - the wavelength in nm that the graph values point reads
+    this.graphValuesWavelengthProperty = this.draggablePointNode.wavelengthProperty;
+
+    // @public (read-only) {Property[]} - Properties of the graph that change its description, for use with Multilink
+    this.descriptionDependencies = [
+      this.axes.verticalZoomProperty,
+      this.axes.verticalMinProperty,
+      this.axes.verticalLogScaleProperty,
+      model.spectrumDomainProperty,
+      model.photonFluxModeProperty,
+      model.graphValuesVisibleProperty,
+      this.graphValuesWavelengthProperty
+    ];
+
+    // @private Color spectrum for visible light, filled with a gradient in updateVisibleSpectrumNode so that the colors
+    // are placed correctly in every domain
+    this.wavelengthSpectrumNode = new Rectangle( 0, -this.axes.verticalAxisLength, 1, this.axes.verticalAxisLength, {
       opacity: 0.9,
       tandem: options.tandem.createTandem( 'wavelengthSpectrumNode' )
     } );
 
+    // @private Paths for a measured spectrum, the blackbody fitted to it, and the residuals between them. Measured
+    // intensities are divided by the fitted scale, so that a measurement in arbitrary units lines up with the fit.
+    this.measuredSpectrumPath = new Path( null, { fill: BlackbodyColors.measuredSpectrumProperty } );
+    this.measuredSpectrumFitGraph = new Path( null, {
+      stroke: BlackbodyColors.measuredSpectrumFitProperty,
+      lineWidth: FIT_LINE_WIDTH,
+      lineDash: [ 4, 4 ]
+    } );
+    this.measuredSpectrumResidualsPath = new Path( null, {
+      stroke: BlackbodyColors.measuredSpectrumResidualsProperty,
+      lineWidth: 1
+    } );
+    model.residualsVisibleProperty.link( residualsVisible => {
+      this.measuredSpectrumResidualsPath.visible = residualsVisible;
+    } );
+
+    // @private Shading of the absorption bands of the atmosphere, labeled with the molecule that absorbs in each band
+    this.absorptionBandRectangles = AtmosphericTransmission.ABSORPTION_BANDS.map( () => new Rectangle( 0, 0, 1, 1, {
+      fill: BlackbodyColors.absorptionBandProperty
+    } ) );
+    this.absorptionBandLabels = AtmosphericTransmission.ABSORPTION_BANDS.map( band => {
+      return new RichText( MOLECULE_STRINGS[ band.molecule ], {
+        font: new PhetFont( 14 ),
+        fill: BlackbodyColors.panelTextProperty
+      } );
+    } );
+    this.absorptionBandsNode = new Node( {
+      children: [ ...this.absorptionBandRectangles, ...this.absorptionBandLabels ]
+    } );
+
+    // @private Path for the part of the main body's spectrum that is transmitted through the atmosphere
+    this.transmittedGraph = new Path( null, {
+      stroke: BlackbodyColors.transmittedSpectrumProperty,
+      lineWidth: TRANSMITTED_LINE_WIDTH,
+      lineJoin: 'round'
+    } );
+    model.atmosphereVisibleProperty.link( atmosphereVisible => {
+      this.absorptionBandsNode.visible = atmosphereVisible;
+      this.transmittedGraph.visible = atmosphereVisible;
+      this.updateAtmospherePaths();
+    } );
+
     this.innerGraphUnderAxes.addChild( this.wavelengthSpectrumNode );
+    this.innerGraphUnderAxes.addChild( this.absorptionBandsNode );
     this.innerGraphUnderAxes.addChild( this.intensityPath );
+    this.innerGraphUnderAxes.addChild( this.partialAreaPath );
+    this.innerGraphOverAxes.addChild( this.mainBlackbodyReferenceGraph );
     this.innerGraphOverAxes.addChild( this.mainGraph );
-    this.innerGraphOverAxes.addChild( this.primarySavedGraph );
-    this.innerGraphOverAxes.addChild( this.secondarySavedGraph );
+    this.innerGraphOverAxes.addChild( this.transmittedGraph );
+    this.innerGraphOverAxes.addChild( this.measuredSpectrumResidualsPath );
+    this.innerGraphOverAxes.addChild( this.measuredSpectrumFitGraph );
+    this.innerGraphOverAxes.addChild( this.measuredSpectrumPath );
 
     // @private {MagnifyingGlassZoomButtonGroup} - horizontal zoom buttons
     const horizontalZoomButtonGroup = new MagnifyingGlassZoomButtonGroup( this.axes.horizontalZoomProperty, {
@@ -151,24 +289,115 @@ class GraphDrawingNode extends Node {
       tandem: options.tandem.createTandem( 'verticalZoomButtonGroup' )
     } );
 
+    // @private {Property.<boolean>} - whether dragging the plot area zooms into a region of it instead of panning
+    this.boxZoomEnabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'boxZoomEnabledProperty' )
+    } );
+
+    // Toggles box zoom, with a rubber band for an icon
+    const boxZoomButton = new BooleanRectangularStickyToggleButton( this.boxZoomEnabledProperty, {
+      content: new Rectangle( 0, 0, BOX_ZOOM_ICON_SIZE, BOX_ZOOM_ICON_SIZE, {
+        stroke: 'black',
+        lineDash: [ 3, 2 ]
+      } ),
+      baseColor: ColorConstants.LIGHT_BLUE,
+      touchAreaXDilation: 5,
+      touchAreaYDilation: 5,
+      accessibleName: boxZoomButtonAccessibleNameString,
+      descriptionContent: boxZoomButtonHelpTextString,
+      tandem: options.tandem.createTandem( 'boxZoomButton' )
+    } );
+
+    // Dragging, pinching or turning the mouse wheel over the plot area pans and zooms the axes. The rubber band shows
+    // the region that a box zoom will zoom into.
+    const plotAreaBounds = this.axes.clipShape.bounds;
+    const plotAreaNode = new Node( {
+      mouseArea: plotAreaBounds,
+      touchArea: plotAreaBounds
+    } );
+    this.boxZoomEnabledProperty.link( boxZoomEnabled => {
+      plotAreaNode.cursor = boxZoomEnabled ? 'crosshair' : 'move';
+    } );
+    const rubberBandNode = new Rectangle( 0, 0, 1, 1, {
+      fill: BlackbodyColors.rubberBandFillProperty,
+      stroke: BlackbodyColors.rubberBandStrokeProperty,
+      lineDash: [ 4, 3 ]
+    } );
+
+    // @private {GraphPanZoomListener}
+    this.panZoomListener = new GraphPanZoomListener( this.axes, plotAreaNode, rubberBandNode,
+      this.boxZoomEnabledProperty );
+    plotAreaNode.addInputListener( this.panZoomListener );
+
     // Links different parts of GraphDrawingNode to update whenever specified tracked Properties change
     const updateMainGraphAndLayout = () => {
       this.update();
       this.moveMainGraphToFront();
     };
-    const updateSavedGraphAndLayout = () => {
-      this.updateSavedGraphPaths();
-      this.moveSavedGraphToFront();
-    };
     const updateAllGraphs = () => {
       this.update();
       this.updateSavedGraphPaths();
+      this.updateMeasuredSpectrumPaths();
+    };
+    Multilink.multilink( model.mainBody.spectrumDependencies, updateMainGraphAndLayout );
+    model.measuredSpectrumFitProperty.link( () => this.updateMeasuredSpectrumPaths() );
+
+    // Saved graphs are drawn for as long as their bodies are saved
+    const addSavedGraph = savedBody => {
+      const savedGraph = new Path( null, merge( {}, options.graphPathOptions,
+        SavedGraphStyles.getPathOptions( savedBody.styleIndex ) ) );
+      this.savedGraphs.set( savedBody, savedGraph );
+      this.innerGraphOverAxes.addChild( savedGraph );
+      savedBody.visibleProperty.link( visible => {
+        savedGraph.visible = visible;
+      } );
+      Multilink.multilink( savedBody.spectrumDependencies, () => {
+        this.updateSavedGraphPath( savedBody );
+        this.moveSavedGraphToFront( savedBody );
+      } );
     };
-    model.mainBody.temperatureProperty.link( updateMainGraphAndLayout );
-    model.savedBodyOne.temperatureProperty.link( updateSavedGraphAndLayout );
-    model.savedBodyTwo.temperatureProperty.link( updateSavedGraphAndLayout );
+    options.additionalSavedBodies.forEach( addSavedGraph );
+    model.savedBodies.getArray().forEach( addSavedGraph );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedGraph );
+    model.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      this.savedGraphs.get( savedBody ).dispose();
+      this.savedGraphs.delete( savedBody );
+      this.bodyShapes.delete( savedBody );
+      this.idealBlackbodyShapes.delete( savedBody );
+    } );
+
     this.axes.horizontalZoomProperty.link( updateAllGraphs );
     this.axes.verticalZoomProperty.link( updateAllGraphs );
+    this.axes.horizontalMinProperty.lazyLink( updateAllGraphs );
+    this.axes.verticalMinProperty.lazyLink( updateAllGraphs );
+
+    // The peak is in a different place in each domain, and is different again when photons are counted or the scale of
+    // an axis changes, so the graph values point moves back to the peak
+    const graphScaleProperties = [
+      model.spectrumDomainProperty,
+      model.photonFluxModeProperty,
+      this.axes.horizontalLogScaleProperty,
+      this.axes.verticalLogScaleProperty
+    ];
+    Multilink.lazyMultilink( graphScaleProperties, () => {
+      this.draggablePointNode.wavelengthProperty.value = this.axes.getPeakWavelength( model.mainBody );
+      updateAllGraphs();
+    } );
+
+    // Across the extended range of temperatures, the peak moves by orders of magnitude, so the graph zooms to show the
+    // main curve again whenever its peak leaves the graph or becomes too small to see. The zoom of a saved state is
+    // kept as it was.
+    Multilink.lazyMultilink( [
+      model.mainBody.temperatureProperty,
+      model.spectrumDomainProperty,
+      model.photonFluxModeProperty,
+      model.autoFrameEnabledProperty
+    ], () => {
+      if ( model.autoFrameEnabledProperty.value && !isSettingPhetioStateProperty.value &&
+           !this.axes.isBodyFramed( model.mainBody ) ) {
+        this.axes.frameBody( model.mainBody );
+      }
+    } );
 
     // Sets layout of graph node elements to be all ultimately relative to the axes
     const axesPath = this.axes.axesPath;
@@ -176,15 +405,20 @@ class GraphDrawingNode extends Node {
     horizontalZoomButtonGroup.top = axesPath.bottom + ZOOM_BUTTON_AXES_MARGIN;
     verticalZoomButtonGroup.centerX = axesPath.left - ZOOM_BUTTON_ICON_RADIUS * 2;
     verticalZoomButtonGroup.bottom = axesPath.top - ZOOM_BUTTON_AXES_MARGIN;
-    this.wavelengthSpectrumNode.centerY = axesPath.centerY;
-    this.wavelengthSpectrumNode.left = ultravioletPosition;
+    boxZoomButton.right = horizontalZoomButtonGroup.left - ZOOM_BUTTON_AXES_MARGIN;
+    boxZoomButton.centerY = horizontalZoomButtonGroup.centerY;
 
     // Adds children in rendering order
     this.addChild( this.innerGraphUnderAxes );
     this.addChild( this.axes );
     this.addChild( horizontalZoomButtonGroup );
     this.addChild( verticalZoomButtonGroup );
+    this.addChild( boxZoomButton );
     this.addChild( this.innerGraphOverAxes );
+    this.addChild( this.peakLocusNode );
+    this.addChild( plotAreaNode );
+    this.addChild( rubberBandNode );
+    this.addChild( partialAreaMarkersNode );
     this.addChild( this.draggablePointNode );
   }
 
@@ -193,34 +427,131 @@ class GraphDrawingNode extends Node {
    * @public
    */
   reset() {
+    this.panZoomListener.interrupt();
+    this.boxZoomEnabledProperty.reset();
     this.axes.reset();
     this.draggablePointNode.reset();
   }
 
   /**
-   * Gets the shape of a given BlackbodyBodyModel
+   * Gets the range of wavelengths (in nm) shown on the horizontal axis. In the frequency and wavenumber domains the
+   * start of a linear axis is at an infinite wavelength, so the range is limited to the given bounds. The range is
+   * empty, with its min equal to its max, when the axis only shows wavelengths outside of the bounds.
+   * @param {Range} bounds - the widest range of wavelengths to return, in nm
+   * @returns {Range}
+   * @public
+   */
+  getVisibleWavelengthRange( bounds ) {
+    const wavelengths = [
+      this.axes.viewXToWavelength( 0 ),
+      this.axes.viewXToWavelength( this.axes.horizontalAxisLength )
+    ].map( wavelength => bounds.constrainValue( wavelength ) );
+    return new Range( Math.min( ...wavelengths ), Math.max( ...wavelengths ) );
+  }
+
+  /**
+   * Gets the height of the peak of the main graph as a fraction of the height of the vertical axis, which is greater
+   * than 1 when the peak is above the top of the graph
+   * @returns {number}
+   * @public
+   */
+  getRelativeCurveHeight() {
+    return this.getRelativeHeight( this.model.mainBody, this.axes.getPeakWavelength( this.model.mainBody ) );
+  }
+
+  /**
+   * Gets the height of the graph of a body at a wavelength as a fraction of the height of the vertical axis, which is
+   * greater than 1 above the top of the graph
    * @param {BlackbodyBodyModel} body
+   * @param {number} wavelength - in nm
+   * @returns {number}
+   * @public
+   */
+  getRelativeHeight( body, wavelength ) {
+    return -this.axes.spectralDensityToViewY( this.axes.getSpectralDensity( body, wavelength ) ) /
+           this.axes.verticalAxisLength;
+  }
+
+  /**
+   * Gets the wavelength at a fraction of the way along the horizontal axis from its shortest to its longest wavelength,
+   * which runs right to left in the frequency and wavenumber domains
+   * @param {number} fraction - between 0 and 1
+   * @returns {number} - in nm
+   * @public
+   */
+  getWavelengthFromShortest( fraction ) {
+    const axisLength = this.axes.horizontalAxisLength;
+    const isIncreasing = this.axes.viewXToWavelength( 0 ) < this.axes.viewXToWavelength( axisLength );
+    return this.axes.viewXToWavelength( ( isIncreasing ? fraction : 1 - fraction ) * axisLength );
+  }
+
+  /**
+   * Describes what the graph values point reads from the main graph
+   * @returns {string|null} - null when the graph values point isn't shown
+   * @public
+   */
+  getGraphValuesDescription() {
+    return this.model.graphValuesVisibleProperty.value ? StringUtils.fillIn( graphValuesReadingPatternString, {
+      value: this.draggablePointNode.getValueDescription()
+    } ) : null;
+  }
+
+  /**
+   * Gets the shape of a given BlackbodyBodyModel, which is reused until the body or the axes change
+   * @param {BlackbodyBodyModel} body
+   * @param {boolean} [idealBlackbody] - whether to ignore the emissivity of the body and draw an ideal blackbody
+   * @returns {Shape}
+   * @private
+   */
+  shapeOfBody( body, idealBlackbody = false ) {
+    const shapes = idealBlackbody ? this.idealBlackbodyShapes : this.bodyShapes;
+    const values = [ ...body.spectrumDependencies, ...this.axes.viewDependencies ].map( property => property.value );
+    const cachedShape = shapes.get( body );
+    if ( cachedShape && _.every( values, ( value, i ) => value === cachedShape.values[ i ] ) ) {
+      return cachedShape.shape;
+    }
+
+    const shape = this.shapeOfSpectrum(
+      wavelength => this.axes.getSpectralDensity( body, wavelength, idealBlackbody ),
+      [ this.axes.getPeakWavelength( body ) ]
+    );
+    shapes.set( body, { values: values, shape: shape } );
+    return shape;
+  }
+
+  /**
+   * Gets the shape of a spectrum. The curve is first evaluated at evenly spaced points along the view, so that points
+   * are spread evenly over logarithmic axes too, and at the edges of the bands of the electromagnetic spectrum and any
+   * other given wavelengths, which are always points of the shape. Each interval is then halved until the curve is
+   * within GRAPH_TOLERANCE of a straight line across it, so that points gather where the curve bends sharply and are
+   * sparse along flat tails. Values above the top of the graph are cut off above it, and values below the start of the
+   * vertical axis lie along the horizontal axis, with the points where the curve crosses them found exactly.
+   * @param {function(number):number} getSpectralDensity - gets the spectral density in the current domain's units at a
+   * wavelength in nm
+   * @param {number[]} featureWavelengths - wavelengths in nm, such as that of the peak, that are points of the shape
    * @returns {Shape}
    * @private
    */
-  shapeOfBody( body ) {
+  shapeOfSpectrum( getSpectralDensity, featureWavelengths ) {
+    const axisLength = this.axes.horizontalAxisLength;
+    const lineWidth = this.mainGraph.lineWidth;
+    const clipRange = new Range( -this.axes.verticalAxisLength - lineWidth, lineWidth );
+    const viewYAt = x => this.axes.spectralDensityToViewY( getSpectralDensity( this.axes.viewXToWavelength( x ) ) );
+
+    const initialXs = _.range( INITIAL_GRAPH_POINTS ).map( i => axisLength * i / ( INITIAL_GRAPH_POINTS - 1 ) );
+    const featureXs = [ ...featureWavelengths, ...BAND_EDGE_WAVELENGTHS ]
+      .map( wavelength => this.axes.wavelengthToViewX( wavelength ) )
+      .filter( x => x > 0 && x < axisLength );
+    const xs = _.sortedUniq( _.sortBy( [ ...initialXs, ...featureXs ] ) );
+    const minIntervalLength = axisLength / ( INITIAL_GRAPH_POINTS - 1 ) / Math.pow( 2, MAX_GRAPH_SUBDIVISIONS );
+
     const graphShape = new Shape();
-    const deltaWavelength = this.model.wavelengthMax / ( GRAPH_NUMBER_POINTS - 1 );
-    const pointsXOffset = this.axes.horizontalAxisLength / ( GRAPH_NUMBER_POINTS - 1 );
-    const yCutoff = this.axes.verticalAxisLength + this.mainGraph.lineWidth;
-    const peakWavelength = body.peakWavelength;
-    let findingPeak = true;
-    graphShape.moveTo( 0, 0 );
-    for ( let i = 1; i < GRAPH_NUMBER_POINTS; i++ ) {
-      if ( deltaWavelength * i > peakWavelength && findingPeak ) {
-
-        // Force peak wavelength point to be added
-        const yMax = this.axes.spectralPowerDensityToViewY( body.getSpectralPowerDensityAt( peakWavelength ) );
-        graphShape.lineTo( this.axes.wavelengthToViewX( peakWavelength ), yMax < -yCutoff ? -yCutoff : yMax );
-        findingPeak = false;
-      }
-      const y = this.axes.spectralPowerDensityToViewY( body.getSpectralPowerDensityAt( deltaWavelength * i ) );
-      graphShape.lineTo( pointsXOffset * i, y < -yCutoff ? -yCutoff : y );
+    let start = new Vector2( xs[ 0 ], viewYAt( xs[ 0 ] ) );
+    graphShape.moveTo( start.x, clipRange.constrainValue( start.y ) );
+    for ( let i = 1; i < xs.length; i++ ) {
+      const end = new Vector2( xs[ i ], viewYAt( xs[ i ] ) );
+      addCurvePoints( graphShape, viewYAt, start, end, clipRange, minIntervalLength );
+      start = end;
     }
     return graphShape;
   }
@@ -240,6 +571,30 @@ class GraphDrawingNode extends Node {
     if ( this.intensityPath.shape.getLastPoint().minus( newPoint ).magnitude > 0 ) {
       this.intensityPath.shape.lineToPoint( newPoint );
     }
+
+    // On a logarithmic vertical axis the graph doesn't start on the horizontal axis, so the area is closed along it
+    this.intensityPath.shape.lineTo( 0, 0 );
+    this.partialAreaPath.shape = this.intensityPath.shape;
+
+    // Updates the ideal blackbody reference for a main body with an emissivity
+    const isIdealBlackbody = this.model.mainBody.isIdealBlackbody;
+    this.mainBlackbodyReferenceGraph.visible = !isIdealBlackbody;
+    this.mainBlackbodyReferenceGraph.shape = isIdealBlackbody ? null : this.shapeOfBody( this.model.mainBody, true );
+  }
+
+  /**
+   * Clips the shading of the partial area to the region between its markers, limited to the graph
+   * @private
+   */
+  updatePartialAreaClipArea() {
+    const axisLength = this.axes.horizontalAxisLength;
+    const markerXs = this.model.partialArea.markerWavelengthProperties.map( wavelengthProperty => {
+      return Utils.clamp( this.axes.wavelengthToViewX( wavelengthProperty.value ), 0, axisLength );
+    } );
+    const minX = Math.min( ...markerXs );
+    const verticalAxisLength = this.axes.verticalAxisLength;
+    this.partialAreaPath.clipArea = Shape.rectangle( minX, -verticalAxisLength, Math.max( ...markerXs ) - minX,
+      verticalAxisLength );
   }
 
   /**
@@ -248,11 +603,13 @@ class GraphDrawingNode extends Node {
    */
   moveMainGraphToFront() {
     this.mainGraph.moveToFront();
+    this.transmittedGraph.moveToFront();
     this.draggablePointNode.moveToFront();
 
     // Reset saved graphs back to default width
-    this.primarySavedGraph.lineWidth = DEFAULT_LINE_WIDTH;
-    this.secondarySavedGraph.lineWidth = DEFAULT_LINE_WIDTH;
+    this.savedGraphs.forEach( savedGraph => {
+      savedGraph.lineWidth = DEFAULT_LINE_WIDTH;
+    } );
   }
 
   /**
@@ -260,26 +617,100 @@ class GraphDrawingNode extends Node {
    * @private
    */
   updateSavedGraphPaths() {
-    // Updates the saved graph(s)
-    this.primarySavedGraph.shape = null;
-    this.secondarySavedGraph.shape = null;
-    if ( this.model.savedBodyOne.temperatureProperty.value !== null ) {
-      this.primarySavedGraph.shape = this.shapeOfBody( this.model.savedBodyOne );
-      if ( this.model.savedBodyTwo.temperatureProperty.value !== null ) {
-        this.secondarySavedGraph.shape = this.shapeOfBody( this.model.savedBodyTwo );
-      }
+    this.savedGraphs.forEach( ( savedGraph, savedBody ) => this.updateSavedGraphPath( savedBody ) );
+  }
+
+  /**
+   * Updates the path of a single saved graph
+   * @param {SavedBodyModel} savedBody
+   * @private
+   */
+  updateSavedGraphPath( savedBody ) {
+    this.savedGraphs.get( savedBody ).shape = this.shapeOfBody( savedBody );
+  }
+
+  /**
+   * Updates the paths of the measured spectrum, its fitted blackbody and their residuals, which have no shapes when
+   * there is no measured spectrum. Points above or below the graph, including those that a logarithmic axis can't show,
+   * are drawn at its top or bottom edge. When the fit has no positive scale, the points are drawn as they were
+   * measured, without the fitted blackbody or the residuals.
+   * @private
+   */
+  updateMeasuredSpectrumPaths() {
+    const measuredSpectrum = this.model.measuredSpectrumProperty.value;
+    const fit = this.model.measuredSpectrumFitProperty.value;
+    if ( !measuredSpectrum || !fit ) {
+      this.measuredSpectrumPath.shape = null;
+      this.measuredSpectrumFitGraph.shape = null;
+      this.measuredSpectrumResidualsPath.shape = null;
+      return;
     }
+
+    const hasScale = fit.scale > 0;
+    const verticalRange = new Range( -this.axes.verticalAxisLength, 0 );
+    const viewYAt = ( intensity, wavelength ) => verticalRange.constrainValue(
+      this.axes.spectralDensityToViewY( this.axes.getMeasuredSpectralDensity( intensity, wavelength ) )
+    );
+    const getFitIntensity = wavelength => BlackbodyFit.getIntensity( wavelength, fit.temperature );
+
+    const measuredShape = new Shape();
+    const residualsShape = new Shape();
+    measuredSpectrum.wavelengths.forEach( ( wavelength, i ) => {
+      const x = this.axes.wavelengthToViewX( wavelength );
+      const y = viewYAt( hasScale ? measuredSpectrum.intensities[ i ] / fit.scale : measuredSpectrum.intensities[ i ],
+        wavelength );
+      measuredShape.circle( x, y, MEASURED_POINT_RADIUS );
+      hasScale && residualsShape.moveTo( x, y ).lineTo( x, viewYAt( getFitIntensity( wavelength ), wavelength ) );
+    } );
+    this.measuredSpectrumPath.shape = measuredShape;
+    this.measuredSpectrumResidualsPath.shape = hasScale ? residualsShape : null;
+    this.measuredSpectrumFitGraph.shape = hasScale ? this.shapeOfSpectrum(
+      wavelength => this.axes.getMeasuredSpectralDensity( getFitIntensity( wavelength ), wavelength ),
+      []
+    ) : null;
   }
 
   /**
-   * Move the latest saved graph to the front of the scene
+   * Updates the shading of the absorption bands and the path of the spectrum transmitted through the atmosphere, which
+   * are only updated while they are visible
    * @private
    */
-  moveSavedGraphToFront() {
-    this.primarySavedGraph.moveToFront();
+  updateAtmospherePaths() {
+    if ( !this.model.atmosphereVisibleProperty.value ) {
+      return;
+    }
+
+    const mainBody = this.model.mainBody;
+    this.transmittedGraph.shape = this.shapeOfSpectrum(
+      wavelength => AtmosphericTransmission.getTransmission( wavelength ) *
+                    this.axes.getSpectralDensity( mainBody, wavelength ),
+      AtmosphericTransmission.TABLE_WAVELENGTHS
+    );
+
+    // Bands are positioned in view coordinates, since the horizontal axis is reversed in some domains
+    const verticalAxisLength = this.axes.verticalAxisLength;
+    AtmosphericTransmission.ABSORPTION_BANDS.forEach( ( band, i ) => {
+      const minX = this.axes.wavelengthToViewX( band.minWavelength );
+      const maxX = this.axes.wavelengthToViewX( band.maxWavelength );
+      const absorptionBandRectangle = this.absorptionBandRectangles[ i ];
+      absorptionBandRectangle.setRect( Math.min( minX, maxX ), -verticalAxisLength, Math.abs( maxX - minX ),
+        verticalAxisLength );
+      this.absorptionBandLabels[ i ].centerX = absorptionBandRectangle.centerX;
+      this.absorptionBandLabels[ i ].top = -verticalAxisLength + ABSORPTION_BAND_LABEL_MARGIN;
+    } );
+  }
+
+  /**
+   * Move a saved graph to the front of the scene
+   * @param {SavedBodyModel} savedBody
+   * @private
+   */
+  moveSavedGraphToFront( savedBody ) {
+    const savedGraph = this.savedGraphs.get( savedBody );
+    savedGraph.moveToFront();
 
     // Also set newly created graph to smaller size to be visible in front of main graph
-    this.primarySavedGraph.lineWidth = OVERLAID_LINE_WIDTH;
+    savedGraph.lineWidth = OVERLAID_LINE_WIDTH;
   }
 
   /**
@@ -289,9 +720,24 @@ class GraphDrawingNode extends Node {
   updateVisibleSpectrumNode() {
     const infraredPosition = this.axes.wavelengthToViewX( BlackbodyConstants.visibleWavelength );
     const ultravioletPosition = this.axes.wavelengthToViewX( BlackbodyConstants.ultravioletWavelength );
-    const spectrumWidth = infraredPosition - ultravioletPosition;
-    this.wavelengthSpectrumNode.left = ultravioletPosition;
-    this.wavelengthSpectrumNode.scale( new Vector2( spectrumWidth / this.wavelengthSpectrumNode.width, 1 ) );
+    this.wavelengthSpectrumNode.setRect(
+      Math.min( infraredPosition, ultravioletPosition ),
+      -this.axes.verticalAxisLength,
+      Math.abs( infraredPosition - ultravioletPosition ),
+      this.axes.verticalAxisLength
+    );
+
+    // Color stops are spaced by wavelength but positioned in view coordinates, which are not linear in wavelength for
+    // the frequency and wavenumber domains
+    const gradient = new LinearGradient( ultravioletPosition, 0, infraredPosition, 0 );
+    for ( let i = 0; i <= VISIBLE_SPECTRUM_COLOR_STOPS; i++ ) {
+      const wavelength = Utils.linear( 0, VISIBLE_SPECTRUM_COLOR_STOPS,
+        BlackbodyConstants.ultravioletWavelength, BlackbodyConstants.visibleWavelength, i );
+      const ratio = ( this.axes.wavelengthToViewX( wavelength ) - ultravioletPosition ) /
+                    ( infraredPosition - ultravioletPosition );
+      gradient.addColorStop( ratio, VisibleColor.wavelengthToColor( wavelength ) );
+    }
+    this.wavelengthSpectrumNode.fill = gradient;
   }
 
   /**
@@ -301,9 +747,42 @@ class GraphDrawingNode extends Node {
   update() {
     this.updateGraphPaths();
     this.draggablePointNode.update();
+    this.partialAreaMarkers.forEach( partialAreaMarker => partialAreaMarker.update() );
+    this.updatePartialAreaClipArea();
+    this.peakLocusNode.update();
     this.axes.update();
     this.updateVisibleSpectrumNode();
+    this.updateAtmospherePaths();
   }
 }
 
+/**
+ * Adds the points of a curve from one point to another to a shape, ending at the second point. The interval is halved
+ * until the curve is close to a straight line across it, and points where the curve crosses the ends of the clip range
+ * are added so that the cut off parts of the curve lie exactly along them.
+ * @param {Shape} shape
+ * @param {function(number):number} viewYAt - gets the unclipped y of the curve at an x in view coordinates
+ * @param {Vector2} start - unclipped point of the curve
+ * @param {Vector2} end - unclipped point of the curve
+ * @param {Range} clipRange - the range of y that the curve is drawn in
+ * @param {number} minIntervalLength - the shortest interval that is halved
+ */
+const addCurvePoints = ( shape, viewYAt, start, end, clipRange, minIntervalLength ) => {
+  if ( end.x - start.x > minIntervalLength ) {
+    const middle = new Vector2( ( start.x + end.x ) / 2, viewYAt( ( start.x + end.x ) / 2 ) );
+    const chordY = ( clipRange.constrainValue( start.y ) + clipRange.constrainValue( end.y ) ) / 2;
+    if ( Math.abs( clipRange.constrainValue( middle.y ) - chordY ) > GRAPH_TOLERANCE ) {
+      addCurvePoints( shape, viewYAt, start, middle, clipRange, minIntervalLength );
+      addCurvePoints( shape, viewYAt, middle, end, clipRange, minIntervalLength );
+      return;
+    }
+  }
+
+  // Where the curve crosses the ends of the clip range, in order along the interval
+  _.sortBy( [ clipRange.min, clipRange.max ].filter( clipY => ( start.y - clipY ) * ( end.y - clipY ) < 0 )
+    .map( clipY => findSignChange( x => viewYAt( x ) - clipY, start.x, end.x ) ) )
+    .forEach( crossingX => shape.lineTo( crossingX, clipRange.constrainValue( viewYAt( crossingX ) ) ) );
+  shape.lineTo( end.x, clipRange.constrainValue( end.y ) );
+};
+
 export default GraphDrawingNode;
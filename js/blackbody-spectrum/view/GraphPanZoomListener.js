@@ -0,0 +1,200 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Input listener for the plot area of the graph. Dragging the plot area pans the axes, and dragging it while box zoom
+ * is on or Shift is held draws a rubber band that the axes zoom into when released. Pinching with two fingers zooms
+ * and pans the axes together, and the mouse wheel zooms about the pointer.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+
+// constants
+const MIN_BOX_SIZE = 10; // least width or height in view coordinates of a rubber band that the axes are zoomed to
+const WHEEL_ZOOM_SCALE = 1.2; // factor that the lengths of the axes are scaled by for each step of the mouse wheel
+
+class GraphPanZoomListener {
+
+  /**
+   * @param {ZoomableAxesView} axes - the axes that are panned and zoomed
+   * @param {Node} plotAreaNode - covers the plot area in the view coordinates of the axes
+   * @param {Rectangle} rubberBandNode - shows the region to be zoomed into while a rubber band is dragged out
+   * @param {Property.<boolean>} boxZoomEnabledProperty - whether dragging draws a rubber band instead of panning
+   */
+  constructor( axes, plotAreaNode, rubberBandNode, boxZoomEnabledProperty ) {
+
+    // @private
+    this.axes = axes;
+    this.plotAreaNode = plotAreaNode;
+    this.rubberBandNode = rubberBandNode;
+    this.boxZoomEnabledProperty = boxZoomEnabledProperty;
+
+    // @private {{pointer: Pointer, point: Vector2, listener: Object}[]} - pointers that are pressed on the plot area,
+    // with their last points in the view coordinates of the axes. There are two presses while pinching.
+    this.presses = [];
+
+    // @private {Vector2|null} - where the rubber band was started, or null when one isn't being dragged out
+    this.rubberBandStart = null;
+
+    rubberBandNode.visible = false;
+  }
+
+  /**
+   * Starts a pan or a rubber band when a pointer is pressed on the plot area, or a pinch when a second one is
+   * @param {SceneryEvent} event
+   * @public (scenery-internal)
+   */
+  down( event ) {
+    if ( this.presses.length >= 2 || !event.canStartPress() ) {
+      return;
+    }
+
+    const pointer = event.pointer;
+    pointer.reserveForDrag();
+
+    // Follows the pointer for the rest of the press, even when it leaves the plot area
+    const listener = {
+      move: () => this.move( pointer ),
+      up: () => this.release( pointer ),
+      cancel: () => this.release( pointer ),
+      interrupt: () => this.release( pointer )
+    };
+    pointer.addInputListener( listener, true );
+    this.presses.push( { pointer: pointer, point: this.toAxesPoint( pointer ), listener: listener } );
+
+    if ( this.presses.length === 1 ) {
+      const shiftKey = event.domEvent && event.domEvent.shiftKey;
+      if ( this.boxZoomEnabledProperty.value || shiftKey ) {
+        this.rubberBandStart = this.presses[ 0 ].point;
+        this.updateRubberBand( this.rubberBandStart );
+        this.rubberBandNode.visible = true;
+      }
+    }
+    else {
+
+      // A second finger turns the rubber band into a pinch
+      this.clearRubberBand();
+    }
+  }
+
+  /**
+   * Zooms the axes about the pointer when the mouse wheel is turned over the plot area
+   * @param {SceneryEvent} event
+   * @public (scenery-internal)
+   */
+  wheel( event ) {
+    const deltaY = event.domEvent.deltaY;
+    if ( deltaY !== 0 ) {
+      this.axes.zoomAbout( this.toAxesPoint( event.pointer ), Math.pow( WHEEL_ZOOM_SCALE, Math.sign( deltaY ) ) );
+    }
+    event.handle();
+  }
+
+  /**
+   * Ends every press without zooming into a rubber band
+   * @public
+   */
+  interrupt() {
+    this.clearRubberBand();
+    while ( this.presses.length ) {
+      this.removePress( this.presses[ 0 ] );
+    }
+  }
+
+  /**
+   * Pans, pinches or drags out the rubber band as a pressed pointer moves
+   * @param {Pointer} pointer
+   * @private
+   */
+  move( pointer ) {
+    const press = _.find( this.presses, press => press.pointer === pointer );
+    const point = this.toAxesPoint( pointer );
+
+    if ( this.rubberBandStart ) {
+      this.updateRubberBand( point );
+    }
+    else if ( this.presses.length === 1 ) {
+      this.axes.pan( point.x - press.point.x, point.y - press.point.y );
+    }
+    else {
+      const otherPoint = _.find( this.presses, otherPress => otherPress !== press ).point;
+      const previousDistance = press.point.distance( otherPoint );
+      const distance = point.distance( otherPoint );
+      const previousMidpoint = press.point.average( otherPoint );
+      const midpoint = point.average( otherPoint );
+      if ( previousDistance > 0 && distance > 0 ) {
+        this.axes.zoomAbout( previousMidpoint, previousDistance / distance );
+      }
+      this.axes.pan( midpoint.x - previousMidpoint.x, midpoint.y - previousMidpoint.y );
+    }
+    press.point = point;
+  }
+
+  /**
+   * Ends the press of a pointer, zooming into the rubber band when one was dragged out
+   * @param {Pointer} pointer
+   * @private
+   */
+  release( pointer ) {
+    const press = _.find( this.presses, press => press.pointer === pointer );
+    if ( !press ) {
+      return;
+    }
+    if ( this.rubberBandStart ) {
+      this.axes.zoomToBounds( this.getRubberBandBounds( this.toAxesPoint( pointer ) ), MIN_BOX_SIZE );
+      this.clearRubberBand();
+    }
+    this.removePress( press );
+  }
+
+  /**
+   * @param {{pointer: Pointer, point: Vector2, listener: Object}} press
+   * @private
+   */
+  removePress( press ) {
+    press.pointer.removeInputListener( press.listener );
+    this.presses.splice( this.presses.indexOf( press ), 1 );
+  }
+
+  /**
+   * Shows the rubber band from where it was started to a point
+   * @param {Vector2} point - in the view coordinates of the axes
+   * @private
+   */
+  updateRubberBand( point ) {
+    this.rubberBandNode.rectBounds = this.getRubberBandBounds( point );
+  }
+
+  /**
+   * Hides the rubber band
+   * @private
+   */
+  clearRubberBand() {
+    this.rubberBandStart = null;
+    this.rubberBandNode.visible = false;
+  }
+
+  /**
+   * Gets the region of the rubber band from where it was started to a point, limited to the plot area
+   * @param {Vector2} point - in the view coordinates of the axes
+   * @returns {Bounds2}
+   * @private
+   */
+  getRubberBandBounds( point ) {
+    return Bounds2.point( this.rubberBandStart.x, this.rubberBandStart.y ).addPoint( point )
+      .intersection( new Bounds2( 0, -this.axes.verticalAxisLength, this.axes.horizontalAxisLength, 0 ) );
+  }
+
+  /**
+   * Gets the point of a pointer in the view coordinates of the axes
+   * @param {Pointer} pointer
+   * @returns {Vector2}
+   * @private
+   */
+  toAxesPoint( pointer ) {
+    return this.plotAreaNode.globalToParentPoint( pointer.point );
+  }
+}
+
+export default GraphPanZoomListener;
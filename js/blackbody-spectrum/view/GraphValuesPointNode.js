@@ -2,31 +2,45 @@
 
 /**
  * The class that handles showing a draggable point that follows a graph and shows its x and y values
+ * The point is also an accessible slider, which moves it along the horizontal axis with the keyboard
  *
  * @author Saurabh Totey
  * @author Arnab Purkayastha
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import voicingUtteranceQueue from '../../../../scenery/js/accessibility/voicing/voicingUtteranceQueue.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import AccessibleSlider from '../../../../sun/js/accessibility/AccessibleSlider.js';
 import Panel from '../../../../sun/js/Panel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
-import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
 import BlackbodyColors from './BlackbodyColors.js';
 
-class GraphValuesPointNode extends Node {
+const graphValuesPointAccessibleNameString = BlackbodySpectrumStrings.a11y.graphValuesPoint.accessibleName;
+const graphValuesPointHelpTextString = BlackbodySpectrumStrings.a11y.graphValuesPoint.helpText;
+const graphValuesPointValuePatternString = BlackbodySpectrumStrings.a11y.graphValuesPoint.valuePattern;
+const scientificNotationPatternString = BlackbodySpectrumStrings.a11y.scientificNotationPattern;
+
+// constants
+const FOCUS_HIGHLIGHT_DILATION = 5;
+
+class GraphValuesPointNode extends AccessibleSlider( Node, 0 ) {
 
   /**
    * Constructs the GraphValuesPointNode given the body to follow and the axes that will handle coordinate conversions.
@@ -62,10 +76,48 @@ class GraphValuesPointNode extends Node {
       },
       labelOffset: 5,
       cursor: 'ew-resize',
+
+      // steps along the horizontal axis with the keyboard, as fractions of the length of the axis
+      keyboardStep: 0.01,
+      shiftKeyboardStep: 0.002,
+      pageKeyboardStep: 0.1,
+      accessibleName: graphValuesPointAccessibleNameString,
+      descriptionContent: graphValuesPointHelpTextString,
+      a11yDependencies: [], // other Properties that change how the point is described, such as the domain of the axes
       tandem: Tandem.REQUIRED
     }, options );
 
-    super( options );
+    // in nm, infinite at the left end of the frequency and wavenumber axes
+    const wavelengthProperty = new NumberProperty( axes.getPeakWavelength( body ), {
+      range: new Range( 0, Number.POSITIVE_INFINITY )
+    } );
+
+    // The keyboard moves the point by its position along the horizontal axis, as a fraction of the length of the axis,
+    // since wavelengths aren't evenly spaced along frequency, wavenumber and logarithmic axes
+    const axisPositionProperty = new NumberProperty( 0, {
+      range: new Range( 0, 1 )
+    } );
+
+    super( merge( {}, options, {
+      valueProperty: axisPositionProperty,
+      enabledRangeProperty: new Property( axisPositionProperty.range ),
+      a11yCreateAriaValueText: () => describePoint( body, axes, wavelengthProperty.value ),
+      a11yDependencies: [ wavelengthProperty, ...body.spectrumDependencies, ...options.a11yDependencies ],
+      endDrag: () => {
+        this.cueingArrows.visible = false;
+        this.arrowsVisible = false;
+        this.speakValueDescription();
+      }
+    } ) );
+
+    // @public {Property.<number>}
+    this.wavelengthProperty = wavelengthProperty;
+
+    // @private {Property.<number>}
+    this.axisPositionProperty = axisPositionProperty;
+
+    // @private {boolean} - whether the axis position is being set to follow the point, rather than moving the point
+    this.isUpdatingAxisPosition = false;
 
     // @private
     this.body = body;
@@ -99,16 +151,14 @@ class GraphValuesPointNode extends Node {
     this.graphPointCircle.mouseArea = this.graphPointCircle.localBounds.dilated( 4 );
     this.graphPointCircle.touchArea = this.cueingArrows.localBounds.dilated( 4 );
 
-    // @public {Property.<number>}
-    this.wavelengthProperty = new NumberProperty( this.body.peakWavelength, {
-      range: new Range( 0, BlackbodyConstants.maxHorizontalZoom )
-    } );
-
     // Links a change in the body's temperature to always set the wavelength to the peak wavelength
     this.body.temperatureProperty.link( () => {
+      this.wavelengthProperty.value = this.axes.getPeakWavelength( this.body );
+      this.update();
+    } );
 
-      // Clamp to make sure wavelength Property is within graph bounds
-      this.wavelengthProperty.value = this.body.peakWavelength;
+    // Changes in emissivity keep the wavelength, but change the value of the curve at that wavelength
+    Multilink.lazyMultilink( [ this.body.materialProperty, this.body.grayBodyEmissivityProperty ], () => {
       this.update();
     } );
 
@@ -122,22 +172,28 @@ class GraphValuesPointNode extends Node {
         const x = this.graphPointCircle.globalToParentPoint( event.pointer.point ).x - clickXOffset;
 
         // Clamp to make sure wavelength Property is within graph bounds
-        this.wavelengthProperty.value = Utils.clamp(
-          this.axes.viewXToWavelength( x ),
-          0,
-          this.axes.viewXToWavelength( this.axes.horizontalAxisLength )
+        this.wavelengthProperty.value = this.axes.viewXToWavelength(
+          Utils.clamp( x, 0, this.axes.horizontalAxisLength )
         );
         this.update();
       },
       end: () => {
         this.cueingArrows.visible = false;
         this.arrowsVisible = false;
+        this.speakValueDescription();
       },
       allowTouchSnag: true,
       dragCursor: 'ew-resize',
       tandem: options.tandem.createTandem( 'dragListener' )
     } );
 
+    this.axisPositionProperty.lazyLink( axisPosition => {
+      if ( !this.isUpdatingAxisPosition ) {
+        this.wavelengthProperty.value = this.axes.viewXToWavelength( axisPosition * this.axes.horizontalAxisLength );
+        this.update();
+      }
+    } );
+
     this.graphPointCircle.addInputListener( dragListener );
     this.cueingArrows.addInputListener( dragListener );
     this.dashedVerticalLinePath.addInputListener( dragListener );
@@ -156,35 +212,64 @@ class GraphValuesPointNode extends Node {
    * @public
    */
   reset() {
-    this.wavelengthProperty.value = this.body.peakWavelength;
+    this.wavelengthProperty.value = this.axes.getPeakWavelength( this.body );
     this.arrowsVisible = true;
     this.update();
   }
 
+  /**
+   * Describes the values that the point reads from the graph, in the units of the current domain
+   * @public
+   * @returns {string}
+   */
+  getValueDescription() {
+    return describePoint( this.body, this.axes, this.wavelengthProperty.value );
+  }
+
+  /**
+   * Speaks the values that the point reads with Voicing, for when the point is released
+   * @private
+   */
+  speakValueDescription() {
+    voicingUtteranceQueue.addToBack( this.getValueDescription() );
+  }
+
   /**
    * Updates the position of the circle and the dashed lines of this graphValuesPointNode
    * @public
    */
   update() {
 
-    // Update spectral power density for changes in wavelength
-    const spectralPowerDensityOfPoint = this.body.getSpectralPowerDensityAt( this.wavelengthProperty.value );
+    // Update spectral density for changes in wavelength, in the units of the current domain
+    const spectralDensityOfPoint = this.axes.getSpectralDensity( this.body, this.wavelengthProperty.value );
 
     // Updates position of graph point circle in view
     this.graphPointCircle.centerX = this.axes.wavelengthToViewX( this.wavelengthProperty.value );
-    this.graphPointCircle.centerY = this.axes.spectralPowerDensityToViewY( spectralPowerDensityOfPoint );
-    this.graphPointCircle.visible = this.graphPointCircle.centerX <= this.axes.horizontalAxisLength &&
-                                    this.graphPointCircle.centerY >= -this.axes.verticalAxisLength;
+    this.graphPointCircle.centerY = this.axes.spectralDensityToViewY( spectralDensityOfPoint );
+    this.graphPointCircle.visible = this.graphPointCircle.centerX >= 0 &&
+                                    this.graphPointCircle.centerX <= this.axes.horizontalAxisLength &&
+                                    this.graphPointCircle.centerY >= -this.axes.verticalAxisLength &&
+                                    this.graphPointCircle.centerY <= 0;
+
+    // The position along the axis follows the point, staying at the end of the axis when the point is off the graph
+    this.isUpdatingAxisPosition = true;
+    this.axisPositionProperty.value = Utils.clamp(
+      this.graphPointCircle.centerX / this.axes.horizontalAxisLength, 0, 1
+    );
+    this.isUpdatingAxisPosition = false;
+
+    // The focus highlight surrounds the point, rather than its labels and dashed lines
+    this.focusHighlight = Shape.bounds( this.graphPointCircle.bounds.dilated( FOCUS_HIGHLIGHT_DILATION ) );
 
     // Update cueing arrows to line up with graph point circle
     this.cueingArrows.center = this.graphPointCircle.center;
     this.cueingArrows.visible = this.arrowsVisible && this.graphPointCircle.visible;
 
     // Updates value labels' text
-    this.wavelengthValueText.string = Utils.toFixed( this.wavelengthProperty.value / 1000.0, 3 ); // nm to microns
+    this.wavelengthValueText.string = this.axes.formatHorizontalValue( this.wavelengthProperty.value );
 
     // Spectral Power Density is given special case for scientific notation
-    const spectralPowerDensityValue = spectralPowerDensityOfPoint * 1e33; // multiplier is to match y axis
+    const spectralPowerDensityValue = spectralDensityOfPoint;
     if ( spectralPowerDensityValue < 0.01 && spectralPowerDensityValue !== 0 ) {
       const notationObject = ScientificNotationNode.toScientificNotation( spectralPowerDensityValue, {
         mantissaDecimalPlaces: 0
@@ -246,7 +331,14 @@ class GraphValuesPointNode extends Node {
       this.dashedHorizontalLinePath.visible = false;
     }
 
-    this.dashedVerticalLinePath.visible = this.graphPointCircle.centerX <= this.axes.horizontalAxisLength;
+    this.dashedVerticalLinePath.visible = this.graphPointCircle.centerX >= 0 &&
+                                          this.graphPointCircle.centerX <= this.axes.horizontalAxisLength &&
+                                          this.graphPointCircle.centerY <= 0;
+
+    // Values below the start of a panned vertical axis are under the graph
+    if ( this.graphPointCircle.centerY > 0 ) {
+      this.dashedHorizontalLinePath.visible = false;
+    }
 
     // Don't extend touch/mouse areas when distance is so small, avoids errors when showing pointer areas
     if ( this.graphPointCircle.centerY < -1e-8 ) {
@@ -261,4 +353,31 @@ class GraphValuesPointNode extends Node {
 
 }
 
+/**
+ * Describes the position of a point on the graph of a body and the value of the graph there
+ * @param {BlackbodyBodyModel} body
+ * @param {ZoomableAxesView} axes
+ * @param {number} wavelength - in nm
+ * @returns {string}
+ */
+const describePoint = ( body, axes, wavelength ) => StringUtils.fillIn( graphValuesPointValuePatternString, {
+  position: axes.describeHorizontalValue( wavelength ),
+  spectralDensity: describeSpectralDensity( axes.getSpectralDensity( body, wavelength ) )
+} );
+
+/**
+ * Describes a spectral density in words, using scientific notation for small values as the label on the graph does
+ * @param {number} spectralDensity
+ * @returns {string}
+ */
+const describeSpectralDensity = spectralDensity => {
+  if ( spectralDensity < 0.01 && spectralDensity !== 0 ) {
+    return StringUtils.fillIn( scientificNotationPatternString, ScientificNotationNode.toScientificNotation(
+      spectralDensity,
+      { mantissaDecimalPlaces: 0 }
+    ) );
+  }
+  return spectralDensity.toPrecision( 4 );
+};
+
 export default GraphValuesPointNode;
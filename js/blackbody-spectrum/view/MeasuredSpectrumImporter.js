@@ -0,0 +1,81 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Opens CSV files of measured spectra, such as those saved by classroom spectrometers, and loads them into the model.
+ * A dialog explains the expected format when a file doesn't contain a spectrum.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import OopsDialog from '../../../../scenery-phet/js/OopsDialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import MeasuredSpectrum from '../model/MeasuredSpectrum.js';
+
+const importErrorString = BlackbodySpectrumStrings.importError;
+
+// constants
+const ACCEPTED_FILE_TYPES = '.csv,.txt,text/csv,text/plain';
+
+class MeasuredSpectrumImporter {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.model = model;
+
+    // @private
+    this.errorDialog = new OopsDialog( importErrorString, {
+      tandem: options.tandem.createTandem( 'errorDialog' )
+    } );
+  }
+
+  /**
+   * Asks the user to choose a file, which is loaded into the model once it has been read
+   * @public
+   */
+  openFile() {
+    const input = document.createElement( 'input' );
+    input.type = 'file';
+    input.accept = ACCEPTED_FILE_TYPES;
+    input.addEventListener( 'change', () => {
+      const file = input.files[ 0 ];
+      if ( file ) {
+        const reader = new window.FileReader();
+        reader.addEventListener( 'load', () => this.loadCSV( reader.result, file.name ) );
+        reader.addEventListener( 'error', () => this.errorDialog.show() );
+        reader.readAsText( file );
+      }
+    } );
+    input.click();
+  }
+
+  /**
+   * Loads the contents of a CSV file into the model as the measured spectrum
+   * @public
+   * @param {string} text
+   * @param {string} name - the name of the file
+   */
+  loadCSV( text, name ) {
+    const measuredSpectrum = MeasuredSpectrum.fromCSV( text, name );
+    if ( measuredSpectrum ) {
+      this.model.measuredSpectrumProperty.value = measuredSpectrum;
+    }
+    else {
+      this.errorDialog.show();
+    }
+  }
+}
+
+export default MeasuredSpectrumImporter;
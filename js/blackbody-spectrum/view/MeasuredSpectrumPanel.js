@@ -0,0 +1,145 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel for a measured spectrum, which shows the blackbody that best fits the measurement and has controls for the fit.
+ * The fitted temperature can be given to the main body, so that its curve can be explored along with the measurement.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import trashAltRegularShape from '../../../../sherpa/js/fontawesome-5/trashAltRegularShape.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+const fitScaleString = BlackbodySpectrumStrings.fitScale;
+const fittedScalePatternString = BlackbodySpectrumStrings.fittedScalePattern;
+const fittedTemperaturePatternString = BlackbodySpectrumStrings.fittedTemperaturePattern;
+const measuredSpectrumString = BlackbodySpectrumStrings.measuredSpectrum;
+const residualsString = BlackbodySpectrumStrings.residuals;
+const rmsResidualPatternString = BlackbodySpectrumStrings.rmsResidualPattern;
+const useFittedTemperatureString = BlackbodySpectrumStrings.useFittedTemperature;
+
+// constants
+const SIGNIFICANT_FIGURES = 3; // for the scale and residual, which are in the arbitrary units of the measurement
+const BUTTON_ICON_WIDTH = 14;
+
+class MeasuredSpectrumPanel extends Panel {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      maxWidth: 250,
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel with the blackbody fit of a measured spectrum, shown when a spectrum is imported'
+    }, options );
+
+    const titleText = new Text( measuredSpectrumString, options.titleOptions );
+    const nameText = new Text( '', options.labelOptions );
+    const temperatureText = new Text( '', options.labelOptions );
+    const scaleText = new Text( '', merge( { visibleProperty: model.fitScaleProperty }, options.labelOptions ) );
+    const residualText = new Text( '', options.labelOptions );
+
+    const fitScaleCheckbox = new Checkbox( model.fitScaleProperty, new Text( fitScaleString, options.labelOptions ), {
+      tandem: options.tandem.createTandem( 'fitScaleCheckbox' )
+    } );
+    const residualsCheckbox = new Checkbox( model.residualsVisibleProperty,
+      new Text( residualsString, options.labelOptions ), {
+        tandem: options.tandem.createTandem( 'residualsCheckbox' )
+      } );
+
+    const useFittedTemperatureButton = new TextPushButton( useFittedTemperatureString, {
+      font: options.labelOptions.font,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      listener: () => {
+        model.applyMeasuredSpectrumFit();
+      },
+      tandem: options.tandem.createTandem( 'useFittedTemperatureButton' )
+    } );
+    const removeButton = new RectangularPushButton( {
+      content: new Path( trashAltRegularShape, { maxWidth: BUTTON_ICON_WIDTH, fill: 'black' } ),
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      listener: () => {
+        model.measuredSpectrumProperty.reset();
+      },
+      tandem: options.tandem.createTandem( 'removeButton' )
+    } );
+
+    const content = new VBox( {
+      children: [
+        titleText,
+        nameText,
+        temperatureText,
+        scaleText,
+        residualText,
+        fitScaleCheckbox,
+        residualsCheckbox,
+        new HBox( { children: [ useFittedTemperatureButton, removeButton ], spacing: 10 } )
+      ],
+      spacing: 6,
+      align: 'left',
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      maxWidth: options.maxWidth,
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    Multilink.multilink( [
+      model.measuredSpectrumProperty,
+      model.measuredSpectrumFitProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( measuredSpectrum, fit, temperatureUnits ) => {
+      this.visible = measuredSpectrum !== null;
+      if ( measuredSpectrum && fit ) {
+        nameText.string = measuredSpectrum.name;
+        temperatureText.string = StringUtils.fillIn( fittedTemperaturePatternString, {
+          temperature: TemperatureUnits.format( fit.temperature, temperatureUnits )
+        } );
+        scaleText.string = StringUtils.fillIn( fittedScalePatternString, {
+          scale: fit.scale.toPrecision( SIGNIFICANT_FIGURES )
+        } );
+        residualText.string = StringUtils.fillIn( rmsResidualPatternString, {
+          residual: fit.rmsResidual.toPrecision( SIGNIFICANT_FIGURES )
+        } );
+      }
+    } );
+  }
+}
+
+export default MeasuredSpectrumPanel;
@@ -0,0 +1,129 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A vertical marker at one edge of the partial area, which is dragged along the horizontal axis by its handle at the
+ * top of the graph. The marker is also an accessible slider, which moves it along the horizontal axis with the
+ * keyboard.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import AccessibleSlider from '../../../../sun/js/accessibility/AccessibleSlider.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+const partialAreaMarkerAccessibleNamePatternString =
+  BlackbodySpectrumStrings.a11y.partialAreaMarker.accessibleNamePattern;
+const partialAreaMarkerHelpTextString = BlackbodySpectrumStrings.a11y.partialAreaMarker.helpText;
+
+// constants
+const HANDLE_WIDTH = 12;
+const HANDLE_HEIGHT = 20;
+const HANDLE_TOUCH_DILATION = 8;
+
+class PartialAreaMarkerNode extends AccessibleSlider( Node, 0 ) {
+
+  /**
+   * @param {Property.<number>} wavelengthProperty - in nm, the wavelength of the marker
+   * @param {number} number - which of the markers this is, starting from 1
+   * @param {ZoomableAxesView} axes
+   * @param {Object} [options]
+   */
+  constructor( wavelengthProperty, number, axes, options ) {
+
+    options = merge( {
+      cursor: 'ew-resize',
+
+      // steps along the horizontal axis with the keyboard, as fractions of the length of the axis
+      keyboardStep: 0.01,
+      shiftKeyboardStep: 0.002,
+      pageKeyboardStep: 0.1,
+      accessibleName: StringUtils.fillIn( partialAreaMarkerAccessibleNamePatternString, { number: number } ),
+      descriptionContent: partialAreaMarkerHelpTextString,
+      a11yDependencies: [], // other Properties that change how the marker is described, such as the domain of the axes
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // The keyboard moves the marker by its position along the horizontal axis, as a fraction of the length of the axis,
+    // since wavelengths aren't evenly spaced along frequency, wavenumber and logarithmic axes
+    const axisPositionProperty = new NumberProperty( 0, {
+      range: new Range( 0, 1 )
+    } );
+
+    super( merge( {}, options, {
+      valueProperty: axisPositionProperty,
+      enabledRangeProperty: new Property( axisPositionProperty.range ),
+      a11yCreateAriaValueText: () => axes.describeHorizontalValue( wavelengthProperty.value ),
+      a11yDependencies: [ wavelengthProperty, ...options.a11yDependencies ]
+    } ) );
+
+    // @private
+    this.wavelengthProperty = wavelengthProperty;
+    this.axisPositionProperty = axisPositionProperty;
+    this.axes = axes;
+
+    // @private {boolean} - whether the axis position is being set to follow the marker, rather than moving the marker
+    this.isUpdatingAxisPosition = false;
+
+    const line = new Line( 0, 0, 0, -axes.verticalAxisLength, {
+      stroke: BlackbodyColors.partialAreaMarkerProperty,
+      lineWidth: 2
+    } );
+    const handle = new Rectangle( -HANDLE_WIDTH / 2, -axes.verticalAxisLength, HANDLE_WIDTH, HANDLE_HEIGHT, 3, 3, {
+      fill: BlackbodyColors.partialAreaMarkerProperty
+    } );
+    handle.touchArea = handle.localBounds.dilated( HANDLE_TOUCH_DILATION );
+    line.mouseArea = line.localBounds.dilatedX( HANDLE_WIDTH / 4 );
+    line.touchArea = line.localBounds.dilatedX( HANDLE_WIDTH / 2 );
+    this.children = [ line, handle ];
+
+    // The marker stays where the pointer is along the axis, and isn't dragged past its ends
+    let clickXOffset;
+    this.addInputListener( new DragListener( {
+      start: event => {
+        clickXOffset = this.globalToParentPoint( event.pointer.point ).x - this.x;
+      },
+      drag: event => {
+        const x = this.globalToParentPoint( event.pointer.point ).x - clickXOffset;
+        wavelengthProperty.value = axes.viewXToWavelength( Utils.clamp( x, 0, axes.horizontalAxisLength ) );
+      },
+      allowTouchSnag: true,
+      tandem: options.tandem.createTandem( 'dragListener' )
+    } ) );
+
+    axisPositionProperty.lazyLink( axisPosition => {
+      if ( !this.isUpdatingAxisPosition ) {
+        wavelengthProperty.value = axes.viewXToWavelength( axisPosition * axes.horizontalAxisLength );
+      }
+    } );
+    wavelengthProperty.link( () => this.update() );
+  }
+
+  /**
+   * Moves the marker to its wavelength on the axes, and hides it when its wavelength is off the graph
+   * @public
+   */
+  update() {
+    const x = this.axes.wavelengthToViewX( this.wavelengthProperty.value );
+    this.x = Utils.clamp( x, 0, this.axes.horizontalAxisLength );
+    this.visible = x >= 0 && x <= this.axes.horizontalAxisLength;
+
+    // The position along the axis follows the marker
+    this.isUpdatingAxisPosition = true;
+    this.axisPositionProperty.value = this.x / this.axes.horizontalAxisLength;
+    this.isUpdatingAxisPosition = false;
+  }
+}
+
+export default PartialAreaMarkerNode;
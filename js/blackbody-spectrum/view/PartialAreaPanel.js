@@ -0,0 +1,145 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel that shows the window of wavelengths between the partial area markers, and the intensity of the main and saved
+ * bodies within it as both an absolute intensity and a percent of the total intensity. Photon fluxes are shown instead
+ * when photons are counted.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import BlackbodyFormatting from './BlackbodyFormatting.js';
+import BodySection from './BodySection.js';
+
+const partialAreaString = BlackbodySpectrumStrings.partialArea;
+const partialAreaWindowPatternString = BlackbodySpectrumStrings.partialAreaWindowPattern;
+const percentPatternString = BlackbodySpectrumStrings.percentPattern;
+
+class PartialAreaPanel extends Panel {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      maxWidth: 220,
+      spacing: 8,
+      curveWidth: 30,
+      curveLineWidth: 4,
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel that shows the intensity of each body between the partial area markers'
+    }, options );
+
+    const partialArea = model.partialArea;
+
+    const windowText = new Text( '', options.labelOptions );
+    Multilink.multilink( partialArea.markerWavelengthProperties, () => {
+      const range = partialArea.getWavelengthRange();
+      windowText.string = StringUtils.fillIn( partialAreaWindowPatternString, {
+        minWavelength: formatMicrometers( range.min ),
+        maxWavelength: formatMicrometers( range.max )
+      } );
+    } );
+
+    const content = new VBox( {
+      children: [
+        new Text( partialAreaString, options.titleOptions ),
+        windowText,
+        new BodySection( model.mainBody, createPartialAreaReadout( model, model.mainBody, options ),
+          { stroke: PhetColorScheme.RED_COLORBLIND }, options )
+      ],
+      spacing: options.spacing,
+      align: 'left',
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      maxWidth: options.maxWidth,
+      visibleProperty: partialArea.visibleProperty,
+      align: 'left',
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    BodySection.addSavedBodySections( model.savedBodies, content,
+      savedBody => createPartialAreaReadout( model, savedBody, options ), options );
+  }
+}
+
+/**
+ * Creates the readout of the partial area for a single body. It is only updated while the partial area is shown, since
+ * the intensity is integrated over any emissivity table. The returned Node should be disposed when it is no longer
+ * used.
+ * @param {BlackbodySpectrumModel} model
+ * @param {BlackbodyBodyModel} body
+ * @param {Object} options - options that were provided to the PartialAreaPanel constructor
+ * @returns {Node}
+ */
+const createPartialAreaReadout = ( model, body, options ) => {
+  const partialArea = model.partialArea;
+  const amountText = new RichText( '', options.labelOptions );
+  const percentText = new Text( '', options.labelOptions );
+
+  const readout = new HBox( { children: [ amountText, percentText ], spacing: options.spacing } );
+
+  const multilink = Multilink.multilink( [
+    ...body.spectrumDependencies,
+    ...partialArea.markerWavelengthProperties,
+    partialArea.visibleProperty,
+    model.photonFluxModeProperty
+  ], () => {
+    if ( !partialArea.visibleProperty.value ) {
+      return;
+    }
+    const photonFlux = model.photonFluxModeProperty.value;
+    amountText.string = BlackbodyFormatting.formatIntensity( partialArea.getAmount( body, photonFlux ), photonFlux );
+    percentText.string = StringUtils.fillIn( percentPatternString, {
+      percent: Utils.toFixed( 100 * partialArea.getFraction( body, photonFlux ), 1 )
+    } );
+  } );
+  readout.disposeEmitter.addListener( () => multilink.dispose() );
+
+  return readout;
+};
+
+/**
+ * Formats a wavelength in micrometers, which is infinite at the left end of the frequency and wavenumber axes
+ * @param {number} wavelength - in nm
+ * @returns {string}
+ */
+const formatMicrometers = wavelength => Number.isFinite( wavelength ) ?
+                                        Utils.toFixed( wavelength / BlackbodyConstants.nanometersPerMicrometer, 2 ) :
+                                        '\u221E';
+
+export default PartialAreaPanel;
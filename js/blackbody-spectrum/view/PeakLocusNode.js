@@ -0,0 +1,221 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The curve traced on the graph by the peak of an ideal blackbody as its temperature goes from the coolest to the
+ * hottest temperature of the thermometer, which is where Wien's displacement law puts the peak, at the height of the
+ * spectrum there. It shows that the peak moves to shorter wavelengths and grows as the temperature rises. Markers on
+ * the curve show the peaks of the main and saved bodies, and of the presets labeled on the thermometer. The peak
+ * of a body with an emissivity is marked where the peak of a blackbody at its temperature would be.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from '../model/BlackbodyBodyModel.js';
+import TemperaturePresets from '../model/TemperaturePresets.js';
+import temperaturePresetsProperty from '../model/temperaturePresetsProperty.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import SavedGraphStyles from './SavedGraphStyles.js';
+
+// constants
+const LOCUS_POINTS = 128; // number of temperatures, evenly spaced on a logarithmic scale, that the curve passes through
+const LABEL_SPACING = 2;
+
+class PeakLocusNode extends Node {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {ZoomableAxesView} axes
+   * @param {Object} [options]
+   */
+  constructor( model, axes, options ) {
+
+    options = merge( {
+      lineWidth: 2,
+      markerRadius: 6,
+      presetMarkerRadius: 3,
+      labelOptions: {
+        font: new PhetFont( 12 ),
+        fill: BlackbodyColors.peakLocusProperty
+      }
+    }, options );
+
+    super();
+
+    // @private
+    this.model = model;
+    this.axes = axes;
+
+    // @private {BlackbodyBodyModel} - an ideal blackbody whose temperature is changed to find the peak at each
+    // temperature
+    this.locusBody = new BlackbodyBodyModel( BlackbodyConstants.sunTemperature, Tandem.OPT_OUT );
+
+    // @private {*[]|null} - the values of the axes' view dependencies that the curve was last drawn for
+    this.locusValues = null;
+
+    // @private
+    this.locusPath = new Path( null, {
+      stroke: BlackbodyColors.peakLocusProperty,
+      lineWidth: options.lineWidth,
+      lineDash: [ 6, 4 ],
+      lineJoin: 'round'
+    } );
+
+    // @private {{temperature: number, node: Node}[]} - markers for the presets labeled on the thermometer
+    this.presetMarkers = [];
+    const presetMarkersNode = new Node();
+
+    // @private
+    this.mainMarker = new Circle( options.markerRadius, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      stroke: BlackbodyColors.peakLocusProperty
+    } );
+    const savedMarkersNode = new Node();
+
+    this.children = [
+      this.locusPath,
+      presetMarkersNode,
+      savedMarkersNode,
+      this.mainMarker
+    ];
+
+    // @private {Map.<SavedBodyModel, Circle>} - markers for the saved bodies, which are added and removed with saved
+    // bodies
+    this.savedMarkers = new Map();
+    const addSavedMarker = savedBody => {
+      const savedMarker = new Circle( options.markerRadius, {
+        fill: SavedGraphStyles.getPathOptions( savedBody.styleIndex ).stroke,
+        stroke: BlackbodyColors.peakLocusProperty
+      } );
+      this.savedMarkers.set( savedBody, savedMarker );
+      savedMarkersNode.addChild( savedMarker );
+      Multilink.multilink( [ savedBody.temperatureProperty, savedBody.visibleProperty ], () => {
+        this.updateSavedMarker( savedBody );
+      } );
+    };
+    model.savedBodies.getArray().forEach( addSavedMarker );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedMarker );
+    model.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      this.savedMarkers.get( savedBody ).dispose();
+      this.savedMarkers.delete( savedBody );
+    } );
+
+    // The markers for the presets are created again when the presets change
+    temperaturePresetsProperty.link( presets => {
+      this.presetMarkers.forEach( presetMarker => presetMarker.node.dispose() );
+      this.presetMarkers = TemperaturePresets.getPresetsInRange( presets, BlackbodyConstants.minTemperature,
+        BlackbodyConstants.maxTemperature ).map( preset => {
+        const label = new Text( preset.name, options.labelOptions );
+        label.left = options.presetMarkerRadius + LABEL_SPACING;
+        label.bottom = -LABEL_SPACING;
+        return {
+          temperature: preset.temperature,
+          node: new Node( {
+            children: [ new Circle( options.presetMarkerRadius, { fill: BlackbodyColors.peakLocusProperty } ), label ]
+          } )
+        };
+      } );
+      presetMarkersNode.children = this.presetMarkers.map( presetMarker => presetMarker.node );
+      this.update();
+    } );
+
+    model.peakLocusVisibleProperty.link( peakLocusVisible => {
+      this.visible = peakLocusVisible;
+      this.update();
+    } );
+  }
+
+  /**
+   * Draws the curve again if the axes have changed, and moves the markers to their peaks. Nothing is updated while the
+   * curve is hidden.
+   * @public
+   */
+  update() {
+    if ( !this.visible ) {
+      return;
+    }
+
+    const values = this.axes.viewDependencies.map( property => property.value );
+    if ( !this.locusValues || _.some( values, ( value, i ) => value !== this.locusValues[ i ] ) ) {
+      this.locusPath.shape = this.shapeOfLocus();
+      this.locusValues = values;
+    }
+
+    this.presetMarkers.forEach( presetMarker => {
+      presetMarker.node.translation = this.getPeakPoint( presetMarker.temperature );
+    } );
+    this.mainMarker.center = this.getPeakPoint( this.model.mainBody.temperatureProperty.value );
+    this.savedMarkers.forEach( ( savedMarker, savedBody ) => this.updateSavedMarker( savedBody ) );
+  }
+
+  /**
+   * Moves the marker of a saved body to its peak, and hides it while the curve of the saved body is hidden
+   * @param {SavedBodyModel} savedBody
+   * @private
+   */
+  updateSavedMarker( savedBody ) {
+    const savedMarker = this.savedMarkers.get( savedBody );
+    savedMarker.visible = savedBody.visibleProperty.value;
+    if ( this.visible && savedMarker.visible ) {
+      savedMarker.center = this.getPeakPoint( savedBody.temperatureProperty.value );
+    }
+  }
+
+  /**
+   * Gets the shape of the curve through the peaks at temperatures spread evenly on a logarithmic scale, since the peak
+   * wavelength is inversely proportional to the temperature. Points far off the graph are brought in to just outside
+   * it, so that the curve is clipped by the graph without reaching enormous coordinates.
+   * @returns {Shape}
+   * @private
+   */
+  shapeOfLocus() {
+    const horizontalAxisLength = this.axes.horizontalAxisLength;
+    const verticalAxisLength = this.axes.verticalAxisLength;
+    const xRange = new Range( -horizontalAxisLength, 2 * horizontalAxisLength );
+    const yRange = new Range( -2 * verticalAxisLength, verticalAxisLength );
+    const temperatureRange = new Range( BlackbodyConstants.minTemperature, BlackbodyConstants.maxTemperature );
+    const logMinTemperature = Math.log( temperatureRange.min );
+    const logMaxTemperature = Math.log( temperatureRange.max );
+
+    // Temperatures are kept in the range, since rounding could put the ends just outside of it
+    const locusShape = new Shape();
+    _.range( LOCUS_POINTS ).forEach( i => {
+      const temperature = temperatureRange.constrainValue( Math.exp( Utils.linear(
+        0, LOCUS_POINTS - 1, logMinTemperature, logMaxTemperature, i
+      ) ) );
+      const point = this.getPeakPoint( temperature );
+      locusShape.lineTo( xRange.constrainValue( point.x ), yRange.constrainValue( point.y ) );
+    } );
+    return locusShape;
+  }
+
+  /**
+   * Gets the peak of an ideal blackbody at a temperature on the axes, in the current domain
+   * @param {number} temperature - in K
+   * @returns {Vector2} - in the view coordinates of the axes
+   * @private
+   */
+  getPeakPoint( temperature ) {
+    this.locusBody.temperatureProperty.value = temperature;
+    const peakWavelength = this.axes.getPeakWavelength( this.locusBody );
+    return new Vector2(
+      this.axes.wavelengthToViewX( peakWavelength ),
+      this.axes.spectralDensityToViewY( this.axes.getSpectralDensity( this.locusBody, peakWavelength ) )
+    );
+  }
+}
+
+export default PeakLocusNode;
@@ -2,25 +2,50 @@
 
 /**
  * The menu that handles showing saved curve temperatures
+ * Each saved curve can be shown or hidden, selected to become the main curve again, or deleted
+ * When expanded, each curve also shows its peak, total intensity and intensity compared with the main curve
  * @author Saurabh Totey
  * @author Arnab Purkayastha
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
 import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import EyeToggleButton from '../../../../scenery-phet/js/buttons/EyeToggleButton.js';
 import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
 import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import trashAltRegularShape from '../../../../sherpa/js/fontawesome-5/trashAltRegularShape.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import ExpandCollapseButton from '../../../../sun/js/ExpandCollapseButton.js';
 import Panel from '../../../../sun/js/Panel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
 import BlackbodyColors from './BlackbodyColors.js';
+import BlackbodyFormatting from './BlackbodyFormatting.js';
 import GenericCurveShape from './GenericCurveShape.js';
+import SavedGraphStyles from './SavedGraphStyles.js';
 
-const kelvinUnitsString = BlackbodySpectrumStrings.kelvinUnits;
+const intensityPatternString = BlackbodySpectrumStrings.intensityPattern;
+const intensityRatioPatternString = BlackbodySpectrumStrings.intensityRatioPattern;
+const intensityUnitsLabelString = BlackbodySpectrumStrings.intensityUnitsLabel;
+const micronsPatternString = BlackbodySpectrumStrings.micronsPattern;
+const peakDensityPatternString = BlackbodySpectrumStrings.peakDensityPattern;
+const peakWavelengthPatternString = BlackbodySpectrumStrings.peakWavelengthPattern;
+const temperatureRatioPatternString = BlackbodySpectrumStrings.temperatureRatioPattern;
+
+// constants
+const BUTTON_ICON_WIDTH = 14;
+const BUTTON_MARGIN = 4;
 
 class SavedGraphInformationPanel extends Panel {
 
@@ -39,56 +64,48 @@ class SavedGraphInformationPanel extends Panel {
       spacing: 10,
       curveWidth: 50,
       curveLineWidth: 5,
-      savedCurveStroke: 'gray',
       labelOptions: {
         font: new PhetFont( 16 ),
         fill: BlackbodyColors.titlesTextProperty
       },
+      readoutOptions: {
+        font: new PhetFont( 12 ),
+        fill: BlackbodyColors.titlesTextProperty,
+        maxWidth: 130
+      },
 
       // phet-io
       tandem: Tandem.REQUIRED,
       phetioDocumentation: 'panel that contains saved blackbody temperatures'
     }, options );
 
-    // The labels for all of the graphs' information
+    // The label and generic curve for the main graph
     const primaryTemperatureLabel = new Text( '?', options.labelOptions );
-    const primarySavedTemperatureLabel = new Text( '?', options.labelOptions );
-    const secondarySavedTemperatureLabel = new Text( '?', options.labelOptions );
-
-    // The generic curves that represent their respective actual curves
     const primaryGenericCurve = new Path( new GenericCurveShape(), {
       stroke: PhetColorScheme.RED_COLORBLIND,
       lineWidth: options.curveLineWidth,
       maxWidth: options.curveWidth
     } );
-    const primarySavedGenericCurve = new Path( new GenericCurveShape(), {
-      stroke: options.savedCurveStroke,
-      lineWidth: options.curveLineWidth,
-      maxWidth: options.curveWidth
-    } );
-    const secondarySavedGenericCurve = new Path( new GenericCurveShape(), {
-      stroke: options.savedCurveStroke,
-      lineDash: [ 5, 5 ],
-      lineWidth: options.curveLineWidth,
-      maxWidth: options.curveWidth
-    } );
-
-    // The HBoxes that groups each generic curve to its temperature label
     const primaryTemperatureBox = new HBox( {
       children: [ primaryGenericCurve, primaryTemperatureLabel ],
       spacing: options.spacing
     } );
-    const primarySavedTemperatureBox = new HBox( {
-      children: [ primarySavedGenericCurve, primarySavedTemperatureLabel ],
-      spacing: options.spacing
+
+    // The readouts of every curve are expanded and collapsed together, to keep the panel compact
+    const expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' ),
+      phetioDocumentation: 'whether the peak and intensity of each curve are shown'
     } );
-    const secondarySavedTemperatureBox = new HBox( {
-      children: [ secondarySavedGenericCurve, secondarySavedTemperatureLabel ],
-      spacing: options.spacing
+    const expandCollapseButton = new ExpandCollapseButton( expandedProperty, {
+      sideLength: 2 * BUTTON_ICON_WIDTH,
+      tandem: options.tandem.createTandem( 'expandCollapseButton' )
     } );
 
     const content = new VBox( {
-      children: [ primaryTemperatureBox, primarySavedTemperatureBox, secondarySavedTemperatureBox ],
+      children: [
+        new HBox( { children: [ expandCollapseButton, primaryTemperatureBox ], spacing: BUTTON_MARGIN } ),
+        createBodyReadouts( model, model.mainBody, expandedProperty, options )
+      ],
       spacing: options.spacing,
       align: 'left',
       excludeInvisibleChildrenFromBounds: true
@@ -106,29 +123,197 @@ class SavedGraphInformationPanel extends Panel {
       phetioDocumentation: options.phetioDocumentation
     } );
 
-    /**
-     * Local function for temperature formatting
-     * @param {number|null} temperature
-     * @returns {string}
-     * @private
-     */
-    const formatTemperature = temperature => {
-      return temperature !== null ? `${Utils.toFixed( temperature, 0 )} ${kelvinUnitsString}` : '';
-    };
+    // @public {BooleanProperty}
+    this.expandedProperty = expandedProperty;
 
     // link temperatures to their labels
-    model.mainBody.temperatureProperty.link( temperature => {
-      primaryTemperatureLabel.string = formatTemperature( temperature );
+    Multilink.multilink( [
+      model.mainBody.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      primaryTemperatureLabel.string = TemperatureUnits.format( temperature, temperatureUnits );
     } );
-    model.savedBodyOne.temperatureProperty.link( temperature => {
-      this.visible = temperature !== null;
-      primarySavedTemperatureLabel.string = formatTemperature( temperature );
+
+    // Adds a row for each saved graph, which is removed when its body is no longer saved
+    const savedBodyRows = new Map();
+    const addSavedBodyRow = savedBody => {
+      const savedBodyRow = new SavedBodyRow( model, savedBody, expandedProperty, options );
+      savedBodyRows.set( savedBody, savedBodyRow );
+      content.addChild( savedBodyRow );
+    };
+    model.savedBodies.getArray().forEach( addSavedBodyRow );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedBodyRow );
+    model.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      savedBodyRows.get( savedBody ).dispose();
+      savedBodyRows.delete( savedBody );
     } );
-    model.savedBodyTwo.temperatureProperty.link( temperature => {
-      secondarySavedTemperatureBox.visible = temperature !== null;
-      secondarySavedTemperatureLabel.string = formatTemperature( temperature );
+
+    // The panel is only needed when there is a saved graph to compare with the main graph
+    model.savedBodies.countProperty.link( count => {
+      this.visible = count > 0;
     } );
   }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+  }
 }
 
+/**
+ * A row of the panel for a saved body, with controls for the saved body's graph and readouts of its spectrum below them
+ */
+class SavedBodyRow extends VBox {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {SavedBodyModel} savedBody
+   * @param {Property.<boolean>} expandedProperty - whether the readouts are shown
+   * @param {Object} options - options that were provided to the SavedGraphInformationPanel constructor
+   */
+  constructor( model, savedBody, expandedProperty, options ) {
+
+    const temperatureLabel = new Text( '', options.labelOptions );
+    const genericCurve = new Path( new GenericCurveShape(), merge( {
+      lineWidth: options.curveLineWidth,
+      maxWidth: options.curveWidth
+    }, SavedGraphStyles.getPathOptions( savedBody.styleIndex ) ) );
+
+    // Views of dynamic elements are not instrumented, since the saved body's Properties already are
+    const visibilityButton = new EyeToggleButton( savedBody.visibleProperty, {
+      maxWidth: 2 * BUTTON_ICON_WIDTH,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // Pressing the curve and temperature makes the saved graph the main graph again
+    const selectButton = new RectangularPushButton( {
+      content: new HBox( { children: [ genericCurve, temperatureLabel ], spacing: options.spacing } ),
+      baseColor: BlackbodyColors.backgroundProperty,
+      xMargin: BUTTON_MARGIN,
+      yMargin: BUTTON_MARGIN,
+      listener: () => {
+        model.selectSavedBody( savedBody );
+      },
+      tandem: Tandem.OPT_OUT
+    } );
+
+    const deleteButton = new RectangularPushButton( {
+      content: new Path( trashAltRegularShape, { maxWidth: BUTTON_ICON_WIDTH, fill: 'black' } ),
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      xMargin: BUTTON_MARGIN,
+      yMargin: BUTTON_MARGIN,
+      listener: () => {
+        model.deleteSavedBody( savedBody );
+      },
+      tandem: Tandem.OPT_OUT
+    } );
+
+    const readouts = createBodyReadouts( model, savedBody, expandedProperty, options );
+
+    super( {
+      children: [
+        new HBox( { children: [ visibilityButton, selectButton, deleteButton ], spacing: BUTTON_MARGIN } ),
+        readouts
+      ],
+      spacing: BUTTON_MARGIN,
+      align: 'left',
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    // A hidden graph can't be seen, so its button is dimmed to match
+    savedBody.visibleProperty.link( visible => {
+      selectButton.opacity = visible ? 1 : 0.5;
+    } );
+    const temperatureMultilink = Multilink.multilink( [
+      savedBody.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      temperatureLabel.string = TemperatureUnits.format( temperature, temperatureUnits );
+    } );
+
+    // @private
+    this.disposeSavedBodyRow = () => {
+      temperatureMultilink.dispose();
+      visibilityButton.dispose();
+      selectButton.dispose();
+      deleteButton.dispose();
+      readouts.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeSavedBodyRow();
+    super.dispose();
+  }
+}
+
+/**
+ * Creates the readouts of the peak and total intensity of a body, which are hidden while they are collapsed. A saved
+ * body also shows how its total intensity compares with that of the main body, which is the fourth power of the ratio
+ * of their temperatures when both are ideal blackbodies. The returned Node should be disposed when it is no longer
+ * used.
+ * @param {BlackbodySpectrumModel} model
+ * @param {BlackbodyBodyModel} body
+ * @param {Property.<boolean>} expandedProperty - whether the readouts are shown
+ * @param {Object} options - options that were provided to the SavedGraphInformationPanel constructor
+ * @returns {Node}
+ */
+const createBodyReadouts = ( model, body, expandedProperty, options ) => {
+  const mainBody = model.mainBody;
+  const isMainBody = body === mainBody;
+  const peakText = new RichText( '', options.readoutOptions );
+  const peakDensityText = new RichText( '', options.readoutOptions );
+  const intensityText = new RichText( '', options.readoutOptions );
+  const ratioText = new RichText( '', options.readoutOptions );
+
+  const readouts = new VBox( {
+    children: isMainBody ? [ peakText, peakDensityText, intensityText ] :
+              [ peakText, peakDensityText, intensityText, ratioText ],
+    spacing: BUTTON_MARGIN / 2,
+    align: 'left'
+  } );
+
+  // The ratio of a saved body changes with the main body, so it depends on both spectra
+  const multilink = Multilink.multilink( [
+    ...body.spectrumDependencies,
+    ...( isMainBody ? [] : mainBody.spectrumDependencies ),
+    expandedProperty
+  ], () => {
+    readouts.visible = expandedProperty.value;
+    if ( !readouts.visible ) {
+      return;
+    }
+    peakText.string = StringUtils.fillIn( peakWavelengthPatternString, {
+      wavelength: StringUtils.fillIn( micronsPatternString, {
+        value: Utils.toFixed( body.peakWavelength / BlackbodyConstants.nanometersPerMicrometer, 2 )
+      } )
+    } );
+    peakDensityText.string = StringUtils.fillIn( peakDensityPatternString, {
+      value: BlackbodyFormatting.formatReadout( body.peakSpectralPowerDensity )
+    } );
+    intensityText.string = StringUtils.fillIn( intensityPatternString, {
+      intensity: StringUtils.fillIn( intensityUnitsLabelString, {
+        intensity: BlackbodyFormatting.formatReadout( body.totalIntensity )
+      } )
+    } );
+    if ( !isMainBody ) {
+      const bothIdeal = body.isIdealBlackbody && mainBody.isIdealBlackbody;
+      ratioText.string = StringUtils.fillIn( bothIdeal ? temperatureRatioPatternString : intensityRatioPatternString, {
+        ratio: BlackbodyFormatting.formatReadout( body.getIntensityRatioTo( mainBody ) )
+      } );
+    }
+  } );
+
+  // The main body outlives the readouts of a saved body, so the link to it is removed when they are disposed
+  readouts.disposeEmitter.addListener( () => multilink.dispose() );
+
+  return readouts;
+};
+
 export default SavedGraphInformationPanel;
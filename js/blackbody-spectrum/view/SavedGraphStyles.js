@@ -0,0 +1,41 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Styles for the curves of saved bodies, so that each saved curve can be told apart from the others. Styles are
+ * looked up by a saved body's style index, cycling through colors first and then through line dashes.
+ *
+ * @author Arnab Purkayastha
+ */
+
+// constants
+const STROKES = [
+  'gray',
+  'rgb( 86, 180, 233 )',
+  'rgb( 230, 159, 0 )',
+  'rgb( 0, 158, 115 )',
+  'rgb( 204, 121, 167 )',
+  'rgb( 0, 114, 178 )'
+];
+const LINE_DASHES = [ [], [ 5, 5 ] ];
+
+const SavedGraphStyles = {
+
+  /**
+   * Gets the options for a Path that draws the curve of a saved body
+   * @public
+   * @param {number} styleIndex - the style index of the saved body
+   * @returns {Object}
+   */
+  getPathOptions( styleIndex ) {
+    const lineDash = LINE_DASHES[ Math.floor( styleIndex / STROKES.length ) % LINE_DASHES.length ];
+    return {
+      stroke: STROKES[ styleIndex % STROKES.length ],
+      lineDash: lineDash,
+
+      // Round caps fill in the gaps of dashed lines
+      lineCap: lineDash.length ? 'butt' : 'round'
+    };
+  }
+};
+
+export default SavedGraphStyles;
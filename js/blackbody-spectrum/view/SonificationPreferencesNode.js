@@ -0,0 +1,61 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Content for the Audio tab of the Preferences dialog, with the control for turning the sonification of the spectrum on
+ * and off
+ *
+ * @author Arnab Purkayastha
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+
+const sonificationDescriptionString = BlackbodySpectrumStrings.sonificationDescription;
+const sonificationString = BlackbodySpectrumStrings.sonification;
+
+class SonificationPreferencesNode extends VBox {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } )
+      },
+      descriptionOptions: {
+        font: new PhetFont( 16 ),
+        lineWrap: 400
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const sonificationCheckbox = new Checkbox(
+      BlackbodySpectrumPreferences.sonificationEnabledProperty,
+      new Text( sonificationString, options.titleOptions ), {
+        tandem: options.tandem.createTandem( 'sonificationCheckbox' )
+      } );
+
+    super( {
+      children: [
+        sonificationCheckbox,
+        new RichText( sonificationDescriptionString, options.descriptionOptions )
+      ],
+      align: 'left',
+      spacing: 10,
+      tandem: options.tandem
+    } );
+  }
+}
+
+export default SonificationPreferencesNode;
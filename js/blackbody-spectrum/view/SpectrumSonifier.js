@@ -0,0 +1,247 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Sonifies the spectrum, as a second way of reading the graph. Each curve has a voice whose pitch is set by the
+ * temperature of its body, and whose loudness follows the height of the curve on the graph. Changing the temperature or
+ * sweeping the graph values point plays the voice of the main curve, and playing the curves scans the graph from its
+ * shortest to its longest wavelength with every shown curve at once. Saved curves are told apart by their timbre.
+ *
+ * Sonification is off by default. It is turned on in the Audio tab of the Preferences dialog, and is only heard when
+ * the sound of the sim is on.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import soundManager from '../../../../tambo/js/soundManager.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+
+// constants
+const MIN_FREQUENCY = 110; // in Hz, the pitch of the coolest body
+const MAX_FREQUENCY = 880; // in Hz, the pitch of the hottest body
+const SCAN_DURATION = 3; // in s, the time taken to play the curves from the shortest to the longest wavelength
+const HOLD_TIME = 0.3; // in s, how long the main voice sounds after the temperature or graph values point changes
+const TONE_TIME_CONSTANT = 0.02; // in s, how quickly the pitch and loudness of a voice follow changes
+
+// The timbres of the voices and how loud each is, so that harsher timbres aren't louder than smoother ones. The first
+// voice is for the main curve, and saved curves take the others in turn.
+const VOICES = [
+  { waveform: 'sine', outputLevel: 0.5 },
+  { waveform: 'triangle', outputLevel: 0.4 },
+  { waveform: 'square', outputLevel: 0.15 },
+  { waveform: 'sawtooth', outputLevel: 0.2 }
+];
+
+class SpectrumSonifier {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {GraphDrawingNode} graphDrawingNode - the graph whose curves are sonified
+   * @param {Node} associatedViewNode - the voices are only heard while this Node is shown
+   */
+  constructor( model, graphDrawingNode, associatedViewNode ) {
+
+    // @private
+    this.model = model;
+    this.graphDrawingNode = graphDrawingNode;
+
+    // @public (read-only) {Property.<boolean>} - whether the curves are being played from short to long wavelength
+    this.isPlayingCurveProperty = new BooleanProperty( false );
+
+    // @private {number} - in s, how far the curves have been played
+    this.scanTime = 0;
+
+    // @private {number} - in s, how much longer the main voice sounds
+    this.holdTime = 0;
+
+    // @private {SpectrumVoice}
+    this.mainVoice = new SpectrumVoice( VOICES[ 0 ] );
+    soundManager.addSoundGenerator( this.mainVoice, { associatedViewNode: associatedViewNode } );
+
+    // @private {Map.<SavedBodyModel, SpectrumVoice>} - voices for the saved curves, which are added and removed with
+    // saved bodies
+    this.savedVoices = new Map();
+    const addSavedVoice = savedBody => {
+      const savedVoice = new SpectrumVoice( VOICES[ 1 + savedBody.styleIndex % ( VOICES.length - 1 ) ] );
+      soundManager.addSoundGenerator( savedVoice, { associatedViewNode: associatedViewNode } );
+      this.savedVoices.set( savedBody, savedVoice );
+    };
+    model.savedBodies.getArray().forEach( addSavedVoice );
+    model.savedBodies.elementCreatedEmitter.addListener( addSavedVoice );
+    model.savedBodies.elementDisposedEmitter.addListener( savedBody => {
+      const savedVoice = this.savedVoices.get( savedBody );
+      soundManager.removeSoundGenerator( savedVoice );
+      savedVoice.dispose();
+      this.savedVoices.delete( savedBody );
+    } );
+
+    // Changing the temperature or sweeping the graph values point plays the main voice
+    Multilink.lazyMultilink( [
+      model.mainBody.temperatureProperty,
+      graphDrawingNode.graphValuesWavelengthProperty
+    ], () => this.playMainVoice() );
+  }
+
+  /**
+   * Stops playing the curves and silences every voice
+   * @public
+   */
+  reset() {
+    this.isPlayingCurveProperty.reset();
+    this.holdTime = 0;
+    this.mainVoice.silence();
+    this.savedVoices.forEach( savedVoice => savedVoice.silence() );
+  }
+
+  /**
+   * Plays every shown curve from the shortest to the longest wavelength on the graph, starting over if the curves are
+   * already playing
+   * @public
+   */
+  playCurve() {
+    this.isPlayingCurveProperty.value = true;
+    this.scanTime = 0;
+    this.holdTime = 0;
+  }
+
+  /**
+   * Steps the voices in time
+   * @public
+   * @param {number} dt - in seconds
+   */
+  step( dt ) {
+    if ( this.isPlayingCurveProperty.value ) {
+      this.scanTime += dt;
+      if ( this.scanTime >= SCAN_DURATION ) {
+        this.reset();
+      }
+      else {
+        const wavelength = this.graphDrawingNode.getWavelengthFromShortest( this.scanTime / SCAN_DURATION );
+        this.playBody( this.mainVoice, this.model.mainBody, wavelength );
+        this.savedVoices.forEach( ( savedVoice, savedBody ) => {
+          savedBody.visibleProperty.value ? this.playBody( savedVoice, savedBody, wavelength ) : savedVoice.silence();
+        } );
+      }
+    }
+    else if ( this.holdTime > 0 ) {
+      this.holdTime -= dt;
+      this.holdTime <= 0 && this.mainVoice.silence();
+    }
+  }
+
+  /**
+   * Plays the main voice for a moment, as loud as the curve at the graph values point when it is shown, or at the
+   * peak of the curve otherwise. Playing the curves takes over the main voice, so it isn't interrupted.
+   * @private
+   */
+  playMainVoice() {
+    if ( !this.isPlayingCurveProperty.value ) {
+      const mainBody = this.model.mainBody;
+      this.mainVoice.setTone(
+        temperatureToFrequency( mainBody.temperatureProperty.value ),
+        this.model.graphValuesVisibleProperty.value ?
+        this.graphDrawingNode.getRelativeHeight( mainBody, this.graphDrawingNode.graphValuesWavelengthProperty.value ) :
+        this.graphDrawingNode.getRelativeCurveHeight()
+      );
+      this.holdTime = HOLD_TIME;
+    }
+  }
+
+  /**
+   * Plays a voice at the pitch of a body, as loud as its curve at a wavelength
+   * @private
+   * @param {SpectrumVoice} voice
+   * @param {BlackbodyBodyModel} body
+   * @param {number} wavelength - in nm
+   */
+  playBody( voice, body, wavelength ) {
+    voice.setTone(
+      temperatureToFrequency( body.temperatureProperty.value ),
+      this.graphDrawingNode.getRelativeHeight( body, wavelength )
+    );
+  }
+}
+
+/**
+ * A continuous tone with a timbre, whose pitch and loudness can be changed smoothly
+ */
+class SpectrumVoice extends SoundGenerator {
+
+  /**
+   * @param {{waveform: string, outputLevel: number}} voice
+   * @param {Object} [options]
+   */
+  constructor( voice, options ) {
+
+    options = merge( {
+      initialOutputLevel: voice.outputLevel,
+      enableControlProperties: [ BlackbodySpectrumPreferences.sonificationEnabledProperty ]
+    }, options );
+
+    super( options );
+
+    // @private
+    this.oscillator = this.audioContext.createOscillator();
+    this.oscillator.type = voice.waveform;
+    this.toneGain = this.audioContext.createGain();
+    this.toneGain.gain.value = 0;
+    this.oscillator.connect( this.toneGain );
+    this.toneGain.connect( this.soundSourceDestination );
+    this.oscillator.start();
+  }
+
+  /**
+   * Changes the pitch and loudness of the tone
+   * @public
+   * @param {number} frequency - in Hz
+   * @param {number} loudness - between 0 for silent and 1 for the loudest, clamped to that range
+   */
+  setTone( frequency, loudness ) {
+    const now = this.audioContext.currentTime;
+    this.oscillator.frequency.setTargetAtTime( frequency, now, TONE_TIME_CONSTANT );
+    this.toneGain.gain.setTargetAtTime(
+      Number.isFinite( loudness ) ? Utils.clamp( loudness, 0, 1 ) : 0,
+      now,
+      TONE_TIME_CONSTANT
+    );
+  }
+
+  /**
+   * Fades the tone out
+   * @public
+   */
+  silence() {
+    this.toneGain.gain.setTargetAtTime( 0, this.audioContext.currentTime, TONE_TIME_CONSTANT );
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.oscillator.stop();
+    this.oscillator.disconnect();
+    this.toneGain.disconnect();
+    super.dispose();
+  }
+}
+
+/**
+ * Maps a temperature to a pitch, so that equal ratios of temperature are equal musical intervals
+ * @param {number} temperature - in K
+ * @returns {number} - in Hz
+ */
+const temperatureToFrequency = temperature => Math.exp( Utils.linear(
+  Math.log( BlackbodyConstants.minTemperature ),
+  Math.log( BlackbodyConstants.maxTemperature ),
+  Math.log( MIN_FREQUENCY ),
+  Math.log( MAX_FREQUENCY ),
+  Math.log( temperature )
+) );
+
+export default SpectrumSonifier;
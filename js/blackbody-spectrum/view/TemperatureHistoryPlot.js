@@ -0,0 +1,120 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A small plot of the temperature of a body over time, as it is recorded by ThermalEvolutionModel. Both axes start at
+ * zero and grow to fit the history, and the temperature of the surroundings is shown as a dashed line.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BlackbodyColors from './BlackbodyColors.js';
+
+const temperatureVsTimeString = BlackbodySpectrumStrings.temperatureVsTime;
+const timePatternString = BlackbodySpectrumStrings.timePattern;
+
+// constants
+const MIN_TIME_SPAN = 1; // in s, the shortest time shown by the plot
+const TEMPERATURE_INTERVAL = 1000; // in K, the largest temperature shown is rounded up to this interval
+const LABEL_SPACING = 3;
+
+class TemperatureHistoryPlot extends Node {
+
+  /**
+   * @param {ThermalEvolutionModel} thermalEvolution
+   * @param {Object} [options]
+   */
+  constructor( thermalEvolution, options ) {
+
+    options = merge( {
+      plotWidth: 180,
+      plotHeight: 90,
+      labelOptions: {
+        font: new PhetFont( 12 ),
+        fill: BlackbodyColors.panelTextProperty
+      }
+    }, options );
+
+    const backgroundRectangle = new Rectangle( 0, 0, options.plotWidth, options.plotHeight, {
+      fill: 'black',
+      stroke: BlackbodyColors.graphAxesStrokeProperty
+    } );
+    const ambientTemperaturePath = new Path( null, {
+      stroke: 'gray',
+      lineDash: [ 4, 4 ]
+    } );
+    const historyPath = new Path( null, {
+      stroke: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: 2,
+      lineJoin: 'round'
+    } );
+
+    const labelOptions = merge( { maxWidth: options.plotWidth / 2 }, options.labelOptions );
+    const titleText = new Text( temperatureVsTimeString, labelOptions );
+    const maxTemperatureText = new Text( '', labelOptions );
+    const minTemperatureText = new Text( '', labelOptions );
+    const timeText = new Text( '', labelOptions );
+
+    Multilink.multilink( [
+      thermalEvolution.temperatureHistory.lengthProperty,
+      thermalEvolution.ambientTemperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( length, ambientTemperature, temperatureUnits ) => {
+      const history = thermalEvolution.temperatureHistory;
+      const timeSpan = Math.max( MIN_TIME_SPAN, length ? history[ length - 1 ].x : 0 );
+      const maxHistoryTemperature = _.max( history.map( point => point.y ) ) || 0;
+      const maxTemperature = TEMPERATURE_INTERVAL *
+                             Math.ceil( Math.max( maxHistoryTemperature, ambientTemperature ) / TEMPERATURE_INTERVAL );
+      const timeToX = time => Utils.linear( 0, timeSpan, 0, options.plotWidth, time );
+      const temperatureToY = temperature => Utils.linear( 0, maxTemperature, options.plotHeight, 0, temperature );
+
+      const historyShape = new Shape();
+      history.forEach( point => historyShape.lineTo( timeToX( point.x ), temperatureToY( point.y ) ) );
+      historyPath.shape = historyShape;
+      ambientTemperaturePath.shape = Shape.lineSegment(
+        0, temperatureToY( ambientTemperature ),
+        options.plotWidth, temperatureToY( ambientTemperature )
+      );
+
+      maxTemperatureText.string = TemperatureUnits.format( maxTemperature, temperatureUnits );
+      minTemperatureText.string = TemperatureUnits.format( 0, temperatureUnits );
+      timeText.string = StringUtils.fillIn( timePatternString, { time: Utils.toFixed( timeSpan, 1 ) } );
+      maxTemperatureText.right = options.plotWidth;
+      maxTemperatureText.bottom = -LABEL_SPACING;
+      minTemperatureText.left = 0;
+      minTemperatureText.top = options.plotHeight + LABEL_SPACING;
+      timeText.right = options.plotWidth;
+      timeText.top = options.plotHeight + LABEL_SPACING;
+    } );
+
+    titleText.left = 0;
+    titleText.bottom = -LABEL_SPACING;
+
+    options.children = [
+      backgroundRectangle,
+      ambientTemperaturePath,
+      historyPath,
+      titleText,
+      maxTemperatureText,
+      minTemperatureText,
+      timeText
+    ];
+
+    super( options );
+  }
+}
+
+export default TemperatureHistoryPlot;
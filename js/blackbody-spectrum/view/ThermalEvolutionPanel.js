@@ -0,0 +1,221 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with the controls for changing the temperature of the main body in time: play, pause and step buttons with a
+ * choice of speed, sliders for the heat capacity and surface area of the body, the temperature of its surroundings and
+ * the power that heats it, and a plot of its temperature over time
+ *
+ * @author Arnab Purkayastha
+ */
+
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import BlackbodySpectrumPreferences from '../model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../model/TemperatureUnits.js';
+import BlackbodyColors from './BlackbodyColors.js';
+import TemperatureHistoryPlot from './TemperatureHistoryPlot.js';
+
+const heatCapacityPatternString = BlackbodySpectrumStrings.heatCapacityPattern;
+const heatingAndCoolingString = BlackbodySpectrumStrings.heatingAndCooling;
+const inputPowerPatternString = BlackbodySpectrumStrings.inputPowerPattern;
+const netPowerPatternString = BlackbodySpectrumStrings.netPowerPattern;
+const surfaceAreaPatternString = BlackbodySpectrumStrings.surfaceAreaPattern;
+const surroundingsPatternString = BlackbodySpectrumStrings.surroundingsPattern;
+
+// constants
+const CONTENT_WIDTH = 180;
+const SQUARE_CENTIMETERS_PER_SQUARE_METER = 1e4;
+const WATTS_PER_KILOWATT = 1e3;
+const SNAP_TEMPERATURE_INTERVAL = 10; // in K
+const SNAP_POWER_INTERVAL = 1e3; // in W
+
+class ThermalEvolutionPanel extends Panel {
+
+  /**
+   * @param {BlackbodySpectrumModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 10,
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      visibleProperty: null,
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty,
+        maxWidth: CONTENT_WIDTH
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty,
+        maxWidth: CONTENT_WIDTH
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel with the controls for changing the temperature of the main body in time'
+    }, options );
+
+    const thermalEvolution = model.thermalEvolution;
+
+    const titleText = new Text( heatingAndCoolingString, options.titleOptions );
+
+    const timeControlNode = new TimeControlNode( thermalEvolution.isPlayingProperty, {
+      timeSpeedProperty: thermalEvolution.timeSpeedProperty,
+      playPauseStepButtonOptions: {
+        stepForwardButtonOptions: {
+          listener: () => thermalEvolution.stepForward()
+        }
+      },
+      speedRadioButtonGroupOptions: {
+        labelOptions: options.labelOptions
+      },
+      tandem: options.tandem.createTandem( 'timeControlNode' )
+    } );
+
+    const temperatureHistoryPlot = new TemperatureHistoryPlot( thermalEvolution, {
+      plotWidth: CONTENT_WIDTH,
+      labelOptions: options.labelOptions
+    } );
+
+    const netPowerText = new Text( '', options.labelOptions );
+    Multilink.multilink( [
+      ...model.mainBody.spectrumDependencies,
+      thermalEvolution.surfaceAreaProperty,
+      thermalEvolution.ambientTemperatureProperty,
+      thermalEvolution.inputPowerProperty
+    ], () => {
+      netPowerText.string = StringUtils.fillIn( netPowerPatternString, {
+        value: Utils.toFixed( thermalEvolution.netPower / WATTS_PER_KILOWATT, 2 )
+      } );
+    } );
+
+    const sliderOptions = {
+      trackSize: new Dimension2( CONTENT_WIDTH - 20, 3 ),
+      thumbSize: new Dimension2( 13, 22 )
+    };
+
+    // The heat capacity and surface area span orders of magnitude, so their sliders are logarithmic
+    const heatCapacityControl = createControl(
+      thermalEvolution.heatCapacityProperty,
+      heatCapacity => StringUtils.fillIn( heatCapacityPatternString, { value: Utils.toFixed( heatCapacity, 0 ) } ),
+      createLogarithmicSlider( thermalEvolution.heatCapacityProperty, merge( {
+        tandem: options.tandem.createTandem( 'heatCapacitySlider' )
+      }, sliderOptions ) ),
+      options.labelOptions
+    );
+    const surfaceAreaControl = createControl(
+      thermalEvolution.surfaceAreaProperty,
+      surfaceArea => StringUtils.fillIn( surfaceAreaPatternString, {
+        value: Utils.toFixed( surfaceArea * SQUARE_CENTIMETERS_PER_SQUARE_METER, 0 )
+      } ),
+      createLogarithmicSlider( thermalEvolution.surfaceAreaProperty, merge( {
+        tandem: options.tandem.createTandem( 'surfaceAreaSlider' )
+      }, sliderOptions ) ),
+      options.labelOptions
+    );
+    const surroundingsControl = createControl(
+      thermalEvolution.ambientTemperatureProperty,
+      ambientTemperature => StringUtils.fillIn( surroundingsPatternString, {
+        temperature: TemperatureUnits.format(
+          ambientTemperature,
+          BlackbodySpectrumPreferences.temperatureUnitsProperty.value
+        )
+      } ),
+      new HSlider( thermalEvolution.ambientTemperatureProperty, thermalEvolution.ambientTemperatureProperty.range,
+        merge( {
+          constrainValue: value => Utils.roundToInterval( value, SNAP_TEMPERATURE_INTERVAL ),
+          tandem: options.tandem.createTandem( 'surroundingsSlider' )
+        }, sliderOptions ) ),
+      options.labelOptions,
+      [ BlackbodySpectrumPreferences.temperatureUnitsProperty ]
+    );
+    const inputPowerControl = createControl(
+      thermalEvolution.inputPowerProperty,
+      inputPower => StringUtils.fillIn( inputPowerPatternString, {
+        value: Utils.toFixed( inputPower / WATTS_PER_KILOWATT, 0 )
+      } ),
+      new HSlider( thermalEvolution.inputPowerProperty, thermalEvolution.inputPowerProperty.range, merge( {
+        constrainValue: value => Utils.roundToInterval( value, SNAP_POWER_INTERVAL ),
+        tandem: options.tandem.createTandem( 'inputPowerSlider' )
+      }, sliderOptions ) ),
+      options.labelOptions
+    );
+
+    const content = new VBox( {
+      children: [
+        titleText,
+        timeControlNode,
+        temperatureHistoryPlot,
+        netPowerText,
+        heatCapacityControl,
+        surfaceAreaControl,
+        surroundingsControl,
+        inputPowerControl
+      ],
+      align: 'left',
+      spacing: 8
+    } );
+
+    super( content, options );
+  }
+}
+
+/**
+ * Creates a slider that sets the base 10 logarithm of a Property, for values that span orders of magnitude
+ * @param {NumberProperty} property
+ * @param {Object} [options] - options for the slider
+ * @returns {HSlider}
+ */
+const createLogarithmicSlider = ( property, options ) => {
+  const logarithmicProperty = new DynamicProperty( new Property( property ), {
+    bidirectional: true,
+    map: value => Math.log10( value ),
+    inverseMap: logValue => Math.pow( 10, logValue )
+  } );
+  return new HSlider( logarithmicProperty, new Range(
+    Math.log10( property.range.min ),
+    Math.log10( property.range.max )
+  ), options );
+};
+
+/**
+ * Creates a label with the value of a Property, above a slider that changes it
+ * @param {NumberProperty} property
+ * @param {function(number):string} formatValue - creates the label from the value of the Property
+ * @param {HSlider} slider
+ * @param {Object} labelOptions
+ * @param {Property[]} [labelDependencies] - other Properties that the label depends on
+ * @returns {Node}
+ */
+const createControl = ( property, formatValue, slider, labelOptions, labelDependencies = [] ) => {
+  const labelText = new RichText( '', labelOptions );
+  Multilink.multilink( [ property, ...labelDependencies ], value => {
+    labelText.string = formatValue( value );
+  } );
+  return new VBox( {
+    children: [ labelText, slider ],
+    align: 'left',
+    spacing: 5
+  } );
+};
+
+export default ThermalEvolutionPanel;
@@ -3,6 +3,7 @@
 /**
  * Triangular slider thumb that points down on a horizontal slider
  * The horizontal slider is rotated vertically to make this eventually point left when seen
+ * The thumb is also an accessible slider for its value, so that it can be moved with the keyboard
  *
  * @author Arnab Purkayastha
  */
@@ -15,15 +16,19 @@ import TriangleNode from '../../../../scenery-phet/js/TriangleNode.js';
 import ButtonListener from '../../../../scenery/js/input/ButtonListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
+import AccessibleSlider from '../../../../sun/js/accessibility/AccessibleSlider.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import BlackbodyColors from './BlackbodyColors.js';
 
-class TriangleSliderThumb extends Node {
+// constants
+const FOCUS_HIGHLIGHT_DILATION = 4;
+
+class TriangleSliderThumb extends AccessibleSlider( Node, 0 ) {
 
   /**
    * Creates the triangle thumb slider
    * Triangle points down in just logical coordinates because this node eventually gets rotated for actual display
-   * @param {Object} [options]
+   * @param {Object} options - must include the valueProperty and enabledRangeProperty of AccessibleSlider
    */
   constructor( options ) {
 
@@ -64,11 +69,26 @@ class TriangleSliderThumb extends Node {
       tandem: options.tandem.createTandem( 'cueingArrows' )
     } );
 
-    super( { children: [ cueingArrows, dashedLinesPath, triangle ] } );
+    // Options that are only used to draw the thumb aren't passed to the slider, which is not instrumented itself
+    const startDrag = options.startDrag;
+    super( merge( _.omit( options, [ 'size', 'stroke', 'fill', 'fillHighlighted', 'dashedLineOptions', 'tandem' ] ), {
+      children: [ cueingArrows, dashedLinesPath, triangle ],
+
+      // The arrows are removed when the thumb is first moved with the keyboard, as they are on the first click
+      startDrag: event => {
+        cueingArrows.visible = false;
+        startDrag && startDrag( event );
+      }
+    } ) );
 
     triangle.centerX = this.centerX;
     triangle.top = -triangleHalfWidth;
     dashedLinesPath.centerX = this.centerX;
+
+    // The focus highlight surrounds the thumb and not the cueing arrows, which are hidden once it has been moved
+    this.focusHighlight = Shape.bounds(
+      triangle.bounds.union( dashedLinesPath.bounds ).dilated( FOCUS_HIGHLIGHT_DILATION )
+    );
     // Highlight thumb on pointer over and remove arrows on first click
     this.addInputListener( new ButtonListener( {
       over: () => {
@@ -94,6 +114,14 @@ class TriangleSliderThumb extends Node {
     this.cueingArrows.visible = true;
   }
 
+  /**
+   * Hides the arrows that cue the user to move the thumb, for when it has been moved without being clicked
+   * @public
+   */
+  hideCueingArrows() {
+    this.cueingArrows.visible = false;
+  }
+
 }
 
 export default TriangleSliderThumb;
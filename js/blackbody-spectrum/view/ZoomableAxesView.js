@@ -5,37 +5,53 @@
  * Handles labels for displaying regions of the electromagnetic spectrum
  * Also handles axes labels and tick labels
  * Most important functionality is handling conversions between logical values and screen coordinates
+ * Each axis shows a range of values, which starts at zero until the graph is panned or zoomed into a region
  *
  * @author Saurabh Totey
  * @author Arnab Purkayastha
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import BlackbodyConstants from '../../BlackbodyConstants.js';
 import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import SpectrumDomain from '../model/SpectrumDomain.js';
 import BlackbodyColors from './BlackbodyColors.js';
 
-// from nm to m to the fifth power (1e45) and Mega/micron (1e-12)
-const SPECTRAL_POWER_DENSITY_CONVERSION_FACTOR = 1e33;
 const ELECTROMAGNETIC_SPECTRUM_LABEL_CUTOFF = 20;
 
+const frequencyLabelString = BlackbodySpectrumStrings.frequencyLabel;
+const frequencyPatternString = BlackbodySpectrumStrings.a11y.graphValuesPoint.frequencyPattern;
+const frequencySubtitleLabelString = BlackbodySpectrumStrings.frequencySubtitleLabel;
 const infraredString = BlackbodySpectrumStrings.infrared;
+const photonSpectralFluxFrequencyLabelString = BlackbodySpectrumStrings.photonSpectralFluxFrequencyLabel;
+const photonSpectralFluxLabelString = BlackbodySpectrumStrings.photonSpectralFluxLabel;
+const photonSpectralFluxWavenumberLabelString = BlackbodySpectrumStrings.photonSpectralFluxWavenumberLabel;
+const spectralPowerDensityFrequencyLabelString = BlackbodySpectrumStrings.spectralPowerDensityFrequencyLabel;
 const spectralPowerDensityLabelString = BlackbodySpectrumStrings.spectralPowerDensityLabel;
+const spectralPowerDensityWavenumberLabelString = BlackbodySpectrumStrings.spectralPowerDensityWavenumberLabel;
 const subtitleLabelString = BlackbodySpectrumStrings.subtitleLabel;
 const ultravioletString = BlackbodySpectrumStrings.ultraviolet;
 const visibleString = BlackbodySpectrumStrings.visible;
 const wavelengthLabelString = BlackbodySpectrumStrings.wavelengthLabel;
+const wavelengthPatternString = BlackbodySpectrumStrings.a11y.graphValuesPoint.wavelengthPattern;
+const wavenumberLabelString = BlackbodySpectrumStrings.wavenumberLabel;
+const wavenumberPatternString = BlackbodySpectrumStrings.a11y.graphValuesPoint.wavenumberPattern;
+const wavenumberSubtitleLabelString = BlackbodySpectrumStrings.wavenumberSubtitleLabel;
 const xRayString = BlackbodySpectrumStrings.xRay;
 
 // Max wavelengths for each region of the electromagnetic spectrum in nm, type Object
@@ -58,14 +74,179 @@ const ELECTROMAGNETIC_SPECTRUM_LABEL_VALUES = {
   }
 };
 
+// Axis settings for each domain that spectra can be plotted in, keyed by domain name. Horizontal zoom values are the
+// maximum value shown on the horizontal axis, in the domain's units. Photon values are used when spectra count photons.
+// A curve is framed with the horizontal axis ending at a multiple of its peak, which frames the Sun at the default
+// zoom.
+const DOMAIN_AXIS_VALUES = {
+  wavelength: {
+    horizontalLabel: wavelengthLabelString,
+    horizontalSubtitle: subtitleLabelString,
+    verticalLabel: spectralPowerDensityLabelString,
+    photonVerticalLabel: photonSpectralFluxLabelString,
+    defaultHorizontalZoom: 3000,
+    horizontalZoomRange: new Range( BlackbodyConstants.minHorizontalZoom, BlackbodyConstants.maxHorizontalZoom ),
+    minHorizontalSpan: BlackbodyConstants.minHorizontalSpan,
+    framePeakMultiple: 6,
+    defaultVerticalZoom: 100,
+    defaultPhotonVerticalZoom: 500,
+    valuePerTick: 100,
+    minorTickMaxHorizontalZoom: 12000,
+    formatHorizontalMax: value => value / 1000, // nm to microns
+    formatValue: value => Utils.toFixed( value / 1000, 3 ), // nm to microns
+    accessibleValuePattern: wavelengthPatternString
+  },
+  frequency: {
+    horizontalLabel: frequencyLabelString,
+    horizontalSubtitle: frequencySubtitleLabelString,
+    verticalLabel: spectralPowerDensityFrequencyLabelString,
+    photonVerticalLabel: photonSpectralFluxFrequencyLabelString,
+    defaultHorizontalZoom: 1500,
+    horizontalZoomRange: new Range(
+      BlackbodyConstants.minHorizontalFrequencyZoom,
+      BlackbodyConstants.maxHorizontalFrequencyZoom
+    ),
+    minHorizontalSpan: BlackbodyConstants.minHorizontalFrequencySpan,
+    framePeakMultiple: 4.4,
+    defaultVerticalZoom: 500,
+    defaultPhotonVerticalZoom: 2500,
+    valuePerTick: 50,
+    minorTickMaxHorizontalZoom: 6000,
+    formatHorizontalMax: value => value,
+    formatValue: value => Utils.toFixed( value, 1 ),
+    accessibleValuePattern: frequencyPatternString
+  },
+  wavenumber: {
+    horizontalLabel: wavenumberLabelString,
+    horizontalSubtitle: wavenumberSubtitleLabelString,
+    verticalLabel: spectralPowerDensityWavenumberLabelString,
+    photonVerticalLabel: photonSpectralFluxWavenumberLabelString,
+    defaultHorizontalZoom: 40000,
+    horizontalZoomRange: new Range(
+      BlackbodyConstants.minHorizontalWavenumberZoom,
+      BlackbodyConstants.maxHorizontalWavenumberZoom
+    ),
+    minHorizontalSpan: BlackbodyConstants.minHorizontalWavenumberSpan,
+    framePeakMultiple: 3.5,
+    defaultVerticalZoom: 4,
+    defaultPhotonVerticalZoom: 20,
+    valuePerTick: 1000,
+    minorTickMaxHorizontalZoom: 160000,
+    formatHorizontalMax: value => value,
+    formatValue: value => Utils.toFixed( value, 0 ),
+    accessibleValuePattern: wavenumberPatternString
+  }
+};
+
+// The fewest decades that a logarithmic axis can be zoomed in to show
+const MIN_LOG_DECADES = 0.3;
+
+// A framed curve has its peak at this fraction of the height of the graph, and is framed again when its peak leaves
+// the graph or is less than the minimum fraction along either axis
+const FRAME_PEAK_HEIGHT = 0.6;
+const FRAME_MIN_FRACTION = 0.05;
+
+// Tolerance for whether a tick value is within the bounds of a logarithmic axis, so that ticks at the bounds are kept
+// despite rounding errors
+const LOG_TICK_TOLERANCE = 1e-9;
+
+/**
+ * Converts a value to a distance along a logarithmic axis, where each decade below the maximum value of the axis takes
+ * up an equal length of the axis. Values that are too small to show are placed no further than one axis length before
+ * the start of the axis.
+ * @param {number} value
+ * @param {number} maxValue - value at the end of the axis
+ * @param {number} decades - number of decades shown on the axis
+ * @param {number} axisLength
+ * @returns {number}
+ */
+const logValueToDistance = ( value, maxValue, decades, axisLength ) => {
+  const distance = value > 0 ? axisLength * ( 1 + Math.log10( value / maxValue ) / decades ) : -axisLength;
+  return Math.max( distance, -axisLength );
+};
+
+/**
+ * Converts a distance along a logarithmic axis to a value, the inverse of logValueToDistance
+ * @param {number} distance
+ * @param {number} maxValue - value at the end of the axis
+ * @param {number} decades - number of decades shown on the axis
+ * @param {number} axisLength
+ * @returns {number}
+ */
+const logDistanceToValue = ( distance, maxValue, decades, axisLength ) => {
+  return maxValue * Math.pow( 10, decades * ( distance / axisLength - 1 ) );
+};
+
+/**
+ * Gets the ticks of a logarithmic axis, with a tick at each multiple of a power of ten between the bounds of the axis
+ * @param {number} minValue
+ * @param {number} maxValue
+ * @returns {Array.<{value:number, exponent:number, isDecade:boolean}>}
+ */
+const getLogTicks = ( minValue, maxValue ) => {
+  const ticks = [];
+  const maxExponent = Math.ceil( Math.log10( maxValue ) );
+  for ( let exponent = Math.floor( Math.log10( minValue ) ); exponent <= maxExponent; exponent++ ) {
+    for ( let multiple = 1; multiple < 10; multiple++ ) {
+      const value = multiple * Math.pow( 10, exponent );
+      if ( value >= minValue * ( 1 - LOG_TICK_TOLERANCE ) && value <= maxValue * ( 1 + LOG_TICK_TOLERANCE ) ) {
+        ticks.push( { value: value, exponent: exponent, isDecade: multiple === 1 } );
+      }
+    }
+  }
+  return ticks;
+};
+
+/**
+ * Constrains a range of values to be shown on an axis. A linear axis starts at or above zero and shows a range no
+ * narrower than its minimum span, which is widened about its center, and a logarithmic axis shows between
+ * MIN_LOG_DECADES and its default number of decades. The end of an axis is always within its zoom range, and a range
+ * that is moved past the bounds of the axis keeps its width and stops at the bound.
+ * @param {number} min - the value at the start of the axis
+ * @param {number} max - the value at the end of the axis
+ * @param {Range} zoomRange - the range of the value at the end of the axis
+ * @param {number} minSpan - the narrowest range that a linear axis can show
+ * @param {boolean} isLogScale
+ * @param {number} logDecades - the decades shown by the axis when it has a logarithmic scale and starts at zero
+ * @returns {Range}
+ */
+const constrainRange = ( min, max, zoomRange, minSpan, isLogScale, logDecades ) => {
+  if ( isLogScale ) {
+    const decades = Utils.clamp( Math.log10( max / min ), MIN_LOG_DECADES, logDecades );
+    const constrainedMax = zoomRange.constrainValue( max );
+    return new Range( constrainedMax * Math.pow( 10, -decades ), constrainedMax );
+  }
+  const span = Utils.clamp( max - min, minSpan, zoomRange.max );
+  const constrainedMax = Utils.clamp( ( min + max + span ) / 2, Math.max( span, zoomRange.min ), zoomRange.max );
+  return new Range( constrainedMax - span, constrainedMax );
+};
+
+/**
+ * Sets the start and end of an axis, in an order that keeps the start before the end for listeners in between
+ * @param {Property.<number>} minProperty - the value at the start of the axis
+ * @param {Property.<number>} maxProperty - the value at the end of the axis
+ * @param {Range} range
+ */
+const setAxisRange = ( minProperty, maxProperty, range ) => {
+  if ( range.min < maxProperty.value ) {
+    minProperty.value = range.min;
+    maxProperty.value = range.max;
+  }
+  else {
+    maxProperty.value = range.max;
+    minProperty.value = range.min;
+  }
+};
+
 class ZoomableAxesView extends Node {
 
   /**
    * Makes a ZoomableAxesView
    * @param {BlackbodySpectrumModel} model
+   * @param {Node} comboBoxListParent - parent for the popup list of the horizontal axis label's combo box
    * @param {Object} [options]
    */
-  constructor( model, options ) {
+  constructor( model, comboBoxListParent, options ) {
 
     // Default options
     options = merge( {
@@ -83,15 +264,18 @@ class ZoomableAxesView extends Node {
         lineCap: 'butt',
         lineJoin: 'bevel'
       },
-      wavelengthPerTick: 100,
       minorTicksPerMajorTick: 5,
       minorTickLength: 10,
       majorTickLength: 20,
       horizontalZoomFactor: 2,
       verticalZoomFactor: 5,
-      defaultHorizontalZoom: model.wavelengthMax,
-      defaultVerticalZoom: 100.0,
-      minorTickMaxHorizontalZoom: 12000,
+      horizontalLogDecades: 3, // decades shown on the horizontal axis when it has a logarithmic scale
+      verticalLogDecades: 8, // decades shown on the vertical axis when it has a logarithmic scale
+      logTickLabelMargin: 4,
+      logTickLabelOptions: {
+        font: new PhetFont( 14 ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
       axisBoundsLabelColor: BlackbodyColors.titlesTextProperty,
       axisLabelColor: BlackbodyColors.titlesTextProperty,
       electromagneticSpectrumLabelTextOptions: {
@@ -116,6 +300,20 @@ class ZoomableAxesView extends Node {
     this.horizontalZoomScale = options.horizontalZoomFactor;
     this.verticalZoomScale = options.verticalZoomFactor;
 
+    // @private {number} - how many decades each axis shows when it has a logarithmic scale
+    this.horizontalLogDecades = options.horizontalLogDecades;
+    this.verticalLogDecades = options.verticalLogDecades;
+
+    // @public {Property.<boolean>} - whether each axis currently has a logarithmic scale
+    this.horizontalLogScaleProperty = new DerivedProperty(
+      [ model.logScaleProperty, model.logScaleAxesProperty ],
+      ( logScale, logScaleAxes ) => logScale && logScaleAxes !== 'vertical'
+    );
+    this.verticalLogScaleProperty = new DerivedProperty(
+      [ model.logScaleProperty, model.logScaleAxesProperty ],
+      ( logScale, logScaleAxes ) => logScale && logScaleAxes !== 'horizontal'
+    );
+
     // @private The path for the actual axes themselves
     this.axesPath = new Path(
       new Shape()
@@ -134,6 +332,13 @@ class ZoomableAxesView extends Node {
     // @private Path for the horizontal axes ticks
     this.horizontalTicksPath = new Path( null, options.ticksPathOptions );
 
+    // @private Ticks of the vertical axis and labels for the decades of each axis, only shown on logarithmic axes
+    this.verticalTicksPath = new Path( null, options.ticksPathOptions );
+    this.horizontalDecadeLabels = new Node();
+    this.verticalDecadeLabels = new Node();
+    this.logTickLabelOptions = options.logTickLabelOptions;
+    this.logTickLabelMargin = options.logTickLabelMargin;
+
     // @private Components for the electromagnetic spectrum labels
     this.electromagneticSpectrumAxisPath = new Path(
       new Shape().moveTo( 0, -this.verticalAxisLength ).lineTo( this.horizontalAxisLength, -this.verticalAxisLength ),
@@ -149,27 +354,38 @@ class ZoomableAxesView extends Node {
     } );
 
     // @private Horizontal tick settings
-    this.wavelengthPerTick = options.wavelengthPerTick;
     this.minorTicksPerMajorTick = options.minorTicksPerMajorTick;
     this.minorTickLength = options.minorTickLength;
     this.majorTickLength = options.majorTickLength;
-    this.minorTickMaxHorizontalZoom = options.minorTickMaxHorizontalZoom;
+
+    const wavelengthAxisValues = DOMAIN_AXIS_VALUES[ SpectrumDomain.WAVELENGTH.name ];
 
     // Labels for the axes
-    const verticalAxisLabelNode = new Text( spectralPowerDensityLabelString, {
+    const verticalAxisLabelNode = new Text( wavelengthAxisValues.verticalLabel, {
       font: BlackbodyConstants.LABEL_FONT,
       fill: options.axisLabelColor,
       rotation: -Math.PI / 2,
       maxWidth: options.axesHeight
     } );
 
+    // The horizontal axis label doubles as the control for the domain that spectra are plotted in
     const axesWidth = options.axesWidth * 0.8;
-    const horizontalAxisTopLabelNode = new Text( wavelengthLabelString, {
-      font: BlackbodyConstants.LABEL_FONT,
-      fill: options.axisLabelColor,
-      maxWidth: axesWidth
+    const horizontalAxisTopLabelNode = new ComboBox( model.spectrumDomainProperty, SpectrumDomain.NAMES.map( name => {
+      return {
+        value: name,
+        createNode: () => new Text( DOMAIN_AXIS_VALUES[ name ].horizontalLabel, {
+          font: BlackbodyConstants.LABEL_FONT,
+          maxWidth: axesWidth
+        } ),
+        tandemName: `${name}Item`
+      };
+    } ), comboBoxListParent, {
+      xMargin: 8,
+      yMargin: 2,
+      maxWidth: axesWidth,
+      tandem: options.tandem.createTandem( 'spectrumDomainComboBox' )
     } );
-    const horizontalAxisSubtitleLabelText = new Text( subtitleLabelString, {
+    const horizontalAxisSubtitleLabelText = new Text( wavelengthAxisValues.horizontalSubtitle, {
       font: new PhetFont( 16 ),
       fill: options.axisLabelColor,
       maxWidth: axesWidth,
@@ -179,33 +395,111 @@ class ZoomableAxesView extends Node {
       children: [ horizontalAxisTopLabelNode, horizontalAxisSubtitleLabelText ]
     } );
 
-    // @public {Property.<number>} current zoom values
-    this.horizontalZoomProperty = new NumberProperty( options.defaultHorizontalZoom, {
-      range: new Range( BlackbodyConstants.minHorizontalZoom, BlackbodyConstants.maxHorizontalZoom ),
+    // @public {Property.<number>} current zoom values, the maximum values of each axis in the current domain's units
+    this.horizontalZoomProperty = new NumberProperty( wavelengthAxisValues.defaultHorizontalZoom, {
+      range: wavelengthAxisValues.horizontalZoomRange,
       tandem: options.tandem.createTandem( 'horizontalZoomProperty' )
     } );
-    this.verticalZoomProperty = new NumberProperty( options.defaultVerticalZoom, {
+    this.verticalZoomProperty = new NumberProperty( wavelengthAxisValues.defaultVerticalZoom, {
       range: new Range( BlackbodyConstants.minVerticalZoom, BlackbodyConstants.maxVerticalZoom ),
       tandem: options.tandem.createTandem( 'verticalZoomProperty' )
     } );
 
+    // @public {Property.<number>} the minimum values of each axis in the current domain's units, which are zero until
+    // the graph is panned or zoomed into a region. A logarithmic axis that starts at zero shows its default number of
+    // decades below the zoom value.
+    this.horizontalMinProperty = new NumberProperty( 0, {
+      range: new Range( 0, Number.POSITIVE_INFINITY ),
+      tandem: options.tandem.createTandem( 'horizontalMinProperty' )
+    } );
+    this.verticalMinProperty = new NumberProperty( 0, {
+      range: new Range( 0, Number.POSITIVE_INFINITY ),
+      tandem: options.tandem.createTandem( 'verticalMinProperty' )
+    } );
+
+    // @private {boolean} - whether the start and end of an axis are being set together
+    this.isSettingRange = false;
+
+    // The zoom buttons only change the end of each axis, so the start of the axis moves back toward zero when the
+    // buttons would zoom in past what the axis can show
+    this.horizontalZoomProperty.lazyLink( horizontalZoom => {
+      if ( !this.isSettingRange && this.horizontalMinProperty.value > 0 ) {
+        this.horizontalMinProperty.value = this.getConstrainedHorizontalRange(
+          Math.min( this.horizontalMinProperty.value, horizontalZoom - this.getDomainAxisValues().minHorizontalSpan ),
+          horizontalZoom
+        ).min;
+      }
+    } );
+    this.verticalZoomProperty.lazyLink( verticalZoom => {
+      if ( !this.isSettingRange && this.verticalMinProperty.value > 0 ) {
+        this.verticalMinProperty.value = this.getConstrainedVerticalRange(
+          Math.min( this.verticalMinProperty.value, verticalZoom - BlackbodyConstants.minVerticalSpan ),
+          verticalZoom
+        ).min;
+      }
+    } );
+
+    // Changing the scale of an axis starts it over from zero
+    this.horizontalLogScaleProperty.lazyLink( () => this.horizontalMinProperty.reset() );
+    this.verticalLogScaleProperty.lazyLink( () => this.verticalMinProperty.reset() );
+
     // @public {number} zoom bounds
     this.minHorizontalZoom = BlackbodyConstants.minHorizontalZoom;
     this.maxHorizontalZoom = BlackbodyConstants.maxHorizontalZoom;
     this.minVerticalZoom = BlackbodyConstants.minVerticalZoom;
     this.maxVerticalZoom = BlackbodyConstants.maxVerticalZoom;
 
-    // @public Links the horizontal zoom Property to update the model for the max wavelength
-    this.horizontalZoomProperty.link( horizontalZoom => {
-      model.wavelengthMax = horizontalZoom;
+    // Changing the domain changes the labels and the units of both axes, so the zoom starts over in the new units
+    model.spectrumDomainProperty.lazyLink( domainName => {
+      const axisValues = DOMAIN_AXIS_VALUES[ domainName ];
+      this.minHorizontalZoom = axisValues.horizontalZoomRange.min;
+      this.maxHorizontalZoom = axisValues.horizontalZoomRange.max;
+      this.horizontalMinProperty.reset();
+      this.horizontalZoomProperty.setValueAndRange( axisValues.defaultHorizontalZoom, axisValues.horizontalZoomRange );
     } );
 
-    // @public Links the horizontal zoom Property to update horizontal ticks and the EM spectrum labels on change
-    this.horizontalZoomProperty.link( () => {
+    // Changing either the domain or whether photons are counted changes the units of the vertical axis
+    const verticalUnitsProperties = [ model.spectrumDomainProperty, model.photonFluxModeProperty ];
+    Multilink.lazyMultilink( verticalUnitsProperties, ( domainName, photonFlux ) => {
+      const axisValues = DOMAIN_AXIS_VALUES[ domainName ];
+      this.verticalMinProperty.reset();
+      this.verticalZoomProperty.value = photonFlux ? axisValues.defaultPhotonVerticalZoom :
+                                        axisValues.defaultVerticalZoom;
+    } );
+    Multilink.multilink( verticalUnitsProperties, ( domainName, photonFlux ) => {
+      const axisValues = DOMAIN_AXIS_VALUES[ domainName ];
+      verticalAxisLabelNode.string = photonFlux ? axisValues.photonVerticalLabel : axisValues.verticalLabel;
+      verticalAxisLabelNode.centerX = this.axesPath.left - 90;
+      verticalAxisLabelNode.centerY = this.axesPath.centerY;
+      horizontalAxisSubtitleLabelText.string = axisValues.horizontalSubtitle;
+      horizontalAxisSubtitleLabelText.centerX = this.axesPath.centerX;
+    } );
+
+    // @public Links the horizontal zoom, domain and scale to update horizontal ticks and the EM spectrum labels
+    const horizontalTickDependencies = [
+      this.horizontalZoomProperty,
+      this.horizontalMinProperty,
+      model.spectrumDomainProperty,
+      this.horizontalLogScaleProperty
+    ];
+    Multilink.multilink( horizontalTickDependencies, () => {
       this.redrawHorizontalTicks();
       this.redrawElectromagneticSpectrumLabel();
     } );
 
+    // @public (read-only) {Property[]} - Properties that change where spectra are drawn on the axes, for use with
+    // Multilink or for knowing when a drawing is out of date
+    this.viewDependencies = [
+      model.spectrumDomainProperty,
+      model.photonFluxModeProperty,
+      this.horizontalLogScaleProperty,
+      this.verticalLogScaleProperty,
+      this.horizontalZoomProperty,
+      this.horizontalMinProperty,
+      this.verticalZoomProperty,
+      this.verticalMinProperty
+    ];
+
     // @public Links the model's labelsVisibleProperty with the electromagnetic spectrum label's visibility
     this.model.labelsVisibleProperty.link( labelsVisible => {
       this.electromagneticSpectrumAxisPath.visible = labelsVisible;
@@ -214,11 +508,12 @@ class ZoomableAxesView extends Node {
     } );
 
     // @private Labels for axes bounds
-    this.horizontalTickLabelZero = new Text( '0', {
+    this.horizontalTickLabelMin = new Text( '0', {
       font: BlackbodyConstants.LABEL_FONT,
       fill: options.axisBoundsLabelColor
     } );
-    this.horizontalTickLabelMax = new Text( model.wavelengthMax / 1000, {
+    const horizontalMax = wavelengthAxisValues.formatHorizontalMax( this.horizontalZoomProperty.value );
+    this.horizontalTickLabelMax = new Text( horizontalMax, {
       font: BlackbodyConstants.LABEL_FONT,
       fill: options.axisBoundsLabelColor
     } );
@@ -227,11 +522,16 @@ class ZoomableAxesView extends Node {
       fill: options.axisBoundsLabelColor,
       maxWidth: 60
     } );
+    this.verticalTickLabelMin = new RichText( '', {
+      font: BlackbodyConstants.LABEL_FONT,
+      fill: options.axisBoundsLabelColor,
+      maxWidth: 60
+    } );
 
     // Set layout of labels relative to axes, these objects are static
     // Remaining object layouts are set in update() below
-    this.horizontalTickLabelZero.top = this.axesPath.bottom;
-    this.horizontalTickLabelZero.right = this.axesPath.left;
+    this.horizontalTickLabelMin.top = this.axesPath.bottom;
+    this.horizontalTickLabelMin.right = this.axesPath.left;
     this.horizontalTickLabelMax.top = this.axesPath.bottom;
     this.horizontalTickLabelMax.left = this.axesPath.right;
     verticalAxisLabelNode.centerX = this.axesPath.left - 90;
@@ -244,11 +544,15 @@ class ZoomableAxesView extends Node {
     // Adds children in rendering order
     this.addChild( verticalAxisLabelNode );
     this.addChild( horizontalAxisLabelNode );
-    this.addChild( this.horizontalTickLabelZero );
+    this.addChild( this.horizontalTickLabelMin );
     this.addChild( this.horizontalTickLabelMax );
     this.addChild( this.verticalTickLabelMax );
+    this.addChild( this.verticalTickLabelMin );
     this.addChild( this.axesPath );
     this.addChild( this.horizontalTicksPath );
+    this.addChild( this.verticalTicksPath );
+    this.addChild( this.horizontalDecadeLabels );
+    this.addChild( this.verticalDecadeLabels );
     this.addChild( this.electromagneticSpectrumAxisPath );
     this.addChild( this.electromagneticSpectrumTicksPath );
     this.addChild( this.electromagneticSpectrumLabelTexts );
@@ -259,26 +563,66 @@ class ZoomableAxesView extends Node {
    * @public
    */
   reset() {
+    this.horizontalMinProperty.reset();
+    this.verticalMinProperty.reset();
     this.horizontalZoomProperty.reset();
     this.verticalZoomProperty.reset();
   }
 
+  /**
+   * Gets the axis settings for the domain that spectra are currently plotted in
+   * @returns {Object}
+   * @private
+   */
+  getDomainAxisValues() {
+    return DOMAIN_AXIS_VALUES[ this.model.spectrumDomainProperty.value ];
+  }
+
   /**
    * Updates the ZoomableAxesView's horizontal ticks to comply with any new changes
    * @private
    */
   redrawHorizontalTicks() {
+    const axisValues = this.getDomainAxisValues();
+    const horizontalMax = this.horizontalZoomProperty.value;
     const horizontalTicksShape = new Shape();
-    for ( let i = 0; i < this.model.wavelengthMax / this.wavelengthPerTick; i++ ) {
+    this.horizontalDecadeLabels.children.forEach( label => label.dispose() );
+
+    if ( this.horizontalLogScaleProperty.value ) {
+      getLogTicks( this.viewXToValue( 0 ), horizontalMax ).forEach( tick => {
+        const x = this.valueToViewX( tick.value );
+        const tickHeight = tick.isDecade ? this.majorTickLength : this.minorTickLength;
+        horizontalTicksShape.moveTo( x, 0 ).lineTo( x, -tickHeight );
+        if ( tick.isDecade ) {
+          this.horizontalDecadeLabels.addChild( new Text( `${axisValues.formatHorizontalMax( tick.value )}`, merge( {
+            centerX: x,
+            top: this.logTickLabelMargin
+          }, this.logTickLabelOptions ) ) );
+        }
+      } );
+
+      // Labels at the ends of the axis are already shown by the labels for the axis bounds
+      this.horizontalDecadeLabels.children.forEach( label => {
+        label.visible = label.left > this.logTickLabelMargin &&
+                        label.right < this.horizontalAxisLength - this.logTickLabelMargin;
+      } );
+      this.horizontalTicksPath.shape = horizontalTicksShape;
+      return;
+    }
+
+    // Ticks are at multiples of the value per tick, so they stay in place as the axis is panned
+    const horizontalMin = this.horizontalMinProperty.value;
+    const firstTick = Math.ceil( horizontalMin / axisValues.valuePerTick );
+    for ( let i = firstTick; i < horizontalMax / axisValues.valuePerTick; i++ ) {
       let tickHeight = this.minorTickLength;
-      if ( this.model.wavelengthMax > this.minorTickMaxHorizontalZoom ) {
+      if ( horizontalMax - horizontalMin > axisValues.minorTickMaxHorizontalZoom ) {
         tickHeight = 0;
       }
       if ( i % this.minorTicksPerMajorTick === 0 ) {
         tickHeight = this.majorTickLength;
       }
 
-      const x = this.wavelengthToViewX( i * this.wavelengthPerTick );
+      const x = this.valueToViewX( i * axisValues.valuePerTick );
       horizontalTicksShape.moveTo( x, 0 ).lineTo( x, -tickHeight );
     }
     this.horizontalTicksPath.shape = horizontalTicksShape;
@@ -286,42 +630,101 @@ class ZoomableAxesView extends Node {
 
   /**
    * Updates the ZoomableAxesView's electromagnetic spectrum label to comply with any new changes
+   * Regions are found from their wavelength bounds, so this works for domains where wavelength increases to the left
    * @private
    */
   redrawElectromagneticSpectrumLabel() {
+    const regionConfigs = _.values( ELECTROMAGNETIC_SPECTRUM_LABEL_VALUES );
 
     // Makes the ticks for demarcating regions of the electromagnetic spectrum
     const labelsTickShape = new Shape();
-    const tickPositions = _.values( ELECTROMAGNETIC_SPECTRUM_LABEL_VALUES ).filter( config => {
-      return config.maxWavelength <= this.model.wavelengthMax;
-    } ).map( config => {
-      return this.wavelengthToViewX( config.maxWavelength );
-    } );
-    tickPositions.forEach( x => {
+    regionConfigs.map( config => this.wavelengthToViewX( config.maxWavelength ) ).filter( x => {
+      return x >= 0 && x <= this.horizontalAxisLength;
+    } ).forEach( x => {
       const bottomY = -this.verticalAxisLength + this.minorTickLength / 2;
       labelsTickShape.moveTo( x, bottomY ).lineTo( x, bottomY - this.minorTickLength );
     } );
     this.electromagneticSpectrumTicksPath.shape = labelsTickShape;
 
-    // Makes all text labels invisible
-    this.electromagneticSpectrumLabelTexts.children.forEach( regionLabel => {
-      regionLabel.visible = false;
-    } );
-
-    // Using the positions for tick placement, updates positions of electromagnetic spectrum text labels
-    const labelBounds = [ 0 ].concat( tickPositions ).concat( this.horizontalAxisLength );
-    for ( let i = 0; i < labelBounds.length - 1; i++ ) {
-      const lowerBound = labelBounds[ i ];
-      const upperBound = labelBounds[ i + 1 ];
-      assert && assert( upperBound > lowerBound, 'Label tick positions are not in order' );
+    // Using the region bounds clipped to the axis, updates visibility and positions of electromagnetic spectrum labels
+    regionConfigs.forEach( ( config, i ) => {
+      const minWavelength = i === 0 ? 0 : regionConfigs[ i - 1 ].maxWavelength;
+      const regionXs = [ this.wavelengthToViewX( minWavelength ), this.wavelengthToViewX( config.maxWavelength ) ];
+      const lowerBound = Utils.clamp( Math.min( ...regionXs ), 0, this.horizontalAxisLength );
+      const upperBound = Utils.clamp( Math.max( ...regionXs ), 0, this.horizontalAxisLength );
       const regionLabel = this.electromagneticSpectrumLabelTexts.children[ i ];
-      if ( upperBound - lowerBound < ELECTROMAGNETIC_SPECTRUM_LABEL_CUTOFF ) {
-        continue;
+      regionLabel.visible = upperBound - lowerBound >= ELECTROMAGNETIC_SPECTRUM_LABEL_CUTOFF;
+      if ( regionLabel.visible ) {
+        regionLabel.maxWidth = upperBound - lowerBound;
+        regionLabel.centerX = ( upperBound + lowerBound ) / 2;
       }
-      regionLabel.visible = true;
-      regionLabel.maxWidth = upperBound - lowerBound;
-      regionLabel.centerX = ( upperBound + lowerBound ) / 2;
+    } );
+  }
+
+  /**
+   * Updates the ticks and decade labels of the vertical axis, which only has ticks when it has a logarithmic scale
+   * @private
+   */
+  redrawVerticalTicks() {
+    const verticalTicksShape = new Shape();
+    this.verticalDecadeLabels.children.forEach( label => label.dispose() );
+
+    if ( this.verticalLogScaleProperty.value ) {
+      getLogTicks( this.viewYToSpectralDensity( 0 ), this.verticalZoomProperty.value ).forEach( tick => {
+        const y = this.spectralDensityToViewY( tick.value );
+        verticalTicksShape.moveTo( 0, y ).lineTo( tick.isDecade ? this.majorTickLength : this.minorTickLength, y );
+        if ( tick.isDecade ) {
+          this.verticalDecadeLabels.addChild( new RichText( `10<sup>${tick.exponent}</sup>`, merge( {
+            right: -this.logTickLabelMargin,
+            centerY: y
+          }, this.logTickLabelOptions ) ) );
+        }
+      } );
+
+      // The label at the top of the axis is already shown by the label for the vertical zoom
+      this.verticalDecadeLabels.children.forEach( label => {
+        label.visible = label.top > -this.verticalAxisLength + this.logTickLabelMargin;
+      } );
+    }
+    this.verticalTicksPath.shape = verticalTicksShape;
+  }
+
+  /**
+   * Converts a given value in the current domain's units to an x distance along the view
+   * @param {number} value
+   * @returns {number}
+   * @public
+   */
+  valueToViewX( value ) {
+    if ( this.horizontalLogScaleProperty.value ) {
+      return logValueToDistance(
+        value,
+        this.horizontalZoomProperty.value,
+        this.getHorizontalLogDecades(),
+        this.horizontalAxisLength
+      );
+    }
+    return Utils.linear( this.horizontalMinProperty.value, this.horizontalZoomProperty.value, 0,
+      this.horizontalAxisLength, value );
+  }
+
+  /**
+   * Converts a given x distance along the view to a value in the current domain's units
+   * @param {number} viewX
+   * @returns {number}
+   * @public
+   */
+  viewXToValue( viewX ) {
+    if ( this.horizontalLogScaleProperty.value ) {
+      return logDistanceToValue(
+        viewX,
+        this.horizontalZoomProperty.value,
+        this.getHorizontalLogDecades(),
+        this.horizontalAxisLength
+      );
     }
+    return Utils.linear( 0, this.horizontalAxisLength, this.horizontalMinProperty.value,
+      this.horizontalZoomProperty.value, viewX );
   }
 
   /**
@@ -331,7 +734,7 @@ class ZoomableAxesView extends Node {
    * @public
    */
   wavelengthToViewX( wavelength ) {
-    return Utils.linear( 0, this.model.wavelengthMax, 0, this.horizontalAxisLength, wavelength );
+    return this.valueToViewX( this.model.spectrumDomain.fromWavelength( wavelength ) );
   }
 
   /**
@@ -341,29 +744,275 @@ class ZoomableAxesView extends Node {
    * @public
    */
   viewXToWavelength( viewX ) {
-    return Utils.linear( 0, this.horizontalAxisLength, 0, this.model.wavelengthMax, viewX );
+    return this.model.spectrumDomain.toWavelength( this.viewXToValue( viewX ) );
+  }
+
+  /**
+   * Gets the spectral density of a body at a wavelength in nm, in the current domain's units, which is a photon
+   * spectral flux when spectra count photons
+   * @param {BlackbodyBodyModel} body
+   * @param {number} wavelength
+   * @param {boolean} [idealBlackbody] - whether to ignore the emissivity of the body
+   * @returns {number}
+   * @public
+   */
+  getSpectralDensity( body, wavelength, idealBlackbody = false ) {
+    return this.model.spectrumDomain.getSpectralDensity(
+      body,
+      wavelength,
+      idealBlackbody,
+      this.model.photonFluxModeProperty.value
+    );
   }
 
   /**
-   * Converts a given spectral power density to a y distance along the view
-   * @param {number} spectralPowerDensity
+   * Converts a measured spectral power density at a wavelength in nm to a spectral density in the current domain's
+   * units, which is a photon spectral flux when spectra count photons
+   * @param {number} spectralPowerDensity - in MW/m^2/µm
+   * @param {number} wavelength
+   * @returns {number}
+   * @public
+   */
+  getMeasuredSpectralDensity( spectralPowerDensity, wavelength ) {
+    return this.model.spectrumDomain.convertMeasuredSpectralDensity(
+      spectralPowerDensity,
+      wavelength,
+      this.model.photonFluxModeProperty.value
+    );
+  }
+
+  /**
+   * Gets the wavelength in nm at which the spectral density of a body peaks in the current domain
+   * @param {BlackbodyBodyModel} body
+   * @returns {number}
+   * @public
+   */
+  getPeakWavelength( body ) {
+    return this.model.spectrumDomain.getPeakWavelength( body, this.model.photonFluxModeProperty.value );
+  }
+
+  /**
+   * Formats a wavelength in nm as a value of the horizontal axis, in the current domain's units
+   * @param {number} wavelength
+   * @returns {string}
+   * @public
+   */
+  formatHorizontalValue( wavelength ) {
+    return this.getDomainAxisValues().formatValue( this.model.spectrumDomain.fromWavelength( wavelength ) );
+  }
+
+  /**
+   * Formats a wavelength in nm as a value of the horizontal axis with its units written out, for descriptions
+   * @param {number} wavelength
+   * @returns {string}
+   * @public
+   */
+  describeHorizontalValue( wavelength ) {
+    return StringUtils.fillIn( this.getDomainAxisValues().accessibleValuePattern, {
+      value: this.formatHorizontalValue( wavelength )
+    } );
+  }
+
+  /**
+   * Converts a given spectral density in the current domain's units to a y distance along the view
+   * @param {number} spectralDensity
    * @returns {number}
    * @public
    */
-  spectralPowerDensityToViewY( spectralPowerDensity ) {
-    return -SPECTRAL_POWER_DENSITY_CONVERSION_FACTOR *
-           Utils.linear( 0, this.verticalZoomProperty.value, 0, this.verticalAxisLength, spectralPowerDensity );
+  spectralDensityToViewY( spectralDensity ) {
+    if ( this.verticalLogScaleProperty.value ) {
+
+      // Spectral densities that are too small to show lie along the horizontal axis, as they do on a linear axis
+      return -Math.max( logValueToDistance(
+        spectralDensity,
+        this.verticalZoomProperty.value,
+        this.getVerticalLogDecades(),
+        this.verticalAxisLength
+      ), 0 );
+    }
+    return -Utils.linear( this.verticalMinProperty.value, this.verticalZoomProperty.value, 0, this.verticalAxisLength,
+      spectralDensity );
   }
 
   /**
-   * Converts a given y distance along the view to a spectral power density
+   * Converts a given y distance along the view to a spectral density in the current domain's units
    * @param {number} viewY
    * @returns {number}
    * @public
    */
-  viewYToSpectralPowerDensity( viewY ) {
-    return Utils.linear( 0, this.verticalAxisLength, 0, this.verticalZoomProperty.value, viewY ) /
-           -SPECTRAL_POWER_DENSITY_CONVERSION_FACTOR;
+  viewYToSpectralDensity( viewY ) {
+    if ( this.verticalLogScaleProperty.value ) {
+      return logDistanceToValue(
+        -viewY,
+        this.verticalZoomProperty.value,
+        this.getVerticalLogDecades(),
+        this.verticalAxisLength
+      );
+    }
+    return Utils.linear( 0, this.verticalAxisLength, this.verticalMinProperty.value, this.verticalZoomProperty.value,
+      -viewY );
+  }
+
+  /**
+   * Gets the number of decades shown on the horizontal axis when it has a logarithmic scale
+   * @returns {number}
+   * @private
+   */
+  getHorizontalLogDecades() {
+    const horizontalMin = this.horizontalMinProperty.value;
+    return horizontalMin > 0 ? Math.log10( this.horizontalZoomProperty.value / horizontalMin ) :
+           this.horizontalLogDecades;
+  }
+
+  /**
+   * Gets the number of decades shown on the vertical axis when it has a logarithmic scale
+   * @returns {number}
+   * @private
+   */
+  getVerticalLogDecades() {
+    const verticalMin = this.verticalMinProperty.value;
+    return verticalMin > 0 ? Math.log10( this.verticalZoomProperty.value / verticalMin ) : this.verticalLogDecades;
+  }
+
+  /**
+   * Gets the closest range to the given one that the horizontal axis can show
+   * @param {number} min - in the current domain's units
+   * @param {number} max - in the current domain's units
+   * @returns {Range}
+   * @private
+   */
+  getConstrainedHorizontalRange( min, max ) {
+    return constrainRange( min, max, this.horizontalZoomProperty.range, this.getDomainAxisValues().minHorizontalSpan,
+      this.horizontalLogScaleProperty.value, this.horizontalLogDecades );
+  }
+
+  /**
+   * Gets the closest range to the given one that the vertical axis can show
+   * @param {number} min - in the current domain's units
+   * @param {number} max - in the current domain's units
+   * @returns {Range}
+   * @private
+   */
+  getConstrainedVerticalRange( min, max ) {
+    return constrainRange( min, max, this.verticalZoomProperty.range, BlackbodyConstants.minVerticalSpan,
+      this.verticalLogScaleProperty.value, this.verticalLogDecades );
+  }
+
+  /**
+   * Shows a range of values on the horizontal axis, or the closest range that it can show
+   * @param {number} min - in the current domain's units
+   * @param {number} max - in the current domain's units
+   * @public
+   */
+  setHorizontalRange( min, max ) {
+    this.isSettingRange = true;
+    setAxisRange(
+      this.horizontalMinProperty,
+      this.horizontalZoomProperty,
+      this.getConstrainedHorizontalRange( min, max )
+    );
+    this.isSettingRange = false;
+  }
+
+  /**
+   * Shows a range of values on the vertical axis, or the closest range that it can show
+   * @param {number} min - in the current domain's units
+   * @param {number} max - in the current domain's units
+   * @public
+   */
+  setVerticalRange( min, max ) {
+    this.isSettingRange = true;
+    setAxisRange( this.verticalMinProperty, this.verticalZoomProperty, this.getConstrainedVerticalRange( min, max ) );
+    this.isSettingRange = false;
+  }
+
+  /**
+   * Zooms both axes about a point in the view, which stays at the same values
+   * @param {Vector2} point - in the view coordinates of the axes
+   * @param {number} scale - the factor that the lengths of the axes are scaled by in values, less than 1 to zoom in
+   * @public
+   */
+  zoomAbout( point, scale ) {
+    this.setHorizontalRange(
+      this.viewXToValue( point.x * ( 1 - scale ) ),
+      this.viewXToValue( point.x + ( this.horizontalAxisLength - point.x ) * scale )
+    );
+    this.setVerticalRange(
+      this.viewYToSpectralDensity( point.y * ( 1 - scale ) ),
+      this.viewYToSpectralDensity( point.y - ( this.verticalAxisLength + point.y ) * scale )
+    );
+  }
+
+  /**
+   * Zooms the axes into a region of the view. Each axis is only zoomed when the region is wide enough along it, so
+   * that a region can be dragged out along one axis.
+   * @param {Bounds2} bounds - in the view coordinates of the axes
+   * @param {number} minSize - the least width or height of the region that an axis is zoomed to
+   * @public
+   */
+  zoomToBounds( bounds, minSize ) {
+    if ( bounds.width >= minSize ) {
+      this.setHorizontalRange( this.viewXToValue( bounds.minX ), this.viewXToValue( bounds.maxX ) );
+    }
+    if ( bounds.height >= minSize ) {
+      this.setVerticalRange( this.viewYToSpectralDensity( bounds.maxY ), this.viewYToSpectralDensity( bounds.minY ) );
+    }
+  }
+
+  /**
+   * Zooms the axes so that the curve of a body fills the graph, with each axis starting from zero. The horizontal axis
+   * ends at a multiple of the peak, and the peak is partway up the vertical axis. The zoom is limited to the zoom range
+   * of each axis.
+   * @param {BlackbodyBodyModel} body
+   * @public
+   */
+  frameBody( body ) {
+    const peakWavelength = this.getPeakWavelength( body );
+    const peakValue = this.model.spectrumDomain.fromWavelength( peakWavelength );
+    const peakSpectralDensity = this.getSpectralDensity( body, peakWavelength );
+    this.horizontalMinProperty.reset();
+    this.verticalMinProperty.reset();
+    this.horizontalZoomProperty.value = this.horizontalZoomProperty.range.constrainValue(
+      this.getDomainAxisValues().framePeakMultiple * peakValue
+    );
+    this.verticalZoomProperty.value = this.verticalZoomProperty.range.constrainValue(
+      peakSpectralDensity / FRAME_PEAK_HEIGHT
+    );
+  }
+
+  /**
+   * Whether the peak of a body's curve is on the graph, and far enough along each axis to see the shape of the curve
+   * @param {BlackbodyBodyModel} body
+   * @returns {boolean}
+   * @public
+   */
+  isBodyFramed( body ) {
+    const peakWavelength = this.getPeakWavelength( body );
+    const x = this.wavelengthToViewX( peakWavelength );
+    const height = -this.spectralDensityToViewY( this.getSpectralDensity( body, peakWavelength ) );
+    return x >= FRAME_MIN_FRACTION * this.horizontalAxisLength && x <= this.horizontalAxisLength &&
+           height >= FRAME_MIN_FRACTION * this.verticalAxisLength && height <= this.verticalAxisLength;
+  }
+
+  /**
+   * Moves the values shown on the axes by a distance in the view, as if the graph were dragged by that distance
+   * @param {number} deltaX - positive to show smaller values on the horizontal axis
+   * @param {number} deltaY - positive to show larger values on the vertical axis
+   * @public
+   */
+  pan( deltaX, deltaY ) {
+    if ( deltaX !== 0 ) {
+      this.setHorizontalRange(
+        this.viewXToValue( -deltaX ),
+        this.viewXToValue( this.horizontalAxisLength - deltaX )
+      );
+    }
+    if ( deltaY !== 0 ) {
+      this.setVerticalRange(
+        this.viewYToSpectralDensity( -deltaY ),
+        this.viewYToSpectralDensity( -this.verticalAxisLength - deltaY )
+      );
+    }
   }
 
   /**
@@ -415,23 +1064,46 @@ class ZoomableAxesView extends Node {
    * @public
    */
   update() {
-    this.horizontalTickLabelMax.string = this.model.wavelengthMax / 1000; // Conversion from nm to microns
-    if ( this.verticalZoomProperty.value < 0.01 ) {
-      const notationObject = ScientificNotationNode.toScientificNotation( this.verticalZoomProperty.value, {
+    const axisValues = this.getDomainAxisValues();
+    this.horizontalTickLabelMax.string = axisValues.formatHorizontalMax( this.horizontalZoomProperty.value );
+
+    // A logarithmic axis can't start at zero, and a panned linear axis doesn't
+    const horizontalMin = this.viewXToValue( 0 );
+    this.horizontalTickLabelMin.string = horizontalMin > 0 ? axisValues.formatHorizontalMax( horizontalMin ) : '0';
+    this.horizontalTickLabelMin.right = this.axesPath.left;
+    this.redrawVerticalTicks();
+
+    this.verticalTickLabelMax.string = this.formatVerticalBound( this.verticalZoomProperty.value );
+    this.verticalTickLabelMax.right = this.axesPath.left;
+    this.verticalTickLabelMax.bottom = this.axesPath.top;
+
+    // The start of a logarithmic vertical axis is labeled by its decades instead
+    this.verticalTickLabelMin.visible = !this.verticalLogScaleProperty.value && this.verticalMinProperty.value > 0;
+    if ( this.verticalTickLabelMin.visible ) {
+      this.verticalTickLabelMin.string = this.formatVerticalBound( this.verticalMinProperty.value );
+      this.verticalTickLabelMin.right = this.axesPath.left;
+      this.verticalTickLabelMin.bottom = 0;
+    }
+  }
+
+  /**
+   * Formats a value at a bound of the vertical axis, in scientific notation when it is small
+   * @param {number} value
+   * @returns {string}
+   * @private
+   */
+  formatVerticalBound( value ) {
+    if ( value < 0.01 ) {
+      const notationObject = ScientificNotationNode.toScientificNotation( value, {
         mantissaDecimalPlaces: 0
       } );
       let formattedString = notationObject.mantissa;
       if ( notationObject.exponent !== '0' ) {
         formattedString += `\u2009\u00D7\u200A10<sup>${notationObject.exponent}</sup>`;
       }
-      this.verticalTickLabelMax.string = formattedString;
-    }
-    else {
-      this.verticalTickLabelMax.string = this.truncateNum( this.verticalZoomProperty.value, 2, 2 );
+      return formattedString;
     }
-
-    this.verticalTickLabelMax.right = this.axesPath.left;
-    this.verticalTickLabelMax.bottom = this.axesPath.top;
+    return this.truncateNum( value, 2, 2 );
   }
 
   /**
@@ -0,0 +1,33 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Finds where a function changes sign between two points by bisection. It is used to find where curves cross each
+ * other or the edges of the graph, which only need to be found to well within a pixel.
+ *
+ * @author Arnab Purkayastha
+ */
+
+// constants
+const ITERATIONS = 16; // number of times the interval around the sign change is halved
+
+/**
+ * @param {function(number):number} f
+ * @param {number} a
+ * @param {number} b - f has the opposite sign here to its sign at a
+ * @returns {number}
+ */
+const findSignChange = ( f, a, b ) => {
+  const signA = Math.sign( f( a ) );
+  for ( let i = 0; i < ITERATIONS; i++ ) {
+    const middle = ( a + b ) / 2;
+    if ( Math.sign( f( middle ) ) === signA ) {
+      a = middle;
+    }
+    else {
+      b = middle;
+    }
+  }
+  return ( a + b ) / 2;
+};
+
+export default findSignChange;
@@ -0,0 +1,51 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The 'Mystery Star' screen, a game in which students match the temperature of a mystery star.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import PhetFont from '../../../scenery-phet/js/PhetFont.js';
+import StarShape from '../../../scenery-phet/js/StarShape.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Path from '../../../scenery/js/nodes/Path.js';
+import Text from '../../../scenery/js/nodes/Text.js';
+import BlackbodyColors from '../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumKeyboardHelpContent from '../blackbody-spectrum/view/BlackbodySpectrumKeyboardHelpContent.js';
+import BlackbodySpectrumStrings from '../BlackbodySpectrumStrings.js';
+import MysteryStarModel from './model/MysteryStarModel.js';
+import MysteryStarScreenView from './view/MysteryStarScreenView.js';
+
+class MysteryStarScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const starPath = new Path( new StarShape( { outerRadius: 35, innerRadius: 20, numberStarPoints: 9 } ), {
+      fill: 'rgb( 255, 240, 200 )'
+    } );
+    const questionMark = new Text( '?', {
+      font: new PhetFont( { size: 36, weight: 'bold' } ),
+      center: starPath.center
+    } );
+
+    super( () => new MysteryStarModel( tandem.createTandem( 'model' ) ),
+      model => new MysteryStarScreenView( model, tandem.createTandem( 'view' ) ), {
+        name: BlackbodySpectrumStrings.screen.mysteryStarStringProperty,
+        homeScreenIcon: new ScreenIcon( new Node( { children: [ starPath, questionMark ] } ), {
+          fill: BlackbodyColors.backgroundProperty
+        } ),
+        backgroundColorProperty: BlackbodyColors.backgroundProperty,
+        createKeyboardHelpNode: () => new BlackbodySpectrumKeyboardHelpContent(),
+        tandem: tandem
+      }
+    );
+  }
+}
+
+export default MysteryStarScreen;
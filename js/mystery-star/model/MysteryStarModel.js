@@ -0,0 +1,293 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model for the 'Mystery Star' screen, a game in which students set the temperature of a body to match a mystery star.
+ * Each level gives a different clue about the mystery star: its curve, the wavelength at which its spectrum peaks, or
+ * its color. A guess is correct when it is within the level's tolerance of the mystery temperature, and earns fewer
+ * points on later attempts. Every attempt is recorded so that it can be reviewed.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from '../../blackbody-spectrum/model/BlackbodyBodyModel.js';
+import BlackbodySpectrumModel from '../../blackbody-spectrum/model/BlackbodySpectrumModel.js';
+import EmitterMaterial from '../../blackbody-spectrum/model/EmitterMaterial.js';
+import SavedBodyModel from '../../blackbody-spectrum/model/SavedBodyModel.js';
+
+// constants
+const CHALLENGES_PER_LEVEL = 5;
+const POINTS_PER_ATTEMPT = [ 2, 1 ]; // points for a correct guess on each attempt, one entry per attempt allowed
+const MYSTERY_TEMPERATURE_INTERVAL = 10; // in K, mystery temperatures are rounded to this interval
+const STARTING_GUESS_MARGIN = 2; // mystery temperatures are at least this many tolerances from the starting guess
+const MYSTERY_STYLE_INDEX = 0; // style of the mystery curve, which is drawn like a saved curve
+
+class MysteryStarModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public {BlackbodySpectrumModel} - the model of the graph, whose main body is the student's guess
+    this.graphModel = new BlackbodySpectrumModel( tandem.createTandem( 'graphModel' ) );
+
+    // @public {SavedBodyModel} - the body that the student is trying to match, which is drawn like a saved body and
+    // is only shown when its curve is the clue or the answer is revealed
+    this.mysteryBody = new SavedBodyModel(
+      MYSTERY_STYLE_INDEX,
+      BlackbodyConstants.sunTemperature,
+      EmitterMaterial.BLACKBODY,
+      BlackbodyBodyModel.DEFAULT_GRAY_BODY_EMISSIVITY,
+      tandem.createTandem( 'mysteryBody' ),
+      { phetioState: false }
+    );
+
+    // @public {Property.<number|null>} - the level being played, starting at 1, or null when choosing a level
+    this.levelProperty = new Property( null, {
+      tandem: tandem.createTandem( 'levelProperty' ),
+      phetioValueType: NullableIO( NumberIO ),
+      phetioDocumentation: 'the level being played, or null when a level is being chosen'
+    } );
+
+    // @public {Property.<number>}
+    this.scoreProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, MysteryStarModel.PERFECT_SCORE ),
+      tandem: tandem.createTandem( 'scoreProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'the score of the level being played'
+    } );
+
+    // @public {Property.<number>[]} - the best score of each level
+    this.bestScoreProperties = MysteryStarModel.LEVELS.map( ( level, i ) => new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, MysteryStarModel.PERFECT_SCORE ),
+      tandem: tandem.createTandem( `level${i + 1}BestScoreProperty` ),
+      phetioReadOnly: true,
+      phetioDocumentation: `the best score of level ${i + 1}`
+    } ) );
+
+    // @public {Property.<number>} - index of the challenge being played in the current level
+    this.challengeIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, CHALLENGES_PER_LEVEL - 1 ),
+      tandem: tandem.createTandem( 'challengeIndexProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) {Property.<number>}
+    this.numberOfChallengesProperty = new NumberProperty( CHALLENGES_PER_LEVEL );
+
+    // @public {Property.<number>} - number of incorrect guesses in the current challenge
+    this.incorrectAttemptsProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'incorrectAttemptsProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public {Property.<string>} - one of MysteryStarModel.CHALLENGE_STATES
+    this.challengeStateProperty = new StringProperty( 'guessing', {
+      validValues: MysteryStarModel.CHALLENGE_STATES,
+      tandem: tandem.createTandem( 'challengeStateProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'whether the student is guessing, was correct, was incorrect and can try again, or has ' +
+                           'run out of attempts and is being shown the answer'
+    } );
+
+    // @public {ObservableArrayDef.<Object>} - a record of every guess that has been checked, in the order they were
+    // made, for teachers to review
+    this.attemptRecords = createObservableArray( {
+      tandem: tandem.createTandem( 'attemptRecords' ),
+      phetioType: createObservableArray.ObservableArrayIO( ObjectLiteralIO ),
+      phetioDocumentation: 'every guess that has been checked, with the level, challenge, mystery temperature, ' +
+                           'guessed temperature, relative error, whether it was correct and the points earned'
+    } );
+
+    // @public {Emitter} - emits when the last challenge of a level is finished
+    this.levelCompletedEmitter = new Emitter( {
+      tandem: tandem.createTandem( 'levelCompletedEmitter' )
+    } );
+  }
+
+  /**
+   * Gets the description of the level being played
+   * @public
+   * @returns {Object} - one of MysteryStarModel.LEVELS
+   */
+  getLevelDescription() {
+    assert && assert( this.levelProperty.value !== null, 'no level is being played' );
+    return MysteryStarModel.LEVELS[ this.levelProperty.value - 1 ];
+  }
+
+  get levelDescription() { return this.getLevelDescription(); }
+
+  /**
+   * Resets the game, including the best scores and the record of attempts
+   * @public
+   */
+  reset() {
+    this.graphModel.reset();
+    this.mysteryBody.temperatureProperty.reset();
+    this.mysteryBody.visibleProperty.reset();
+    this.levelProperty.reset();
+    this.scoreProperty.reset();
+    this.bestScoreProperties.forEach( bestScoreProperty => bestScoreProperty.reset() );
+    this.challengeIndexProperty.reset();
+    this.incorrectAttemptsProperty.reset();
+    this.challengeStateProperty.reset();
+    this.attemptRecords.clear();
+  }
+
+  /**
+   * Starts a level from its first challenge
+   * @public
+   * @param {number} level - starting at 1
+   */
+  startLevel( level ) {
+    this.levelProperty.value = level;
+    this.scoreProperty.reset();
+    this.challengeIndexProperty.reset();
+    this.startChallenge();
+  }
+
+  /**
+   * Returns to choosing a level
+   * @public
+   */
+  chooseLevel() {
+    this.levelProperty.reset();
+  }
+
+  /**
+   * Starts the current challenge with a new mystery temperature and the guess back at its starting temperature
+   * @private
+   */
+  startChallenge() {
+    const levelDescription = this.levelDescription;
+    const mainBody = this.graphModel.mainBody;
+    mainBody.reset();
+
+    // The mystery temperature shouldn't be a correct answer before the student has done anything
+    const startingTemperature = mainBody.temperatureProperty.value;
+    let mysteryTemperature;
+    do {
+      mysteryTemperature = Utils.roundToInterval(
+        dotRandom.nextDoubleBetween( levelDescription.minTemperature, levelDescription.maxTemperature ),
+        MYSTERY_TEMPERATURE_INTERVAL
+      );
+    } while ( getRelativeError( startingTemperature, mysteryTemperature ) <
+              STARTING_GUESS_MARGIN * levelDescription.tolerance );
+
+    this.mysteryBody.temperatureProperty.value = mysteryTemperature;
+    this.mysteryBody.visibleProperty.value = levelDescription.clue === 'curve';
+    this.incorrectAttemptsProperty.reset();
+    this.challengeStateProperty.value = 'guessing';
+  }
+
+  /**
+   * Checks whether the temperature of the main body is within the level's tolerance of the mystery temperature, and
+   * records the attempt
+   * @public
+   */
+  checkGuess() {
+    assert && assert( this.challengeStateProperty.value === 'guessing', 'not ready to check a guess' );
+    const levelDescription = this.levelDescription;
+    const mysteryTemperature = this.mysteryBody.temperatureProperty.value;
+    const guessTemperature = this.graphModel.mainBody.temperatureProperty.value;
+    const relativeError = getRelativeError( guessTemperature, mysteryTemperature );
+    const correct = relativeError <= levelDescription.tolerance;
+    const points = correct ? POINTS_PER_ATTEMPT[ this.incorrectAttemptsProperty.value ] : 0;
+
+    this.attemptRecords.push( {
+      level: this.levelProperty.value,
+      challenge: this.challengeIndexProperty.value + 1,
+      clue: levelDescription.clue,
+      mysteryTemperature: mysteryTemperature,
+      guessTemperature: guessTemperature,
+      relativeError: relativeError,
+      correct: correct,
+      points: points
+    } );
+
+    if ( correct ) {
+      this.scoreProperty.value += points;
+      this.challengeStateProperty.value = 'correct';
+    }
+    else {
+      this.incorrectAttemptsProperty.value++;
+      this.challengeStateProperty.value = this.incorrectAttemptsProperty.value < POINTS_PER_ATTEMPT.length ?
+                                          'incorrect' :
+                                          'showingAnswer';
+    }
+
+    // The mystery curve is revealed once the challenge is over
+    if ( this.challengeStateProperty.value !== 'incorrect' ) {
+      this.mysteryBody.visibleProperty.value = true;
+    }
+  }
+
+  /**
+   * Lets the student change their guess after an incorrect attempt
+   * @public
+   */
+  tryAgain() {
+    assert && assert( this.challengeStateProperty.value === 'incorrect', 'there is no attempt to try again' );
+    this.challengeStateProperty.value = 'guessing';
+  }
+
+  /**
+   * Moves on to the next challenge, or finishes the level after its last challenge
+   * @public
+   */
+  nextChallenge() {
+    if ( this.challengeIndexProperty.value < CHALLENGES_PER_LEVEL - 1 ) {
+      this.challengeIndexProperty.value++;
+      this.startChallenge();
+    }
+    else {
+      const bestScoreProperty = this.bestScoreProperties[ this.levelProperty.value - 1 ];
+      bestScoreProperty.value = Math.max( bestScoreProperty.value, this.scoreProperty.value );
+      this.levelCompletedEmitter.emit();
+    }
+  }
+}
+
+/**
+ * Gets how far a guess is from the mystery temperature, as a fraction of the mystery temperature
+ * @param {number} guessTemperature - in K
+ * @param {number} mysteryTemperature - in K
+ * @returns {number}
+ */
+const getRelativeError = ( guessTemperature, mysteryTemperature ) =>
+  Math.abs( guessTemperature - mysteryTemperature ) / mysteryTemperature;
+
+// @public {string[]} - the kinds of clues that the levels give about the mystery star
+MysteryStarModel.CLUES = [ 'curve', 'peakWavelength', 'starColor' ];
+
+// @public {string[]} - the states that a challenge can be in
+MysteryStarModel.CHALLENGE_STATES = [ 'guessing', 'correct', 'incorrect', 'showingAnswer' ];
+
+// @public {Object[]} - the levels in order of difficulty, each with a clue from MysteryStarModel.CLUES, the largest
+// relative error of a correct guess, and the range of mystery temperatures (in K)
+MysteryStarModel.LEVELS = [
+  { clue: 'curve', tolerance: 0.1, minTemperature: 2000, maxTemperature: 10000 },
+  { clue: 'peakWavelength', tolerance: 0.05, minTemperature: 2000, maxTemperature: 10000 },
+  { clue: 'starColor', tolerance: 0.1, minTemperature: 2500, maxTemperature: 10000 }
+];
+
+// @public {number}
+MysteryStarModel.PERFECT_SCORE = CHALLENGES_PER_LEVEL * POINTS_PER_ATTEMPT[ 0 ];
+
+export default MysteryStarModel;
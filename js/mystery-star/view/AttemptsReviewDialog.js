@@ -0,0 +1,113 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Dialog that lists the most recent attempts at the 'Mystery Star' game, so that teachers can review them. Each row
+ * shows the level and challenge, the mystery and guessed temperatures, how far the guess was from the mystery
+ * temperature, and the points earned.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import GridBox from '../../../../scenery/js/layout/nodes/GridBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodySpectrumPreferences from '../../blackbody-spectrum/model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../../blackbody-spectrum/model/TemperatureUnits.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const attemptsString = BlackbodySpectrumStrings.attempts;
+const challengeString = BlackbodySpectrumStrings.challenge;
+const errorString = BlackbodySpectrumStrings.error;
+const guessString = BlackbodySpectrumStrings.guess;
+const levelString = BlackbodySpectrumStrings.level;
+const mysteryString = BlackbodySpectrumStrings.mystery;
+const noAttemptsString = BlackbodySpectrumStrings.noAttempts;
+const percentPatternString = BlackbodySpectrumStrings.percentPattern;
+const pointsString = BlackbodySpectrumStrings.points;
+
+// constants
+const MAX_ROWS = 12; // the dialog doesn't scroll, so only the most recent attempts are listed
+
+class AttemptsReviewDialog extends Dialog {
+
+  /**
+   * @param {MysteryStarModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      titleOptions: {
+        font: new PhetFont( { size: 20, weight: 'bold' } )
+      },
+      headingOptions: {
+        font: new PhetFont( { size: 14, weight: 'bold' } )
+      },
+      labelOptions: {
+        font: new PhetFont( 14 )
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'dialog that lists the most recent attempts at the game'
+    }, options );
+
+    const noAttemptsText = new Text( noAttemptsString, options.labelOptions );
+    const attemptsGrid = new GridBox( {
+      xSpacing: 20,
+      ySpacing: 4,
+      xAlign: 'left'
+    } );
+
+    const content = new VBox( {
+      children: [ noAttemptsText, attemptsGrid ],
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    super( content, {
+      title: new Text( attemptsString, options.titleOptions ),
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+
+    // Creates a cell of the grid
+    const createCell = ( string, row, column, textOptions ) => new Text( string, merge( {
+      layoutOptions: { row: row, column: column }
+    }, textOptions ) );
+
+    const headings = [ levelString, challengeString, mysteryString, guessString, errorString, pointsString ];
+    const updateGrid = () => {
+      attemptsGrid.children.forEach( cell => cell.dispose() );
+
+      const temperatureUnits = BlackbodySpectrumPreferences.temperatureUnitsProperty.value;
+      const attemptRecords = model.attemptRecords.slice( -MAX_ROWS );
+      const headingCells = headings.map( ( heading, column ) =>
+        createCell( heading, 0, column, options.headingOptions )
+      );
+      const attemptCells = _.flatten( attemptRecords.map( ( attemptRecord, i ) => [
+        `${attemptRecord.level}`,
+        `${attemptRecord.challenge}`,
+        TemperatureUnits.format( attemptRecord.mysteryTemperature, temperatureUnits ),
+        TemperatureUnits.format( attemptRecord.guessTemperature, temperatureUnits ),
+        StringUtils.fillIn( percentPatternString, { percent: Utils.toFixed( 100 * attemptRecord.relativeError, 1 ) } ),
+        `${attemptRecord.points}`
+      ].map( ( string, column ) => createCell( string, i + 1, column, options.labelOptions ) ) ) );
+
+      attemptsGrid.children = [ ...headingCells, ...attemptCells ];
+      noAttemptsText.visible = attemptRecords.length === 0;
+      attemptsGrid.visible = attemptRecords.length > 0;
+    };
+
+    model.attemptRecords.elementAddedEmitter.addListener( updateGrid );
+    model.attemptRecords.elementRemovedEmitter.addListener( updateGrid );
+    BlackbodySpectrumPreferences.temperatureUnitsProperty.link( updateGrid );
+  }
+}
+
+export default AttemptsReviewDialog;
@@ -0,0 +1,257 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The part of the 'Mystery Star' screen where a challenge is played. The student sets the thermometer to match the
+ * mystery star, using the clue that the level gives, and checks the guess.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import FiniteStatusBar from '../../../../vegas/js/FiniteStatusBar.js';
+import BlackbodySpectrumPreferences from '../../blackbody-spectrum/model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../../blackbody-spectrum/model/TemperatureUnits.js';
+import BGRAndStarDisplay from '../../blackbody-spectrum/view/BGRAndStarDisplay.js';
+import BlackbodyColors from '../../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumThermometer from '../../blackbody-spectrum/view/BlackbodySpectrumThermometer.js';
+import GraphDrawingNode from '../../blackbody-spectrum/view/GraphDrawingNode.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const answerPatternString = BlackbodySpectrumStrings.answerPattern;
+const checkString = BlackbodySpectrumStrings.check;
+const correctString = BlackbodySpectrumStrings.correct;
+const curveInstructionsString = BlackbodySpectrumStrings.curveInstructions;
+const incorrectString = BlackbodySpectrumStrings.incorrect;
+const micronsPatternString = BlackbodySpectrumStrings.micronsPattern;
+const mysteryStarString = BlackbodySpectrumStrings.mysteryStar;
+const nextString = BlackbodySpectrumStrings.next;
+const peakWavelengthInstructionsString = BlackbodySpectrumStrings.peakWavelengthInstructions;
+const peakWavelengthPatternString = BlackbodySpectrumStrings.peakWavelengthPattern;
+const starColorInstructionsString = BlackbodySpectrumStrings.starColorInstructions;
+const tryAgainString = BlackbodySpectrumStrings.tryAgain;
+const yourStarString = BlackbodySpectrumStrings.yourStar;
+
+// constants
+const INSET = 10;
+const COLUMN_WIDTH = 200;
+const TEMPERATURE_LABEL_SPACING = 5;
+const STAR_DISPLAY_SCALE = 0.7;
+const INSTRUCTIONS = {
+  curve: curveInstructionsString,
+  peakWavelength: peakWavelengthInstructionsString,
+  starColor: starColorInstructionsString
+};
+
+class MysteryStarChallengeNode extends Node {
+
+  /**
+   * @param {MysteryStarModel} model
+   * @param {Bounds2} layoutBounds
+   * @param {Property.<Bounds2>} visibleBoundsProperty
+   * @param {Object} [options]
+   */
+  constructor( model, layoutBounds, visibleBoundsProperty, options ) {
+
+    options = merge( {
+      labelOptions: {
+        font: new PhetFont( 16 ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      buttonOptions: {
+        font: new PhetFont( 18 ),
+        maxWidth: COLUMN_WIDTH
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super( { tandem: options.tandem } );
+
+    const tandem = options.tandem;
+    const mainBody = model.graphModel.mainBody;
+
+    const statusBar = new FiniteStatusBar( layoutBounds, visibleBoundsProperty, model.scoreProperty, {
+      challengeIndexProperty: model.challengeIndexProperty,
+      numberOfChallengesProperty: model.numberOfChallengesProperty,
+      levelProperty: model.levelProperty,
+      startOverButtonOptions: {
+        listener: () => {
+          model.chooseLevel();
+        }
+      },
+      tandem: tandem.createTandem( 'statusBar' )
+    } );
+
+    // parent for combo box popup lists, added last so that lists appear in front of everything else
+    const comboBoxListParent = new Node();
+
+    // The mystery curve is drawn like a saved curve, and is hidden unless it is the clue or the answer is revealed
+    const graphDrawingNode = new GraphDrawingNode( model.graphModel, {
+      comboBoxListParent: comboBoxListParent,
+      additionalSavedBodies: [ model.mysteryBody ],
+      tandem: tandem.createTandem( 'graphDrawingNode' )
+    } );
+
+    const thermometerNode = new BlackbodySpectrumThermometer( mainBody.temperatureProperty, {
+      tandem: tandem.createTandem( 'thermometerNode' )
+    } );
+    const temperatureText = new Text( '', {
+      font: new PhetFont( { size: 22, weight: 'bold' } ),
+      fill: BlackbodyColors.temperatureTextProperty,
+      maxWidth: 130
+    } );
+
+    // Clues, of which only the clue for the current level is shown
+    const instructionsText = new RichText( '', merge( { lineWrap: COLUMN_WIDTH }, options.labelOptions ) );
+    const peakWavelengthText = new Text( '', merge( { maxWidth: COLUMN_WIDTH }, options.labelOptions ) );
+    const createStarDisplay = ( body, labelString, starTandem ) => new VBox( {
+      children: [
+        new Text( labelString, options.labelOptions ),
+        new BGRAndStarDisplay( body, { scale: STAR_DISPLAY_SCALE, tandem: starTandem } )
+      ],
+      spacing: 5,
+      maxWidth: COLUMN_WIDTH
+    } );
+    const starDisplays = new VBox( {
+      children: [
+        createStarDisplay( model.mysteryBody, mysteryStarString, tandem.createTandem( 'mysteryStarDisplay' ) ),
+        createStarDisplay( mainBody, yourStarString, tandem.createTandem( 'yourStarDisplay' ) )
+      ],
+      spacing: 15
+    } );
+
+    const feedbackText = new Text( '', merge( { maxWidth: COLUMN_WIDTH }, options.labelOptions, {
+      font: new PhetFont( { size: 20, weight: 'bold' } )
+    } ) );
+    const answerText = new RichText( '', merge( { lineWrap: COLUMN_WIDTH }, options.labelOptions ) );
+
+    const checkButton = new TextPushButton( checkString, merge( {
+      listener: () => {
+        model.checkGuess();
+      },
+      tandem: tandem.createTandem( 'checkButton' )
+    }, options.buttonOptions ) );
+    const tryAgainButton = new TextPushButton( tryAgainString, merge( {
+      listener: () => {
+        model.tryAgain();
+      },
+      tandem: tandem.createTandem( 'tryAgainButton' )
+    }, options.buttonOptions ) );
+    const nextButton = new TextPushButton( nextString, merge( {
+      listener: () => {
+        model.nextChallenge();
+      },
+      tandem: tandem.createTandem( 'nextButton' )
+    }, options.buttonOptions ) );
+
+    const controlColumn = new VBox( {
+      children: [
+        instructionsText,
+        peakWavelengthText,
+        starDisplays,
+        feedbackText,
+        answerText,
+        checkButton,
+        tryAgainButton,
+        nextButton
+      ],
+      spacing: 15,
+      align: 'center',
+      maxWidth: COLUMN_WIDTH,
+      excludeInvisibleChildrenFromBounds: true
+    } );
+
+    // Shows the clue for the level and the mystery star's peak wavelength for the challenge
+    Multilink.multilink( [ model.levelProperty, model.mysteryBody.temperatureProperty ], level => {
+      if ( level !== null ) {
+        const clue = model.levelDescription.clue;
+        instructionsText.string = INSTRUCTIONS[ clue ];
+        peakWavelengthText.visible = clue === 'peakWavelength';
+        starDisplays.visible = clue === 'starColor';
+        peakWavelengthText.string = StringUtils.fillIn( peakWavelengthPatternString, {
+          wavelength: StringUtils.fillIn( micronsPatternString, {
+            value: Utils.toFixed( model.mysteryBody.peakWavelength / 1000, 3 )
+          } )
+        } );
+      }
+    } );
+
+    // The guess can only be changed while guessing, and the answer is shown once the challenge is over
+    Multilink.multilink( [
+      model.challengeStateProperty,
+      model.mysteryBody.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( challengeState, mysteryTemperature, temperatureUnits ) => {
+      const guessing = challengeState === 'guessing';
+      const challengeOver = challengeState === 'correct' || challengeState === 'showingAnswer';
+
+      // Input is disabled rather than made unpickable, so that the keyboard can't change a guess that was checked
+      thermometerNode.inputEnabled = guessing;
+      !guessing && thermometerNode.interruptSubtreeInput();
+      checkButton.visible = guessing;
+      tryAgainButton.visible = challengeState === 'incorrect';
+      nextButton.visible = challengeOver;
+      feedbackText.visible = !guessing;
+      feedbackText.string = challengeState === 'correct' ? correctString : incorrectString;
+      answerText.visible = challengeOver;
+      answerText.string = StringUtils.fillIn( answerPatternString, {
+        temperature: TemperatureUnits.format( mysteryTemperature, temperatureUnits )
+      } );
+    } );
+
+    Multilink.multilink( [
+      mainBody.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      temperatureText.string = TemperatureUnits.format( temperature, temperatureUnits );
+      temperatureText.centerX = thermometerNode.right + thermometerNode.thermometerCenterXFromRight;
+    } );
+
+    graphDrawingNode.left = INSET;
+    graphDrawingNode.bottom = layoutBounds.maxY - INSET;
+    thermometerNode.right = layoutBounds.maxX - INSET;
+    thermometerNode.bottom = layoutBounds.maxY - INSET;
+    temperatureText.bottom = thermometerNode.top - TEMPERATURE_LABEL_SPACING;
+
+    // The column stays beside the thermometer as its contents change with the level and the state of the challenge
+    controlColumn.boundsProperty.link( () => {
+      controlColumn.right = thermometerNode.left - 20;
+      controlColumn.top = statusBar.bottom + 2 * INSET;
+    } );
+
+    this.children = [
+      graphDrawingNode,
+      thermometerNode,
+      temperatureText,
+      controlColumn,
+      statusBar,
+      comboBoxListParent
+    ];
+
+    // @private
+    this.graphDrawingNode = graphDrawingNode;
+    this.thermometerNode = thermometerNode;
+  }
+
+  /**
+   * Resets the graph and thermometer
+   * @public
+   */
+  reset() {
+    this.graphDrawingNode.reset();
+    this.thermometerNode.reset();
+  }
+}
+
+export default MysteryStarChallengeNode;
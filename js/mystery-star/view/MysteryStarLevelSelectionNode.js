@@ -0,0 +1,105 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The part of the 'Mystery Star' screen where a level is chosen. Each level's button shows the clue that the level
+ * gives and the best score so far.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import LevelSelectionButton from '../../../../vegas/js/LevelSelectionButton.js';
+import ScoreDisplayStars from '../../../../vegas/js/ScoreDisplayStars.js';
+import BlackbodyColors from '../../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import MysteryStarModel from '../model/MysteryStarModel.js';
+
+const chooseYourLevelString = BlackbodySpectrumStrings.chooseYourLevel;
+const curveString = BlackbodySpectrumStrings.curve;
+const levelPatternString = BlackbodySpectrumStrings.levelPattern;
+const peakWavelengthString = BlackbodySpectrumStrings.peakWavelength;
+const reviewAttemptsString = BlackbodySpectrumStrings.reviewAttempts;
+const starColorString = BlackbodySpectrumStrings.starColor;
+
+// constants
+const CLUE_STRINGS = {
+  curve: curveString,
+  peakWavelength: peakWavelengthString,
+  starColor: starColorString
+};
+const NUMBER_OF_STARS = 3;
+const BUTTON_CONTENT_WIDTH = 120;
+
+class MysteryStarLevelSelectionNode extends VBox {
+
+  /**
+   * @param {MysteryStarModel} model
+   * @param {function} reviewAttemptsListener - called when the button for reviewing attempts is pressed
+   * @param {Object} [options]
+   */
+  constructor( model, reviewAttemptsListener, options ) {
+
+    options = merge( {
+      spacing: 40,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( chooseYourLevelString, {
+      font: new PhetFont( { size: 30, weight: 'bold' } ),
+      fill: BlackbodyColors.titlesTextProperty,
+      maxWidth: 600
+    } );
+
+    const levelButtons = MysteryStarModel.LEVELS.map( ( levelDescription, i ) => {
+      const level = i + 1;
+      const icon = new VBox( {
+        children: [
+          new Text( StringUtils.fillIn( levelPatternString, { level: level } ), {
+            font: new PhetFont( { size: 20, weight: 'bold' } ),
+            maxWidth: BUTTON_CONTENT_WIDTH
+          } ),
+          new Text( CLUE_STRINGS[ levelDescription.clue ], {
+            font: new PhetFont( 16 ),
+            maxWidth: BUTTON_CONTENT_WIDTH
+          } )
+        ],
+        spacing: 10
+      } );
+      return new LevelSelectionButton( icon, model.bestScoreProperties[ i ], {
+        createScoreDisplay: scoreProperty => new ScoreDisplayStars( scoreProperty, {
+          numberOfStars: NUMBER_OF_STARS,
+          perfectScore: MysteryStarModel.PERFECT_SCORE
+        } ),
+        listener: () => {
+          model.startLevel( level );
+        },
+        tandem: options.tandem.createTandem( `level${level}Button` )
+      } );
+    } );
+
+    const reviewAttemptsButton = new TextPushButton( reviewAttemptsString, {
+      font: new PhetFont( 16 ),
+      listener: reviewAttemptsListener,
+      tandem: options.tandem.createTandem( 'reviewAttemptsButton' )
+    } );
+
+    options.children = [
+      titleText,
+      new HBox( { children: levelButtons, spacing: 30 } ),
+      reviewAttemptsButton
+    ];
+
+    super( options );
+  }
+}
+
+export default MysteryStarLevelSelectionNode;
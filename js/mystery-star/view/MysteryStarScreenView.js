@@ -0,0 +1,107 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Main view for the 'Mystery Star' screen, which shows either the choice of levels or the challenge being played, and
+ * rewards the student at the end of each level
+ *
+ * @author Arnab Purkayastha
+ */
+
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import GameAudioPlayer from '../../../../vegas/js/GameAudioPlayer.js';
+import RewardDialog from '../../../../vegas/js/RewardDialog.js';
+import MysteryStarModel from '../model/MysteryStarModel.js';
+import AttemptsReviewDialog from './AttemptsReviewDialog.js';
+import MysteryStarChallengeNode from './MysteryStarChallengeNode.js';
+import MysteryStarLevelSelectionNode from './MysteryStarLevelSelectionNode.js';
+
+// constants
+const INSET = 10;
+
+class MysteryStarScreenView extends ScreenView {
+
+  /**
+   * @param {MysteryStarModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+    super( {
+      tandem: tandem
+    } );
+
+    const attemptsReviewDialog = new AttemptsReviewDialog( model, {
+      tandem: tandem.createTandem( 'attemptsReviewDialog' )
+    } );
+
+    const levelSelectionNode = new MysteryStarLevelSelectionNode( model, () => attemptsReviewDialog.show(), {
+      center: this.layoutBounds.center,
+      tandem: tandem.createTandem( 'levelSelectionNode' )
+    } );
+
+    const challengeNode = new MysteryStarChallengeNode( model, this.layoutBounds, this.visibleBoundsProperty, {
+      tandem: tandem.createTandem( 'challengeNode' )
+    } );
+
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+        challengeNode.reset();
+      },
+      right: this.layoutBounds.maxX - INSET,
+      bottom: this.layoutBounds.maxY - INSET,
+      tandem: tandem.createTandem( 'resetAllButton' ),
+      phetioDocumentation: 'button that resets the screen to its initial state'
+    } );
+
+    model.levelProperty.link( level => {
+      levelSelectionNode.visible = level === null;
+      resetAllButton.visible = level === null;
+      challengeNode.visible = level !== null;
+    } );
+
+    // Sounds for the results of guesses and levels
+    const gameAudioPlayer = new GameAudioPlayer();
+    model.challengeStateProperty.lazyLink( challengeState => {
+      if ( challengeState === 'correct' ) {
+        gameAudioPlayer.correctAnswer();
+      }
+      else if ( challengeState === 'incorrect' || challengeState === 'showingAnswer' ) {
+        gameAudioPlayer.wrongAnswer();
+      }
+    } );
+
+    // The reward is created for each completed level, since it shows that level's score
+    model.levelCompletedEmitter.addListener( () => {
+      const score = model.scoreProperty.value;
+      if ( score === MysteryStarModel.PERFECT_SCORE ) {
+        gameAudioPlayer.gameOverPerfectScore();
+      }
+      else {
+        gameAudioPlayer.challengeComplete();
+      }
+
+      const rewardDialog = new RewardDialog( score, {
+        keepGoingButtonListener: () => {
+          rewardDialog.hide();
+          rewardDialog.dispose();
+          model.startLevel( model.levelProperty.value );
+        },
+        newLevelButtonListener: () => {
+          rewardDialog.hide();
+          rewardDialog.dispose();
+          model.chooseLevel();
+        },
+        tandem: Tandem.OPT_OUT
+      } );
+      rewardDialog.show();
+    } );
+
+    this.addChild( levelSelectionNode );
+    this.addChild( challengeNode );
+    this.addChild( resetAllButton );
+  }
+}
+
+export default MysteryStarScreenView;
@@ -0,0 +1,52 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The 'Stars' screen, in which stars have a radius as well as a temperature, and are placed on a Hertzsprung–Russell
+ * diagram.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import StarShape from '../../../scenery-phet/js/StarShape.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Path from '../../../scenery/js/nodes/Path.js';
+import BlackbodyColors from '../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumKeyboardHelpContent from '../blackbody-spectrum/view/BlackbodySpectrumKeyboardHelpContent.js';
+import BlackbodySpectrumStrings from '../BlackbodySpectrumStrings.js';
+import StarsModel from './model/StarsModel.js';
+import StarsScreenView from './view/StarsScreenView.js';
+
+class StarsScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // A red giant beside a blue dwarf
+    const giantStarPath = new Path( new StarShape( { outerRadius: 35, innerRadius: 20, numberStarPoints: 9 } ), {
+      fill: 'rgb( 255, 160, 90 )'
+    } );
+    const dwarfStarPath = new Path( new StarShape( { outerRadius: 14, innerRadius: 8, numberStarPoints: 9 } ), {
+      fill: 'rgb( 170, 200, 255 )',
+      left: giantStarPath.right + 10,
+      bottom: giantStarPath.bottom
+    } );
+
+    super( () => new StarsModel( tandem.createTandem( 'model' ) ),
+      model => new StarsScreenView( model, tandem.createTandem( 'view' ) ), {
+        name: BlackbodySpectrumStrings.screen.starsStringProperty,
+        homeScreenIcon: new ScreenIcon( new Node( { children: [ giantStarPath, dwarfStarPath ] } ), {
+          fill: BlackbodyColors.backgroundProperty
+        } ),
+        backgroundColorProperty: BlackbodyColors.backgroundProperty,
+        createKeyboardHelpNode: () => new BlackbodySpectrumKeyboardHelpContent(),
+        tandem: tandem
+      }
+    );
+  }
+}
+
+export default StarsScreen;
@@ -0,0 +1,108 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A catalog of well-known stars, with their surface temperatures and radii. Stars were chosen to cover the main
+ * sequence, giants, supergiants and white dwarfs, while having temperatures that the thermometer can reach.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+
+const aldebaranString = BlackbodySpectrumStrings.aldebaran;
+const alphaCentauriAString = BlackbodySpectrumStrings.alphaCentauriA;
+const altairString = BlackbodySpectrumStrings.altair;
+const antaresString = BlackbodySpectrumStrings.antares;
+const arcturusString = BlackbodySpectrumStrings.arcturus;
+const barnardsStarString = BlackbodySpectrumStrings.barnardsStar;
+const betelgeuseString = BlackbodySpectrumStrings.betelgeuse;
+const capellaString = BlackbodySpectrumStrings.capella;
+const denebString = BlackbodySpectrumStrings.deneb;
+const epsilonEridaniString = BlackbodySpectrumStrings.epsilonEridani;
+const polarisString = BlackbodySpectrumStrings.polaris;
+const procyonAString = BlackbodySpectrumStrings.procyonA;
+const procyonBString = BlackbodySpectrumStrings.procyonB;
+const proximaCentauriString = BlackbodySpectrumStrings.proximaCentauri;
+const siriusAString = BlackbodySpectrumStrings.siriusA;
+const sunString = BlackbodySpectrumStrings.sun;
+const tauCetiString = BlackbodySpectrumStrings.tauCeti;
+const vegaString = BlackbodySpectrumStrings.vega;
+
+/**
+ * Creates an entry of the catalog
+ * @param {string} name
+ * @param {string} nameString - the name shown to the user
+ * @param {number} temperature - in K
+ * @param {number} radius - in solar radii
+ * @returns {{name: string, nameString: string, temperature: number, radius: number}}
+ */
+const createStar = ( name, nameString, temperature, radius ) => {
+  return { name: name, nameString: nameString, temperature: temperature, radius: radius };
+};
+
+const StarCatalog = {
+
+  // @public {Object} main sequence
+  PROXIMA_CENTAURI: createStar( 'proximaCentauri', proximaCentauriString, 3042, 0.154 ),
+  BARNARDS_STAR: createStar( 'barnardsStar', barnardsStarString, 3134, 0.196 ),
+  EPSILON_ERIDANI: createStar( 'epsilonEridani', epsilonEridaniString, 5084, 0.735 ),
+  TAU_CETI: createStar( 'tauCeti', tauCetiString, 5344, 0.793 ),
+  SUN: createStar( 'sun', sunString, BlackbodyConstants.sunTemperature, 1 ),
+  ALPHA_CENTAURI_A: createStar( 'alphaCentauriA', alphaCentauriAString, 5790, 1.22 ),
+  PROCYON_A: createStar( 'procyonA', procyonAString, 6530, 2.05 ),
+  ALTAIR: createStar( 'altair', altairString, 7670, 1.63 ),
+  VEGA: createStar( 'vega', vegaString, 9602, 2.36 ),
+  SIRIUS_A: createStar( 'siriusA', siriusAString, BlackbodyConstants.siriusATemperature, 1.71 ),
+
+  // @public {Object} giants and supergiants
+  CAPELLA: createStar( 'capella', capellaString, 4970, 11.98 ),
+  ARCTURUS: createStar( 'arcturus', arcturusString, 4286, 25.4 ),
+  ALDEBARAN: createStar( 'aldebaran', aldebaranString, 3910, 44.2 ),
+  POLARIS: createStar( 'polaris', polarisString, 6015, 37.5 ),
+  DENEB: createStar( 'deneb', denebString, 8525, 203 ),
+  ANTARES: createStar( 'antares', antaresString, 3660, 680 ),
+  BETELGEUSE: createStar( 'betelgeuse', betelgeuseString, BlackbodyConstants.betelgeuseTemperature, 764 ),
+
+  // @public {Object} white dwarfs
+  PROCYON_B: createStar( 'procyonB', procyonBString, 7740, 0.012 ),
+
+  /**
+   * Gets the star with the given name
+   * @public
+   * @param {string} name - one of StarCatalog.NAMES
+   * @returns {Object}
+   */
+  get( name ) {
+    const star = _.find( StarCatalog.STARS, catalogStar => catalogStar.name === name );
+    assert && assert( star, `unknown star: ${name}` );
+    return star;
+  }
+};
+
+// @public {Object[]} all stars in the catalog, in the order they are listed
+StarCatalog.STARS = [
+  StarCatalog.SUN,
+  StarCatalog.PROXIMA_CENTAURI,
+  StarCatalog.BARNARDS_STAR,
+  StarCatalog.EPSILON_ERIDANI,
+  StarCatalog.TAU_CETI,
+  StarCatalog.ALPHA_CENTAURI_A,
+  StarCatalog.PROCYON_A,
+  StarCatalog.ALTAIR,
+  StarCatalog.VEGA,
+  StarCatalog.SIRIUS_A,
+  StarCatalog.CAPELLA,
+  StarCatalog.ARCTURUS,
+  StarCatalog.ALDEBARAN,
+  StarCatalog.POLARIS,
+  StarCatalog.DENEB,
+  StarCatalog.ANTARES,
+  StarCatalog.BETELGEUSE,
+  StarCatalog.PROCYON_B
+];
+
+// @public {string[]} names of all stars in the catalog, for use as validValues
+StarCatalog.NAMES = StarCatalog.STARS.map( star => star.name );
+
+export default StarCatalog;
@@ -0,0 +1,158 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model for the 'Stars' screen, in which a star has a radius as well as a temperature. The luminosity of the star is
+ * the power emitted by its whole surface, L = 4πR²σT⁴, which places it on a Hertzsprung–Russell diagram. The star can
+ * be set to one of the stars in StarCatalog, or given any temperature and radius.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import isSettingPhetioStateProperty from '../../../../tandem/js/isSettingPhetioStateProperty.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from '../../blackbody-spectrum/model/BlackbodyBodyModel.js';
+import BlackbodySpectrumModel from '../../blackbody-spectrum/model/BlackbodySpectrumModel.js';
+import StarCatalog from './StarCatalog.js';
+
+// constants
+const SOLAR_RADIUS = 6.957e8; // in meters
+const SOLAR_LUMINOSITY = 3.828e26; // in watts
+
+class StarsModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public {BlackbodySpectrumModel} - the model of the graph, whose main body is the star
+    this.graphModel = new BlackbodySpectrumModel( tandem.createTandem( 'graphModel' ) );
+
+    // @public (read-only) {BlackbodyBodyModel}
+    this.star = this.graphModel.mainBody;
+
+    // @public {Property.<number>} - in solar radii
+    this.radiusProperty = new NumberProperty( StarCatalog.SUN.radius, {
+      range: StarsModel.RADIUS_RANGE,
+      tandem: tandem.createTandem( 'radiusProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'the radius of the star, in solar radii'
+    } );
+
+    // @public {DerivedProperty.<number>} - in solar luminosities
+    this.luminosityProperty = new DerivedProperty(
+      [ this.star.temperatureProperty, this.radiusProperty ],
+      ( temperature, radius ) => StarsModel.getLuminosity( temperature, radius ), {
+        tandem: tandem.createTandem( 'luminosityProperty' ),
+        phetioValueType: NumberIO,
+        phetioDocumentation: 'the power emitted by the whole surface of the star, in solar luminosities'
+      } );
+
+    // @public {Property.<string>} - one of StarCatalog.NAMES, or StarsModel.CUSTOM_STAR when the star has been given
+    // a temperature or radius of its own
+    this.catalogStarProperty = new StringProperty( StarCatalog.SUN.name, {
+      validValues: [ ...StarCatalog.NAMES, StarsModel.CUSTOM_STAR ],
+      tandem: tandem.createTandem( 'catalogStarProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'the star from the catalog that the star is set to, or custom if it has been changed'
+    } );
+
+    // @private {boolean} - whether the temperature and radius are being set from the catalog
+    this.isSettingCatalogStar = false;
+
+    this.catalogStarProperty.lazyLink( name => {
+      if ( name !== StarsModel.CUSTOM_STAR && !isSettingPhetioStateProperty.value ) {
+        const catalogStar = StarCatalog.get( name );
+        this.isSettingCatalogStar = true;
+        this.star.temperatureProperty.value = catalogStar.temperature;
+        this.radiusProperty.value = catalogStar.radius;
+        this.isSettingCatalogStar = false;
+      }
+    } );
+
+    // Any other change to the star means that it is no longer the catalog star
+    Multilink.lazyMultilink( [ this.star.temperatureProperty, this.radiusProperty ], () => {
+      if ( !this.isSettingCatalogStar && !isSettingPhetioStateProperty.value ) {
+        this.catalogStarProperty.value = StarsModel.CUSTOM_STAR;
+      }
+    } );
+  }
+
+  /**
+   * Sets the temperature and luminosity of the star, by changing its radius to give the luminosity at that
+   * temperature. Both are constrained to what the star can have.
+   * @public
+   * @param {number} temperature - in K
+   * @param {number} luminosity - in solar luminosities
+   */
+  setTemperatureAndLuminosity( temperature, luminosity ) {
+    this.star.temperatureProperty.value = Utils.clamp(
+      temperature,
+      BlackbodyConstants.minTemperature,
+      BlackbodyConstants.maxTemperature
+    );
+    this.radiusProperty.value = StarsModel.RADIUS_RANGE.constrainValue(
+      StarsModel.getRadius( this.star.temperatureProperty.value, luminosity )
+    );
+  }
+
+  /**
+   * Resets the star to the Sun, along with the graph
+   * @public
+   */
+  reset() {
+    this.graphModel.reset();
+    this.radiusProperty.reset();
+    this.catalogStarProperty.reset();
+  }
+
+  /**
+   * Gets the luminosity of a star from the Stefan–Boltzmann law applied to its whole surface, L = 4πR²σT⁴
+   * @public
+   * @param {number} temperature - in K
+   * @param {number} radius - in solar radii
+   * @returns {number} - in solar luminosities
+   */
+  static getLuminosity( temperature, radius ) {
+    const radiusInMeters = radius * SOLAR_RADIUS;
+    const surfaceArea = 4 * Math.PI * radiusInMeters * radiusInMeters;
+    return surfaceArea * BlackbodyBodyModel.STEFAN_BOLTZMANN_CONSTANT * Math.pow( temperature, 4 ) / SOLAR_LUMINOSITY;
+  }
+
+  /**
+   * Gets the radius of a star with the given temperature and luminosity, which is the inverse of getLuminosity
+   * @public
+   * @param {number} temperature - in K
+   * @param {number} luminosity - in solar luminosities
+   * @returns {number} - in solar radii
+   */
+  static getRadius( temperature, luminosity ) {
+    return Math.sqrt( luminosity / StarsModel.getLuminosity( temperature, 1 ) );
+  }
+
+  /**
+   * Gets the temperature of a star with the given radius and luminosity
+   * @public
+   * @param {number} radius - in solar radii
+   * @param {number} luminosity - in solar luminosities
+   * @returns {number} - in K
+   */
+  static getTemperature( radius, luminosity ) {
+    return Math.pow( luminosity / StarsModel.getLuminosity( 1, radius ), 1 / 4 );
+  }
+}
+
+// @public {Range} - in solar radii, from small white dwarfs to the largest supergiants
+StarsModel.RADIUS_RANGE = new Range( 0.01, 1000 );
+
+// @public {string} - value of catalogStarProperty when the star isn't one of the stars in the catalog
+StarsModel.CUSTOM_STAR = 'custom';
+
+export default StarsModel;
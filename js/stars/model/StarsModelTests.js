@@ -0,0 +1,35 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * StarsModel tests
+ *
+ * @author Arnab Purkayastha
+ */
+
+import StarsModel from './StarsModel.js';
+
+const TOLERANCE = 1e-9;
+
+QUnit.module( 'StarsModel' );
+
+QUnit.test( 'luminosity', assert => {
+
+  // The nominal effective temperature of the Sun, at which a star of one solar radius gives off one solar luminosity
+  assert.ok( Math.abs( StarsModel.getLuminosity( 5772, 1 ) - 1 ) < 1e-4, 'the Sun has a luminosity of 1' );
+
+  const luminosity = StarsModel.getLuminosity( 4000, 2 );
+  assert.ok( Math.abs( StarsModel.getLuminosity( 8000, 2 ) / luminosity - 16 ) < TOLERANCE,
+    'luminosity grows with the fourth power of the temperature' );
+  assert.ok( Math.abs( StarsModel.getLuminosity( 4000, 6 ) / luminosity - 9 ) < TOLERANCE,
+    'luminosity grows with the square of the radius' );
+} );
+
+QUnit.test( 'radius and temperature', assert => {
+  [ [ 3000, 0.2 ], [ 5800, 1 ], [ 25000, 8 ], [ 3500, 900 ] ].forEach( ( [ temperature, radius ] ) => {
+    const luminosity = StarsModel.getLuminosity( temperature, radius );
+    assert.ok( Math.abs( StarsModel.getRadius( temperature, luminosity ) / radius - 1 ) < TOLERANCE,
+      `the radius is found from the luminosity at ${temperature} K` );
+    assert.ok( Math.abs( StarsModel.getTemperature( radius, luminosity ) / temperature - 1 ) < TOLERANCE,
+      `the temperature is found from the luminosity at ${radius} solar radii` );
+  } );
+} );
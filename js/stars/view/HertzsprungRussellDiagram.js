@@ -0,0 +1,274 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with a Hertzsprung–Russell diagram, which plots the luminosity of stars against their surface temperature,
+ * with the hottest stars on the left. The stars of the catalog are shown in their colors, along with lines of constant
+ * radius. The star of the model is a marker that can be dragged to change its temperature and luminosity.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyConstants from '../../BlackbodyConstants.js';
+import BlackbodyBodyModel from '../../blackbody-spectrum/model/BlackbodyBodyModel.js';
+import BlackbodyColors from '../../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import StarCatalog from '../model/StarCatalog.js';
+import StarsModel from '../model/StarsModel.js';
+
+const hertzsprungRussellDiagramString = BlackbodySpectrumStrings.hertzsprungRussellDiagram;
+const luminositySolarUnitsString = BlackbodySpectrumStrings.luminositySolarUnits;
+const solarRadiiPatternString = BlackbodySpectrumStrings.solarRadiiPattern;
+const surfaceTemperatureKelvinString = BlackbodySpectrumStrings.surfaceTemperatureKelvin;
+
+// constants
+const MIN_LUMINOSITY = 1e-5; // in solar luminosities
+const MAX_LUMINOSITY = 1e6; // in solar luminosities
+const LUMINOSITY_TICK_EXPONENTS = [ -4, -2, 0, 2, 4, 6 ];
+const TEMPERATURE_TICKS = [ 10000, 7000, 5000, 3000, 2000 ]; // in K
+const RADIUS_LINES = [ 0.01, 0.1, 1, 10, 100, 1000 ]; // in solar radii
+const TICK_LENGTH = 5;
+const CATALOG_STAR_RADIUS = 4;
+const MARKER_RADIUS = 7;
+
+class HertzsprungRussellDiagram extends Panel {
+
+  /**
+   * @param {StarsModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      plotWidth: 330,
+      plotHeight: 300,
+      minTemperature: 2000, // in K, at the right of the diagram
+      maxTemperature: BlackbodyConstants.maxTemperature, // in K, at the left of the diagram
+      titleOptions: {
+        font: new PhetFont( { size: 16, weight: 'bold' } ),
+        fill: BlackbodyColors.titlesTextProperty
+      },
+      labelOptions: {
+        font: new PhetFont( 13 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+      tickLabelOptions: {
+        font: new PhetFont( 11 ),
+        fill: BlackbodyColors.panelTextProperty
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'panel with a Hertzsprung–Russell diagram that shows the luminosity and temperature of ' +
+                           'the star'
+    }, options );
+
+    const plotWidth = options.plotWidth;
+    const plotHeight = options.plotHeight;
+
+    // Both axes are logarithmic, and temperature decreases to the right as is usual for the diagram
+    const logMaxTemperature = Math.log10( options.maxTemperature );
+    const logMinTemperature = Math.log10( options.minTemperature );
+    const temperatureToViewX = temperature =>
+      Utils.linear( logMaxTemperature, logMinTemperature, 0, plotWidth, Math.log10( temperature ) );
+    const viewXToTemperature = x =>
+      Math.pow( 10, Utils.linear( 0, plotWidth, logMaxTemperature, logMinTemperature, x ) );
+    const logMinLuminosity = Math.log10( MIN_LUMINOSITY );
+    const logMaxLuminosity = Math.log10( MAX_LUMINOSITY );
+    const luminosityToViewY = luminosity =>
+      Utils.linear( logMinLuminosity, logMaxLuminosity, plotHeight, 0, Math.log10( luminosity ) );
+    const viewYToLuminosity = y =>
+      Math.pow( 10, Utils.linear( plotHeight, 0, logMinLuminosity, logMaxLuminosity, y ) );
+    const getCatalogStarPosition = catalogStar => new Vector2(
+      temperatureToViewX( catalogStar.temperature ),
+      luminosityToViewY( StarsModel.getLuminosity( catalogStar.temperature, catalogStar.radius ) )
+    );
+
+    const plotRectangle = new Rectangle( 0, 0, plotWidth, plotHeight, {
+      fill: 'black',
+      stroke: BlackbodyColors.graphAxesStrokeProperty,
+      lineWidth: 1
+    } );
+
+    // Ticks and their labels
+    const ticksShape = new Shape();
+    const tickLabels = new Node();
+    TEMPERATURE_TICKS.forEach( temperature => {
+      const x = temperatureToViewX( temperature );
+      ticksShape.moveTo( x, plotHeight ).lineTo( x, plotHeight + TICK_LENGTH );
+      tickLabels.addChild( new Text( `${temperature}`, merge( {
+        centerX: x,
+        top: plotHeight + TICK_LENGTH + 1
+      }, options.tickLabelOptions ) ) );
+    } );
+    LUMINOSITY_TICK_EXPONENTS.forEach( exponent => {
+      const y = luminosityToViewY( Math.pow( 10, exponent ) );
+      ticksShape.moveTo( 0, y ).lineTo( -TICK_LENGTH, y );
+      tickLabels.addChild( new RichText( `10<sup>${exponent}</sup>`, merge( {
+        right: -TICK_LENGTH - 2,
+        centerY: y
+      }, options.tickLabelOptions ) ) );
+    } );
+    const ticksPath = new Path( ticksShape, {
+      stroke: BlackbodyColors.graphAxesStrokeProperty,
+      lineWidth: 1
+    } );
+
+    const temperatureAxisLabel = new Text( surfaceTemperatureKelvinString, merge( {
+      maxWidth: plotWidth
+    }, options.labelOptions ) );
+    temperatureAxisLabel.centerX = plotWidth / 2;
+    temperatureAxisLabel.top = tickLabels.bottom + 4;
+    const luminosityAxisLabel = new RichText( luminositySolarUnitsString, merge( {
+      rotation: -Math.PI / 2,
+      maxWidth: plotHeight
+    }, options.labelOptions ) );
+    luminosityAxisLabel.right = tickLabels.left - 4;
+    luminosityAxisLabel.centerY = plotHeight / 2;
+
+    // Stars with the same radius lie along straight lines, since L is proportional to R²T⁴
+    const radiusLines = new Node();
+    RADIUS_LINES.forEach( radius => {
+      radiusLines.addChild( new Path( new Shape()
+        .moveTo( 0, luminosityToViewY( StarsModel.getLuminosity( options.maxTemperature, radius ) ) )
+        .lineTo( plotWidth, luminosityToViewY( StarsModel.getLuminosity( options.minTemperature, radius ) ) ), {
+        stroke: 'gray',
+        lineWidth: 1,
+        lineDash: [ 4, 4 ]
+      } ) );
+
+      // The label is near where the line enters the diagram, from the top or from the left
+      const labelTemperature = Math.min(
+        options.maxTemperature,
+        StarsModel.getTemperature( radius, MAX_LUMINOSITY / 10 )
+      );
+      const labelY = luminosityToViewY( StarsModel.getLuminosity( labelTemperature, radius ) );
+      if ( labelY >= 0 && labelY <= plotHeight ) {
+        const labelString = StringUtils.fillIn( solarRadiiPatternString, { radius: radius } );
+        radiusLines.addChild( new RichText( labelString, merge( {}, options.tickLabelOptions, {
+          fill: 'gray',
+          left: temperatureToViewX( labelTemperature ) + 3,
+          bottom: labelY - 2
+        } ) ) );
+      }
+    } );
+
+    // Catalog stars are drawn in the color that a star of their temperature appears
+    const catalogStars = new Node();
+    StarCatalog.STARS.forEach( catalogStar => {
+      const body = new BlackbodyBodyModel( catalogStar.temperature, Tandem.OPT_OUT );
+      catalogStars.addChild( new Circle( CATALOG_STAR_RADIUS, {
+        fill: body.starColor,
+        center: getCatalogStarPosition( catalogStar )
+      } ) );
+      body.dispose();
+    } );
+    const catalogStarNameText = new Text( '', merge( {}, options.labelOptions, { fill: 'white' } ) );
+
+    const plotContents = new Node( {
+      children: [ radiusLines, catalogStars, catalogStarNameText ],
+      clipArea: Shape.rect( 0, 0, plotWidth, plotHeight )
+    } );
+
+    const marker = new Circle( MARKER_RADIUS, {
+      stroke: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: 3,
+      cursor: 'pointer',
+      mouseArea: Shape.circle( 0, 0, 2 * MARKER_RADIUS ),
+      touchArea: Shape.circle( 0, 0, 2 * MARKER_RADIUS )
+    } );
+
+    // Dragging the marker changes the temperature and luminosity of the star, keeping it within the diagram
+    let clickOffset;
+    marker.addInputListener( new DragListener( {
+      start: event => {
+        clickOffset = marker.globalToParentPoint( event.pointer.point ).minus( marker.center );
+      },
+      drag: event => {
+        const position = marker.globalToParentPoint( event.pointer.point ).minus( clickOffset );
+        model.setTemperatureAndLuminosity(
+          viewXToTemperature( Utils.clamp( position.x, 0, plotWidth ) ),
+          viewYToLuminosity( Utils.clamp( position.y, 0, plotHeight ) )
+        );
+      },
+      allowTouchSnag: true,
+      tandem: options.tandem.createTandem( 'markerDragListener' )
+    } ) );
+
+    // The marker stays at the edge of the diagram when the star is outside of it
+    Multilink.multilink( [ model.star.temperatureProperty, model.luminosityProperty ], ( temperature, luminosity ) => {
+      marker.center = new Vector2(
+        Utils.clamp( temperatureToViewX( temperature ), 0, plotWidth ),
+        Utils.clamp( luminosityToViewY( luminosity ), 0, plotHeight )
+      );
+    } );
+
+    // The name of the catalog star is shown beside it when the star is set to it
+    model.catalogStarProperty.link( name => {
+      catalogStarNameText.visible = name !== StarsModel.CUSTOM_STAR;
+      if ( name !== StarsModel.CUSTOM_STAR ) {
+        const catalogStar = StarCatalog.get( name );
+        catalogStarNameText.string = catalogStar.nameString;
+        const position = getCatalogStarPosition( catalogStar );
+
+        // The name is kept inside the diagram, on whichever side of the star has more room
+        if ( position.x < plotWidth / 2 ) {
+          catalogStarNameText.left = position.x + 2 * MARKER_RADIUS;
+        }
+        else {
+          catalogStarNameText.right = position.x - 2 * MARKER_RADIUS;
+        }
+        catalogStarNameText.centerY = Utils.clamp( position.y, catalogStarNameText.height / 2,
+          plotHeight - catalogStarNameText.height / 2 );
+      }
+    } );
+
+    const diagram = new Node( {
+      children: [
+        plotRectangle,
+        plotContents,
+        ticksPath,
+        tickLabels,
+        temperatureAxisLabel,
+        luminosityAxisLabel,
+        marker
+      ]
+    } );
+
+    const titleText = new Text( hertzsprungRussellDiagramString, merge( {
+      maxWidth: diagram.width
+    }, options.titleOptions ) );
+    const content = new VBox( {
+      children: [ titleText, diagram ],
+      spacing: 8
+    } );
+
+    super( content, {
+      fill: BlackbodyColors.backgroundProperty,
+      stroke: BlackbodyColors.panelStrokeProperty,
+      xMargin: 10,
+      yMargin: 10,
+      tandem: options.tandem,
+      phetioDocumentation: options.phetioDocumentation
+    } );
+  }
+}
+
+export default HertzsprungRussellDiagram;
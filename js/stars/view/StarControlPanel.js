@@ -0,0 +1,139 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with controls for the star of the 'Stars' screen: a combo box for choosing a star from the catalog, and a
+ * slider for the radius of the star, along with its radius and luminosity. The slider is logarithmic, since the radii
+ * of stars span many orders of magnitude.
+ *
+ * @author Arnab Purkayastha
+ */
+
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BlackbodyColors from '../../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumStrings from '../../BlackbodySpectrumStrings.js';
+import StarCatalog from '../model/StarCatalog.js';
+import StarsModel from '../model/StarsModel.js';
+
+const customStarString = BlackbodySpectrumStrings.customStar;
+const luminosityPatternString = BlackbodySpectrumStrings.luminosityPattern;
+const radiusPatternString = BlackbodySpectrumStrings.radiusPattern;
+const starCatalogString = BlackbodySpectrumStrings.starCatalog;
+
+// constants
+const DISPLAY_FONT = new PhetFont( 16 );
+const ITEM_FONT = new PhetFont( 14 );
+const CONTENT_WIDTH = 180;
+const RADIUS_SIGNIFICANT_FIGURES = 3;
+
+class StarControlPanel extends Panel {
+
+  /**
+   * @param {StarsModel} model
+   * @param {Node} listParent - parent for the combo box's popup list
+   * @param {Object} [options]
+   */
+  constructor( model, listParent, options ) {
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 10,
+      fill: 'rgba( 0, 0, 0, 0 )',
+      stroke: BlackbodyColors.panelStrokeProperty,
+      align: 'left',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( starCatalogString, {
+      font: DISPLAY_FONT,
+      fill: BlackbodyColors.panelTextProperty,
+      maxWidth: CONTENT_WIDTH
+    } );
+
+    const comboBoxItems = [ ...StarCatalog.STARS.map( catalogStar => {
+      return {
+        value: catalogStar.name,
+        createNode: () => new Text( catalogStar.nameString, {
+          font: ITEM_FONT,
+          maxWidth: CONTENT_WIDTH
+        } ),
+        tandemName: `${catalogStar.name}Item`
+      };
+    } ), {
+      value: StarsModel.CUSTOM_STAR,
+      createNode: () => new Text( customStarString, {
+        font: ITEM_FONT,
+        maxWidth: CONTENT_WIDTH
+      } ),
+      tandemName: `${StarsModel.CUSTOM_STAR}Item`
+    } ];
+    const catalogStarComboBox = new ComboBox( model.catalogStarProperty, comboBoxItems, listParent, {
+      xMargin: 6,
+      yMargin: 4,
+      tandem: options.tandem.createTandem( 'catalogStarComboBox' )
+    } );
+
+    const textOptions = {
+      font: ITEM_FONT,
+      fill: BlackbodyColors.panelTextProperty,
+      maxWidth: CONTENT_WIDTH
+    };
+    const radiusText = new RichText( '', textOptions );
+    const luminosityText = new RichText( '', textOptions );
+
+    // The slider sets the base 10 logarithm of the radius
+    const logRadiusProperty = new DynamicProperty( new Property( model.radiusProperty ), {
+      bidirectional: true,
+      map: radius => Math.log10( radius ),
+      inverseMap: logRadius => Math.pow( 10, logRadius )
+    } );
+    const radiusSlider = new HSlider( logRadiusProperty, new Range(
+      Math.log10( StarsModel.RADIUS_RANGE.min ),
+      Math.log10( StarsModel.RADIUS_RANGE.max )
+    ), {
+      trackSize: new Dimension2( CONTENT_WIDTH - 20, 3 ),
+      thumbSize: new Dimension2( 13, 22 ),
+      tandem: options.tandem.createTandem( 'radiusSlider' )
+    } );
+
+    Multilink.multilink( [ model.radiusProperty, model.luminosityProperty ], ( radius, luminosity ) => {
+      const radiusDecimalPlaces = RADIUS_SIGNIFICANT_FIGURES - 1 - Math.floor( Math.log10( radius ) );
+      radiusText.string = StringUtils.fillIn( radiusPatternString, {
+        radius: Utils.toFixed( radius, Math.max( 0, radiusDecimalPlaces ) )
+      } );
+      const notationObject = ScientificNotationNode.toScientificNotation( luminosity, { mantissaDecimalPlaces: 2 } );
+      let formattedString = notationObject.mantissa;
+      if ( notationObject.exponent !== '0' ) {
+        formattedString += ` \u00D7 10<sup>${notationObject.exponent}</sup>`;
+      }
+      luminosityText.string = StringUtils.fillIn( luminosityPatternString, { luminosity: formattedString } );
+    } );
+
+    const content = new VBox( {
+      children: [ titleText, catalogStarComboBox, radiusText, radiusSlider, luminosityText ],
+      align: 'left',
+      spacing: 8
+    } );
+
+    super( content, options );
+  }
+}
+
+export default StarControlPanel;
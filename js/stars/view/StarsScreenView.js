@@ -0,0 +1,126 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Main view for the 'Stars' screen, which shows the spectrum of a star next to its place on a Hertzsprung–Russell
+ * diagram, along with the star drawn at a size that grows with its radius
+ *
+ * @author Arnab Purkayastha
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import BlackbodySpectrumPreferences from '../../blackbody-spectrum/model/BlackbodySpectrumPreferences.js';
+import TemperatureUnits from '../../blackbody-spectrum/model/TemperatureUnits.js';
+import BlackbodyColors from '../../blackbody-spectrum/view/BlackbodyColors.js';
+import BlackbodySpectrumThermometer from '../../blackbody-spectrum/view/BlackbodySpectrumThermometer.js';
+import GlowingStarNode from '../../blackbody-spectrum/view/GlowingStarNode.js';
+import GraphDrawingNode from '../../blackbody-spectrum/view/GraphDrawingNode.js';
+import StarsModel from '../model/StarsModel.js';
+import HertzsprungRussellDiagram from './HertzsprungRussellDiagram.js';
+import StarControlPanel from './StarControlPanel.js';
+
+// constants
+const INSET = 10;
+const TEMPERATURE_LABEL_SPACING = 5;
+const GRAPH_SCALE = 0.6;
+const MIN_STAR_SCALE = 0.3; // scale of the star at the smallest radius
+const MAX_STAR_SCALE = 1.4; // scale of the star at the largest radius
+
+class StarsScreenView extends ScreenView {
+
+  /**
+   * @param {StarsModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+    super( {
+      tandem: tandem
+    } );
+
+    // parent for combo box popup lists, added last so that lists appear in front of everything else
+    const comboBoxListParent = new Node();
+
+    const graphDrawingNode = new GraphDrawingNode( model.graphModel, {
+      comboBoxListParent: comboBoxListParent,
+      tandem: tandem.createTandem( 'graphDrawingNode' )
+    } );
+    graphDrawingNode.setScaleMagnitude( GRAPH_SCALE );
+
+    const thermometerNode = new BlackbodySpectrumThermometer( model.star.temperatureProperty, {
+      tandem: tandem.createTandem( 'thermometerNode' )
+    } );
+    const temperatureText = new Text( '', {
+      font: new PhetFont( { size: 22, weight: 'bold' } ),
+      fill: BlackbodyColors.temperatureTextProperty,
+      maxWidth: 130
+    } );
+
+    const hertzsprungRussellDiagram = new HertzsprungRussellDiagram( model, {
+      tandem: tandem.createTandem( 'hertzsprungRussellDiagram' )
+    } );
+    const starControlPanel = new StarControlPanel( model, comboBoxListParent, {
+      tandem: tandem.createTandem( 'starControlPanel' )
+    } );
+
+    // The star grows with the logarithm of its radius, so that both dwarfs and supergiants fit on the screen
+    const glowingStarNode = new GlowingStarNode( model.star );
+    const logMinRadius = Math.log10( StarsModel.RADIUS_RANGE.min );
+    const logMaxRadius = Math.log10( StarsModel.RADIUS_RANGE.max );
+    model.radiusProperty.link( radius => {
+      glowingStarNode.setScaleMagnitude(
+        Utils.linear( logMinRadius, logMaxRadius, MIN_STAR_SCALE, MAX_STAR_SCALE, Math.log10( radius ) )
+      );
+    } );
+
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+        graphDrawingNode.reset();
+        thermometerNode.reset();
+      },
+      right: this.layoutBounds.maxX - INSET,
+      bottom: this.layoutBounds.maxY - INSET,
+      tandem: tandem.createTandem( 'resetAllButton' ),
+      phetioDocumentation: 'button that resets the screen to its initial state'
+    } );
+
+    Multilink.multilink( [
+      model.star.temperatureProperty,
+      BlackbodySpectrumPreferences.temperatureUnitsProperty
+    ], ( temperature, temperatureUnits ) => {
+      temperatureText.string = TemperatureUnits.format( temperature, temperatureUnits );
+      temperatureText.centerX = thermometerNode.right + thermometerNode.thermometerCenterXFromRight;
+    } );
+
+    graphDrawingNode.left = INSET;
+    graphDrawingNode.top = INSET;
+    thermometerNode.right = this.layoutBounds.maxX - INSET;
+    temperatureText.top = INSET;
+    thermometerNode.top = temperatureText.bottom + TEMPERATURE_LABEL_SPACING;
+    hertzsprungRussellDiagram.right = thermometerNode.left - 20;
+    hertzsprungRussellDiagram.top = INSET;
+    starControlPanel.left = hertzsprungRussellDiagram.left;
+    starControlPanel.top = hertzsprungRussellDiagram.bottom + INSET;
+    glowingStarNode.x = graphDrawingNode.centerX;
+    glowingStarNode.y = ( graphDrawingNode.bottom + this.layoutBounds.maxY ) / 2;
+
+    // the star is behind everything else, since its halo can be large
+    this.children = [
+      glowingStarNode,
+      graphDrawingNode,
+      hertzsprungRussellDiagram,
+      starControlPanel,
+      thermometerNode,
+      temperatureText,
+      resetAllButton,
+      comboBoxListParent
+    ];
+  }
+}
+
+export default StarsScreenView;